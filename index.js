@@ -1,4 +1,4 @@
 require('dotenv').config();
-const { main } = require('./src/delivery-tool');
+const { startServer } = require('./src/server');
 
-main().catch(console.error);
\ No newline at end of file
+startServer();
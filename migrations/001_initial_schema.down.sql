@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS transport_companies;
+DROP TABLE IF EXISTS route_cache;
+DROP TABLE IF EXISTS orders_address;
+DROP TABLE IF EXISTS orders;
@@ -0,0 +1,80 @@
+-- Lược đồ ban đầu của delivery-tool.
+-- Dùng IF NOT EXISTS để cơ sở dữ liệu đang chạy có thể nhận phiên bản 1 mà không mất dữ liệu.
+
+CREATE TABLE IF NOT EXISTS orders (
+  id_order VARCHAR(50) NOT NULL,
+  address TEXT NULL,
+  old_address TEXT NULL,
+  DiachiTruSo TEXT NULL,
+  status VARCHAR(100) NULL,
+  SOKM VARCHAR(20) NULL,
+  delivery_note TEXT NULL,
+  -- Ngày xuất kho từ API_1, giữ nguyên định dạng 'DD/MM/YYYY HH:mm:ss'
+  date_delivery VARCHAR(30) NULL,
+  created_at DATETIME NULL,
+  priority TINYINT NOT NULL DEFAULT 0,
+  delivery_deadline DATETIME NULL,
+  analyzed TINYINT(1) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id_order),
+  KEY idx_orders_status (status),
+  KEY idx_orders_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS orders_address (
+  id_order VARCHAR(50) NOT NULL,
+  address TEXT NULL,
+  district VARCHAR(100) NULL,
+  ward VARCHAR(100) NULL,
+  source VARCHAR(30) NULL,
+  distance DOUBLE NULL,
+  travel_time INT NULL,
+  old_distance DOUBLE NULL,
+  old_travel_time INT NULL,
+  -- 1 = đã quá 15 phút kể từ lúc xuất kho mà chưa giao
+  status TINYINT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id_order),
+  KEY idx_orders_address_district_ward (district, ward),
+  KEY idx_orders_address_status (status),
+  CONSTRAINT fk_orders_address_order FOREIGN KEY (id_order)
+    REFERENCES orders (id_order) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS route_cache (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  original_address TEXT NULL,
+  normalized_address VARCHAR(500) NOT NULL,
+  standardized_address TEXT NULL,
+  district VARCHAR(100) NULL,
+  ward VARCHAR(100) NULL,
+  distance DOUBLE NULL,
+  travel_time INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_route_cache_normalized_address (normalized_address)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS transport_companies (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  normalized_name VARCHAR(191) NOT NULL,
+  address TEXT NULL,
+  normalized_address VARCHAR(255) NOT NULL DEFAULT '',
+  standardized_address TEXT NULL,
+  district VARCHAR(100) NULL,
+  ward VARCHAR(100) NULL,
+  phone VARCHAR(50) NULL,
+  departure_time VARCHAR(50) NULL,
+  -- Khung giờ khởi hành đã chuẩn hóa, ví dụ '07:00-07:30'
+  departure_window VARCHAR(20) NOT NULL DEFAULT '',
+  status VARCHAR(100) NULL,
+  source VARCHAR(30) NULL,
+  note TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_transport_company (normalized_name, normalized_address, departure_window)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
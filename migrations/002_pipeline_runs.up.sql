@@ -0,0 +1,23 @@
+CREATE TABLE pipeline_runs (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  -- startup | cron | manual
+  trigger_source VARCHAR(20) NOT NULL,
+  -- running | success | failed
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  started_at DATETIME(3) NOT NULL,
+  finished_at DATETIME(3) NULL,
+  duration_ms INT UNSIGNED NULL,
+  -- [{ "name": "...", "duration_ms": 123, "status": "success" }]
+  steps JSON NULL,
+  fetched_count INT UNSIGNED NOT NULL DEFAULT 0,
+  standardized_count INT UNSIGNED NOT NULL DEFAULT 0,
+  geocoded_count INT UNSIGNED NOT NULL DEFAULT 0,
+  analyzed_count INT UNSIGNED NOT NULL DEFAULT 0,
+  -- { "api2": 0, "openai": 0, "tomtom": 0 }
+  external_calls JSON NULL,
+  -- [{ "step": "...", "message": "..." }]
+  errors JSON NULL,
+  PRIMARY KEY (id),
+  KEY idx_pipeline_runs_started_at (started_at),
+  KEY idx_pipeline_runs_status_started_at (status, started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
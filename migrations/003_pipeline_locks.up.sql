@@ -0,0 +1,10 @@
+CREATE TABLE pipeline_locks (
+  name VARCHAR(64) NOT NULL,
+  -- hostname:pid:uuid của tiến trình đang giữ khóa
+  owner VARCHAR(191) NOT NULL,
+  trigger_source VARCHAR(20) NULL,
+  acquired_at DATETIME(3) NOT NULL,
+  -- Gia hạn định kỳ khi đang chạy; quá hạn thì coi là khóa treo
+  expires_at DATETIME(3) NOT NULL,
+  PRIMARY KEY (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
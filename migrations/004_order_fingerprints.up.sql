@@ -0,0 +1,7 @@
+CREATE TABLE order_fingerprints (
+  id_order VARCHAR(50) NOT NULL,
+  -- sha256 của MaPX, DcGiaohang, DiachiTruSo, GhiChu, SOKM, NgayPX, Ngayxuatkho từ API_1
+  fingerprint CHAR(64) NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
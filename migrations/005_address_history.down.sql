@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS address_history;
+ALTER TABLE orders DROP COLUMN needs_restandardize;
@@ -0,0 +1,25 @@
+-- Đặt bởi fetchAndSaveOrders khi API_2 trả về DcGiaohang khác, xóa sau khi chuẩn hóa lại
+ALTER TABLE orders
+  ADD COLUMN needs_restandardize TINYINT(1) NOT NULL DEFAULT 0 AFTER analyzed;
+
+CREATE TABLE address_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  id_order VARCHAR(50) NOT NULL,
+  -- DcGiaohang nhận từ API_2
+  raw_address TEXT NULL,
+  standardized_address TEXT NULL,
+  district VARCHAR(100) NULL,
+  ward VARCHAR(100) NULL,
+  source VARCHAR(30) NULL,
+  -- Cập nhật bởi calculateDistances khi phiên bản còn hiện hành
+  distance DOUBLE NULL,
+  travel_time INT NULL,
+  -- 1 = phiên bản đang dùng trong orders_address
+  is_current TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_address_history_order (id_order, is_current),
+  CONSTRAINT fk_address_history_order
+    FOREIGN KEY (id_order) REFERENCES orders (id_order) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
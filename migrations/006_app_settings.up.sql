@@ -0,0 +1,7 @@
+-- Cấu hình dạng khóa/giá trị được tính một lần và dùng lại giữa các lần khởi động
+CREATE TABLE app_settings (
+  setting_key VARCHAR(64) NOT NULL,
+  value JSON NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (setting_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+DELETE rc FROM route_cache rc
+JOIN route_cache keep
+  ON keep.normalized_address = rc.normalized_address AND keep.id < rc.id;
+
+ALTER TABLE route_cache
+  DROP INDEX uq_route_cache_warehouse_address,
+  ADD UNIQUE KEY uq_route_cache_normalized_address (normalized_address),
+  DROP COLUMN warehouse_id;
+
+ALTER TABLE orders
+  DROP KEY idx_orders_warehouse,
+  DROP COLUMN warehouse_source,
+  DROP COLUMN warehouse_id;
+
+CREATE TABLE app_settings (
+  setting_key VARCHAR(64) NOT NULL,
+  value JSON NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (setting_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP TABLE IF EXISTS warehouses;
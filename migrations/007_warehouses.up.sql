@@ -0,0 +1,46 @@
+CREATE TABLE warehouses (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  -- Mã kho, khớp với trường kho trong API_1 (WAREHOUSE_ORDER_FIELD)
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  address TEXT NULL,
+  -- Tọa độ được geocode một lần từ address nếu để trống
+  lat DOUBLE NULL,
+  lon DOUBLE NULL,
+  is_default TINYINT(1) NOT NULL DEFAULT 0,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_warehouses_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tọa độ kho đã lưu ở app_settings trở thành kho mặc định
+INSERT INTO warehouses (code, name, address, lat, lon, is_default)
+SELECT 'MAIN',
+       'Kho chính',
+       JSON_UNQUOTE(JSON_EXTRACT(value, '$.address')),
+       JSON_EXTRACT(value, '$.lat'),
+       JSON_EXTRACT(value, '$.lon'),
+       1
+FROM app_settings
+WHERE setting_key = 'warehouse_location';
+
+DROP TABLE app_settings;
+
+ALTER TABLE orders
+  ADD COLUMN warehouse_id INT UNSIGNED NULL AFTER DiachiTruSo,
+  -- api = theo trường của API_1, nearest = kho gần nhất, default = kho mặc định
+  ADD COLUMN warehouse_source VARCHAR(20) NULL AFTER warehouse_id,
+  ADD KEY idx_orders_warehouse (warehouse_id);
+
+-- Khoảng cách phụ thuộc điểm xuất phát nên cache theo cặp (kho, địa chỉ).
+-- warehouse_id = 0 là dữ liệu cũ, được gán cho kho mặc định khi khởi tạo.
+ALTER TABLE route_cache
+  ADD COLUMN warehouse_id INT UNSIGNED NOT NULL DEFAULT 0 AFTER id,
+  DROP INDEX uq_route_cache_normalized_address,
+  ADD UNIQUE KEY uq_route_cache_warehouse_address (warehouse_id, normalized_address);
+
+UPDATE route_cache
+SET warehouse_id = (SELECT id FROM warehouses WHERE is_default = 1 LIMIT 1)
+WHERE EXISTS (SELECT 1 FROM warehouses WHERE is_default = 1);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS order_assignments;
+DROP TABLE IF EXISTS drivers;
+DROP TABLE IF EXISTS vehicles;
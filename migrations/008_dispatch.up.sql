@@ -0,0 +1,52 @@
+CREATE TABLE vehicles (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  plate_number VARCHAR(20) NOT NULL,
+  vehicle_type VARCHAR(50) NULL,
+  capacity_kg INT UNSIGNED NULL,
+  -- Số đơn tối đa mỗi ngày, NULL = không giới hạn
+  max_orders INT UNSIGNED NULL,
+  -- Kho xuất phát thường trực
+  warehouse_id INT UNSIGNED NULL,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_vehicles_plate_number (plate_number),
+  CONSTRAINT fk_vehicles_warehouse
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE drivers (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  phone VARCHAR(50) NULL,
+  vehicle_id INT UNSIGNED NULL,
+  warehouse_id INT UNSIGNED NULL,
+  shift_start TIME NOT NULL DEFAULT '08:00:00',
+  shift_end TIME NOT NULL DEFAULT '17:45:00',
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  CONSTRAINT fk_drivers_vehicle
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles (id) ON DELETE SET NULL,
+  CONSTRAINT fk_drivers_warehouse
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Mỗi đơn chỉ thuộc một tài xế trong một ngày giao
+CREATE TABLE order_assignments (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  id_order VARCHAR(50) NOT NULL,
+  driver_id INT UNSIGNED NOT NULL,
+  delivery_date DATE NOT NULL,
+  assigned_by VARCHAR(100) NULL,
+  assigned_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_order_assignments_order_date (id_order, delivery_date),
+  KEY idx_order_assignments_driver_date (driver_id, delivery_date),
+  CONSTRAINT fk_order_assignments_order
+    FOREIGN KEY (id_order) REFERENCES orders (id_order) ON DELETE CASCADE,
+  CONSTRAINT fk_order_assignments_driver
+    FOREIGN KEY (driver_id) REFERENCES drivers (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS delivery_batch_orders;
+DROP TABLE IF EXISTS delivery_batches;
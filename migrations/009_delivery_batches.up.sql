@@ -0,0 +1,33 @@
+-- Lô giao hàng được tính lại sau mỗi lần chạy quy trình chính
+CREATE TABLE delivery_batches (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  -- Lần chạy đã tạo lô, NULL khi tính lại thủ công hoặc không ghi được lịch sử
+  run_id INT UNSIGNED NULL,
+  warehouse_id INT UNSIGNED NULL,
+  district VARCHAR(255) NOT NULL,
+  -- ["Phường 1", "Phường 2"]
+  wards JSON NOT NULL,
+  order_count INT UNSIGNED NOT NULL,
+  earliest_deadline DATETIME NULL,
+  latest_deadline DATETIME NULL,
+  max_distance FLOAT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_delivery_batches_warehouse (warehouse_id),
+  CONSTRAINT fk_delivery_batches_run
+    FOREIGN KEY (run_id) REFERENCES pipeline_runs (id) ON DELETE SET NULL,
+  CONSTRAINT fk_delivery_batches_warehouse
+    FOREIGN KEY (warehouse_id) REFERENCES warehouses (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE delivery_batch_orders (
+  batch_id INT UNSIGNED NOT NULL,
+  id_order VARCHAR(50) NOT NULL,
+  sequence SMALLINT UNSIGNED NOT NULL,
+  PRIMARY KEY (batch_id, id_order),
+  UNIQUE KEY uq_delivery_batch_orders_order (id_order),
+  CONSTRAINT fk_delivery_batch_orders_batch
+    FOREIGN KEY (batch_id) REFERENCES delivery_batches (id) ON DELETE CASCADE,
+  CONSTRAINT fk_delivery_batch_orders_order
+    FOREIGN KEY (id_order) REFERENCES orders (id_order) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+ALTER TABLE route_cache
+  DROP INDEX sidx_route_cache_location,
+  DROP COLUMN location,
+  DROP COLUMN lon,
+  DROP COLUMN lat;
+
+ALTER TABLE orders_address
+  DROP INDEX sidx_orders_address_location,
+  DROP COLUMN location,
+  DROP COLUMN lon,
+  DROP COLUMN lat;
@@ -0,0 +1,20 @@
+-- Lưu tọa độ đã geocode để vẽ bản đồ, tính khoảng cách đường chim bay giữa các đơn
+-- và tính lại tuyến đường mà không phải geocode lại.
+-- location được sinh từ lat/lon để có SPATIAL INDEX (cột phải NOT NULL):
+-- dòng chưa có tọa độ nhận POINT(0 0), nằm ngoài Việt Nam nên không khớp truy vấn theo vùng.
+ALTER TABLE orders_address
+  ADD COLUMN lat DOUBLE NULL AFTER travel_time,
+  ADD COLUMN lon DOUBLE NULL AFTER lat,
+  ADD COLUMN location POINT
+    GENERATED ALWAYS AS (POINT(IFNULL(lon, 0), IFNULL(lat, 0))) STORED
+    NOT NULL SRID 0 AFTER lon,
+  ADD SPATIAL INDEX sidx_orders_address_location (location);
+
+ALTER TABLE route_cache
+  ADD COLUMN lat DOUBLE NULL AFTER travel_time,
+  ADD COLUMN lon DOUBLE NULL AFTER lat,
+  ADD COLUMN location POINT
+    GENERATED ALWAYS AS (POINT(IFNULL(lon, 0), IFNULL(lat, 0))) STORED
+    NOT NULL SRID 0 AFTER lon,
+  ADD SPATIAL INDEX sidx_route_cache_location (location);
+
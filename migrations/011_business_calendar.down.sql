@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS calendar_closures;
+DROP TABLE IF EXISTS calendar_shifts;
+DROP TABLE IF EXISTS calendar_holidays;
@@ -0,0 +1,58 @@
+-- Ngày lễ lặp lại hằng năm. Ngày âm lịch được đổi sang dương lịch theo từng năm khi tải lịch.
+CREATE TABLE calendar_holidays (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  -- Mã cố định để phân tích ghi chú tra cứu (vd "trước tết" -> tet)
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  -- solar = dương lịch, lunar = âm lịch
+  calendar_type ENUM('solar', 'lunar') NOT NULL DEFAULT 'solar',
+  month TINYINT UNSIGNED NOT NULL,
+  day TINYINT UNSIGNED NOT NULL,
+  -- Số ngày nghỉ liên tiếp tính từ ngày lễ
+  days_off TINYINT UNSIGNED NOT NULL DEFAULT 1,
+  active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_calendar_holidays_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ca làm việc theo thứ trong tuần (0 = Chủ nhật ... 6 = Thứ bảy).
+-- Khoảng trống giữa hai ca là giờ nghỉ trưa; thứ không có ca là ngày nghỉ.
+CREATE TABLE calendar_shifts (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  weekday TINYINT UNSIGNED NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_calendar_shifts_weekday_start (weekday, start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ngày nghỉ đột xuất (bảo trì kho, thời tiết, nghỉ bù...)
+CREATE TABLE calendar_closures (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_calendar_closures_dates (start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO calendar_holidays (code, name, calendar_type, month, day) VALUES
+  ('tet', 'Tết Nguyên Đán', 'lunar', 1, 1),
+  ('gio_to', 'Giỗ Tổ Hùng Vương', 'lunar', 3, 10),
+  ('giai_phong', 'Ngày Giải phóng miền Nam', 'solar', 4, 30),
+  ('lao_dong', 'Quốc tế Lao động', 'solar', 5, 1),
+  ('trung_thu', 'Tết Trung thu', 'lunar', 8, 15),
+  ('quoc_khanh', 'Quốc khánh', 'solar', 9, 2),
+  ('noel', 'Giáng sinh', 'solar', 12, 25);
+
+INSERT INTO calendar_shifts (weekday, start_time, end_time) VALUES
+  (1, '08:00:00', '12:00:00'), (1, '13:30:00', '17:45:00'),
+  (2, '08:00:00', '12:00:00'), (2, '13:30:00', '17:45:00'),
+  (3, '08:00:00', '12:00:00'), (3, '13:30:00', '17:45:00'),
+  (4, '08:00:00', '12:00:00'), (4, '13:30:00', '17:45:00'),
+  (5, '08:00:00', '12:00:00'), (5, '13:30:00', '17:45:00'),
+  (6, '08:00:00', '12:00:00'), (6, '13:30:00', '16:30:00');
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS order_note_analyses;
+
+ALTER TABLE orders
+  DROP COLUMN note_confidence,
+  DROP COLUMN note_source;
@@ -0,0 +1,29 @@
+-- Nguồn kết quả phân tích ghi chú đang áp dụng cho đơn:
+-- 'rules' = bộ phân tích từ khóa, 'openai' = lượt phân tích bổ sung bằng OpenAI, NULL = chưa có kết quả.
+-- Kết quả từ 'rules' luôn được ưu tiên, lượt OpenAI chỉ ghi vào đơn có note_source IS NULL.
+ALTER TABLE orders
+  ADD COLUMN note_source VARCHAR(10) NULL AFTER analyzed,
+  ADD COLUMN note_confidence DECIMAL(3,2) NULL AFTER note_source;
+
+-- Kết quả OpenAI cho ghi chú mà bộ phân tích từ khóa không hiểu, mỗi đơn giữ kết quả mới nhất.
+-- note_hash = SHA1(delivery_note) lúc phân tích, ghi chú đổi thì đơn được phân tích lại.
+-- applied = 1 khi kết quả đủ độ tin cậy và đã ghi vào orders.
+CREATE TABLE IF NOT EXISTS order_note_analyses (
+  id_order VARCHAR(50) NOT NULL,
+  source VARCHAR(10) NOT NULL DEFAULT 'openai',
+  model VARCHAR(64) NULL,
+  note_hash CHAR(40) NOT NULL,
+  priority TINYINT NOT NULL DEFAULT 0,
+  delivery_deadline DATETIME NULL,
+  window_start DATETIME NULL,
+  window_end DATETIME NULL,
+  confidence DECIMAL(3,2) NOT NULL DEFAULT 0,
+  reason VARCHAR(500) NULL,
+  applied TINYINT(1) NOT NULL DEFAULT 0,
+  raw_response JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id_order),
+  CONSTRAINT fk_order_note_analyses_order FOREIGN KEY (id_order)
+    REFERENCES orders (id_order) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
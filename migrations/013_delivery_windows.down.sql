@@ -0,0 +1,8 @@
+ALTER TABLE order_note_analyses
+  DROP COLUMN delivery_constraint;
+
+ALTER TABLE orders
+  DROP INDEX idx_orders_window_start,
+  DROP COLUMN delivery_constraint,
+  DROP COLUMN window_end,
+  DROP COLUMN window_start;
@@ -0,0 +1,12 @@
+-- Khung giờ nhận hàng rút ra từ ghi chú: window_start/window_end có thể chỉ có một đầu
+-- ("sau 14h" chỉ có window_start, "trước 10h" chỉ có window_end).
+-- delivery_constraint là điều kiện liên hệ: 'call_first' = gọi trước khi giao, 'when_home' = giao khi khách ở nhà.
+-- delivery_deadline vẫn là hạn giao dùng cho xếp hạng; đơn chưa tới window_start không được đẩy lên đầu.
+ALTER TABLE orders
+  ADD COLUMN window_start DATETIME NULL AFTER delivery_deadline,
+  ADD COLUMN window_end DATETIME NULL AFTER window_start,
+  ADD COLUMN delivery_constraint VARCHAR(20) NULL AFTER window_end,
+  ADD INDEX idx_orders_window_start (window_start);
+
+ALTER TABLE order_note_analyses
+  ADD COLUMN delivery_constraint VARCHAR(20) NULL AFTER window_end;
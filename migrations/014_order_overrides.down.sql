@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS order_events;
+
+ALTER TABLE orders
+  DROP COLUMN override_address,
+  DROP COLUMN override_window,
+  DROP COLUMN override_priority;
@@ -0,0 +1,26 @@
+-- Cờ sửa tay của điều phối viên (PATCH /orders/:id). Khi cờ bật, pipeline không ghi đè nhóm cột tương ứng:
+--   override_priority: priority
+--   override_window: delivery_deadline, window_start, window_end, delivery_constraint
+--   override_address: orders_address.address, district, ward
+ALTER TABLE orders
+  ADD COLUMN override_priority TINYINT(1) NOT NULL DEFAULT 0 AFTER delivery_constraint,
+  ADD COLUMN override_window TINYINT(1) NOT NULL DEFAULT 0 AFTER override_priority,
+  ADD COLUMN override_address TINYINT(1) NOT NULL DEFAULT 0 AFTER override_window;
+
+-- Nhật ký thay đổi của đơn, mỗi dòng là một cột đổi giá trị.
+-- actor_type: 'user' = người dùng trên dashboard, 'function' = hàm của pipeline; actor là tên người hoặc tên hàm.
+-- old_value/new_value lưu dạng JSON để giữ kiểu số, chuỗi và null.
+CREATE TABLE IF NOT EXISTS order_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  id_order VARCHAR(50) NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  old_value JSON NULL,
+  new_value JSON NULL,
+  actor_type ENUM('user', 'function') NOT NULL,
+  actor VARCHAR(100) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_order_events_order (id_order, created_at),
+  CONSTRAINT fk_order_events_order
+    FOREIGN KEY (id_order) REFERENCES orders (id_order) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+ALTER TABLE order_events
+  DROP FOREIGN KEY fk_order_events_run,
+  DROP KEY idx_order_events_run,
+  DROP COLUMN pipeline_run_id,
+  DROP COLUMN table_name;
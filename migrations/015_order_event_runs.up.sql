@@ -0,0 +1,14 @@
+-- Nhật ký thay đổi ghi cả thay đổi của pipeline:
+--   table_name: bảng chứa cột đổi giá trị ('orders' | 'orders_address')
+--   pipeline_run_id: lần chạy pipeline_runs đã ghi thay đổi, NULL nếu do người dùng hoặc gọi ngoài pipeline
+ALTER TABLE order_events
+  ADD COLUMN table_name VARCHAR(30) NOT NULL DEFAULT 'orders' AFTER id_order,
+  ADD COLUMN pipeline_run_id INT UNSIGNED NULL AFTER actor,
+  ADD KEY idx_order_events_run (pipeline_run_id),
+  ADD CONSTRAINT fk_order_events_run
+    FOREIGN KEY (pipeline_run_id) REFERENCES pipeline_runs (id) ON DELETE SET NULL;
+
+-- Sự kiện sửa tay địa chỉ ghi trước migration này thuộc orders_address
+UPDATE order_events
+SET table_name = 'orders_address'
+WHERE actor_type = 'user' AND field IN ('address', 'district', 'ward');
@@ -0,0 +1,3 @@
+-- Cột và khóa nhà xe thuộc lược đồ của 001 (cơ sở dữ liệu tạo mới đã có từ đầu)
+-- nên hoàn tác 016 giữ nguyên bảng transport_companies
+DO 0;
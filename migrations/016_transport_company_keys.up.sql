@@ -0,0 +1,107 @@
+-- Bảng transport_companies có sẵn từ trước phiên bản 1 không nhận các cột khóa nhà xe của 001
+-- (CREATE TABLE IF NOT EXISTS bỏ qua bảng đã tồn tại). Thêm cột, tính lại giá trị như
+-- normalizeTransportName, normalizeForCache và formatDepartureWindow, gộp dòng trùng rồi tạo khóa.
+-- Cơ sở dữ liệu tạo mới từ 001 đã có cột và khóa nên các bước dưới đây không đổi gì.
+
+SET @has_keys = (
+  SELECT COUNT(*) FROM information_schema.COLUMNS
+  WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = 'transport_companies'
+    AND COLUMN_NAME = 'normalized_name'
+);
+SET @sql = IF(
+  @has_keys = 0,
+  'ALTER TABLE transport_companies
+     ADD COLUMN normalized_name VARCHAR(191) NOT NULL DEFAULT '''' AFTER name,
+     ADD COLUMN normalized_address VARCHAR(255) NOT NULL DEFAULT '''' AFTER address,
+     ADD COLUMN departure_window VARCHAR(20) NOT NULL DEFAULT '''' AFTER departure_time',
+  'DO 0'
+);
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- Tên: bỏ số điện thoại và tiền tố "XE", "NHÀ XE", ... (dấu được bỏ qua nhờ utf8mb4_unicode_ci)
+UPDATE transport_companies
+SET normalized_name = LEFT(
+  TRIM(REGEXP_REPLACE(
+    REGEXP_REPLACE(
+      REGEXP_REPLACE(UPPER(name), '\\b[0-9]{10,11}\\b', ''),
+      '^(GỬI[[:space:]]+)?(XE|CHÀNH[[:space:]]+XE|NHÀ[[:space:]]+XE|XE[[:space:]]+KHÁCH)[[:space:]]+',
+      ''
+    ),
+    '[[:space:]]+',
+    ' '
+  )),
+  191
+)
+WHERE normalized_name = '';
+
+-- Địa chỉ: chữ thường, bỏ "đ" và ký tự không phải chữ, số, khoảng trắng, "/", "-"
+UPDATE transport_companies
+SET normalized_address = LEFT(
+  TRIM(REGEXP_REPLACE(
+    REGEXP_REPLACE(REPLACE(LOWER(COALESCE(address, '')), 'đ', ''), '[^[:alnum:][:space:]/-]', ''),
+    '[[:space:]]+',
+    ' '
+  )),
+  255
+)
+WHERE normalized_address = '' AND COALESCE(address, '') <> '';
+
+-- Khung giờ: giờ dạng "7H30", "7:30-8H" thành "07:30-08:00" (không có giờ kết thúc thì cộng 30 phút),
+-- chuỗi khác giữ nguyên sau khi viết hoa và bỏ khoảng trắng
+SET @departure_pattern = '^([0-9]{1,2})[H:]([0-9]{2})?(-([0-9]{1,2})[H:]([0-9]{2})?)?$';
+UPDATE transport_companies
+SET departure_window = LEFT(REGEXP_REPLACE(UPPER(TRIM(departure_time)), '[[:space:]]+', ''), 20)
+WHERE departure_window = '' AND TRIM(COALESCE(departure_time, '')) <> '';
+
+UPDATE transport_companies
+SET departure_window = CONCAT(
+  TIME_FORMAT(SEC_TO_TIME(MOD(
+    CAST(REGEXP_REPLACE(departure_window, @departure_pattern, '$1') AS UNSIGNED) * 60
+      + CAST(CONCAT('0', REGEXP_REPLACE(departure_window, @departure_pattern, '$2')) AS UNSIGNED),
+    1440
+  ) * 60), '%H:%i'),
+  '-',
+  TIME_FORMAT(SEC_TO_TIME(MOD(
+    IF(
+      REGEXP_REPLACE(departure_window, @departure_pattern, '$4') = '',
+      CAST(REGEXP_REPLACE(departure_window, @departure_pattern, '$1') AS UNSIGNED) * 60
+        + CAST(CONCAT('0', REGEXP_REPLACE(departure_window, @departure_pattern, '$2')) AS UNSIGNED)
+        + 30,
+      CAST(REGEXP_REPLACE(departure_window, @departure_pattern, '$4') AS UNSIGNED) * 60
+        + CAST(CONCAT('0', REGEXP_REPLACE(departure_window, @departure_pattern, '$5')) AS UNSIGNED)
+    ),
+    1440
+  ) * 60), '%H:%i')
+)
+WHERE UPPER(TRIM(departure_time)) REGEXP @departure_pattern
+  AND departure_window REGEXP @departure_pattern;
+
+-- Dòng trùng khóa: giữ dòng mới nhất, như upsertTransportCompanies giữ dòng xuất hiện sau
+DELETE tc FROM transport_companies tc
+JOIN transport_companies newer
+  ON newer.normalized_name = tc.normalized_name
+  AND newer.normalized_address = tc.normalized_address
+  AND newer.departure_window = tc.departure_window
+  AND newer.id > tc.id;
+
+ALTER TABLE transport_companies
+  ALTER COLUMN normalized_name DROP DEFAULT;
+
+SET @has_unique = (
+  SELECT COUNT(*) FROM information_schema.STATISTICS
+  WHERE TABLE_SCHEMA = DATABASE()
+    AND TABLE_NAME = 'transport_companies'
+    AND INDEX_NAME = 'uq_transport_company'
+);
+SET @sql = IF(
+  @has_unique = 0,
+  'ALTER TABLE transport_companies
+     ADD UNIQUE KEY uq_transport_company (normalized_name, normalized_address, departure_window)',
+  'DO 0'
+);
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
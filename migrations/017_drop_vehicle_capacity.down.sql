@@ -0,0 +1,2 @@
+ALTER TABLE vehicles
+  ADD COLUMN capacity_kg INT UNSIGNED NULL AFTER vehicle_type;
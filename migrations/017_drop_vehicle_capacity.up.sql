@@ -0,0 +1,3 @@
+-- Chưa có dữ liệu khối lượng đơn nên không thể kiểm tra tải trọng khi phân đơn;
+-- giới hạn của xe chỉ còn max_orders
+ALTER TABLE vehicles DROP COLUMN capacity_kg;
@@ -0,0 +1,276 @@
+const moment = require("moment-timezone");
+const { getPool, withTransaction } = require("./db");
+const { haversineDistance } = require("./utils");
+
+const BATCH_MAX_ORDERS = parseInt(process.env.BATCH_MAX_ORDERS) || 10;
+// Bán kính tối đa (km, đường chim bay) từ đơn đầu lô tới các đơn khác, chỉ áp dụng khi cả hai có tọa độ
+const BATCH_MAX_RADIUS_KM = parseFloat(process.env.BATCH_MAX_RADIUS_KM) || 5;
+// Các đơn trong cùng lô phải có hạn giao cách hạn sớm nhất của lô không quá khoảng này
+const BATCH_DEADLINE_WINDOW_MINUTES =
+  parseInt(process.env.BATCH_DEADLINE_WINDOW_MINUTES) || 120;
+
+const formatDateTime = (value) =>
+  value
+    ? moment(value).tz("Asia/Ho_Chi_Minh").format("YYYY-MM-DD HH:mm:ss")
+    : null;
+
+const toTimestamp = (value) => (value ? new Date(value).getTime() : null);
+
+// Đơn có hạn sớm hơn đứng trước, đơn không có hạn xếp cuối
+function compareByDeadline(a, b) {
+  if (a.deadline === null && b.deadline === null) return 0;
+  if (a.deadline === null) return 1;
+  if (b.deadline === null) return -1;
+  return a.deadline - b.deadline;
+}
+
+const hasLocation = (order) =>
+  order.lat !== null &&
+  order.lat !== undefined &&
+  order.lon !== null &&
+  order.lon !== undefined;
+
+// ĐỘ GẦN GIỮA HAI ĐƠN TRONG CÙNG QUẬN
+// Có tọa độ thì dùng khoảng cách đường chim bay (km). Nếu thiếu, cùng phường luôn gần hơn
+// khác phường, sau đó so chênh lệch khoảng cách tới kho.
+function proximityScore(seed, candidate) {
+  if (hasLocation(seed) && hasLocation(candidate)) {
+    return haversineDistance(seed, candidate);
+  }
+  const wardPenalty = seed.ward === candidate.ward ? 0 : 1000;
+  const distanceGap =
+    seed.distance !== null && candidate.distance !== null
+      ? Math.abs(seed.distance - candidate.distance)
+      : 500;
+  return wardPenalty + distanceGap;
+}
+
+// GOM ĐƠN THÀNH LÔ THEO KHU VỰC VÀ HẠN GIAO
+// orders: [{ id_order, warehouse_id, district, ward, distance, lat, lon, deadline (ms | null) }]
+// Mỗi lô chỉ gồm đơn cùng kho, cùng quận. Lô bắt đầu từ đơn có hạn sớm nhất còn lại,
+// rồi lấy thêm các đơn gần nhất trong bán kính maxRadiusKm, có hạn tương thích cho đến khi đủ maxOrders.
+function clusterOrders(
+  orders,
+  {
+    maxOrders = BATCH_MAX_ORDERS,
+    maxRadiusKm = BATCH_MAX_RADIUS_KM,
+    deadlineWindowMinutes = BATCH_DEADLINE_WINDOW_MINUTES,
+  } = {}
+) {
+  const groups = new Map();
+  orders.forEach((order) => {
+    const key = `${order.warehouse_id}|${order.district}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(order);
+  });
+
+  const windowMs = deadlineWindowMinutes * 60 * 1000;
+  const batches = [];
+
+  groups.forEach((groupOrders) => {
+    const remaining = [...groupOrders].sort(compareByDeadline);
+
+    while (remaining.length > 0) {
+      const seed = remaining.shift();
+      const isWithinRadius = (candidate) =>
+        !hasLocation(seed) ||
+        !hasLocation(candidate) ||
+        haversineDistance(seed, candidate) <= maxRadiusKm;
+      const isCompatible = (candidate) =>
+        isWithinRadius(candidate) &&
+        (seed.deadline === null
+          ? candidate.deadline === null
+          : candidate.deadline === null ||
+            candidate.deadline - seed.deadline <= windowMs);
+
+      const candidates = remaining
+        .filter(isCompatible)
+        .sort(
+          (a, b) =>
+            proximityScore(seed, a) - proximityScore(seed, b) ||
+            compareByDeadline(a, b)
+        )
+        .slice(0, maxOrders - 1);
+      const picked = new Set(candidates);
+      for (let i = remaining.length - 1; i >= 0; i--) {
+        if (picked.has(remaining[i])) remaining.splice(i, 1);
+      }
+
+      const members = [seed, ...candidates];
+      const deadlines = members
+        .map((order) => order.deadline)
+        .filter((deadline) => deadline !== null);
+      const distances = members
+        .map((order) => order.distance)
+        .filter((distance) => distance !== null);
+      batches.push({
+        warehouse_id: seed.warehouse_id,
+        district: seed.district,
+        wards: [...new Set(members.map((order) => order.ward).filter(Boolean))],
+        earliest_deadline: deadlines.length ? Math.min(...deadlines) : null,
+        latest_deadline: deadlines.length ? Math.max(...deadlines) : null,
+        max_distance: distances.length ? Math.max(...distances) : null,
+        // Trong lô: theo hạn giao rồi theo khoảng cách tới kho
+        orders: members.sort(
+          (a, b) =>
+            compareByDeadline(a, b) ||
+            (a.distance ?? Infinity) - (b.distance ?? Infinity)
+        ),
+      });
+    }
+  });
+
+  return batches.sort(
+    (a, b) =>
+      compareByDeadline(
+        { deadline: a.earliest_deadline },
+        { deadline: b.earliest_deadline }
+      ) || b.orders.length - a.orders.length
+  );
+}
+
+// TÍNH LẠI TOÀN BỘ LÔ GIAO HÀNG CHO CÁC ĐƠN ĐANG CHỜ GIAO
+async function recomputeBatches(runId = null) {
+  try {
+    const [rows] = await getPool().query(
+      `
+      SELECT o.id_order, o.warehouse_id, o.delivery_deadline,
+             oa.district, oa.ward, oa.distance, oa.lat, oa.lon
+      FROM orders o
+      JOIN orders_address oa ON o.id_order = oa.id_order
+      WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
+        AND oa.district IS NOT NULL
+      `
+    );
+
+    const batches = clusterOrders(
+      rows.map((row) => ({
+        id_order: row.id_order,
+        warehouse_id: row.warehouse_id,
+        district: row.district,
+        ward: row.ward || null,
+        distance: row.distance,
+        lat: row.lat,
+        lon: row.lon,
+        deadline: toTimestamp(row.delivery_deadline),
+      }))
+    );
+
+    await withTransaction(async (connection) => {
+      await connection.query("DELETE FROM delivery_batches");
+      for (const batch of batches) {
+        const [result] = await connection.query(
+          `INSERT INTO delivery_batches
+             (run_id, warehouse_id, district, wards, order_count,
+              earliest_deadline, latest_deadline, max_distance)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            runId,
+            batch.warehouse_id,
+            batch.district,
+            JSON.stringify(batch.wards),
+            batch.orders.length,
+            batch.earliest_deadline ? new Date(batch.earliest_deadline) : null,
+            batch.latest_deadline ? new Date(batch.latest_deadline) : null,
+            batch.max_distance,
+          ]
+        );
+        await connection.query(
+          `INSERT INTO delivery_batch_orders (batch_id, id_order, sequence) VALUES ?`,
+          [
+            batch.orders.map((order, index) => [
+              result.insertId,
+              order.id_order,
+              index + 1,
+            ]),
+          ]
+        );
+      }
+    });
+
+    console.log(
+      `[recomputeBatches] Đã gom ${rows.length} đơn thành ${batches.length} lô`
+    );
+    return batches.length;
+  } catch (error) {
+    console.error("[recomputeBatches] Lỗi:", error.message);
+    throw error;
+  }
+}
+
+// DANH SÁCH LÔ GIAO HÀNG HIỆN TẠI KÈM ĐƠN
+async function listBatches({ warehouseId = null } = {}) {
+  const pool = getPool();
+  const [batchRows] = await pool.query(
+    `
+    SELECT b.*, w.code AS warehouse_code, w.name AS warehouse_name
+    FROM delivery_batches b
+    LEFT JOIN warehouses w ON b.warehouse_id = w.id
+    ${warehouseId ? "WHERE b.warehouse_id = ?" : ""}
+    ORDER BY b.earliest_deadline IS NULL, b.earliest_deadline, b.id
+    `,
+    warehouseId ? [warehouseId] : []
+  );
+  if (batchRows.length === 0) {
+    return { run_id: null, generated_at: null, batches: [] };
+  }
+
+  const [orderRows] = await pool.query(
+    `
+    SELECT bo.batch_id, bo.sequence, o.id_order, o.priority,
+           o.delivery_deadline, oa.address, oa.ward, oa.distance,
+           oa.travel_time
+    FROM delivery_batch_orders bo
+    JOIN orders o ON bo.id_order = o.id_order
+    JOIN orders_address oa ON bo.id_order = oa.id_order
+    WHERE bo.batch_id IN (?)
+    ORDER BY bo.batch_id, bo.sequence
+    `,
+    [batchRows.map((row) => row.id)]
+  );
+  const ordersByBatch = new Map();
+  orderRows.forEach((row) => {
+    if (!ordersByBatch.has(row.batch_id)) ordersByBatch.set(row.batch_id, []);
+    ordersByBatch.get(row.batch_id).push({
+      sequence: row.sequence,
+      id_order: row.id_order,
+      address: row.address || "N/A",
+      ward: row.ward || "N/A",
+      distance:
+        row.distance !== null ? parseFloat(row.distance.toFixed(2)) : null,
+      travel_time: row.travel_time,
+      priority: row.priority,
+      delivery_deadline: formatDateTime(row.delivery_deadline),
+    });
+  });
+
+  return {
+    run_id: batchRows[0].run_id,
+    generated_at: formatDateTime(batchRows[0].created_at),
+    batches: batchRows.map((row) => ({
+      id: row.id,
+      warehouse_id: row.warehouse_id,
+      warehouse_code: row.warehouse_code,
+      warehouse_name: row.warehouse_name,
+      district: row.district,
+      wards: row.wards || [],
+      order_count: row.order_count,
+      earliest_deadline: formatDateTime(row.earliest_deadline),
+      latest_deadline: formatDateTime(row.latest_deadline),
+      max_distance:
+        row.max_distance !== null
+          ? parseFloat(row.max_distance.toFixed(2))
+          : null,
+      orders: ordersByBatch.get(row.id) || [],
+    })),
+  };
+}
+
+module.exports = {
+  BATCH_MAX_ORDERS,
+  BATCH_MAX_RADIUS_KM,
+  BATCH_DEADLINE_WINDOW_MINUTES,
+  clusterOrders,
+  recomputeBatches,
+  listBatches,
+};
@@ -0,0 +1,785 @@
+const moment = require("moment-timezone");
+const { getPool } = require("./db");
+
+const TIME_ZONE = "Asia/Ho_Chi_Minh";
+// Lịch được đọc lại từ DB sau khoảng này; thêm/sửa/xóa qua API thì tải lại ngay
+const CALENDAR_CACHE_TTL_MS =
+  parseInt(process.env.CALENDAR_CACHE_TTL_MS) || 5 * 60 * 1000;
+// Giới hạn tìm ngày làm việc kế tiếp, tránh lặp vô hạn khi lịch không có ca nào
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// code: CALENDAR_NOT_FOUND | CALENDAR_CONFLICT | CALENDAR_INVALID
+function createCalendarError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ========================================================= ÂM LỊCH =========================================================
+// Thuật toán đổi âm lịch - dương lịch của Hồ Ngọc Đức, tính theo múi giờ UTC+7
+const LUNAR_TIME_ZONE = 7;
+const INT = Math.floor;
+
+function jdFromDate(day, month, year) {
+  const a = INT((14 - month) / 12);
+  const y = year + 4800 - a;
+  const m = month + 12 * a - 3;
+  let jd =
+    day +
+    INT((153 * m + 2) / 5) +
+    365 * y +
+    INT(y / 4) -
+    INT(y / 100) +
+    INT(y / 400) -
+    32045;
+  if (jd < 2299161) {
+    jd = day + INT((153 * m + 2) / 5) + 365 * y + INT(y / 4) - 32083;
+  }
+  return jd;
+}
+
+function jdToDate(jd) {
+  let b = 0;
+  let c = jd + 32082;
+  if (jd > 2299160) {
+    const a = jd + 32044;
+    b = INT((4 * a + 3) / 146097);
+    c = a - INT((b * 146097) / 4);
+  }
+  const d = INT((4 * c + 3) / 1461);
+  const e = c - INT((1461 * d) / 4);
+  const m = INT((5 * e + 2) / 153);
+  return {
+    day: e - INT((153 * m + 2) / 5) + 1,
+    month: m + 3 - 12 * INT(m / 10),
+    year: b * 100 + d - 4800 + INT(m / 10),
+  };
+}
+
+// NGÀY SÓC (NGÀY ĐẦU THÁNG ÂM) THỨ k TÍNH TỪ 1/1/1900
+function getNewMoonDay(k) {
+  const T = k / 1236.85;
+  const T2 = T * T;
+  const T3 = T2 * T;
+  const dr = Math.PI / 180;
+  let jd1 = 2415020.75933 + 29.53058868 * k + 0.0001178 * T2 - 0.000000155 * T3;
+  jd1 += 0.00033 * Math.sin((166.56 + 132.87 * T - 0.009173 * T2) * dr);
+  const M = 359.2242 + 29.10535608 * k - 0.0000333 * T2 - 0.00000347 * T3;
+  const Mpr = 306.0253 + 385.81691806 * k + 0.0107306 * T2 + 0.00001236 * T3;
+  const F = 21.2964 + 390.67050646 * k - 0.0016528 * T2 - 0.00000239 * T3;
+  let C1 =
+    (0.1734 - 0.000393 * T) * Math.sin(M * dr) + 0.0021 * Math.sin(2 * dr * M);
+  C1 = C1 - 0.4068 * Math.sin(Mpr * dr) + 0.0161 * Math.sin(dr * 2 * Mpr);
+  C1 = C1 - 0.0004 * Math.sin(dr * 3 * Mpr);
+  C1 = C1 + 0.0104 * Math.sin(dr * 2 * F) - 0.0051 * Math.sin(dr * (M + Mpr));
+  C1 =
+    C1 -
+    0.0074 * Math.sin(dr * (M - Mpr)) +
+    0.0004 * Math.sin(dr * (2 * F + M));
+  C1 =
+    C1 -
+    0.0004 * Math.sin(dr * (2 * F - M)) -
+    0.0006 * Math.sin(dr * (2 * F + Mpr));
+  C1 =
+    C1 +
+    0.001 * Math.sin(dr * (2 * F - Mpr)) +
+    0.0005 * Math.sin(dr * (2 * Mpr + M));
+  const deltaT =
+    T < -11
+      ? 0.001 +
+        0.000839 * T +
+        0.0002261 * T2 -
+        0.00000845 * T3 -
+        0.000000081 * T * T3
+      : -0.000278 + 0.000265 * T + 0.000262 * T2;
+  return INT(jd1 + C1 - deltaT + 0.5 + LUNAR_TIME_ZONE / 24);
+}
+
+// CUNG HOÀNG ĐẠO (0-11) CỦA MẶT TRỜI TẠI NGÀY jdn
+function getSunLongitude(jdn) {
+  const T = (jdn - 2451545.5 - LUNAR_TIME_ZONE / 24) / 36525;
+  const T2 = T * T;
+  const dr = Math.PI / 180;
+  const M = 357.5291 + 35999.0503 * T - 0.0001559 * T2 - 0.00000048 * T * T2;
+  const L0 = 280.46645 + 36000.76983 * T + 0.0003032 * T2;
+  const DL =
+    (1.9146 - 0.004817 * T - 0.000014 * T2) * Math.sin(dr * M) +
+    (0.019993 - 0.000101 * T) * Math.sin(dr * 2 * M) +
+    0.00029 * Math.sin(dr * 3 * M);
+  let L = (L0 + DL) * dr;
+  L -= Math.PI * 2 * INT(L / (Math.PI * 2));
+  return INT((L / Math.PI) * 6);
+}
+
+// NGÀY BẮT ĐẦU THÁNG 11 ÂM LỊCH (THÁNG CHỨA ĐÔNG CHÍ) CỦA NĂM year
+function getLunarMonth11(year) {
+  const off = jdFromDate(31, 12, year) - 2415021;
+  const k = INT(off / 29.530588853);
+  const newMoon = getNewMoonDay(k);
+  return getSunLongitude(newMoon) >= 9 ? getNewMoonDay(k - 1) : newMoon;
+}
+
+// VỊ TRÍ THÁNG NHUẬN TÍNH TỪ THÁNG 11 ÂM LỊCH
+function getLeapMonthOffset(a11) {
+  const k = INT((a11 - 2415021.076998695) / 29.530588853 + 0.5);
+  let last;
+  let i = 1;
+  let arc = getSunLongitude(getNewMoonDay(k + i));
+  do {
+    last = arc;
+    i++;
+    arc = getSunLongitude(getNewMoonDay(k + i));
+  } while (arc !== last && i < 14);
+  return i - 1;
+}
+
+// ĐỔI NGÀY ÂM LỊCH (THÁNG THƯỜNG, KHÔNG NHUẬN) SANG DƯƠNG LỊCH
+function lunarToSolar(lunarDay, lunarMonth, lunarYear) {
+  let a11;
+  let b11;
+  if (lunarMonth < 11) {
+    a11 = getLunarMonth11(lunarYear - 1);
+    b11 = getLunarMonth11(lunarYear);
+  } else {
+    a11 = getLunarMonth11(lunarYear);
+    b11 = getLunarMonth11(lunarYear + 1);
+  }
+  const k = INT(0.5 + (a11 - 2415021.076998695) / 29.530588853);
+  let off = lunarMonth - 11;
+  if (off < 0) off += 12;
+  // Năm có 13 tháng: các tháng từ tháng nhuận trở đi lùi thêm một tháng
+  if (b11 - a11 > 365 && off >= getLeapMonthOffset(a11)) {
+    off += 1;
+  }
+  const { day, month, year } = jdToDate(getNewMoonDay(k + off) + lunarDay - 1);
+  return moment.tz([year, month - 1, day], TIME_ZONE);
+}
+
+// ========================================================= LỊCH ĐANG DÙNG =========================================================
+const timeToHours = (value) => {
+  const [hours, minutes] = String(value).split(":").map(Number);
+  return hours + minutes / 60;
+};
+
+const formatTime = (value) => String(value).slice(0, 5);
+
+const toDateKey = (value) => moment(value).tz(TIME_ZONE).format("YYYY-MM-DD");
+
+// Dùng khi chưa tải được lịch từ DB, trùng với dữ liệu khởi tạo của migration 011
+const DEFAULT_CALENDAR = {
+  holidays: [
+    {
+      code: "tet",
+      name: "Tết Nguyên Đán",
+      calendar_type: "lunar",
+      month: 1,
+      day: 1,
+    },
+    {
+      code: "gio_to",
+      name: "Giỗ Tổ Hùng Vương",
+      calendar_type: "lunar",
+      month: 3,
+      day: 10,
+    },
+    {
+      code: "giai_phong",
+      name: "Ngày Giải phóng miền Nam",
+      calendar_type: "solar",
+      month: 4,
+      day: 30,
+    },
+    {
+      code: "lao_dong",
+      name: "Quốc tế Lao động",
+      calendar_type: "solar",
+      month: 5,
+      day: 1,
+    },
+    {
+      code: "trung_thu",
+      name: "Tết Trung thu",
+      calendar_type: "lunar",
+      month: 8,
+      day: 15,
+    },
+    {
+      code: "quoc_khanh",
+      name: "Quốc khánh",
+      calendar_type: "solar",
+      month: 9,
+      day: 2,
+    },
+    {
+      code: "noel",
+      name: "Giáng sinh",
+      calendar_type: "solar",
+      month: 12,
+      day: 25,
+    },
+  ].map((holiday) => ({ ...holiday, id: null, days_off: 1, active: true })),
+  // Chỉ số là thứ trong tuần theo moment (0 = Chủ nhật)
+  shiftsByWeekday: [0, 1, 2, 3, 4, 5, 6].map((weekday) => {
+    if (weekday === 0) return [];
+    return [
+      { start: 8, end: 12 },
+      { start: 13.5, end: weekday === 6 ? 16.5 : 17.75 },
+    ];
+  }),
+  closures: [],
+};
+
+let calendar = DEFAULT_CALENDAR;
+let loadedAt = 0;
+let pendingLoad = null;
+// Ngày lễ đã đổi sang dương lịch theo năm
+const resolvedHolidaysByYear = new Map();
+
+// TẢI LỊCH LÀM VIỆC TỪ DB (DÙNG LẠI BẢN ĐÃ TẢI TRONG CALENDAR_CACHE_TTL_MS)
+async function loadBusinessCalendar({ force = false } = {}) {
+  if (!force && Date.now() - loadedAt < CALENDAR_CACHE_TTL_MS) {
+    return calendar;
+  }
+  if (pendingLoad) {
+    if (!force) return pendingLoad;
+    // Lần tải đang chạy có thể đọc dữ liệu trước thay đổi vừa ghi, chờ xong rồi tải lại
+    await pendingLoad.catch(() => {});
+    if (pendingLoad) return loadBusinessCalendar({ force });
+  }
+
+  pendingLoad = (async () => {
+    try {
+      const pool = getPool();
+      const [holidayRows] = await pool.query(
+        "SELECT * FROM calendar_holidays WHERE active = 1 ORDER BY month, day"
+      );
+      const [shiftRows] = await pool.query(
+        "SELECT weekday, start_time, end_time FROM calendar_shifts ORDER BY weekday, start_time"
+      );
+      const [closureRows] = await pool.query(
+        `SELECT id,
+                DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+                DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+                reason
+         FROM calendar_closures
+         ORDER BY start_date`
+      );
+
+      const shiftsByWeekday = [[], [], [], [], [], [], []];
+      shiftRows.forEach((row) => {
+        shiftsByWeekday[row.weekday].push({
+          start: timeToHours(row.start_time),
+          end: timeToHours(row.end_time),
+        });
+      });
+
+      calendar = {
+        holidays: holidayRows.map(parseHolidayRow),
+        shiftsByWeekday,
+        closures: closureRows,
+      };
+      resolvedHolidaysByYear.clear();
+      loadedAt = Date.now();
+      console.log(
+        `[loadBusinessCalendar] Đã tải ${holidayRows.length} ngày lễ, ${shiftRows.length} ca làm việc, ${closureRows.length} ngày nghỉ đột xuất`
+      );
+      return calendar;
+    } catch (error) {
+      console.error("[loadBusinessCalendar] Lỗi:", error.message);
+      throw error;
+    } finally {
+      pendingLoad = null;
+    }
+  })();
+  return pendingLoad;
+}
+
+// NGÀY LỄ TRONG NĂM DƯƠNG LỊCH year (NGÀY ÂM ĐÃ ĐỔI SANG DƯƠNG)
+function getHolidaysForYear(year) {
+  if (resolvedHolidaysByYear.has(year)) {
+    return resolvedHolidaysByYear.get(year);
+  }
+
+  const holidays = [];
+  calendar.holidays.forEach((holiday) => {
+    const dates =
+      holiday.calendar_type === "lunar"
+        ? // Tháng 11, 12 âm của năm trước có thể rơi vào đầu năm dương này
+          [year - 1, year].map((lunarYear) =>
+            lunarToSolar(holiday.day, holiday.month, lunarYear)
+          )
+        : [moment.tz([year, holiday.month - 1, holiday.day], TIME_ZONE)];
+    dates
+      .filter((date) => date.isValid() && date.year() === year)
+      .forEach((date) => {
+        holidays.push({
+          id: holiday.id,
+          code: holiday.code,
+          name: holiday.name,
+          calendar_type: holiday.calendar_type,
+          date: date.format("YYYY-MM-DD"),
+          end_date: date
+            .clone()
+            .add(Math.max(holiday.days_off, 1) - 1, "days")
+            .format("YYYY-MM-DD"),
+          days_off: holiday.days_off,
+        });
+      });
+  });
+  holidays.sort((a, b) => a.date.localeCompare(b.date));
+  resolvedHolidaysByYear.set(year, holidays);
+  return holidays;
+}
+
+// NGÀY LỄ BAO TRÙM THỜI ĐIỂM time (KỂ CẢ NGÀY NGHỈ KÉO DÀI TỪ NĂM TRƯỚC)
+function findHoliday(time) {
+  const key = toDateKey(time);
+  const year = moment(time).tz(TIME_ZONE).year();
+  return (
+    [...getHolidaysForYear(year - 1), ...getHolidaysForYear(year)].find(
+      (holiday) => holiday.date <= key && key <= holiday.end_date
+    ) || null
+  );
+}
+
+// NGÀY NGHỈ ĐỘT XUẤT BAO TRÙM THỜI ĐIỂM time
+function findClosure(time) {
+  const key = toDateKey(time);
+  return (
+    calendar.closures.find(
+      (closure) => closure.start_date <= key && key <= closure.end_date
+    ) || null
+  );
+}
+
+// CA LÀM VIỆC TRONG NGÀY CỦA time, RỖNG NẾU LÀ NGÀY NGHỈ
+// Mỗi ca là { start, end } theo giờ thập phân (13.5 = 13:30)
+function getWorkingShifts(time) {
+  if (findHoliday(time) || findClosure(time)) return [];
+  return calendar.shiftsByWeekday[moment(time).tz(TIME_ZONE).day()] || [];
+}
+
+function isWorkingDay(time) {
+  return getWorkingShifts(time).length > 0;
+}
+
+// ĐẦU CA ĐẦU TIÊN CỦA NGÀY LÀM VIỆC KẾ TIẾP SAU NGÀY CỦA time
+function getNextWorkingStart(time) {
+  const day = moment(time).tz(TIME_ZONE).startOf("day");
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    day.add(1, "day");
+    const shifts = getWorkingShifts(day);
+    if (shifts.length > 0) {
+      return day.clone().add(shifts[0].start, "hours");
+    }
+  }
+  throw new Error(
+    `Không tìm thấy ngày làm việc nào trong ${MAX_LOOKAHEAD_DAYS} ngày sau ${day.format(
+      "DD/MM/YYYY"
+    )}, kiểm tra lại calendar_shifts`
+  );
+}
+
+// LẦN DIỄN RA GẦN NHẤT (TỪ NGÀY CỦA from TRỞ ĐI) CỦA NGÀY LỄ CÓ MÃ code
+function getUpcomingHolidayDate(code, from = moment()) {
+  const fromKey = toDateKey(from);
+  const year = moment(from).tz(TIME_ZONE).year();
+  for (const candidateYear of [year, year + 1]) {
+    const holiday = getHolidaysForYear(candidateYear).find(
+      (item) => item.code === code && item.date >= fromKey
+    );
+    if (holiday) return moment.tz(holiday.date, "YYYY-MM-DD", TIME_ZONE);
+  }
+  return null;
+}
+
+// ========================================================= QUẢN LÝ LỊCH =========================================================
+const parseHolidayRow = (row) => ({
+  id: row.id,
+  code: row.code,
+  name: row.name,
+  calendar_type: row.calendar_type,
+  month: row.month,
+  day: row.day,
+  days_off: row.days_off,
+  active: row.active === 1,
+});
+
+const parseShiftRow = (row) => ({
+  id: row.id,
+  weekday: row.weekday,
+  start_time: formatTime(row.start_time),
+  end_time: formatTime(row.end_time),
+});
+
+const isValidTime = (value) =>
+  typeof value === "string" && moment(value, "HH:mm", true).isValid();
+const isValidDate = (value) =>
+  typeof value === "string" && moment(value, "YYYY-MM-DD", true).isValid();
+
+function validateHoliday(holiday) {
+  if (
+    typeof holiday.code !== "string" ||
+    !/^[a-z0-9_]{1,50}$/.test(holiday.code)
+  ) {
+    return "code chỉ gồm chữ thường không dấu, số và dấu gạch dưới";
+  }
+  if (typeof holiday.name !== "string" || !holiday.name.trim()) {
+    return "name là bắt buộc";
+  }
+  if (!["solar", "lunar"].includes(holiday.calendar_type)) {
+    return "calendar_type phải là solar hoặc lunar";
+  }
+  if (
+    !Number.isInteger(holiday.month) ||
+    holiday.month < 1 ||
+    holiday.month > 12
+  ) {
+    return "month phải từ 1 đến 12";
+  }
+  // Tháng âm lịch có tối đa 30 ngày; dương lịch kiểm tra theo năm nhuận để nhận 29/02
+  const maxDay =
+    holiday.calendar_type === "lunar"
+      ? 30
+      : moment([2024, holiday.month - 1]).daysInMonth();
+  if (
+    !Number.isInteger(holiday.day) ||
+    holiday.day < 1 ||
+    holiday.day > maxDay
+  ) {
+    return `day phải từ 1 đến ${maxDay}`;
+  }
+  if (
+    !Number.isInteger(holiday.days_off) ||
+    holiday.days_off < 1 ||
+    holiday.days_off > 30
+  ) {
+    return "days_off phải từ 1 đến 30";
+  }
+  return null;
+}
+
+function validateShift(shift) {
+  if (
+    !Number.isInteger(shift.weekday) ||
+    shift.weekday < 0 ||
+    shift.weekday > 6
+  ) {
+    return "weekday phải từ 0 (Chủ nhật) đến 6 (Thứ bảy)";
+  }
+  if (!isValidTime(shift.start_time) || !isValidTime(shift.end_time)) {
+    return "start_time/end_time phải là HH:mm";
+  }
+  if (shift.start_time >= shift.end_time) {
+    return "start_time phải trước end_time";
+  }
+  return null;
+}
+
+function validateClosure(closure) {
+  if (!isValidDate(closure.start_date) || !isValidDate(closure.end_date)) {
+    return "start_date/end_date phải là YYYY-MM-DD";
+  }
+  if (closure.start_date > closure.end_date) {
+    return "start_date không được sau end_date";
+  }
+  return null;
+}
+
+function assertValid(message) {
+  if (message) throw createCalendarError(message, "CALENDAR_INVALID");
+}
+
+// Thay đổi qua API có hiệu lực ngay, không chờ hết hạn cache
+const reloadCalendar = () => loadBusinessCalendar({ force: true });
+
+// DANH SÁCH NGÀY LỄ KÈM LẦN DIỄN RA GẦN NHẤT
+async function listHolidays() {
+  await loadBusinessCalendar();
+  const [rows] = await getPool().query(
+    "SELECT * FROM calendar_holidays ORDER BY month, day"
+  );
+  const today = moment().tz(TIME_ZONE);
+  return rows.map(parseHolidayRow).map((holiday) => {
+    const nextDate = holiday.active
+      ? getUpcomingHolidayDate(holiday.code, today)
+      : null;
+    return {
+      ...holiday,
+      next_date: nextDate ? nextDate.format("YYYY-MM-DD") : null,
+    };
+  });
+}
+
+async function getHolidayRow(holidayId) {
+  const [rows] = await getPool().query(
+    "SELECT * FROM calendar_holidays WHERE id = ?",
+    [holidayId]
+  );
+  if (rows.length === 0) {
+    throw createCalendarError(
+      `Không tìm thấy ngày lễ ${holidayId}`,
+      "CALENDAR_NOT_FOUND"
+    );
+  }
+  return parseHolidayRow(rows[0]);
+}
+
+// THÊM HOẶC SỬA NGÀY LỄ
+async function saveHoliday(holidayId, fields) {
+  const current = holidayId
+    ? await getHolidayRow(holidayId)
+    : { calendar_type: "solar", days_off: 1, active: true };
+  const holiday = { ...current, ...fields };
+  assertValid(validateHoliday(holiday));
+
+  const values = [
+    holiday.code,
+    holiday.name.trim(),
+    holiday.calendar_type,
+    holiday.month,
+    holiday.day,
+    holiday.days_off,
+    holiday.active ? 1 : 0,
+  ];
+  try {
+    if (holidayId) {
+      await getPool().query(
+        `UPDATE calendar_holidays
+         SET code = ?, name = ?, calendar_type = ?, month = ?, day = ?, days_off = ?, active = ?
+         WHERE id = ?`,
+        [...values, holidayId]
+      );
+    } else {
+      const [result] = await getPool().query(
+        `INSERT INTO calendar_holidays (code, name, calendar_type, month, day, days_off, active)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        values
+      );
+      holidayId = result.insertId;
+    }
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      throw createCalendarError(
+        `Mã ngày lễ ${holiday.code} đã tồn tại`,
+        "CALENDAR_CONFLICT"
+      );
+    }
+    throw error;
+  }
+  await reloadCalendar();
+  return getHolidayRow(holidayId);
+}
+
+const createHoliday = (fields) => saveHoliday(null, fields);
+const updateHoliday = (holidayId, fields) => saveHoliday(holidayId, fields);
+
+async function deleteHoliday(holidayId) {
+  const [result] = await getPool().query(
+    "DELETE FROM calendar_holidays WHERE id = ?",
+    [holidayId]
+  );
+  if (result.affectedRows === 0) {
+    throw createCalendarError(
+      `Không tìm thấy ngày lễ ${holidayId}`,
+      "CALENDAR_NOT_FOUND"
+    );
+  }
+  await reloadCalendar();
+}
+
+// DANH SÁCH CA LÀM VIỆC
+async function listShifts() {
+  const [rows] = await getPool().query(
+    "SELECT * FROM calendar_shifts ORDER BY weekday, start_time"
+  );
+  return rows.map(parseShiftRow);
+}
+
+async function getShift(shiftId) {
+  const [rows] = await getPool().query(
+    "SELECT * FROM calendar_shifts WHERE id = ?",
+    [shiftId]
+  );
+  if (rows.length === 0) {
+    throw createCalendarError(
+      `Không tìm thấy ca làm việc ${shiftId}`,
+      "CALENDAR_NOT_FOUND"
+    );
+  }
+  return parseShiftRow(rows[0]);
+}
+
+// THÊM HOẶC SỬA CA LÀM VIỆC, KHÔNG CHO CA CHỒNG LÊN CA KHÁC CÙNG THỨ
+async function saveShift(shiftId, fields) {
+  const current = shiftId ? await getShift(shiftId) : {};
+  const shift = { ...current, ...fields };
+  assertValid(validateShift(shift));
+
+  const [overlaps] = await getPool().query(
+    `SELECT id FROM calendar_shifts
+     WHERE weekday = ? AND start_time < ? AND end_time > ? AND id <> ?`,
+    [shift.weekday, shift.end_time, shift.start_time, shiftId || 0]
+  );
+  if (overlaps.length > 0) {
+    throw createCalendarError(
+      `Ca ${shift.start_time}-${shift.end_time} chồng lên ca khác trong cùng thứ`,
+      "CALENDAR_CONFLICT"
+    );
+  }
+
+  const values = [shift.weekday, shift.start_time, shift.end_time];
+  if (shiftId) {
+    await getPool().query(
+      "UPDATE calendar_shifts SET weekday = ?, start_time = ?, end_time = ? WHERE id = ?",
+      [...values, shiftId]
+    );
+  } else {
+    const [result] = await getPool().query(
+      "INSERT INTO calendar_shifts (weekday, start_time, end_time) VALUES (?, ?, ?)",
+      values
+    );
+    shiftId = result.insertId;
+  }
+  await reloadCalendar();
+  return getShift(shiftId);
+}
+
+const createShift = (fields) => saveShift(null, fields);
+const updateShift = (shiftId, fields) => saveShift(shiftId, fields);
+
+async function deleteShift(shiftId) {
+  const [result] = await getPool().query(
+    "DELETE FROM calendar_shifts WHERE id = ?",
+    [shiftId]
+  );
+  if (result.affectedRows === 0) {
+    throw createCalendarError(
+      `Không tìm thấy ca làm việc ${shiftId}`,
+      "CALENDAR_NOT_FOUND"
+    );
+  }
+  await reloadCalendar();
+}
+
+// DANH SÁCH NGÀY NGHỈ ĐỘT XUẤT, MẶC ĐỊNH CHỈ LẤY CÁC ĐỢT CHƯA KẾT THÚC
+async function listClosures({ includePast = false } = {}) {
+  const [rows] = await getPool().query(
+    `SELECT id,
+            DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+            reason
+     FROM calendar_closures
+     ${includePast ? "" : "WHERE end_date >= ?"}
+     ORDER BY start_date`,
+    includePast ? [] : [moment().tz(TIME_ZONE).format("YYYY-MM-DD")]
+  );
+  return rows;
+}
+
+async function getClosure(closureId) {
+  const [rows] = await getPool().query(
+    `SELECT id,
+            DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+            DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date,
+            reason
+     FROM calendar_closures
+     WHERE id = ?`,
+    [closureId]
+  );
+  if (rows.length === 0) {
+    throw createCalendarError(
+      `Không tìm thấy ngày nghỉ ${closureId}`,
+      "CALENDAR_NOT_FOUND"
+    );
+  }
+  return rows[0];
+}
+
+// THÊM HOẶC SỬA NGÀY NGHỈ ĐỘT XUẤT
+async function saveClosure(closureId, fields) {
+  const current = closureId ? await getClosure(closureId) : {};
+  const closure = { ...current, ...fields };
+  if (closure.end_date === undefined) closure.end_date = closure.start_date;
+  assertValid(validateClosure(closure));
+
+  const values = [closure.start_date, closure.end_date, closure.reason || null];
+  if (closureId) {
+    await getPool().query(
+      "UPDATE calendar_closures SET start_date = ?, end_date = ?, reason = ? WHERE id = ?",
+      [...values, closureId]
+    );
+  } else {
+    const [result] = await getPool().query(
+      "INSERT INTO calendar_closures (start_date, end_date, reason) VALUES (?, ?, ?)",
+      values
+    );
+    closureId = result.insertId;
+  }
+  await reloadCalendar();
+  return getClosure(closureId);
+}
+
+const createClosure = (fields) => saveClosure(null, fields);
+const updateClosure = (closureId, fields) => saveClosure(closureId, fields);
+
+async function deleteClosure(closureId) {
+  const [result] = await getPool().query(
+    "DELETE FROM calendar_closures WHERE id = ?",
+    [closureId]
+  );
+  if (result.affectedRows === 0) {
+    throw createCalendarError(
+      `Không tìm thấy ngày nghỉ ${closureId}`,
+      "CALENDAR_NOT_FOUND"
+    );
+  }
+  await reloadCalendar();
+}
+
+// LỊCH LÀM VIỆC CỦA MỘT NĂM: NGÀY LỄ ĐÃ ĐỔI SANG DƯƠNG LỊCH, NGÀY NGHỈ ĐỘT XUẤT VÀ CA THEO THỨ
+async function getCalendarForYear(year) {
+  await loadBusinessCalendar();
+  const yearPrefix = `${year}-`;
+  return {
+    year,
+    holidays: getHolidaysForYear(year),
+    closures: calendar.closures.filter(
+      (closure) =>
+        closure.start_date <= `${yearPrefix}12-31` &&
+        closure.end_date >= `${yearPrefix}01-01`
+    ),
+    shifts: calendar.shiftsByWeekday.map((shifts, weekday) => ({
+      weekday,
+      shifts: shifts.map((shift) => ({
+        start_time: moment.utc(0).add(shift.start, "hours").format("HH:mm"),
+        end_time: moment.utc(0).add(shift.end, "hours").format("HH:mm"),
+      })),
+    })),
+  };
+}
+
+module.exports = {
+  lunarToSolar,
+  loadBusinessCalendar,
+  getHolidaysForYear,
+  findHoliday,
+  findClosure,
+  getWorkingShifts,
+  isWorkingDay,
+  getNextWorkingStart,
+  getUpcomingHolidayDate,
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  listShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  listClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure,
+  getCalendarForYear,
+};
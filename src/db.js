@@ -0,0 +1,72 @@
+const mysql = require("mysql2/promise");
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const dbConfig = {
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_DATABASE,
+  waitForConnections: true,
+  connectionLimit: toInt(process.env.DB_POOL_SIZE, 10),
+  maxIdle: toInt(
+    process.env.DB_POOL_MAX_IDLE,
+    toInt(process.env.DB_POOL_SIZE, 10)
+  ),
+  idleTimeout: toInt(process.env.DB_POOL_IDLE_TIMEOUT, 60000),
+  queueLimit: toInt(process.env.DB_POOL_QUEUE_LIMIT, 0),
+  connectTimeout: toInt(process.env.DB_CONNECT_TIMEOUT, 10000),
+  enableKeepAlive: true,
+};
+
+let pool = null;
+
+// LẤY POOL KẾT NỐI DÙNG CHUNG
+function getPool() {
+  if (!pool) {
+    pool = mysql.createPool(dbConfig);
+  }
+  return pool;
+}
+
+// CHẠY HÀM TRONG MỘT TRANSACTION, ROLLBACK NẾU CÓ LỖI
+async function withTransaction(fn) {
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await connection.rollback();
+    } catch (rollbackError) {
+      console.error(
+        "[withTransaction] Lỗi khi rollback:",
+        rollbackError.message
+      );
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// ĐÓNG POOL (DÙNG KHI SCRIPT KẾT THÚC)
+async function closePool() {
+  if (pool) {
+    const current = pool;
+    pool = null;
+    await current.end();
+  }
+}
+
+module.exports = {
+  dbConfig,
+  getPool,
+  withTransaction,
+  closePool,
+};
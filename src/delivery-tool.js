@@ -1,25 +1,39 @@
 require("dotenv").config();
-const express = require("express");
-const http = require("http");
-const socketIo = require("socket.io");
+const crypto = require("crypto");
 const axios = require("axios");
-const mysql = require("mysql2/promise");
+const { getPool, withTransaction } = require("./db");
+const { createPipelineRun, finishPipelineRun } = require("./pipeline_runs");
+const { runExclusive } = require("./run_lock");
+const { getGeoProvider } = require("./providers");
+const { retry, haversineDistance } = require("./utils");
+const { recomputeBatches } = require("./batching");
+const {
+  PRIORITY_ORDER_COLUMNS,
+  buildRankingOrderBy,
+  explainRank,
+  parsePriorityOrderRow,
+} = require("./ranking");
+const {
+  loadBusinessCalendar,
+  getWorkingShifts,
+  isWorkingDay,
+  getNextWorkingStart,
+} = require("./business_calendar");
+const { parseNote, resolveNoteDate } = require("./note_parser");
+const { trackOrderChanges } = require("./order_events");
+const {
+  listWarehouses,
+  getWarehouseById,
+  ensureDefaultWarehouse,
+  saveWarehouseLocation,
+} = require("./warehouses");
 const { OpenAI } = require("openai");
 const pLimitModule = require("p-limit");
-const cron = require("node-cron");
 const moment = require("moment-timezone");
 
 const pLimit =
   typeof pLimitModule === "function" ? pLimitModule : pLimitModule.default;
 
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server);
-const port = process.env.PORT || 3000;
-
-app.use(express.json());
-app.use(express.static("public"));
-
 function getNextCronRunTime() {
   const now = moment().tz("Asia/Ho_Chi_Minh");
   const minutes = now.minute();
@@ -31,55 +45,52 @@ function getNextCronRunTime() {
     .format("YYYY-MM-DD HH:mm:ss");
 }
 
-io.on("connection", (socket) => {
-  console.log("Client connected:", socket.id);
-  socket.emit("cronTimeUpdate", {
-    nextRunTime: getNextCronRunTime(),
-  });
-  socket.on("disconnect", () => {
-    console.log("Client disconnected:", socket.id);
-  });
-});
-
-let lastApiOrderCount = 0;
-
-const dbConfig = {
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_DATABASE,
-};
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Khởi tạo OpenAI khi cần để require module không đòi OPENAI_API_KEY
+let openaiClient = null;
+function getOpenAIClient() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
 const API_1 = process.env.API_1_URL;
 const API_2_BASE = process.env.API_2_BASE_URL;
-const TOMTOM_API_KEY = process.env.TOMTOM_API_KEY;
-const WAREHOUSE_ADDRESS = process.env.WAREHOUSE_ADDRESS;
+// Trường của API_1 chứa mã kho (khớp warehouses.code); để trống thì chọn kho gần nhất
+const WAREHOUSE_ORDER_FIELD = process.env.WAREHOUSE_ORDER_FIELD || "";
+
+// Cột được ghi vào order_events khi hàm của pipeline đổi giá trị
+const NOTE_RESULT_FIELDS = [
+  "priority",
+  "delivery_deadline",
+  "window_start",
+  "window_end",
+  "delivery_constraint",
+  "note_source",
+];
+const FETCHED_ORDER_FIELDS = [
+  "address",
+  "status",
+  "SOKM",
+  "delivery_note",
+  "date_delivery",
+  "DiachiTruSo",
+  "warehouse_id",
+  ...NOTE_RESULT_FIELDS,
+];
+const STANDARDIZED_ADDRESS_FIELDS = ["address", "district", "ward", "source"];
 
 const TRANSPORT_KEYWORDS = ["XE", "CHÀNH XE", "GỬI XE", "NHÀ XE", "XE KHÁCH"];
 
-// ========================================================= UTILITY FUNCTIONS =========================================================
-// RETRY FUNCTION
-async function retry(fn, retries = 3, minTimeout = 2000, maxTimeout = 10000) {
-  let attempt = 0;
-  while (attempt < retries) {
-    try {
-      return await fn();
-    } catch (error) {
-      attempt++;
-      if (attempt >= retries) {
-        throw error;
-      }
-      const delay = Math.min(minTimeout * Math.pow(2, attempt - 1), maxTimeout);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
-  }
-}
-
-// RETRY MYSQL CONNECTION
-async function createConnectionWithRetry() {
-  return await retry(async () => await mysql.createConnection(dbConfig));
-}
+// SỐ LẦN GỌI API BÊN NGOÀI, main() LẤY CHÊNH LỆCH ĐỂ GHI VÀO pipeline_runs
+// warehouse_cache_hits: số kho dùng tọa độ đã lưu thay vì geocode lại địa chỉ kho
+const externalCallStats = {
+  api2: 0,
+  openai: 0,
+  geocode: 0,
+  route: 0,
+  matrix: 0,
+  warehouse_cache_hits: 0,
+};
 
 // ========================================================== ADDRESS & TRANSPORT =========================================================
 
@@ -128,33 +139,31 @@ async function findTransportCompany(
 ) {
   const startTime = Date.now();
   try {
-    const connection = await mysql.createConnection(dbConfig);
+    const pool = getPool();
     const { cleanedAddress, transportName } = preprocessAddress(address);
     const finalTransportName = preferredTransportName || transportName;
 
     if (!finalTransportName) {
-      await connection.end();
       console.log(
         `[findTransportCompany] Không có nhà xe trong địa chỉ: ${address}`
       );
       return { remainingAddress: cleanedAddress };
     }
 
-    const normalizedAddress = normalizeTransportName(finalTransportName);
-    const [rows] = await connection.execute(
+    const normalizedName = normalizeTransportName(finalTransportName);
+    const [rows] = await pool.execute(
       `
       SELECT standardized_address, district, ward, source, departure_time, status
       FROM transport_companies
-      WHERE UPPER(name) LIKE ?
+      WHERE normalized_name LIKE ?
       `,
-      [`%${normalizedAddress}%`]
+      [`%${normalizedName}%`]
     );
 
     if (rows.length === 0) {
       console.log(
         `[findTransportCompany] Không tìm thấy nhà xe: ${finalTransportName}`
       );
-      await connection.end();
       return { remainingAddress: cleanedAddress };
     }
 
@@ -162,7 +171,6 @@ async function findTransportCompany(
       console.log(
         `[findTransportCompany] Tìm thấy nhà xe: ${finalTransportName}, địa chỉ: ${rows[0].standardized_address}`
       );
-      await connection.end();
       return {
         DcGiaohang: rows[0].standardized_address,
         District: rows[0].district,
@@ -185,7 +193,7 @@ async function findTransportCompany(
           second: 0,
         });
       } else {
-        const [order] = await connection.execute(
+        const [order] = await pool.execute(
           `SELECT created_at FROM orders WHERE id_order = ?`,
           [orderId]
         );
@@ -247,7 +255,6 @@ async function findTransportCompany(
     console.log(
       `[findTransportCompany] Tìm thấy nhà xe: ${finalTransportName}, địa chỉ: ${selectedRow.standardized_address}`
     );
-    await connection.end();
     return {
       DcGiaohang: selectedRow.standardized_address,
       District: selectedRow.district,
@@ -260,7 +267,207 @@ async function findTransportCompany(
   }
 }
 
+// CHUẨN HÓA KHUNG GIỜ KHỞI HÀNH ĐỂ LÀM KHÓA NHÀ XE
+function formatDepartureWindow(departureTime) {
+  if (departureTime === null || departureTime === undefined) return "";
+  const raw = String(departureTime).trim();
+  if (!raw) return "";
+
+  const { start, end } = parseDepartureTime(raw);
+  if (!start || !end) {
+    return raw.toUpperCase().replace(/\s+/g, "").substring(0, 20);
+  }
+  return `${start.format("HH:mm")}-${end.format("HH:mm")}`;
+}
+
+// SO SÁNH CHUỖI NHƯ utf8mb4_unicode_ci: KHÔNG PHÂN BIỆT HOA THƯỜNG, DẤU VÀ KHOẢNG TRẮNG CUỐI
+// Gộp cả "đ" với "d" để hai khóa khác nhau trong JS không bao giờ trùng nhau trong MySQL
+function foldCollationKey(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .toUpperCase()
+    .trimEnd();
+}
+
+// KHÓA NHẬN DIỆN NHÀ XE (TÊN + ĐỊA CHỈ + KHUNG GIỜ), TRÙNG KHI uq_transport_company TRÙNG
+function getTransportCompanyKey(company) {
+  return [
+    company.normalized_name,
+    company.normalized_address,
+    company.departure_window,
+  ]
+    .map(foldCollationKey)
+    .join("|");
+}
+
+// LƯU DANH SÁCH NHÀ XE VÀO transport_companies
+async function upsertTransportCompanies(companies) {
+  const startTime = Date.now();
+  const stats = { inserted: 0, updated: 0, unchanged: 0 };
+
+  if (!Array.isArray(companies) || companies.length === 0) {
+    console.log("[upsertTransportCompanies] Không có nhà xe để lưu");
+    return stats;
+  }
+
+  const companyMap = new Map();
+  companies.forEach((company) => {
+    const normalizedName = normalizeTransportName(company.name);
+    if (!normalizedName) {
+      console.warn(
+        `[upsertTransportCompanies] Bỏ qua nhà xe không có tên: ${company.address}`
+      );
+      return;
+    }
+    const row = {
+      name: String(company.name).trim(),
+      normalized_name: normalizedName.substring(0, 191),
+      address: company.address || "",
+      normalized_address: normalizeForCache(company.address).substring(0, 255),
+      standardized_address:
+        company.standardizedAddress || company.address || "",
+      district: company.district || null,
+      ward: company.ward || null,
+      phone: company.phone ? String(company.phone).trim() : null,
+      departure_time: company.departureTime
+        ? String(company.departureTime).trim()
+        : null,
+      departure_window: formatDepartureWindow(company.departureTime),
+      status: company.status || null,
+      source: company.source || null,
+      note: company.note || null,
+    };
+    // Dòng xuất hiện sau ghi đè dòng trước nếu trùng khóa
+    companyMap.set(getTransportCompanyKey(row), row);
+  });
+
+  const rows = [...companyMap.values()];
+  if (rows.length === 0) return stats;
+
+  const comparedFields = [
+    "name",
+    "address",
+    "standardized_address",
+    "district",
+    "ward",
+    "phone",
+    "departure_time",
+    "status",
+    "source",
+    "note",
+  ];
+
+  try {
+    await withTransaction(async (connection) => {
+      const [existingRows] = await connection.query(
+        `SELECT id, normalized_name, normalized_address, departure_window, ${comparedFields.join(
+          ", "
+        )}
+         FROM transport_companies
+         WHERE normalized_name IN (?)`,
+        [[...new Set(rows.map((row) => row.normalized_name))]]
+      );
+      const existingMap = new Map(
+        existingRows.map((row) => [getTransportCompanyKey(row), row])
+      );
+
+      const inserts = [];
+      const updates = [];
+      rows.forEach((row) => {
+        const existing = existingMap.get(getTransportCompanyKey(row));
+        if (!existing) {
+          inserts.push(row);
+        } else if (
+          comparedFields.some(
+            (field) => (existing[field] ?? null) !== (row[field] ?? null)
+          )
+        ) {
+          updates.push({ id: existing.id, ...row });
+        } else {
+          stats.unchanged++;
+        }
+      });
+
+      if (inserts.length > 0) {
+        const [insertResult] = await connection.query(
+          `INSERT INTO transport_companies (
+             name, normalized_name, address, normalized_address, standardized_address,
+             district, ward, phone, departure_time, departure_window, status, source, note
+           )
+           VALUES ?`,
+          [
+            inserts.map((row) => [
+              row.name,
+              row.normalized_name,
+              row.address,
+              row.normalized_address,
+              row.standardized_address,
+              row.district,
+              row.ward,
+              row.phone,
+              row.departure_time,
+              row.departure_window,
+              row.status,
+              row.source,
+              row.note,
+            ]),
+          ]
+        );
+        stats.inserted = insertResult.affectedRows;
+      }
+
+      for (const row of updates) {
+        await connection.query(
+          `UPDATE transport_companies
+           SET ${comparedFields.map((field) => `${field} = ?`).join(", ")}
+           WHERE id = ?`,
+          [...comparedFields.map((field) => row[field]), row.id]
+        );
+        stats.updated++;
+      }
+    });
+
+    console.log(
+      `[upsertTransportCompanies] Thêm mới: ${stats.inserted}, cập nhật: ${
+        stats.updated
+      }, không đổi: ${stats.unchanged}, thực thi trong ${
+        Date.now() - startTime
+      }ms`
+    );
+    return stats;
+  } catch (error) {
+    console.error("[upsertTransportCompanies] Lỗi:", error.message);
+    throw error;
+  }
+}
+
+const PART_OF_DAY_LABELS = {
+  morning: "sáng",
+  noon: "trưa",
+  afternoon: "chiều",
+  evening: "tối",
+};
+const WEEKDAY_LABELS = [
+  "chủ nhật",
+  "thứ hai",
+  "thứ ba",
+  "thứ tư",
+  "thứ năm",
+  "thứ sáu",
+  "thứ bảy",
+];
+const RELATIVE_DAY_LABELS = ["hôm nay", "ngày mai", "ngày mốt"];
+const CARGO_TYPE_LABELS = {
+  fragile: "hàng dễ vỡ",
+  heavy: "hàng nặng",
+  cold: "hàng lạnh",
+  fresh: "hàng tươi",
+};
+
 // PHÂN TÍCH THỜI GIAN KHỞI HÀNH NHÀ XE
+// Dạng rút gọn của parseNote cho bước chuẩn hóa địa chỉ (nhà xe, buổi giao, độ gấp)
 function parseDeliveryNoteForAddress(note) {
   if (!note)
     return {
@@ -272,28 +479,8 @@ function parseDeliveryNoteForAddress(note) {
       cargoType: "",
     };
 
-  const normalizedNote = note
-    .toLowerCase()
-    .replace(/trc|truoc/g, "trước")
-    .replace(/gap/g, "gấp")
-    .replace(/sn|sớm nhất|sớm nhé/g, "sớm")
-    .replace(/nhah|nhan|nhanh len|nhanh nha/g, "nhanh")
-    .replace(/sang/g, "sáng")
-    .replace(/chiu|chiu nay/g, "chiều")
-    .replace(/toi|toi nay/g, "tối")
-    .replace(/hom nay|hnay/g, "hôm nay")
-    .replace(/mai|ngay mai/g, "ngày mai")
-    .replace(/mot|ngay mot/g, "ngày mốt")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  const transportMatch = normalizedNote.match(
-    /(?:nhà xe|xe|chành xe|gửi xe)\s*[:\-]?\s*([\w\s]+?)(?=\s*(?:giao ở|giao tại|địa chỉ|giao đến|sáng|chiều|tối|hôm nay|ngày mai|ngày mốt|thứ [a-z]+|$))/i
-  );
-  let transportName = "";
-  if (transportMatch) {
-    transportName = transportMatch[1].trim();
-  }
+  const parsed = parseNote(note);
+  const normalizedNote = note.toLowerCase().replace(/\s+/g, " ").trim();
 
   let address = "";
   const addressMatch = normalizedNote.match(
@@ -301,48 +488,29 @@ function parseDeliveryNoteForAddress(note) {
   );
   if (addressMatch) {
     address = addressMatch[1].trim();
-  } else {
-    const potentialAddress = normalizedNote
-      .replace(/(?:xe|nhà xe|chành xe|gửi xe)\s*[:\-]?\s*[\w\s]+/i, "")
-      .replace(
-        /(?:giao vào|giao trước|giao gấp|giao nhanh|hàng dễ vỡ|hàng nặng|hàng gấp|hàng lạnh|hàng tươi|sáng|chiều|tối|hôm nay|ngày mai|ngày mốt|thứ [a-z]+)\s*[:\-]?\s*[\w\s]+/gi,
-        ""
-      )
-      .trim();
-    if (potentialAddress.match(/\d+\s+[^\d\s]+/i)) {
-      address = potentialAddress;
-    }
   }
 
-  const timeHintMatch = normalizedNote.match(
-    /(?:giao vào|giao trước)\s*[:\-]?\s*(sáng|chiều|tối|\d{1,2}(?::\d{2})?(?:h|am|pm)?)(?=\s|$)/i
-  );
-  const timeHint = timeHintMatch
-    ? timeHintMatch[1]
-    : normalizedNote.match(/\b(sáng|chiều|tối)\b/i)?.[0] || null;
-
-  const priorityMatch = normalizedNote.match(
-    /\b(gấp|nhanh|sớm|khẩn cấp|hỏa tốc|mau lên)\b/i
-  );
-  const priority = priorityMatch ? 1 : 0;
-
-  const deliveryDateMatch = normalizedNote.match(
-    /\b(hôm nay|ngày mai|ngày mốt|thứ hai|thứ ba|thứ tư|thứ năm|thứ sáu|thứ bảy|chủ nhật)\b/i
-  );
-  const deliveryDate = deliveryDateMatch ? deliveryDateMatch[0] : null;
+  let timeHint = null;
+  if (parsed.time) {
+    timeHint = parsed.time.part
+      ? PART_OF_DAY_LABELS[parsed.time.part]
+      : parsed.time.start || parsed.time.end;
+  }
 
-  const cargoTypeMatch = normalizedNote.match(
-    /\b(hàng dễ vỡ|hàng nặng|hàng gấp|hàng lạnh|hàng tươi)\b/i
-  );
-  const cargoType = cargoTypeMatch ? cargoTypeMatch[0] : "";
+  let deliveryDate = null;
+  if (parsed.date?.type === "relative") {
+    deliveryDate = RELATIVE_DAY_LABELS[parsed.date.days] || null;
+  } else if (parsed.date?.type === "weekday") {
+    deliveryDate = WEEKDAY_LABELS[parsed.date.weekday];
+  }
 
   return {
-    transportName,
+    transportName: parsed.carrier || "",
     address,
     timeHint,
-    priority,
+    priority: parsed.urgency ? 1 : 0,
     deliveryDate,
-    cargoType,
+    cargoType: parsed.cargoType ? CARGO_TYPE_LABELS[parsed.cargoType] : "",
   };
 }
 
@@ -378,9 +546,8 @@ function isValidAddress(address) {
 async function getValidOrderIds() {
   const startTime = Date.now();
   try {
-    const connection = await mysql.createConnection(dbConfig);
-    const [rows] = await connection.execute("SELECT id_order FROM orders");
-    await connection.end();
+    const pool = getPool();
+    const [rows] = await pool.execute("SELECT id_order FROM orders");
     console.log(`getValidOrderIds thực thi trong ${Date.now() - startTime}ms`);
     return new Set(rows.map((row) => row.id_order));
   } catch (error) {
@@ -624,21 +791,33 @@ function preprocessAddress(address) {
 
 // ========================================================= CACHING =========================================================
 // CHECK CACHE
-async function checkRouteCache(cleanedAddress, originalAddress) {
+// warehouseId = null khi đơn chưa được gán kho: chỉ dùng phần địa chỉ chuẩn hóa và tọa độ,
+// khoảng cách trả về null để calculateDistances tính lại từ đúng kho.
+async function checkRouteCache(
+  cleanedAddress,
+  originalAddress,
+  warehouseId = null
+) {
   try {
     const normalizedAddress = normalizeForCache(cleanedAddress);
-    const connection = await mysql.createConnection(dbConfig);
-    const [rows] = await connection.query(
-      `SELECT standardized_address, district, ward, distance, travel_time
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT standardized_address, district, ward, distance, travel_time, lat, lon
        FROM route_cache
        WHERE normalized_address = ?
+         ${warehouseId === null ? "" : "AND warehouse_id = ?"}
          AND distance IS NOT NULL
-         AND travel_time IS NOT NULL`,
-      [normalizedAddress]
+         AND travel_time IS NOT NULL
+       LIMIT 1`,
+      warehouseId === null
+        ? [normalizedAddress]
+        : [normalizedAddress, warehouseId]
     );
-    await connection.end();
     if (rows.length > 0) {
       console.log(`[checkRouteCache] Cache hit cho địa chỉ: ${cleanedAddress}`);
+      if (warehouseId === null) {
+        return { ...rows[0], distance: null, travel_time: null };
+      }
       return rows[0];
     }
     console.log(
@@ -658,22 +837,27 @@ async function saveRouteToCache(
   district,
   ward,
   distance,
-  travel_time
+  travel_time,
+  warehouseId,
+  location = null
 ) {
   try {
     const normalizedAddress = normalizeForCache(standardizedAddress);
-    const connection = await mysql.createConnection(dbConfig);
-    await connection.query(
-      `INSERT INTO route_cache (original_address, normalized_address, standardized_address, district, ward, distance, travel_time)
-       VALUES (?, ?, ?, ?, ?, ?, ?)
+    const pool = getPool();
+    await pool.query(
+      `INSERT INTO route_cache (warehouse_id, original_address, normalized_address, standardized_address, district, ward, distance, travel_time, lat, lon)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
        ON DUPLICATE KEY UPDATE
          normalized_address = VALUES(normalized_address),
          standardized_address = VALUES(standardized_address),
          district = VALUES(district),
          ward = VALUES(ward),
          distance = VALUES(distance),
-         travel_time = VALUES(travel_time)`,
+         travel_time = VALUES(travel_time),
+         lat = IFNULL(VALUES(lat), lat),
+         lon = IFNULL(VALUES(lon), lon)`,
       [
+        warehouseId,
         originalAddress,
         normalizedAddress,
         standardizedAddress,
@@ -681,9 +865,10 @@ async function saveRouteToCache(
         ward,
         distance,
         travel_time,
+        location ? location.lat : null,
+        location ? location.lon : null,
       ]
     );
-    await connection.end();
     console.log(
       `[saveRouteToCache] Lưu cache thành công cho địa chỉ: ${originalAddress}`
     );
@@ -693,29 +878,14 @@ async function saveRouteToCache(
   }
 }
 
-// ========================================================= TOMTOM API =========================================================
-// GỌI TOMTOM GEOCODE API
+// ========================================================= GEOCODE & ROUTING =========================================================
+// GEOCODE ĐỊA CHỈ QUA PROVIDER ĐÃ CẤU HÌNH
 async function geocodeAddress(address) {
   const startTime = Date.now();
+  const provider = getGeoProvider();
   const run = async () => {
-    const response = await axios.get(
-      `${process.env.TOMTOM_GEOCODE_API_URL}/${encodeURIComponent(
-        address
-      )}.json`,
-      {
-        params: {
-          key: TOMTOM_API_KEY,
-          countrySet: "VN",
-          limit: 1,
-        },
-      }
-    );
-
-    if (response.data.results && response.data.results.length > 0) {
-      const { lat, lon } = response.data.results[0].position;
-      return { lat, lon };
-    }
-    return null;
+    externalCallStats.geocode++;
+    return provider.geocode(address);
   };
 
   try {
@@ -724,38 +894,193 @@ async function geocodeAddress(address) {
     return result;
   } catch (error) {
     console.error(
-      `Lỗi khi gọi TomTom Geocoding API cho ${address}:`,
+      `Lỗi khi gọi geocode (${provider.name}) cho ${address}:`,
       error.message
     );
     return null;
   }
 }
 
-// TÍNH TOÁN ĐƯỜNG ĐI
-async function calculateRoute(
-  destinationAddress,
-  originalAddress,
-  district,
-  ward
-) {
+// TỌA ĐỘ ĐÃ LƯU TRONG CACHE CHO MỘT ĐỊA CHỈ (BẤT KỂ KHO NÀO)
+async function getCachedCoordinates(address) {
+  try {
+    const [rows] = await getPool().query(
+      `SELECT lat, lon FROM route_cache
+       WHERE normalized_address = ? AND lat IS NOT NULL AND lon IS NOT NULL
+       LIMIT 1`,
+      [normalizeForCache(address)]
+    );
+    return rows.length > 0 ? { lat: rows[0].lat, lon: rows[0].lon } : null;
+  } catch (error) {
+    console.error("[getCachedCoordinates] Lỗi:", error.message);
+    return null;
+  }
+}
+
+// MA TRẬN KHOẢNG CÁCH/THỜI GIAN GIỮA CÁC TỌA ĐỘ
+async function calculateRouteMatrix(origins, destinations) {
   const startTime = Date.now();
+  const provider = getGeoProvider();
+  try {
+    const result = await retry(() => {
+      externalCallStats.matrix++;
+      return provider.matrix(origins, destinations);
+    });
+    console.log(
+      `[calculateRouteMatrix] ${origins.length}x${
+        destinations.length
+      } thực thi trong ${Date.now() - startTime}ms`
+    );
+    return result;
+  } catch (error) {
+    console.error(
+      `[calculateRouteMatrix] Lỗi khi gọi matrix (${provider.name}):`,
+      error.message
+    );
+    throw error;
+  }
+}
 
-  // Kiểm tra giá trị của WAREHOUSE_ADDRESS
+// KIỂM TRA TỌA ĐỘ KHO
+function validateCoordinates(lat, lon) {
   if (
-    !WAREHOUSE_ADDRESS ||
-    typeof WAREHOUSE_ADDRESS !== "string" ||
-    WAREHOUSE_ADDRESS.trim() === ""
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lon) ||
+    lat < -90 ||
+    lat > 90 ||
+    lon < -180 ||
+    lon > 180
   ) {
+    throw new Error(`Tọa độ kho không hợp lệ: ${lat}, ${lon}`);
+  }
+  // Kho nằm ngoài Việt Nam gần như chắc chắn là geocode sai hoặc đảo lat/lon
+  if (lat < 8 || lat > 24 || lon < 102 || lon > 110) {
+    throw new Error(`Tọa độ kho nằm ngoài Việt Nam: ${lat}, ${lon}`);
+  }
+  return { lat, lon };
+}
+
+// Tọa độ đã xác định theo id kho ("default" là kho mặc định)
+const warehouseLocationPromises = new Map();
+
+// XÁC ĐỊNH TỌA ĐỘ KHO TỪ BIẾN MÔI TRƯỜNG, TỌA ĐỘ ĐÃ LƯU HOẶC GEOCODE ĐỊA CHỈ
+async function resolveWarehouseLocation(warehouseId) {
+  const warehouse =
+    warehouseId === null
+      ? await ensureDefaultWarehouse()
+      : await getWarehouseById(warehouseId);
+  if (!warehouse) {
+    throw new Error(`Không tìm thấy kho với id ${warehouseId}`);
+  }
+
+  const envLat = process.env.WAREHOUSE_LAT;
+  const envLon = process.env.WAREHOUSE_LON;
+  if (warehouse.is_default && envLat && envLon) {
+    const location = validateCoordinates(
+      parseFloat(envLat),
+      parseFloat(envLon)
+    );
+    if (location.lat !== warehouse.lat || location.lon !== warehouse.lon) {
+      await saveWarehouseLocation(warehouse.id, location.lat, location.lon);
+    }
+    console.log(
+      `[getWarehouseLocation] Dùng tọa độ kho ${warehouse.code} từ biến môi trường: ${location.lat}, ${location.lon}`
+    );
+    return { id: warehouse.id, ...location };
+  }
+
+  if (warehouse.lat !== null && warehouse.lon !== null) {
+    const location = validateCoordinates(warehouse.lat, warehouse.lon);
+    // Kho có địa chỉ lẽ ra phải geocode lại ở lần khởi động này
+    if (warehouse.address && warehouse.address.trim() !== "") {
+      externalCallStats.warehouse_cache_hits++;
+    }
+    console.log(
+      `[getWarehouseLocation] Dùng tọa độ kho ${warehouse.code} đã lưu: ${location.lat}, ${location.lon}`
+    );
+    return { id: warehouse.id, ...location };
+  }
+
+  if (!warehouse.address || warehouse.address.trim() === "") {
+    throw new Error(
+      `Kho ${warehouse.code} chưa có tọa độ hoặc địa chỉ hợp lệ (WAREHOUSE_LAT/WAREHOUSE_LON hoặc WAREHOUSE_ADDRESS).`
+    );
+  }
+
+  const geocoded = await geocodeAddress(warehouse.address);
+  if (!geocoded) {
     throw new Error(
-      "WAREHOUSE_ADDRESS không được định nghĩa hoặc không hợp lệ trong biến môi trường."
+      `Không geocode được địa chỉ kho ${warehouse.code}: ${warehouse.address}`
     );
   }
+  const location = validateCoordinates(
+    Number(geocoded.lat),
+    Number(geocoded.lon)
+  );
+  await saveWarehouseLocation(warehouse.id, location.lat, location.lon);
+  console.log(
+    `[getWarehouseLocation] Đã geocode và lưu tọa độ kho ${warehouse.code}: ${location.lat}, ${location.lon}`
+  );
+  return { id: warehouse.id, ...location };
+}
+
+// TỌA ĐỘ KHO, XÁC ĐỊNH MỘT LẦN RỒI DÙNG LẠI
+// Kho mặc định ưu tiên WAREHOUSE_LAT/WAREHOUSE_LON, sau đó tọa độ đã lưu trong warehouses,
+// cuối cùng mới geocode địa chỉ kho và lưu lại. warehouseId = null là kho mặc định.
+// Lần gọi sau dùng lại kết quả trong bộ nhớ, không đọc lại CSDL.
+async function getWarehouseLocation(warehouseId = null) {
+  const key = warehouseId === null ? "default" : warehouseId;
+  if (warehouseLocationPromises.has(key)) {
+    return warehouseLocationPromises.get(key);
+  }
+
+  const locationPromise = resolveWarehouseLocation(warehouseId);
+  warehouseLocationPromises.set(key, locationPromise);
+
+  try {
+    const location = await locationPromise;
+    if (!warehouseLocationPromises.has(location.id)) {
+      warehouseLocationPromises.set(location.id, locationPromise);
+    }
+    return location;
+  } catch (error) {
+    // Cho phép thử lại ở lần gọi sau
+    warehouseLocationPromises.delete(key);
+    console.error("[getWarehouseLocation] Lỗi:", error.message);
+    throw error;
+  }
+}
+
+// CHỌN KHO GẦN NHẤT CHO MỘT TỌA ĐỘ
+async function findNearestWarehouse(warehouses, point) {
+  let nearest = null;
+  for (const warehouse of warehouses) {
+    const location = await getWarehouseLocation(warehouse.id);
+    const distance = haversineDistance(location, point);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { warehouseId: warehouse.id, distance };
+    }
+  }
+  return nearest ? nearest.warehouseId : null;
+}
 
-  const originAddress = WAREHOUSE_ADDRESS;
+// TÍNH TOÁN ĐƯỜNG ĐI TỪ KHO ĐẾN ĐỊA CHỈ
+// destinationLocation: tọa độ đã biết (đã lưu hoặc geocode khi chọn kho gần nhất) để không gọi lại.
+// Kết quả kèm lat/lon của điểm đến để lưu lại.
+async function calculateRoute(
+  destinationAddress,
+  originalAddress,
+  district,
+  ward,
+  warehouseId,
+  destinationLocation = null
+) {
+  const startTime = Date.now();
 
   const cacheResult = await checkRouteCache(
     destinationAddress,
-    originalAddress
+    originalAddress,
+    warehouseId
   );
   if (cacheResult) {
     console.log(
@@ -764,35 +1089,29 @@ async function calculateRoute(
     return cacheResult;
   }
 
-  const run = async () => {
-    const origin = await geocodeAddress(originAddress);
-    const destination = await geocodeAddress(destinationAddress);
+  const origin = await getWarehouseLocation(warehouseId);
+
+  let destination =
+    destinationLocation || (await getCachedCoordinates(destinationAddress));
 
-    if (!origin || !destination) {
+  const run = async () => {
+    if (!destination) {
+      destination = await geocodeAddress(destinationAddress);
+    }
+    if (!destination) {
       console.warn(
         `[calculateRoute] Không thể lấy tọa độ cho địa chỉ: ${destinationAddress}`
       );
-      return { distance: null, travel_time: null };
+      return { distance: null, travel_time: null, lat: null, lon: null };
     }
 
-    const response = await axios.get(
-      `${process.env.TOMTOM_ROUTING_API_URL}/${origin.lat},${origin.lon}:${destination.lat},${destination.lon}/json`,
-      {
-        params: {
-          key: TOMTOM_API_KEY,
-          travelMode: "car",
-          traffic: "live",
-        },
-      }
-    );
-
-    if (response.data.routes && response.data.routes.length > 0) {
-      const route = response.data.routes[0];
-      const distance = route.summary.lengthInMeters / 1000;
-      const travel_time = Math.ceil(route.summary.travelTimeInSeconds / 60);
-      return { distance, travel_time };
-    }
-    return { distance: null, travel_time: null };
+    externalCallStats.route++;
+    const route = await getGeoProvider().route(origin, destination);
+    return {
+      ...(route || { distance: null, travel_time: null }),
+      lat: destination.lat,
+      lon: destination.lon,
+    };
   };
 
   try {
@@ -804,29 +1123,38 @@ async function calculateRoute(
         district,
         ward,
         result.distance,
-        result.travel_time
+        result.travel_time,
+        warehouseId,
+        { lat: result.lat, lon: result.lon }
       );
     }
     console.log(`[calculateRoute] Thực thi trong ${Date.now() - startTime}ms`);
     return result;
   } catch (error) {
     console.error(
-      `[calculateRoute] Lỗi khi gọi TomTom Routing API đến ${destinationAddress}:`,
+      `[calculateRoute] Lỗi khi gọi routing (${
+        getGeoProvider().name
+      }) đến ${destinationAddress}:`,
       error.message
     );
-    return { distance: null, travel_time: null };
+    return {
+      distance: null,
+      travel_time: null,
+      lat: destination ? destination.lat : null,
+      lon: destination ? destination.lon : null,
+    };
   }
 }
 
 // TÍNH TOÁN KHOẢNG CÁCH
 async function calculateDistances() {
   const startTime = Date.now();
-  let tomtomCalls = 0;
+  let routeCalls = 0;
   try {
-    const connection = await mysql.createConnection(dbConfig);
-    const [orders] = await connection.query(
+    const pool = getPool();
+    const [orders] = await pool.query(
       `
-      SELECT oa.id_order, oa.address, o.address AS original_address, oa.district, oa.ward, oa.source
+      SELECT oa.id_order, oa.address, o.address AS original_address, oa.district, oa.ward, oa.source, oa.lat, oa.lon, o.warehouse_id
       FROM orders_address oa
       JOIN orders o ON oa.id_order = o.id_order
       WHERE oa.address IS NOT NULL AND oa.address != ''
@@ -839,61 +1167,149 @@ async function calculateDistances() {
       console.log(
         "[calculateDistances] Không có đơn hàng mới hoặc cần tính lại khoảng cách, bỏ qua."
       );
-      await connection.end();
       console.log(
         `[calculateDistances] Thực thi trong ${
           Date.now() - startTime
-        }ms, TomTom calls: ${tomtomCalls}`
+        }ms, routing calls: ${routeCalls}`
       );
-      return;
+      return { updatedCount: 0, geocodedCount: 0 };
     }
 
     console.log(
       `[calculateDistances] Các đơn hàng để tính khoảng cách: ${orders.length}`
     );
 
-    const addressMap = {};
     const expressDeliveryOrders = [];
-
+    const routableOrders = [];
     orders.forEach((order) => {
       if (order.address.toUpperCase().includes("CHUYỂN PHÁT NHANH")) {
         expressDeliveryOrders.push(order.id_order);
       } else {
-        if (!addressMap[order.address]) {
-          addressMap[order.address] = [];
+        routableOrders.push(order);
+      }
+    });
+
+    // Gán kho cho đơn chưa có kho: một kho thì dùng kho mặc định, nhiều kho thì chọn kho gần nhất
+    const limit = pLimit(2);
+    const defaultWarehouse = await ensureDefaultWarehouse();
+    const warehouses = await listWarehouses();
+    const unassignedOrders = routableOrders.filter(
+      (order) => order.warehouse_id === null
+    );
+    // Tọa độ đã lưu của địa chỉ được dùng lại, không geocode lần nữa
+    const destinationLocations = new Map();
+    routableOrders.forEach((order) => {
+      if (order.lat !== null && order.lon !== null) {
+        destinationLocations.set(order.address, {
+          lat: order.lat,
+          lon: order.lon,
+        });
+      }
+    });
+    if (unassignedOrders.length > 0) {
+      const assignments = new Map();
+      if (warehouses.length <= 1) {
+        unassignedOrders.forEach((order) =>
+          assignments.set(order.id_order, {
+            warehouseId: defaultWarehouse.id,
+            source: "default",
+          })
+        );
+      } else {
+        const unassignedAddresses = [
+          ...new Set(unassignedOrders.map((order) => order.address)),
+        ].filter((address) => !destinationLocations.has(address));
+        await Promise.all(
+          unassignedAddresses.map((address) =>
+            limit(async () => {
+              const location = await geocodeAddress(address);
+              if (location) destinationLocations.set(address, location);
+            })
+          )
+        );
+        for (const order of unassignedOrders) {
+          const location = destinationLocations.get(order.address);
+          const nearestId = location
+            ? await findNearestWarehouse(warehouses, location)
+            : null;
+          assignments.set(order.id_order, {
+            warehouseId: nearestId || defaultWarehouse.id,
+            source: nearestId ? "nearest" : "default",
+          });
         }
-        addressMap[order.address].push({
-          id_order: order.id_order,
-          original_address: order.original_address,
-          district: order.district,
-          ward: order.ward,
-          source: order.source,
+      }
+
+      for (const source of ["default", "nearest"]) {
+        const byWarehouse = new Map();
+        assignments.forEach((assignment, id_order) => {
+          if (assignment.source !== source) return;
+          if (!byWarehouse.has(assignment.warehouseId)) {
+            byWarehouse.set(assignment.warehouseId, []);
+          }
+          byWarehouse.get(assignment.warehouseId).push(id_order);
         });
+        for (const [warehouseId, ids] of byWarehouse) {
+          await pool.query(
+            `UPDATE orders SET warehouse_id = ?, warehouse_source = ? WHERE id_order IN (?)`,
+            [warehouseId, source, ids]
+          );
+        }
+      }
+      unassignedOrders.forEach((order) => {
+        order.warehouse_id = assignments.get(order.id_order).warehouseId;
+      });
+      console.log(
+        `[calculateDistances] Đã gán kho cho ${unassignedOrders.length} đơn hàng`
+      );
+    }
+
+    // Nhóm theo cặp (kho, địa chỉ) vì khoảng cách phụ thuộc điểm xuất phát
+    const addressMap = new Map();
+    routableOrders.forEach((order) => {
+      const key = `${order.warehouse_id}|${order.address}`;
+      if (!addressMap.has(key)) {
+        addressMap.set(key, []);
       }
+      addressMap.get(key).push({
+        id_order: order.id_order,
+        address: order.address,
+        original_address: order.original_address,
+        district: order.district,
+        ward: order.ward,
+        source: order.source,
+        warehouse_id: order.warehouse_id,
+      });
     });
 
-    const uniqueAddresses = Object.keys(addressMap);
-    const limit = pLimit(2);
-    const routePromises = uniqueAddresses.map((address) =>
+    const routePromises = [...addressMap.keys()].map((key) =>
       limit(async () => {
+        const orderInfo = addressMap.get(key)[0];
+        const { address } = orderInfo;
         console.log(
-          `[calculateDistances] Tính tuyến đường cho địa chỉ: ${address}`
+          `[calculateDistances] Tính tuyến đường cho địa chỉ: ${address} (kho ${orderInfo.warehouse_id})`
         );
-        const orderInfo = addressMap[address][0];
         if (orderInfo.source === "Original") {
           console.log(
-            `[calculateDistances] Địa chỉ chưa chuẩn hóa, thử gọi TomTom API: ${address}`
+            `[calculateDistances] Địa chỉ chưa chuẩn hóa, thử gọi routing API: ${address}`
           );
         }
         const route = await calculateRoute(
           address,
           orderInfo.original_address,
           orderInfo.district,
-          orderInfo.ward
+          orderInfo.ward,
+          orderInfo.warehouse_id,
+          destinationLocations.get(address) || null
         );
-        tomtomCalls++;
+        routeCalls++;
         if (route.distance === null || route.travel_time === null) {
-          return { address, distance: 0, travel_time: 0 };
+          return {
+            key,
+            distance: 0,
+            travel_time: 0,
+            lat: route.lat ?? null,
+            lon: route.lon ?? null,
+          };
         }
         // Lưu vào route_cache với distance và travel_time
         await saveRouteToCache(
@@ -902,9 +1318,11 @@ async function calculateDistances() {
           orderInfo.district,
           orderInfo.ward,
           route.distance,
-          route.travel_time
+          route.travel_time,
+          orderInfo.warehouse_id,
+          route.lat != null ? { lat: route.lat, lon: route.lon } : null
         );
-        return { address, ...route };
+        return { key, ...route };
       })
     );
 
@@ -913,24 +1331,28 @@ async function calculateDistances() {
 
     const updateValues = [];
     routeResults.forEach((result) => {
-      const { address, distance, travel_time } = result;
-      addressMap[address].forEach(({ id_order }) => {
-        updateValues.push([id_order, distance, travel_time]);
+      const { key, distance, travel_time } = result;
+      const lat = result.lat ?? null;
+      const lon = result.lon ?? null;
+      addressMap.get(key).forEach(({ id_order }) => {
+        updateValues.push([id_order, distance, travel_time, lat, lon]);
       });
     });
 
     expressDeliveryOrders.forEach((id_order) => {
-      updateValues.push([id_order, null, null]);
+      updateValues.push([id_order, null, null, null, null]);
     });
 
     if (updateValues.length > 0) {
-      const [updateResult] = await connection.query(
+      const [updateResult] = await pool.query(
         `
-        INSERT INTO orders_address (id_order, distance, travel_time)
+        INSERT INTO orders_address (id_order, distance, travel_time, lat, lon)
         VALUES ? 
         ON DUPLICATE KEY UPDATE 
           distance = VALUES(distance), 
-          travel_time = VALUES(travel_time)
+          travel_time = VALUES(travel_time),
+          lat = VALUES(lat),
+          lon = VALUES(lon)
         `,
         [updateValues]
       );
@@ -938,14 +1360,28 @@ async function calculateDistances() {
         "[calculateDistances] Số dòng ảnh hưởng khi cập nhật khoảng cách và thời gian:",
         updateResult.affectedRows
       );
+
+      // Ghi khoảng cách vào phiên bản địa chỉ hiện hành trong address_history
+      await pool.query(
+        `
+        UPDATE address_history ah
+        JOIN orders_address oa ON ah.id_order = oa.id_order
+        SET ah.distance = oa.distance, ah.travel_time = oa.travel_time
+        WHERE ah.is_current = 1 AND ah.id_order IN (?)
+        `,
+        [updateValues.map(([id_order]) => id_order)]
+      );
     }
+    const geocodedCount = routeResults.filter(
+      (result) => result.distance > 0
+    ).length;
 
-    await connection.end();
     console.log(
       `[calculateDistances] Thực thi trong ${
         Date.now() - startTime
-      }ms, TomTom calls: ${tomtomCalls}`
+      }ms, routing calls: ${routeCalls}`
     );
+    return { updatedCount: updateValues.length, geocodedCount };
   } catch (error) {
     console.error("[calculateDistances] Lỗi:", error.message);
     throw error;
@@ -953,8 +1389,42 @@ async function calculateDistances() {
 }
 
 // ========================================================= CRON JOB =========================================================
+// DẤU VÂN TAY CỦA ĐƠN HÀNG TỪ API_1
+// Gồm các trường ảnh hưởng đến địa chỉ và phân tích ghi chú
+function getOrderFingerprint(order) {
+  const fields = [
+    order.MaPX,
+    order.DcGiaohang,
+    order.DiachiTruSo,
+    order.GhiChu,
+    order.SOKM,
+    order.NgayPX,
+    order.Ngayxuatkho,
+    // Chỉ thêm khi cấu hình để dấu vân tay cũ vẫn khớp
+    ...(WAREHOUSE_ORDER_FIELD ? [order[WAREHOUSE_ORDER_FIELD]] : []),
+  ].map((value) =>
+    value === undefined || value === null ? "" : String(value)
+  );
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(fields))
+    .digest("hex");
+}
+
+// LƯU DẤU VÂN TAY ĐƠN HÀNG
+async function saveOrderFingerprints(connection, fingerprintValues) {
+  await connection.query(
+    `
+    INSERT INTO order_fingerprints (id_order, fingerprint)
+    VALUES ?
+    ON DUPLICATE KEY UPDATE fingerprint = VALUES(fingerprint)
+    `,
+    [fingerprintValues]
+  );
+}
+
 // LẤY ĐƠN HÀNG TỪ API_1 VÀ LƯU VÀO CSDL
-async function fetchAndSaveOrders() {
+async function fetchAndSaveOrders(runId = null) {
   const startTime = Date.now();
   let api2RequestCount = 0;
   try {
@@ -964,12 +1434,40 @@ async function fetchAndSaveOrders() {
 
     console.log(`Có ${orders.length} đơn hàng từ API_1`);
 
-    // Tạo hash để so sánh dữ liệu, bao gồm cả DiachiTruSo
-    const currentHash = orders
-      .map((o) => `${o.MaPX}:${o.DcGiaohang}:${o.DiachiTruSo}`)
-      .sort()
-      .join("|");
-    if (currentHash === lastApiOrderCount && orders.length > 0) {
+    if (orders.length === 0) {
+      console.log(
+        `[fetchAndSaveOrders] Thực thi trong ${
+          Date.now() - startTime
+        }ms, API_2 calls: ${api2RequestCount}`
+      );
+      return [];
+    }
+
+    // So sánh dấu vân tay từng đơn với lần lưu trước, chỉ gọi API_2 cho đơn mới hoặc thay đổi.
+    // Dấu vân tay của đơn không có trong orders (lưu trước khi chỉ lưu cho đơn đã ghi) bị bỏ qua.
+    const pool = getPool();
+    const orderIds = orders.map((order) => order.MaPX);
+    const [storedFingerprints] = await pool.query(
+      `SELECT f.id_order, f.fingerprint
+       FROM order_fingerprints f
+       JOIN orders o ON o.id_order = f.id_order
+       WHERE f.id_order IN (?)`,
+      [orderIds]
+    );
+    const fingerprintMap = new Map(
+      storedFingerprints.map((row) => [row.id_order, row.fingerprint])
+    );
+    const fingerprints = new Map(
+      orders.map((order) => [order.MaPX, getOrderFingerprint(order)])
+    );
+    const changedOrders = orders.filter(
+      (order) => fingerprintMap.get(order.MaPX) !== fingerprints.get(order.MaPX)
+    );
+
+    console.log(
+      `[fetchAndSaveOrders] ${changedOrders.length}/${orders.length} đơn hàng mới hoặc thay đổi`
+    );
+    if (changedOrders.length === 0) {
       console.log(
         "[fetchAndSaveOrders] Dữ liệu không thay đổi, bỏ qua gọi API_2."
       );
@@ -981,12 +1479,9 @@ async function fetchAndSaveOrders() {
       return [];
     }
 
-    lastApiOrderCount = currentHash;
-
-    const connection = await createConnectionWithRetry();
-    const [existingOrders] = await connection.query(
-      `SELECT id_order, address, old_address, DiachiTruSo FROM orders WHERE id_order IN (?)`,
-      [orders.map((order) => order.MaPX)]
+    const [existingOrders] = await pool.query(
+      `SELECT id_order, address, old_address, DiachiTruSo, warehouse_id FROM orders WHERE id_order IN (?)`,
+      [changedOrders.map((order) => order.MaPX)]
     );
     const addressMap = new Map(
       existingOrders.map((o) => [
@@ -995,22 +1490,50 @@ async function fetchAndSaveOrders() {
           address: o.address,
           old_address: o.old_address,
           DiachiTruSo: o.DiachiTruSo,
+          warehouse_id: o.warehouse_id,
         },
       ])
     );
 
+    // Gán kho theo trường của API_1; chỉ có một kho thì dùng kho mặc định,
+    // còn lại để null cho calculateDistances chọn kho gần nhất
+    const defaultWarehouse = await ensureDefaultWarehouse();
+    const warehouses = await listWarehouses();
+    const warehouseByCode = new Map(
+      warehouses.map((warehouse) => [
+        warehouse.code.toUpperCase(),
+        warehouse.id,
+      ])
+    );
+    const resolveOrderWarehouse = (order) => {
+      const code = WAREHOUSE_ORDER_FIELD
+        ? String(order[WAREHOUSE_ORDER_FIELD] || "")
+            .trim()
+            .toUpperCase()
+        : "";
+      if (code && warehouseByCode.has(code)) {
+        return { warehouse_id: warehouseByCode.get(code), source: "api" };
+      }
+      if (warehouses.length <= 1) {
+        return { warehouse_id: defaultWarehouse.id, source: "default" };
+      }
+      return { warehouse_id: null, source: null };
+    };
+
     const limit = pLimit(5);
-    const api2Promises = orders.map((order) =>
+    const api2Promises = changedOrders.map((order) =>
       limit(async () => {
         try {
           const res = await retry(() =>
             axios.get(`${API_2_BASE}?qc=${order.MaPX}`)
           );
           api2RequestCount++;
+          externalCallStats.api2++;
           const currentAddress = addressMap.get(order.MaPX)?.address || "";
           const newAddress = res.data.DcGiaohang || "";
           const addressChanged =
             currentAddress && currentAddress !== newAddress;
+          const warehouse = resolveOrderWarehouse(order);
           return {
             MaPX: order.MaPX,
             DcGiaohang: newAddress,
@@ -1020,6 +1543,8 @@ async function fetchAndSaveOrders() {
             Ngayxuatkho: order.Ngayxuatkho,
             NgayPX: order.NgayPX,
             DiachiTruSo: order.DiachiTruSo || "", // Lấy DiachiTruSo từ API_1
+            warehouse_id: warehouse.warehouse_id,
+            warehouse_source: warehouse.source,
             isEmpty: !newAddress,
             addressChanged,
             old_address: addressChanged
@@ -1047,8 +1572,14 @@ async function fetchAndSaveOrders() {
       (order) => order.Tinhtranggiao === "Chờ xác nhận giao/lấy hàng"
     );
 
+    // Chỉ lưu dấu vân tay cho đơn đã ghi vào orders. Đơn lỗi API_2 hoặc chưa chờ giao được kiểm tra
+    // lại lần sau, để đơn chuyển sang chờ giao mà dữ liệu API_1 không đổi vẫn được thêm vào
+    const fingerprintValues = pendingOrders.map((order) => [
+      order.MaPX,
+      fingerprints.get(order.MaPX),
+    ]);
+
     if (pendingOrders.length === 0) {
-      await connection.end();
       console.log(
         `[fetchAndSaveOrders] Thực thi trong ${
           Date.now() - startTime
@@ -1073,28 +1604,77 @@ async function fetchAndSaveOrders() {
         ngayPX,
         order.old_address,
         order.DiachiTruSo, // Thêm DiachiTruSo vào giá trị lưu
+        order.warehouse_id,
+        order.warehouse_source,
       ];
     });
 
-    const [insertResult] = await connection.query(
-      `
-      INSERT INTO orders (id_order, address, status, SOKM, delivery_note, date_delivery, created_at, old_address, DiachiTruSo)
-      VALUES ?
-      ON DUPLICATE KEY UPDATE
-      address = IF(VALUES(address) != '', VALUES(address), address),
-      status = VALUES(status),
-      SOKM = VALUES(SOKM),
-      delivery_note = VALUES(delivery_note),
-      date_delivery = VALUES(date_delivery),
-      created_at = VALUES(created_at),
-      old_address = IF(VALUES(old_address) IS NOT NULL AND old_address IS NULL, VALUES(old_address), old_address),
-      DiachiTruSo = VALUES(DiachiTruSo)
-      `,
-      [values]
-    );
-
-    await connection.end();
-    console.log(
+    // Đơn đổi kho phải tính lại khoảng cách từ kho mới
+    const warehouseChangedIds = pendingOrders
+      .filter((order) => {
+        const currentWarehouseId = addressMap.get(order.MaPX)?.warehouse_id;
+        return (
+          order.warehouse_id !== null &&
+          currentWarehouseId != null &&
+          currentWarehouseId !== order.warehouse_id
+        );
+      })
+      .map((order) => order.MaPX);
+
+    await withTransaction(async (connection) => {
+      // Địa chỉ giao thay đổi thì đánh dấu needs_restandardize để main() chuẩn hóa và tính lại khoảng cách.
+      // Ghi chú hoặc ngày giao thay đổi thì đặt lại kết quả phân tích để analyzeDeliveryNote chạy lại.
+      // Nhóm cột đã được sửa tay (override_*) giữ nguyên giá trị của điều phối viên.
+      // Các phép gán chạy từ trái sang phải nên phải so sánh trước khi ghi đè delivery_note.
+      await trackOrderChanges(
+        connection,
+        {
+          table_name: "orders",
+          ids: pendingOrders.map((order) => order.MaPX),
+          fields: FETCHED_ORDER_FIELDS,
+          actor_type: "function",
+          actor: "fetchAndSaveOrders",
+          pipeline_run_id: runId,
+        },
+        () =>
+          connection.query(
+            `
+        INSERT INTO orders (id_order, address, status, SOKM, delivery_note, date_delivery, created_at, old_address, DiachiTruSo, warehouse_id, warehouse_source)
+        VALUES ?
+        ON DUPLICATE KEY UPDATE
+        needs_restandardize = IF(override_address = 0 AND VALUES(address) != '' AND address IS NOT NULL AND address != VALUES(address), 1, needs_restandardize),
+        address = IF(VALUES(address) != '', VALUES(address), address),
+        status = VALUES(status),
+        SOKM = VALUES(SOKM),
+        analyzed = IF(delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery), analyzed, 0),
+        priority = IF(override_priority = 1 OR (delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery)), priority, 0),
+        delivery_deadline = IF(override_window = 1 OR (delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery)), delivery_deadline, NULL),
+        window_start = IF(override_window = 1 OR (delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery)), window_start, NULL),
+        window_end = IF(override_window = 1 OR (delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery)), window_end, NULL),
+        delivery_constraint = IF(override_window = 1 OR (delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery)), delivery_constraint, NULL),
+        note_source = IF(delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery), note_source, NULL),
+        note_confidence = IF(delivery_note <=> VALUES(delivery_note) AND date_delivery <=> VALUES(date_delivery), note_confidence, NULL),
+        delivery_note = VALUES(delivery_note),
+        date_delivery = VALUES(date_delivery),
+        created_at = VALUES(created_at),
+        old_address = IF(VALUES(old_address) IS NOT NULL AND old_address IS NULL, VALUES(old_address), old_address),
+        DiachiTruSo = VALUES(DiachiTruSo),
+        warehouse_source = IF(VALUES(warehouse_id) IS NOT NULL, VALUES(warehouse_source), warehouse_source),
+        warehouse_id = IF(VALUES(warehouse_id) IS NOT NULL, VALUES(warehouse_id), warehouse_id)
+        `,
+            [values]
+          )
+      );
+      if (warehouseChangedIds.length > 0) {
+        await connection.query(
+          `UPDATE orders_address SET distance = NULL, travel_time = NULL WHERE id_order IN (?)`,
+          [warehouseChangedIds]
+        );
+      }
+      await saveOrderFingerprints(connection, fingerprintValues);
+    });
+
+    console.log(
       `[fetchAndSaveOrders] Thực thi trong ${
         Date.now() - startTime
       }ms, API_2 calls: ${api2RequestCount}`
@@ -1144,31 +1724,65 @@ Phân tích địa chỉ sau và trả về chuỗi JSON chuẩn hóa:
 `.trim();
 };
 
-// Hàm hỗ trợ gọi OpenAI
-async function callOpenAI(maPX, address) {
-  const maxAttempts = 5;
-  let attempt = 0;
-  let openAIResult = null;
-
-  const timeoutPromise = (promise, ms) => {
-    const timeout = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Request timed out")), ms)
-    );
-    return Promise.race([promise, timeout]);
-  };
+// ĐỢI promise TỐI ĐA ms, XÓA HẸN GIỜ KHI XONG ĐỂ KHÔNG GIỮ TIẾN TRÌNH CHẠY
+async function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("Request timed out")), ms);
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  while (attempt < maxAttempts) {
+// GỌI OPENAI VỚI GIỚI HẠN 20 GIÂY MỖI LẦN, THỬ LẠI SAU 5 GIÂY × SỐ LẦN ĐÃ THỬ
+// handleResponse trả kết quả hoặc ném lỗi để thử lại; hết số lần thử thì trả về null
+async function requestOpenAI({
+  tag,
+  subject,
+  maxAttempts,
+  params,
+  handleResponse,
+}) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      const prompt = buildPrompt(maPX, address);
-
-      const response = await timeoutPromise(
-        openai.chat.completions.create({
-          model: "gpt-4o-mini-2024-07-18",
-          messages: [{ role: "system", content: prompt }],
-        }),
+      externalCallStats.openai++;
+      const response = await withTimeout(
+        getOpenAIClient().chat.completions.create(params),
         20000
       );
+      return handleResponse(response);
+    } catch (err) {
+      console.warn(
+        `[${tag}] Lỗi trong lần thử ${attempt} cho ${subject}: ${err.message}`
+      );
+      if (attempt < maxAttempts) {
+        if (err.message.includes("Request timed out")) {
+          console.warn(`[${tag}] ⚠️ Timeout sau 20 giây, thử lại...`);
+        }
+        await new Promise((res) => setTimeout(res, 5000 * attempt));
+      }
+    }
+  }
+  console.warn(
+    `[${tag}] ❌ Thất bại sau ${maxAttempts} lần thử cho ${subject}.`
+  );
+  return null;
+}
 
+// Hàm hỗ trợ gọi OpenAI
+async function callOpenAI(maPX, address) {
+  const openAIResult = await requestOpenAI({
+    tag: "callOpenAI",
+    subject: `MaPX ${maPX}`,
+    maxAttempts: 5,
+    params: {
+      model: "gpt-4o-mini-2024-07-18",
+      messages: [{ role: "system", content: buildPrompt(maPX, address) }],
+    },
+    handleResponse: (response) => {
       const content = response.choices[0]?.message?.content?.trim();
 
       let jsonContent = content;
@@ -1195,36 +1809,18 @@ async function callOpenAI(maPX, address) {
         "District" in result[0] &&
         "Ward" in result[0]
       ) {
-        openAIResult = { ...result[0], Source: "OpenAI" };
-        break;
-      } else {
-        console.warn(
-          `[callOpenAI] ⚠️ JSON không đúng định dạng yêu cầu:\n${JSON.stringify(
-            result,
-            null,
-            2
-          )}`
-        );
-        throw new Error("Kết quả JSON không hợp lệ");
+        return { ...result[0], Source: "OpenAI" };
       }
-    } catch (err) {
-      attempt++;
       console.warn(
-        `[callOpenAI] Lỗi trong lần thử ${attempt} cho MaPX ${maPX}: ${err.message}`
+        `[callOpenAI] ⚠️ JSON không đúng định dạng yêu cầu:\n${JSON.stringify(
+          result,
+          null,
+          2
+        )}`
       );
-
-      if (err.message.includes("Request timed out")) {
-        console.warn(`[callOpenAI] ⚠️ Timeout sau 20 giây, thử lại...`);
-      }
-
-      if (attempt >= maxAttempts) {
-        console.warn(`[callOpenAI] ❌ Thất bại sau ${maxAttempts} lần thử.`);
-        break;
-      }
-
-      await new Promise((res) => setTimeout(res, 5000 * attempt));
-    }
-  }
+      throw new Error("Kết quả JSON không hợp lệ");
+    },
+  });
 
   if (!openAIResult) {
     console.warn(
@@ -1242,9 +1838,180 @@ async function callOpenAI(maPX, address) {
   return openAIResult;
 }
 
+// PHÂN TÍCH GHI CHÚ BẰNG OPENAI CHO ĐƠN MÀ BỘ TỪ KHÓA KHÔNG HIỂU
+// Tắt mặc định, bật bằng NOTE_LLM_FALLBACK=true. Kết quả dưới NOTE_LLM_MIN_CONFIDENCE chỉ được lưu, không ghi vào đơn.
+const NOTE_LLM_ENABLED = process.env.NOTE_LLM_FALLBACK === "true";
+const NOTE_LLM_MODEL = process.env.NOTE_LLM_MODEL || "gpt-4o-mini-2024-07-18";
+const NOTE_LLM_MIN_CONFIDENCE = Number(
+  process.env.NOTE_LLM_MIN_CONFIDENCE || 0.6
+);
+const NOTE_LLM_BATCH_LIMIT = Number(process.env.NOTE_LLM_BATCH_LIMIT || 20);
+
+// Schema strict của OpenAI: mọi trường đều bắt buộc, không suy ra được thì trả null
+const NOTE_ANALYSIS_SCHEMA = {
+  name: "delivery_note_analysis",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: [
+      "deadline",
+      "window_start",
+      "window_end",
+      "delivery_constraint",
+      "priority",
+      "confidence",
+      "reason",
+    ],
+    properties: {
+      deadline: {
+        type: ["string", "null"],
+        description: "Thời điểm muộn nhất phải giao, dạng YYYY-MM-DD HH:mm",
+      },
+      window_start: {
+        type: ["string", "null"],
+        description: "Bắt đầu khung giờ khách nhận hàng, dạng YYYY-MM-DD HH:mm",
+      },
+      window_end: {
+        type: ["string", "null"],
+        description:
+          "Kết thúc khung giờ khách nhận hàng, dạng YYYY-MM-DD HH:mm",
+      },
+      delivery_constraint: {
+        type: ["string", "null"],
+        enum: ["call_first", "when_home", null],
+        description:
+          "call_first = phải gọi trước khi giao, when_home = chỉ giao khi khách ở nhà",
+      },
+      priority: {
+        type: "integer",
+        enum: [0, 1, 2],
+        description: "0 = bình thường, 1 = ưu tiên, 2 = gấp",
+      },
+      confidence: {
+        type: "number",
+        description: "Độ tin cậy của kết quả, từ 0 đến 1",
+      },
+      reason: {
+        type: "string",
+        description: "Giải thích ngắn gọn bằng tiếng Việt",
+      },
+    },
+  },
+};
+
+const formatShiftHour = (hour) =>
+  moment.utc(hour * 3600 * 1000).format("HH:mm");
+
+// XÂY DỰNG PROMPT PHÂN TÍCH GHI CHÚ GIAO HÀNG
+const buildNotePrompt = (note, deliveryTime, now) => {
+  const shifts = getWorkingShifts(deliveryTime);
+  const shiftText =
+    shifts.length > 0
+      ? shifts
+          .map(
+            (slot) =>
+              `${formatShiftHour(slot.start)}-${formatShiftHour(slot.end)}`
+          )
+          .join(", ")
+      : "nghỉ";
+  return `
+Bạn phân tích ghi chú giao hàng của một công ty giao hàng tại Việt Nam (múi giờ Asia/Ho_Chi_Minh).
+Từ ghi chú, xác định khách muốn nhận hàng khi nào và mức độ gấp.
+
+### Ngữ cảnh:
+- Thời điểm hiện tại: ${now.format("YYYY-MM-DD HH:mm")} (${
+    WEEKDAY_LABELS[now.day()]
+  })
+- Thời điểm đơn được lên lịch giao: ${deliveryTime.format(
+    "YYYY-MM-DD HH:mm"
+  )} (${WEEKDAY_LABELS[deliveryTime.day()]})
+- Ca làm việc ngày giao: ${shiftText}
+
+### Hướng dẫn:
+1. "3g chiều" = 15:00, "sáng" ≈ 08:00-12:00, "chiều" ≈ 13:30-17:00, "thứ 5" = thứ năm gần nhất từ thời điểm hiện tại trở đi.
+2. Có khung giờ nhận hàng thì điền window_start/window_end; deadline là thời điểm muộn nhất phải giao.
+3. "gọi trước", "liên hệ trước khi giao" → delivery_constraint = call_first; "khi khách ở nhà" → when_home.
+4. Ghi chú không nói gì về thời gian, điều kiện giao hoặc độ gấp: trả null cho các mốc thời gian, priority = 0 và confidence thấp.
+5. Không bịa thông tin không có trong ghi chú.
+
+### Ghi chú:
+"${note.replace(/"/g, '\\"')}"
+`.trim();
+};
+
+// PHÂN TÍCH MỘT GHI CHÚ BẰNG OPENAI, TRẢ VỀ null KHI THẤT BẠI
+async function callOpenAIForNote(idOrder, note, deliveryTime, now) {
+  return requestOpenAI({
+    tag: "callOpenAIForNote",
+    subject: `đơn ${idOrder}`,
+    maxAttempts: 3,
+    params: {
+      model: NOTE_LLM_MODEL,
+      messages: [
+        {
+          role: "system",
+          content: buildNotePrompt(note, deliveryTime, now),
+        },
+      ],
+      response_format: {
+        type: "json_schema",
+        json_schema: NOTE_ANALYSIS_SCHEMA,
+      },
+    },
+    handleResponse: (response) => {
+      const message = response.choices[0]?.message;
+      if (message?.refusal) {
+        console.warn(
+          `[callOpenAIForNote] ⚠️ OpenAI từ chối phân tích đơn ${idOrder}: ${message.refusal}`
+        );
+        return null;
+      }
+      return JSON.parse(message?.content || "");
+    },
+  });
+}
+
+// KIỂM TRA VÀ CHUẨN HÓA KẾT QUẢ OPENAI
+// Mốc thời gian sai định dạng bị bỏ; hạn giao mặc định là cuối khung giờ và được đưa về giờ làm việc
+function normalizeNoteAnalysis(result) {
+  const parseTime = (value) => {
+    if (typeof value !== "string") return null;
+    const time = moment.tz(value, "YYYY-MM-DD HH:mm", true, "Asia/Ho_Chi_Minh");
+    return time.isValid() ? time : null;
+  };
+
+  const windowStart = parseTime(result.window_start);
+  let windowEnd = parseTime(result.window_end);
+  if (windowStart && windowEnd && windowEnd.isBefore(windowStart)) {
+    windowEnd = null;
+  }
+  let deadline = parseTime(result.deadline) || windowEnd;
+  if (deadline) {
+    deadline = adjustToWorkingHours(deadline);
+  }
+
+  const format = (time) => (time ? time.format("YYYY-MM-DD HH:mm:ss") : null);
+  return {
+    priority: [0, 1, 2].includes(result.priority) ? result.priority : 0,
+    delivery_deadline: format(deadline),
+    window_start: format(windowStart),
+    window_end: format(windowEnd),
+    delivery_constraint: ["call_first", "when_home"].includes(
+      result.delivery_constraint
+    )
+      ? result.delivery_constraint
+      : null,
+    confidence: Math.min(Math.max(Number(result.confidence) || 0, 0), 1),
+    reason:
+      typeof result.reason === "string" ? result.reason.slice(0, 500) : null,
+  };
+}
+
 // ========================================================= CHUẨN HÓA ĐỊA CHỈ =========================================================
 // CHUẨN HÓA ĐỊA CHỈ BẰNG OPENAI
-async function standardizeAddresses(orders) {
+// persist = false: chỉ trả kết quả chuẩn hóa, không ghi vào orders_address (dùng cho danh sách nhà xe)
+async function standardizeAddresses(orders, { persist = true } = {}) {
   const startTime = Date.now();
   let openAICalls = 0;
   try {
@@ -1256,6 +2023,9 @@ async function standardizeAddresses(orders) {
       return [];
     }
 
+    // travel_time tính theo ca làm việc của lịch, bảo đảm lịch đã được tải
+    await loadBusinessCalendar();
+
     console.log(
       `[standardizeAddresses] Bắt đầu xử lý ${orders.length} đơn hàng`
     );
@@ -1266,20 +2036,19 @@ async function standardizeAddresses(orders) {
       return [];
     }
 
-    const connection = await createConnectionWithRetry();
-    const [existingAddresses] = await connection.query(
+    const pool = getPool();
+    const [existingAddresses] = await pool.query(
       `SELECT id_order, address, district, ward, source FROM orders_address
        WHERE id_order IN (${orderIds.map(() => "?").join(",")})`,
       orderIds
     );
-    const [orderDetails] = await connection.query(
-      `SELECT o.id_order, o.date_delivery, oa.travel_time, o.address AS current_address, o.delivery_note, o.SOKM, o.DiachiTruSo
+    const [orderDetails] = await pool.query(
+      `SELECT o.id_order, o.date_delivery, oa.travel_time, o.address AS current_address, o.delivery_note, o.SOKM, o.DiachiTruSo, o.warehouse_id, o.override_address
        FROM orders o
        LEFT JOIN orders_address oa ON o.id_order = oa.id_order
        WHERE o.id_order IN (${orderIds.map(() => "?").join(",")})`,
       orderIds
     );
-    await connection.end();
 
     const addressMap = new Map(
       existingAddresses.map((row) => [row.id_order, row])
@@ -1312,7 +2081,8 @@ async function standardizeAddresses(orders) {
               existingAddress.address &&
               existingAddress.district &&
               existingAddress.ward &&
-              orderDetail?.current_address === DcGiaohang
+              orderDetail?.current_address === DcGiaohang &&
+              !order.forceRestandardize
             ) {
               console.log(
                 `[standardizeAddresses] Bỏ qua MaPX ${MaPX}: Địa chỉ đã chuẩn hóa`
@@ -1320,6 +2090,14 @@ async function standardizeAddresses(orders) {
               return { ...existingAddress, MaPX, isEmpty: false };
             }
 
+            // Địa chỉ do điều phối viên sửa tay: giữ nguyên, không gọi OpenAI
+            if (existingAddress && orderDetail?.override_address === 1) {
+              console.log(
+                `[standardizeAddresses] Bỏ qua MaPX ${MaPX}: Địa chỉ đã được sửa tay`
+              );
+              return { ...existingAddress, MaPX, isEmpty: false };
+            }
+
             const addressToProcess = !DcGiaohang
               ? orderDetail?.DiachiTruSo || ""
               : DcGiaohang;
@@ -1402,7 +2180,8 @@ async function standardizeAddresses(orders) {
 
             const cacheResult = await checkRouteCache(
               cleanedAddress,
-              addressToProcess
+              addressToProcess,
+              orderDetail?.warehouse_id ?? null
             );
             if (cacheResult) {
               const result = {
@@ -1414,6 +2193,8 @@ async function standardizeAddresses(orders) {
                 isEmpty: false,
                 distance: cacheResult.distance,
                 travel_time: cacheResult.travel_time,
+                lat: cacheResult.lat,
+                lon: cacheResult.lon,
                 priority: noteInfo.priority || 0,
                 deliveryDate: noteInfo.deliveryDate || "",
                 cargoType: noteInfo.cargoType || "",
@@ -1484,7 +2265,8 @@ async function standardizeAddresses(orders) {
               );
               const fallbackCache = await checkRouteCache(
                 fallbackAddress.cleanedAddress,
-                orderDetail.DiachiTruSo
+                orderDetail.DiachiTruSo,
+                orderDetail.warehouse_id ?? null
               );
               if (fallbackCache) {
                 const result = {
@@ -1496,6 +2278,8 @@ async function standardizeAddresses(orders) {
                   isEmpty: false,
                   distance: fallbackCache.distance,
                   travel_time: fallbackCache.travel_time,
+                  lat: fallbackCache.lat,
+                  lon: fallbackCache.lon,
                   priority: noteInfo.priority || 0,
                   deliveryDate: noteInfo.deliveryDate || "",
                   cargoType: noteInfo.cargoType || "",
@@ -1559,13 +2343,21 @@ async function standardizeAddresses(orders) {
       results.push(...batchResults);
     }
 
+    if (!persist) {
+      console.log(
+        `[standardizeAddresses] Hoàn tất (không lưu), thời gian thực thi: ${
+          Date.now() - startTime
+        }ms, OpenAI calls: ${openAICalls}`
+      );
+      return results;
+    }
+
     const validOrderIds = await getValidOrderIds();
     const validResults = results.filter((order) =>
       validOrderIds.has(order.MaPX)
     );
 
     if (validResults.length > 0) {
-      const connection = await createConnectionWithRetry();
       const values = validResults
         .filter((order) => order.DcGiaohang !== undefined)
         .map((order) => [
@@ -1576,25 +2368,41 @@ async function standardizeAddresses(orders) {
           order.Source,
           order.distance,
           order.travel_time,
+          order.lat ?? null,
+          order.lon ?? null,
         ]);
       if (values.length > 0) {
-        const [insertResult] = await connection.query(
-          `INSERT INTO orders_address (id_order, address, district, ward, source, distance, travel_time)
-           VALUES ?
-           ON DUPLICATE KEY UPDATE
-             address = IF(VALUES(address) != '', VALUES(address), address),
-             district = IF(VALUES(district) IS NOT NULL, VALUES(district), district),
-             ward = IF(VALUES(ward) IS NOT NULL, VALUES(ward), ward),
-             source = IF(VALUES(source) IS NOT NULL, VALUES(source), source),
-             distance = VALUES(distance),
-             travel_time = VALUES(travel_time)`,
-          [values]
+        const [insertResult] = await withTransaction((connection) =>
+          trackOrderChanges(
+            connection,
+            {
+              table_name: "orders_address",
+              ids: values.map(([id_order]) => id_order),
+              fields: STANDARDIZED_ADDRESS_FIELDS,
+              actor_type: "function",
+              actor: "standardizeAddresses",
+            },
+            () =>
+              connection.query(
+                `INSERT INTO orders_address (id_order, address, district, ward, source, distance, travel_time, lat, lon)
+             VALUES ?
+             ON DUPLICATE KEY UPDATE
+               address = IF(VALUES(address) != '', VALUES(address), address),
+               district = IF(VALUES(district) IS NOT NULL, VALUES(district), district),
+               ward = IF(VALUES(ward) IS NOT NULL, VALUES(ward), ward),
+               source = IF(VALUES(source) IS NOT NULL, VALUES(source), source),
+               distance = VALUES(distance),
+               travel_time = VALUES(travel_time),
+               lat = VALUES(lat),
+               lon = VALUES(lon)`,
+                [values]
+              )
+          )
         );
         console.log(
           `[standardizeAddresses] Lưu ${insertResult.affectedRows} dòng vào orders_address`
         );
       }
-      await connection.end();
     }
 
     console.log(
@@ -1611,6 +2419,28 @@ async function standardizeAddresses(orders) {
   }
 }
 
+// ĐƯA THỜI ĐIỂM VỀ KHUNG GIỜ LÀM VIỆC GẦN NHẤT (KHÔNG ĐỔI NẾU ĐANG TRONG GIỜ)
+// Ca làm việc, ngày lễ và ngày nghỉ đột xuất lấy từ lịch làm việc (business_calendar)
+function adjustToWorkingHours(inputTime) {
+  const adjustedTime = inputTime.clone();
+  const shifts = getWorkingShifts(adjustedTime);
+  const currentTime = adjustedTime.hour() + adjustedTime.minute() / 60;
+
+  const isWorkingHour = shifts.some(
+    (slot) => currentTime >= slot.start && currentTime < slot.end
+  );
+  if (isWorkingHour) {
+    return adjustedTime;
+  }
+
+  // Trước ca đầu hoặc trong giờ nghỉ giữa hai ca: chuyển tới đầu ca kế tiếp trong ngày
+  const nextShift = shifts.find((slot) => currentTime < slot.start);
+  if (nextShift) {
+    return adjustedTime.startOf("day").add(nextShift.start, "hours");
+  }
+  return getNextWorkingStart(adjustedTime);
+}
+
 // TÍNH THỜI GIAN VẬN CHUYỂN THEO KHUNG GIỜ
 function getTravelTimeByTimeFrame(SOKM, dateDelivery) {
   let time = dateDelivery
@@ -1624,67 +2454,15 @@ function getTravelTimeByTimeFrame(SOKM, dateDelivery) {
     time = moment().tz("Asia/Ho_Chi_Minh");
   }
 
-  const workHours = {
-    weekdays: [
-      { start: 8.0, end: 12.0 },
-      { start: 13.5, end: 17.75 },
-    ],
-    saturday: [
-      { start: 8.0, end: 12.0 },
-      { start: 13.5, end: 16.5 },
-    ],
-  };
-
-  const adjustToWorkingHours = (inputTime) => {
-    let adjustedTime = inputTime.clone();
-    const dayOfWeek = adjustedTime.day();
-
-    if (dayOfWeek === 0) {
-      adjustedTime.add(1, "day").startOf("day").add(8, "hours");
-      console.log(
-        `[getTravelTimeByTimeFrame] Thời gian rơi vào Chủ Nhật, chuyển sang 8h sáng thứ Hai: ${adjustedTime.format(
-          "DD/MM/YYYY HH:mm:ss"
-        )}`
-      );
-      return adjustedTime;
-    }
-
-    const isSaturday = dayOfWeek === 6;
-    const schedule = isSaturday ? workHours.saturday : workHours.weekdays;
-
-    const hour = adjustedTime.hour();
-    const minute = adjustedTime.minute();
-    const currentTime = hour + minute / 60;
-
-    const isWorkingHour = schedule.some(
-      (slot) => currentTime >= slot.start && currentTime < slot.end
-    );
-
-    if (!isWorkingHour) {
-      if (currentTime < schedule[0].start) {
-        adjustedTime.startOf("day").add(8, "hours");
-      } else if (
-        currentTime >= schedule[0].end &&
-        currentTime < schedule[1].start
-      ) {
-        adjustedTime.startOf("day").add(13.5, "hours");
-      } else {
-        adjustedTime.add(1, "day").startOf("day").add(8, "hours");
-        if (adjustedTime.day() === 0) {
-          adjustedTime.add(1, "day").startOf("day").add(8, "hours");
-        }
-      }
-      console.log(
-        `[getTravelTimeByTimeFrame] Thời gian ngoài giờ làm việc, điều chỉnh sang: ${adjustedTime.format(
-          "DD/MM/YYYY HH:mm:ss"
-        )}`
-      );
-    }
-
-    return adjustedTime;
-  };
-
+  const requestedTime = time.clone();
   time = adjustToWorkingHours(time);
+  if (!time.isSame(requestedTime)) {
+    console.log(
+      `[getTravelTimeByTimeFrame] Thời gian ngoài giờ làm việc, điều chỉnh sang: ${time.format(
+        "DD/MM/YYYY HH:mm:ss"
+      )}`
+    );
+  }
 
   const hour = time.hour();
   const minute = time.minute();
@@ -1714,8 +2492,10 @@ function getTravelTimeByTimeFrame(SOKM, dateDelivery) {
     },
   ];
 
-  if (time.day() === 6) {
-    timeFrames[2].end = 16.5;
+  // Khung chiều kết thúc cùng ca cuối của ngày (thứ bảy nghỉ sớm hơn)
+  const shifts = getWorkingShifts(time);
+  if (shifts.length > 0) {
+    timeFrames[2].end = shifts[shifts.length - 1].end;
   }
 
   const frame = timeFrames.find(
@@ -1754,12 +2534,12 @@ function getTravelTimeByTimeFrame(SOKM, dateDelivery) {
 
 // ========================================================== UPDATE ORDER FUNCTIONS ==========================================================
 // CẬP NHẬT TRẠNG THÁI ĐƠN HÀNG
-async function updatePriorityStatus(io) {
+async function updatePriorityStatus(io, runId = null) {
   const startTime = Date.now();
   try {
-    const connection = await mysql.createConnection(dbConfig);
+    const pool = getPool();
 
-    const [orders] = await connection.query(
+    const [orders] = await pool.query(
       `
       SELECT oa.id_order, o.date_delivery
       FROM orders_address oa
@@ -1789,8 +2569,20 @@ async function updatePriorityStatus(io) {
     console.log(`Số lượng đơn hàng hợp lệ: ${validOrders.length}`);
 
     if (validOrders.length > 0) {
-      const [result] = await connection.query(
-        `
+      const [result] = await withTransaction((connection) =>
+        trackOrderChanges(
+          connection,
+          {
+            table_name: "orders_address",
+            ids: orders.map((order) => order.id_order),
+            fields: ["status"],
+            actor_type: "function",
+            actor: "updatePriorityStatus",
+            pipeline_run_id: runId,
+          },
+          () =>
+            connection.query(
+              `
         UPDATE orders_address oa
         JOIN orders o ON oa.id_order = o.id_order
         SET oa.status = 1
@@ -1799,6 +2591,8 @@ async function updatePriorityStatus(io) {
           AND o.date_delivery IS NOT NULL
           AND STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s') <= DATE_SUB(NOW(), INTERVAL 15 MINUTE)
         `
+            )
+        )
       );
       console.log(
         "[updatePriorityStatus] Số dòng ảnh hưởng:",
@@ -1806,7 +2600,7 @@ async function updatePriorityStatus(io) {
       );
 
       if (result.affectedRows > 0) {
-        const [updatedOrders] = await connection.query(
+        const [updatedOrders] = await pool.query(
           `
           SELECT oa.id_order, oa.address, oa.status
           FROM orders_address oa
@@ -1819,7 +2613,6 @@ async function updatePriorityStatus(io) {
       }
     }
 
-    await connection.end();
     console.log(
       `[updatePriorityStatus] Thực thi trong ${Date.now() - startTime}ms`
     );
@@ -1836,85 +2629,141 @@ async function updatePriorityStatus(io) {
 }
 
 // CẬP NHẬT ĐỊA CHỈ CHUẨN HÓA
-async function updateStandardizedAddresses(data) {
+async function updateStandardizedAddresses(data, runId = null) {
   const startTime = Date.now();
   try {
-    const connection = await mysql.createConnection(dbConfig);
-
     const validOrderIds = await getValidOrderIds();
     const validOrders = data.filter((order) => validOrderIds.has(order.MaPX));
 
     if (validOrders.length > 0) {
-      const [existingAddresses] = await connection.query(
-        `SELECT id_order, distance, travel_time FROM orders_address WHERE id_order IN (?)`,
-        [validOrders.map((order) => order.MaPX)]
-      );
-      const addressMap = new Map(
-        existingAddresses.map((o) => [
-          o.id_order,
-          { distance: o.distance, travel_time: o.travel_time },
-        ])
-      );
-
-      const values = validOrders
-        .filter((order) => order.DcGiaohang !== undefined)
-        .map((order) => {
-          const current = addressMap.get(order.MaPX) || {
-            distance: null,
-            travel_time: null,
-          };
-          return [
-            order.MaPX,
-            order.DcGiaohang || "",
-            order.District,
-            order.Ward,
-            order.Source,
-            order.distance || 0,
-            order.travel_time || 0,
-            order.addressChanged ? current.distance : null,
-            order.addressChanged ? current.travel_time : null,
-          ];
-        });
-
-      console.log(
-        "[updateStandardizedAddresses] Dữ liệu cập nhật:",
-        validOrders.map((order) => ({
-          MaPX: order.MaPX,
-          DcGiaohang: order.DcGiaohang,
-          District: order.District,
-          Ward: order.Ward,
-          Source: order.Source,
-          distance: order.distance,
-          travel_time: order.travel_time,
-          addressChanged: order.addressChanged,
-        }))
-      );
+      await withTransaction(async (connection) => {
+        const [existingAddresses] = await connection.query(
+          `SELECT id_order, distance, travel_time FROM orders_address WHERE id_order IN (?) FOR UPDATE`,
+          [validOrders.map((order) => order.MaPX)]
+        );
+        const addressMap = new Map(
+          existingAddresses.map((o) => [
+            o.id_order,
+            { distance: o.distance, travel_time: o.travel_time },
+          ])
+        );
+        // Đơn có địa chỉ sửa tay không bị ghi đè
+        const [overriddenOrders] = await connection.query(
+          `SELECT id_order FROM orders WHERE id_order IN (?) AND override_address = 1`,
+          [validOrders.map((order) => order.MaPX)]
+        );
+        const overriddenIds = new Set(overriddenOrders.map((o) => o.id_order));
+        if (overriddenIds.size > 0) {
+          console.log(
+            `[updateStandardizedAddresses] Bỏ qua ${overriddenIds.size} đơn có địa chỉ sửa tay`
+          );
+        }
 
-      if (values.length > 0) {
-        const [result] = await connection.query(
-          `
-          INSERT INTO orders_address (
-            id_order, address, district, ward, source, 
-            distance, travel_time, old_distance, old_travel_time
+        const values = validOrders
+          .filter(
+            (order) =>
+              order.DcGiaohang !== undefined && !overriddenIds.has(order.MaPX)
           )
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-          ON DUPLICATE KEY UPDATE
-            address = IF(VALUES(address) != '', VALUES(address), address),
-            district = IF(VALUES(district) IS NOT NULL, VALUES(district), district),
-            ward = IF(VALUES(ward) IS NOT NULL, VALUES(ward), ward),
-            source = IF(VALUES(source) IS NOT NULL, VALUES(source), source),
-            distance = VALUES(distance),
-            travel_time = VALUES(travel_time),
-            old_distance = IF(VALUES(old_distance) IS NOT NULL, VALUES(old_distance), old_distance),
-            old_travel_time = IF(VALUES(old_travel_time) IS NOT NULL, VALUES(old_travel_time), old_travel_time)
-          `,
-          values.flat()
-        );
+          .map((order) => {
+            const current = addressMap.get(order.MaPX) || {
+              distance: null,
+              travel_time: null,
+            };
+            return [
+              order.MaPX,
+              order.DcGiaohang || "",
+              order.District,
+              order.Ward,
+              order.Source,
+              // Giữ null để calculateDistances tính lại tuyến đường
+              order.distance ?? null,
+              order.travel_time ?? null,
+              order.lat ?? null,
+              order.lon ?? null,
+              order.addressChanged ? current.distance : null,
+              order.addressChanged ? current.travel_time : null,
+            ];
+          });
+
         console.log(
-          "[updateStandardizedAddresses] Số dòng ảnh hưởng khi lưu vào cơ sở dữ liệu (orders_address):",
-          result.affectedRows
+          "[updateStandardizedAddresses] Dữ liệu cập nhật:",
+          validOrders.map((order) => ({
+            MaPX: order.MaPX,
+            DcGiaohang: order.DcGiaohang,
+            District: order.District,
+            Ward: order.Ward,
+            Source: order.Source,
+            distance: order.distance,
+            travel_time: order.travel_time,
+            addressChanged: order.addressChanged,
+          }))
         );
-      }
+
+        if (values.length > 0) {
+          const updatedIds = values.map(([id_order]) => id_order);
+          const [result] = await trackOrderChanges(
+            connection,
+            {
+              table_name: "orders_address",
+              ids: updatedIds,
+              fields: STANDARDIZED_ADDRESS_FIELDS,
+              actor_type: "function",
+              actor: "updateStandardizedAddresses",
+              pipeline_run_id: runId,
+            },
+            () =>
+              connection.query(
+                `
+            INSERT INTO orders_address (
+              id_order, address, district, ward, source, 
+              distance, travel_time, lat, lon, old_distance, old_travel_time
+            )
+            VALUES ?
+            ON DUPLICATE KEY UPDATE
+              address = IF(VALUES(address) != '', VALUES(address), address),
+              district = IF(VALUES(district) IS NOT NULL, VALUES(district), district),
+              ward = IF(VALUES(ward) IS NOT NULL, VALUES(ward), ward),
+              source = IF(VALUES(source) IS NOT NULL, VALUES(source), source),
+              distance = VALUES(distance),
+              travel_time = VALUES(travel_time),
+              lat = VALUES(lat),
+              lon = VALUES(lon),
+              old_distance = IF(VALUES(old_distance) IS NOT NULL, VALUES(old_distance), old_distance),
+              old_travel_time = IF(VALUES(old_travel_time) IS NOT NULL, VALUES(old_travel_time), old_travel_time)
+            `,
+                [values]
+              )
+          );
+          console.log(
+            "[updateStandardizedAddresses] Số dòng ảnh hưởng khi lưu vào cơ sở dữ liệu (orders_address):",
+            result.affectedRows
+          );
+
+          // Lưu phiên bản địa chỉ mới vào address_history
+          await connection.query(
+            `UPDATE address_history SET is_current = 0 WHERE id_order IN (?) AND is_current = 1`,
+            [updatedIds]
+          );
+          await connection.query(
+            `
+            INSERT INTO address_history (
+              id_order, raw_address, standardized_address, district, ward,
+              source, distance, travel_time
+            )
+            SELECT o.id_order, o.address, oa.address, oa.district, oa.ward,
+                   oa.source, oa.distance, oa.travel_time
+            FROM orders o
+            JOIN orders_address oa ON o.id_order = oa.id_order
+            WHERE o.id_order IN (?)
+            `,
+            [updatedIds]
+          );
+          await connection.query(
+            `UPDATE orders SET needs_restandardize = 0 WHERE id_order IN (?)`,
+            [updatedIds]
+          );
+        }
+      });
 
       const invalidOrders = data.filter(
         (order) => !validOrderIds.has(order.MaPX)
@@ -1931,7 +2780,6 @@ async function updateStandardizedAddresses(data) {
       );
     }
 
-    await connection.end();
     console.log(
       `[updateStandardizedAddresses] Thực thi trong ${Date.now() - startTime}ms`
     );
@@ -1941,13 +2789,44 @@ async function updateStandardizedAddresses(data) {
   }
 }
 
+// GHI TRẠNG THÁI MỚI CHO NHIỀU ĐƠN TRONG MỘT CÂU LỆNH VÀ LƯU NHẬT KÝ THAY ĐỔI
+// updates: [[status, id_order], ...]
+async function saveOrderStatuses(updates, actor, runId) {
+  const ids = updates.map(([, idOrder]) => idOrder);
+  const [result] = await withTransaction((connection) =>
+    trackOrderChanges(
+      connection,
+      {
+        table_name: "orders",
+        ids,
+        fields: ["status"],
+        actor_type: "function",
+        actor,
+        pipeline_run_id: runId,
+      },
+      () =>
+        connection.query(
+          `
+          UPDATE orders
+          SET status = CASE id_order ${updates
+            .map(() => "WHEN ? THEN ?")
+            .join(" ")} ELSE status END
+          WHERE id_order IN (?)
+          `,
+          [...updates.flatMap(([status, idOrder]) => [idOrder, status]), ids]
+        )
+    )
+  );
+  return result.affectedRows;
+}
+
 // ĐỒNG BỘ TRẠNG THÁI ĐƠN HÀNG
-async function syncOrderStatus() {
+async function syncOrderStatus(io, runId = null) {
   const startTime = Date.now();
   try {
-    const connection = await mysql.createConnection(dbConfig);
+    const pool = getPool();
 
-    const [orders] = await connection.query(
+    const [orders] = await pool.query(
       `
       SELECT id_order
       FROM orders
@@ -1958,7 +2837,6 @@ async function syncOrderStatus() {
     console.log(`Số lượng đơn hàng cần đồng bộ trạng thái: ${orders.length}`);
 
     if (orders.length === 0) {
-      await connection.end();
       console.log(`syncOrderStatus thực thi trong ${Date.now() - startTime}ms`);
       return;
     }
@@ -1968,6 +2846,7 @@ async function syncOrderStatus() {
     const statusPromises = orders.map((order) =>
       limit(() => {
         api2RequestCount++;
+        externalCallStats.api2++;
         return axios
           .get(`${API_2_BASE}?qc=${order.id_order}`)
           .then((res) => ({
@@ -1991,25 +2870,17 @@ async function syncOrderStatus() {
       )
       .map((result) => result.value);
 
-    if (results.length > 0) {
-      const values = results.map((result) => [
-        result.Tinhtranggiao,
-        result.MaPX,
-      ]);
-      const [updateResult] = await connection.query(
-        `
-        UPDATE orders
-        SET status = ?
-        WHERE id_order = ?
-        `,
-        values.flat()
-      );
+    // API_2 không trả trạng thái thì giữ trạng thái hiện tại
+    const values = results
+      .filter((result) => result.Tinhtranggiao)
+      .map((result) => [result.Tinhtranggiao, result.MaPX]);
+    if (values.length > 0) {
+      await saveOrderStatuses(values, "syncOrderStatus", runId);
     }
 
-    await connection.end();
     console.log(`syncOrderStatus thực thi trong ${Date.now() - startTime}ms`);
 
-    if (results.length > 0) {
+    if (results.length > 0 && io) {
       io.emit("overdueOrdersUpdated", {
         message: "Danh sách đơn hàng đã được cập nhật trạng thái",
         updatedCount: results.length,
@@ -2022,12 +2893,12 @@ async function syncOrderStatus() {
 }
 
 // CẬP NHẬT TRẠNG THÁI ĐƠN HÀNG
-async function updateOrderStatusToCompleted() {
+async function updateOrderStatusToCompleted(runId = null) {
   const startTime = Date.now();
   try {
-    const connection = await mysql.createConnection(dbConfig);
+    const pool = getPool();
 
-    const [orders] = await connection.query(
+    const [orders] = await pool.query(
       `
       SELECT id_order, status
       FROM orders
@@ -2038,7 +2909,6 @@ async function updateOrderStatusToCompleted() {
 
     if (orders.length === 0) {
       console.log("Không có đơn hàng nào cần cập nhật trạng thái.");
-      await connection.end();
       console.log(
         `updateOrderStatusToCompleted thực thi trong ${
           Date.now() - startTime
@@ -2053,6 +2923,7 @@ async function updateOrderStatusToCompleted() {
     const statusPromises = orders.map((order) =>
       limit(async () => {
         api2RequestCount++;
+        externalCallStats.api2++;
         try {
           const response = await axios.get(
             `${API_2_BASE}?qc=${order.id_order}`
@@ -2097,17 +2968,9 @@ async function updateOrderStatusToCompleted() {
     }
 
     if (updates.length > 0) {
-      const [updateResult] = await connection.query(
-        `
-        UPDATE orders
-        SET status = ?
-        WHERE id_order = ?
-        `,
-        updates.flat()
-      );
+      await saveOrderStatuses(updates, "updateOrderStatusToCompleted", runId);
     }
 
-    await connection.end();
     console.log(
       `updateOrderStatusToCompleted thực thi trong ${Date.now() - startTime}ms`
     );
@@ -2119,38 +2982,54 @@ async function updateOrderStatusToCompleted() {
 
 // ========================================================== SELECT ORDER FUNCTIONS ==========================================================
 // SẮP XẾP ĐƠN HÀNG
-async function groupOrders(page = 1, filterDate = null) {
-  const startTime = Date.now();
+// Thứ tự ưu tiên khai báo trong ./ranking; sắp xếp và phân trang chạy trong CSDL,
+// chỉ các đơn của trang hiện tại được giải thích thứ hạng bằng JS.
+async function groupOrders(
+  page = 1,
+  filterDate = null,
+  warehouseId = null,
+  pageSize = 10
+) {
   try {
-    const connection = await mysql.createConnection(dbConfig);
-    const pageSize = 10;
+    const pool = getPool();
 
     if (!Number.isInteger(page) || page < 1) {
       throw new Error("Page phải là số nguyên dương");
     }
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error("pageSize phải là số nguyên dương");
+    }
 
-    let dateCondition = "";
+    const conditions = [];
     let queryParams = [];
 
     if (filterDate) {
       if (!moment(filterDate, "YYYY-MM-DD", true).isValid()) {
         throw new Error("Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD");
       }
-      dateCondition =
-        "DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = ?";
+      conditions.push(
+        "DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = ?"
+      );
       queryParams.push(filterDate);
     }
 
-    const whereClause = dateCondition ? `WHERE ${dateCondition}` : "";
+    if (warehouseId !== null) {
+      conditions.push("o.warehouse_id = ?");
+      queryParams.push(warehouseId);
+    }
+
+    const extraConditions = conditions
+      .map((condition) => `AND ${condition}`)
+      .join(" ");
 
-    const [totalResult] = await connection.execute(
+    const [totalResult] = await pool.execute(
       `
       SELECT COUNT(*) as total
       FROM orders_address oa
       JOIN orders o ON oa.id_order = o.id_order
       WHERE oa.address IS NOT NULL 
         AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
+        ${extraConditions}
       `,
       queryParams
     );
@@ -2159,812 +3038,77 @@ async function groupOrders(page = 1, filterDate = null) {
     const totalPages = Math.ceil(totalOrders / pageSize);
 
     const query = `
-      SELECT 
-        oa.id_order,
-        oa.address,
-        oa.source,
-        oa.distance,
-        oa.travel_time,
-        oa.status,
-        oa.created_at,
-        oa.district,
-        oa.ward,
-        oa.old_distance,
-        oa.old_travel_time,
-        o.SOKM,
-        o.priority,
-        o.delivery_deadline,
-        o.date_delivery,
-        o.delivery_note,
-        o.address AS current_address,
-        o.old_address,
-        CASE 
-          WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
-          WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1 
-          ELSE 0 
-        END AS days_old,
-        TIMESTAMPDIFF(MINUTE, oa.created_at, NOW()) AS minutes_since_created
+      SELECT ${PRIORITY_ORDER_COLUMNS}
       FROM orders_address oa
       JOIN orders o ON oa.id_order = o.id_order
+      LEFT JOIN warehouses w ON o.warehouse_id = w.id
       WHERE oa.address IS NOT NULL 
         AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
+        ${extraConditions}
+      ORDER BY ${buildRankingOrderBy()}
+      LIMIT ? OFFSET ?
     `;
 
-    const [results] = await connection.execute(query, queryParams);
-    await connection.end();
-
-    const parsedResults = results.map((row) => ({
-      id_order: row.id_order,
-      address: row.address || "N/A",
-      source: row.source,
-      distance:
-        row.distance !== null ? parseFloat(row.distance.toFixed(2)) : null,
-      travel_time: row.travel_time !== null ? row.travel_time : null,
-      status: row.status,
-      created_at: row.created_at
-        ? moment(row.created_at)
-            .tz("Asia/Ho_Chi_Minh")
-            .format("YYYY-MM-DD HH:mm:ss")
-        : null,
-      district: row.district || "N/A",
-      ward: row.ward || "N/A",
-      old_distance:
-        row.old_distance !== null
-          ? parseFloat(row.old_distance.toFixed(2))
-          : null,
-      old_travel_time:
-        row.old_travel_time !== null ? row.old_travel_time : null,
-      SOKM:
-        row.SOKM !== null && !isNaN(parseFloat(row.SOKM))
-          ? parseFloat(parseFloat(row.SOKM).toFixed(2))
-          : null,
-      priority: row.priority,
-      delivery_deadline: row.delivery_deadline
-        ? moment(row.delivery_deadline)
-            .tz("Asia/Ho_Chi_Minh")
-            .format("YYYY-MM-DD HH:mm:ss")
-        : null,
-      date_delivery: row.date_delivery,
-      delivery_note: row.delivery_note,
-      current_address: row.current_address,
-      old_address: row.old_address,
-      days_old: row.days_old,
-      minutes_since_created:
-        row.minutes_since_created !== null ? row.minutes_since_created : 0,
+    const [results] = await pool.query(query, [
+      ...queryParams,
+      pageSize,
+      (page - 1) * pageSize,
+    ]);
+
+    const now = moment();
+    const paginatedResults = results.map((row) => ({
+      ...parsePriorityOrderRow(row),
+      rank: explainRank(row, now),
     }));
 
-    const sortedResults = parsedResults.sort((a, b) => {
-      let priorityA, priorityB;
+    return {
+      totalOrders,
+      totalPages,
+      currentPage: page,
+      lastRun: moment().tz("Asia/Ho_Chi_Minh").format(),
+      orders: paginatedResults,
+    };
+  } catch (error) {
+    console.error("Lỗi trong groupOrders:", error.message, error.stack);
+    throw error;
+  }
+}
 
-      // Tiêu chí 1: Kiểm tra lỗi dữ liệu (thiếu district, ward, distance, hoặc travel_time)
-      if (
-        !a.district ||
-        !a.ward ||
-        a.distance === null ||
-        a.travel_time === null
-      ) {
-        priorityA = 100;
-      }
-      // Tiêu chí 2: Kiểm tra distance > 100 km
-      else if (a.distance > 100) {
-        priorityA = 99; // Xếp trước các đơn lỗi nhưng sau các đơn bình thường
-      }
-      // Các tiêu chí hiện tại
-      else if (a.priority === 2) {
-        priorityA = 0;
-      } else if (
-        a.status === 1 &&
-        a.priority === 1 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 1;
-      } else if (
-        a.days_old === 2 &&
-        a.status === 1 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 2;
-      } else if (
-        a.days_old === 2 &&
-        a.status === 0 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 3;
-      } else if (
-        a.days_old === 1 &&
-        a.status === 1 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 4;
-      } else if (
-        a.days_old === 1 &&
-        a.status === 0 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 5;
-      } else if (a.status === 1 && a.priority === 0) {
-        priorityA = 10;
-      } else if (
-        a.status === 1 &&
-        a.priority === 1 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 11;
-      } else if (
-        a.status === 0 &&
-        a.priority === 1 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 12;
-      } else if (a.status === 0 && a.priority === 0) {
-        priorityA = 13;
-      } else if (
-        a.days_old === 2 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 14;
-      } else if (
-        a.days_old === 1 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 15;
-      } else {
-        priorityA = 16;
-      }
+// =========================================================== PHÂN TÍCH GHI CHÚ GIAO HÀNG ===========================================================
+// HẠN GIAO KHI GHI CHÚ CHỈ NÓI BUỔI
+const PART_OF_DAY_DEADLINES = {
+  morning: "10:00",
+  noon: "12:00",
+  afternoon: "15:00",
+  evening: "17:45",
+};
 
-      if (
-        !b.district ||
-        !b.ward ||
-        b.distance === null ||
-        b.travel_time === null
-      ) {
-        priorityB = 100;
-      } else if (b.distance > 100) {
-        priorityB = 99;
-      } else if (b.priority === 2) {
-        priorityB = 0;
-      } else if (
-        b.status === 1 &&
-        b.priority === 1 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 1;
-      } else if (
-        b.days_old === 2 &&
-        b.status === 1 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 2;
-      } else if (
-        b.days_old === 2 &&
-        b.status === 0 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 3;
-      } else if (
-        b.days_old === 1 &&
-        b.status === 1 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 4;
-      } else if (
-        b.days_old === 1 &&
-        b.status === 0 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 5;
-      } else if (b.status === 1 && b.priority === 0) {
-        priorityB = 10;
-      } else if (
-        b.status === 1 &&
-        b.priority === 1 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 11;
-      } else if (
-        b.status === 0 &&
-        b.priority === 1 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 12;
-      } else if (b.status === 0 && b.priority === 0) {
-        priorityB = 13;
-      } else if (
-        b.days_old === 2 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 14;
-      } else if (
-        b.days_old === 1 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 15;
-      } else {
-        priorityB = 16;
-      }
-
-      if (priorityA !== priorityB) {
-        return priorityA - priorityB;
-      }
-
-      // Nếu cả hai đều có distance > 100 km, áp dụng các tiêu chí phụ và thêm date_delivery
-      if (priorityA === 99 && priorityB === 99) {
-        const isDeadlineTodayA =
-          a.delivery_deadline &&
-          moment(a.delivery_deadline).isSame(moment(), "day")
-            ? 0
-            : 1;
-        const isDeadlineTodayB =
-          b.delivery_deadline &&
-          moment(b.delivery_deadline).isSame(moment(), "day")
-            ? 0
-            : 1;
-        if (isDeadlineTodayA !== isDeadlineTodayB) {
-          return isDeadlineTodayA - isDeadlineTodayB;
-        }
-
-        const timeToDeadlineA = a.delivery_deadline
-          ? moment(a.delivery_deadline).diff(moment(), "minutes")
-          : 999999;
-        const timeToDeadlineB = b.delivery_deadline
-          ? moment(b.delivery_deadline).diff(moment(), "minutes")
-          : 999999;
-        if (timeToDeadlineA !== timeToDeadlineB) {
-          return timeToDeadlineA - timeToDeadlineB;
-        }
-
-        const distanceA = a.distance !== null ? a.distance : 999999;
-        const distanceB = b.distance !== null ? b.distance : 999999;
-        if (distanceA !== distanceB) {
-          return distanceA - distanceB;
-        }
-
-        const travelTimeA = a.travel_time !== null ? a.travel_time : 999999;
-        const travelTimeB = b.travel_time !== null ? b.travel_time : 999999;
-        if (travelTimeA !== travelTimeB) {
-          return travelTimeA - travelTimeB;
-        }
-
-        // Tiêu chí phụ: Sắp xếp theo date_delivery tăng dần
-        const dateDeliveryA = a.date_delivery
-          ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-            ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss")
-            : moment("9999-12-31 23:59:59")
-          : moment("9999-12-31 23:59:59");
-        const dateDeliveryB = b.date_delivery
-          ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-            ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss")
-            : moment("9999-12-31 23:59:59")
-          : moment("9999-12-31 23:59:59");
-        if (!dateDeliveryA.isSame(dateDeliveryB)) {
-          return dateDeliveryA.diff(dateDeliveryB);
-        }
-
-        return a.id_order.localeCompare(b.id_order);
-      }
-
-      // Các tiêu chí phụ cho các đơn hàng khác
-      const isDeadlineTodayA =
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSame(moment(), "day")
-          ? 0
-          : 1;
-      const isDeadlineTodayB =
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSame(moment(), "day")
-          ? 0
-          : 1;
-      if (isDeadlineTodayA !== isDeadlineTodayB) {
-        return isDeadlineTodayA - isDeadlineTodayB;
-      }
-
-      const timeToDeadlineA = a.delivery_deadline
-        ? moment(a.delivery_deadline).diff(moment(), "minutes")
-        : 999999;
-      const timeToDeadlineB = b.delivery_deadline
-        ? moment(b.delivery_deadline).diff(moment(), "minutes")
-        : 999999;
-      if (timeToDeadlineA !== timeToDeadlineB) {
-        return timeToDeadlineA - timeToDeadlineB;
-      }
-
-      const distanceA = a.distance !== null ? a.distance : 999999;
-      const distanceB = b.distance !== null ? b.distance : 999999;
-      if (distanceA !== distanceB) {
-        return distanceA - distanceB;
-      }
-
-      const travelTimeA = a.travel_time !== null ? a.travel_time : 999999;
-      const travelTimeB = b.travel_time !== null ? b.travel_time : 999999;
-      if (travelTimeA !== travelTimeB) {
-        return travelTimeA - travelTimeB;
-      }
-
-      const dateDeliveryA = a.date_delivery
-        ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-          ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss")
-          : moment("9999-12-31 23:59:59")
-        : moment("9999-12-31 23:59:59");
-      const dateDeliveryB = b.date_delivery
-        ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-          ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss")
-          : moment("9999-12-31 23:59:59")
-        : moment("9999-12-31 23:59:59");
-      if (!dateDeliveryA.isSame(dateDeliveryB)) {
-        return dateDeliveryA.diff(dateDeliveryB);
-      }
-
-      return a.id_order.localeCompare(b.id_order);
-    });
-
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedResults = sortedResults.slice(startIndex, endIndex);
-
-    return {
-      totalOrders,
-      totalPages,
-      currentPage: page,
-      lastRun: moment().tz("Asia/Ho_Chi_Minh").format(),
-      orders: paginatedResults,
-    };
-  } catch (error) {
-    console.error("Lỗi trong groupOrders:", error.message, error.stack);
-    throw error;
-  }
-}
-
-// SẮP XẾP ĐƠN HÀNG (PHIÊN BẢN 2)
-async function groupOrders2(page = 1, filterDate = null) {
-  const startTime = Date.now();
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-    const pageSize = 20;
-
-    if (!Number.isInteger(page) || page < 1) {
-      throw new Error("Page phải là số nguyên dương");
-    }
-
-    let dateCondition = "";
-    let queryParams = [];
-
-    if (filterDate) {
-      if (!moment(filterDate, "YYYY-MM-DD", true).isValid()) {
-        throw new Error("Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD");
-      }
-      dateCondition =
-        "DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = ?";
-      queryParams.push(filterDate);
-    }
-
-    const whereClause = dateCondition ? `WHERE ${dateCondition}` : "";
-
-    const [totalResult] = await connection.execute(
-      `
-      SELECT COUNT(*) as total
-      FROM orders_address oa
-      JOIN orders o ON oa.id_order = o.id_order
-      WHERE oa.address IS NOT NULL 
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
-      `,
-      queryParams
-    );
-
-    const totalOrders = totalResult[0].total;
-    const totalPages = Math.ceil(totalOrders / pageSize);
-
-    const query = `
-      SELECT 
-        oa.id_order,
-        oa.address,
-        oa.source,
-        oa.distance,
-        oa.travel_time,
-        oa.status,
-        oa.created_at,
-        oa.district,
-        oa.ward,
-        oa.old_distance,
-        oa.old_travel_time,
-        o.SOKM,
-        o.priority,
-        o.delivery_deadline,
-        o.date_delivery,
-        o.delivery_note,
-        o.address AS current_address,
-        o.old_address,
-        CASE 
-          WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
-          WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1 
-          ELSE 0 
-        END AS days_old,
-        TIMESTAMPDIFF(MINUTE, oa.created_at, NOW()) AS minutes_since_created
-      FROM orders_address oa
-      JOIN orders o ON oa.id_order = o.id_order
-      WHERE oa.address IS NOT NULL 
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
-    `;
-
-    const [results] = await connection.execute(query, queryParams);
-    await connection.end();
-
-    const parsedResults = results.map((row) => ({
-      id_order: row.id_order,
-      address: row.address || "N/A",
-      source: row.source,
-      distance:
-        row.distance !== null ? parseFloat(row.distance.toFixed(2)) : null,
-      travel_time: row.travel_time !== null ? row.travel_time : null,
-      status: row.status,
-      created_at: row.created_at
-        ? moment(row.created_at)
-            .tz("Asia/Ho_Chi_Minh")
-            .format("YYYY-MM-DD HH:mm:ss")
-        : null,
-      district: row.district || "N/A",
-      ward: row.ward || "N/A",
-      old_distance:
-        row.old_distance !== null
-          ? parseFloat(row.old_distance.toFixed(2))
-          : null,
-      old_travel_time:
-        row.old_travel_time !== null ? row.old_travel_time : null,
-      SOKM:
-        row.SOKM !== null && !isNaN(parseFloat(row.SOKM))
-          ? parseFloat(parseFloat(row.SOKM).toFixed(2))
-          : null,
-      priority: row.priority,
-      delivery_deadline: row.delivery_deadline
-        ? moment(row.delivery_deadline)
-            .tz("Asia/Ho_Chi_Minh")
-            .format("YYYY-MM-DD HH:mm:ss")
-        : null,
-      date_delivery: row.date_delivery,
-      delivery_note: row.delivery_note,
-      current_address: row.current_address,
-      old_address: row.old_address,
-      days_old: row.days_old,
-      minutes_since_created:
-        row.minutes_since_created !== null ? row.minutes_since_created : 0,
-    }));
-
-    const sortedResults = parsedResults.sort((a, b) => {
-      let priorityA, priorityB;
-
-      // Tiêu chí 1: Kiểm tra lỗi dữ liệu (thiếu district, ward, distance, hoặc travel_time)
-      if (
-        !a.district ||
-        !a.ward ||
-        a.distance === null ||
-        a.travel_time === null
-      ) {
-        priorityA = 100;
-      }
-      // Tiêu chí 2: Kiểm tra distance > 100 km
-      else if (a.distance > 100) {
-        priorityA = 99; // Xếp trước các đơn lỗi nhưng sau các đơn bình thường
-      }
-      // Các tiêu chí hiện tại
-      else if (a.priority === 2) {
-        priorityA = 0;
-      } else if (
-        a.status === 1 &&
-        a.priority === 1 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 1;
-      } else if (
-        a.days_old === 2 &&
-        a.status === 1 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 2;
-      } else if (
-        a.days_old === 2 &&
-        a.status === 0 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 3;
-      } else if (
-        a.days_old === 1 &&
-        a.status === 1 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 4;
-      } else if (
-        a.days_old === 1 &&
-        a.status === 0 &&
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityA = 5;
-      } else if (a.status === 1 && a.priority === 0) {
-        priorityA = 10;
-      } else if (
-        a.status === 1 &&
-        a.priority === 1 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 11;
-      } else if (
-        a.status === 0 &&
-        a.priority === 1 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 12;
-      } else if (a.status === 0 && a.priority === 0) {
-        priorityA = 13;
-      } else if (
-        a.days_old === 2 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 14;
-      } else if (
-        a.days_old === 1 &&
-        (!a.delivery_deadline ||
-          moment(a.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityA = 15;
-      } else {
-        priorityA = 16;
-      }
-
-      if (
-        !b.district ||
-        !b.ward ||
-        b.distance === null ||
-        b.travel_time === null
-      ) {
-        priorityB = 100;
-      } else if (b.distance > 100) {
-        priorityB = 99;
-      } else if (b.priority === 2) {
-        priorityB = 0;
-      } else if (
-        b.status === 1 &&
-        b.priority === 1 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 1;
-      } else if (
-        b.days_old === 2 &&
-        b.status === 1 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 2;
-      } else if (
-        b.days_old === 2 &&
-        b.status === 0 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 3;
-      } else if (
-        b.days_old === 1 &&
-        b.status === 1 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 4;
-      } else if (
-        b.days_old === 1 &&
-        b.status === 0 &&
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSameOrBefore(moment().add(2, "hours"))
-      ) {
-        priorityB = 5;
-      } else if (b.status === 1 && b.priority === 0) {
-        priorityB = 10;
-      } else if (
-        b.status === 1 &&
-        b.priority === 1 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 11;
-      } else if (
-        b.status === 0 &&
-        b.priority === 1 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 12;
-      } else if (b.status === 0 && b.priority === 0) {
-        priorityB = 13;
-      } else if (
-        b.days_old === 2 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 14;
-      } else if (
-        b.days_old === 1 &&
-        (!b.delivery_deadline ||
-          moment(b.delivery_deadline).isAfter(moment().add(2, "hours")))
-      ) {
-        priorityB = 15;
-      } else {
-        priorityB = 16;
-      }
-
-      if (priorityA !== priorityB) {
-        return priorityA - priorityB;
-      }
-
-      // Nếu cả hai đều có distance > 100 km, áp dụng các tiêu chí phụ và thêm date_delivery
-      if (priorityA === 99 && priorityB === 99) {
-        const isDeadlineTodayA =
-          a.delivery_deadline &&
-          moment(a.delivery_deadline).isSame(moment(), "day")
-            ? 0
-            : 1;
-        const isDeadlineTodayB =
-          b.delivery_deadline &&
-          moment(b.delivery_deadline).isSame(moment(), "day")
-            ? 0
-            : 1;
-        if (isDeadlineTodayA !== isDeadlineTodayB) {
-          return isDeadlineTodayA - isDeadlineTodayB;
-        }
-
-        const timeToDeadlineA = a.delivery_deadline
-          ? moment(a.delivery_deadline).diff(moment(), "minutes")
-          : 999999;
-        const timeToDeadlineB = b.delivery_deadline
-          ? moment(b.delivery_deadline).diff(moment(), "minutes")
-          : 999999;
-        if (timeToDeadlineA !== timeToDeadlineB) {
-          return timeToDeadlineA - timeToDeadlineB;
-        }
-
-        const distanceA = a.distance !== null ? a.distance : 999999;
-        const distanceB = b.distance !== null ? b.distance : 999999;
-        if (distanceA !== distanceB) {
-          return distanceA - distanceB;
-        }
-
-        const travelTimeA = a.travel_time !== null ? a.travel_time : 999999;
-        const travelTimeB = b.travel_time !== null ? b.travel_time : 999999;
-        if (travelTimeA !== travelTimeB) {
-          return travelTimeA - travelTimeB;
-        }
-
-        // Tiêu chí phụ: Sắp xếp theo date_delivery tăng dần
-        const dateDeliveryA = a.date_delivery
-          ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-            ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss")
-            : moment("9999-12-31 23:59:59")
-          : moment("9999-12-31 23:59:59");
-        const dateDeliveryB = b.date_delivery
-          ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-            ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss")
-            : moment("9999-12-31 23:59:59")
-          : moment("9999-12-31 23:59:59");
-        if (!dateDeliveryA.isSame(dateDeliveryB)) {
-          return dateDeliveryA.diff(dateDeliveryB);
-        }
-
-        return a.id_order.localeCompare(b.id_order);
-      }
-
-      // Các tiêu chí phụ cho các đơn hàng khác
-      const isDeadlineTodayA =
-        a.delivery_deadline &&
-        moment(a.delivery_deadline).isSame(moment(), "day")
-          ? 0
-          : 1;
-      const isDeadlineTodayB =
-        b.delivery_deadline &&
-        moment(b.delivery_deadline).isSame(moment(), "day")
-          ? 0
-          : 1;
-      if (isDeadlineTodayA !== isDeadlineTodayB) {
-        return isDeadlineTodayA - isDeadlineTodayB;
-      }
-
-      const timeToDeadlineA = a.delivery_deadline
-        ? moment(a.delivery_deadline).diff(moment(), "minutes")
-        : 999999;
-      const timeToDeadlineB = b.delivery_deadline
-        ? moment(b.delivery_deadline).diff(moment(), "minutes")
-        : 999999;
-      if (timeToDeadlineA !== timeToDeadlineB) {
-        return timeToDeadlineA - timeToDeadlineB;
-      }
-
-      const distanceA = a.distance !== null ? a.distance : 999999;
-      const distanceB = b.distance !== null ? b.distance : 999999;
-      if (distanceA !== distanceB) {
-        return distanceA - distanceB;
-      }
-
-      const travelTimeA = a.travel_time !== null ? a.travel_time : 999999;
-      const travelTimeB = b.travel_time !== null ? b.travel_time : 999999;
-      if (travelTimeA !== travelTimeB) {
-        return travelTimeA - travelTimeB;
-      }
-
-      const dateDeliveryA = a.date_delivery
-        ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-          ? moment(a.date_delivery, "DD/MM/YYYY HH:mm:ss")
-          : moment("9999-12-31 23:59:59")
-        : moment("9999-12-31 23:59:59");
-      const dateDeliveryB = b.date_delivery
-        ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss").isValid()
-          ? moment(b.date_delivery, "DD/MM/YYYY HH:mm:ss")
-          : moment("9999-12-31 23:59:59")
-        : moment("9999-12-31 23:59:59");
-      if (!dateDeliveryA.isSame(dateDeliveryB)) {
-        return dateDeliveryA.diff(dateDeliveryB);
-      }
-
-      return a.id_order.localeCompare(b.id_order);
-    });
-
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    const paginatedResults = sortedResults.slice(startIndex, endIndex);
-
-    return {
-      totalOrders,
-      totalPages,
-      currentPage: page,
-      lastRun: moment().tz("Asia/Ho_Chi_Minh").format(),
-      orders: paginatedResults,
-    };
-  } catch (error) {
-    console.error("Lỗi trong groupOrders:", error.message, error.stack);
-    throw error;
-  }
-}
+// KHUNG GIỜ NHẬN HÀNG KHI GHI CHÚ NÓI BUỔI (GIỜ BẮT ĐẦU, GIỜ KẾT THÚC)
+const PART_OF_DAY_WINDOWS = {
+  morning: ["08:00", "12:00"],
+  noon: ["11:00", "13:30"],
+  afternoon: ["13:30", "17:45"],
+  evening: ["17:00", "20:00"],
+};
 
-// =========================================================== PHÂN TÍCH GHI CHÚ GIAO HÀNG ===========================================================
 // PHÂN TÍCH GHI CHÚ GIAO HÀNG
-async function analyzeDeliveryNote() {
+async function analyzeDeliveryNote(runId = null) {
     const startTime = Date.now();
     try {
-        // Kết nối cơ sở dữ liệu
-        const connection = await createConnectionWithRetry();
+        const pool = getPool();
+
+        // Ngày lễ, ca làm việc và ngày nghỉ đột xuất lấy từ lịch làm việc
+        await loadBusinessCalendar();
 
         // Truy vấn các đơn hàng chưa được phân tích
-        const [orders] = await connection.query(
+        const [orders] = await pool.query(
             `
             SELECT o.id_order, o.delivery_note, o.date_delivery, oa.travel_time
             FROM orders o
             LEFT JOIN orders_address oa ON o.id_order = oa.id_order
             WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
-                AND o.priority = 0
-                AND o.delivery_deadline IS NULL
+                AND (o.priority = 0 OR o.override_priority = 1)
+                AND (o.delivery_deadline IS NULL OR o.override_window = 1)
                 AND o.analyzed = 0
                 AND o.delivery_note IS NOT NULL
                 AND o.delivery_note != ''
@@ -2976,9 +3120,8 @@ async function analyzeDeliveryNote() {
 
         if (orders.length === 0) {
             console.log("[analyzeDeliveryNote] Không có đơn hàng có ghi chú cần phân tích");
-            await connection.end();
             console.log(`[analyzeDeliveryNote] Thực thi trong ${Date.now() - startTime}ms`);
-            return;
+            return 0;
         }
 
         // Khởi tạo danh sách để lưu các đơn hàng đã phân tích và cần cập nhật
@@ -2986,6 +3129,15 @@ async function analyzeDeliveryNote() {
         const priorityUpdates = [];
         const limit = pLimit(50);
 
+        // Kết quả cho đơn không có từ khóa hoặc lỗi phân tích
+        const NO_NOTE_RESULT = {
+            priority: 0,
+            delivery_deadline: null,
+            window_start: null,
+            window_end: null,
+            delivery_constraint: null,
+        };
+
         // Hàm phân tích ghi chú giao hàng
         const parseDeliveryNote = (note, travelTime, order) => {
             try {
@@ -2996,382 +3148,132 @@ async function analyzeDeliveryNote() {
                 const deliveryTime = moment(order.date_delivery, "DD/MM/YYYY HH:mm:ss").tz("Asia/Ho_Chi_Minh");
                 if (!deliveryTime.isValid()) {
                     console.warn(`Đơn ${order.id_order}: date_delivery không hợp lệ: ${order.date_delivery}`);
-                    return { id_order: order.id_order, priority: 0, delivery_deadline: null };
+                    return { id_order: order.id_order, ...NO_NOTE_RESULT };
                 }
 
                 // Khởi tạo biến
                 let deliveryDeadline = null;
-                let priority = 0;
+                let windowStart = null;
+                let windowEnd = null;
+                let deliveryConstraint = null;
                 let deliveryDateMoment = deliveryTime.clone();
                 let hasKeyword = false; // Theo dõi xem có từ khóa thời gian không
+                const now = moment().tz("Asia/Ho_Chi_Minh");
 
-                // Danh sách ngày lễ Việt Nam (năm 2025/2026)
-                const holidays = [
-                    { name: "giỗ tổ hùng vương", date: moment("29/03/2025", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                    { name: "ngày giải phóng", date: moment("30/04/2025", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                    { name: "quốc tế lao động", date: moment("01/05/2025", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                    { name: "quốc khánh", date: moment("02/09/2025", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                    { name: "tết nguyên đán", date: moment("30/01/2026", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                    { name: "trăng rằm trung thu", date: moment("12/09/2025", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                    { name: "noel", date: moment("25/12/2025", "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh") },
-                ];
-
-                // Chuẩn hóa ghi chú
-                const normalizedNote = note
-                    .toLowerCase()
-                    .replace(/trc|truoc|trước khi/g, "trước")
-                    .replace(/gap|gấp|giaogap|giao gấp|nhanh nhất|lien|liền/g, "gấp")
-                    .replace(/sn|sớm nhất|sớm nhé|som nhat|som nhe|sớm nha/g, "sớm")
-                    .replace(/nhah|nhan|nhanh len|nhanh nha|nhanh nhất|nhanh nhat/g, "nhanh")
-                    .replace(/sang|sáng|sang mai|sáng mai|sang hom nay|sáng hôm nay/g, "sáng")
-                    .replace(/chiu|chiu nay|chiều|chiều hnay|chiều hôm nay|chieu hom nay|chieu nay/g, "chiều")
-                    .replace(/toi|toi nay|tối nay|tối|tối hnay|tối hôm nay|toi hom nay/g, "tối")
-                    .replace(/hom nay|hnay|trong ngày|ngay hom nay|ngày hôm nay/g, "hôm nay")
-                    .replace(/tuan nay|trong tuan|trong tuần|tuần này|tuan ni/g, "tuần này")
-                    .replace(/tuan sau|trong tuan sau|trong tuần sau|tuần sau|qua tuần|tuan toi|tuần tới/g, "tuần sau")
-                    .replace(/dau tuan sau|đầu tuần sau|dau tuan toi|đầu tuần tới/g, "đầu tuần sau")
-                    .replace(/cuoi tuan nay|cuối tuần này|cuoi tuan ni|cuối tuần ni/g, "cuối tuần này")
-                    .replace(/cuoi tuan sau|cuối tuần sau|cuoi tuan toi|cuối tuần tới/g, "cuối tuần sau")
-                    .replace(/thang sau|tháng sau|trong thang sau|trong tháng sau|thang toi|tháng tới/g, "tháng sau")
-                    .replace(/dau thang sau|đầu tháng sau|dau thang toi|đầu tháng tới/g, "đầu tháng sau")
-                    .replace(/giua thang sau|giữa tháng sau|giua thang toi|giữa tháng tới/g, "giữa tháng sau")
-                    .replace(/cuoi thang sau|cuối tháng sau|cuoi thang toi|cuối tháng tới/g, "cuối tháng sau")
-                    .replace(/mai|ngay mai|bữa sau|bua sau|hom sau|hôm sau|ngày mai/g, "ngày mai")
-                    .replace(/mot|ngay mot|mốt|2 ngày nữa|hai ngay nua|2 bữa nữa|hai bua nua|2 hôm nữa|hai hom nua/g, "ngày mốt")
-                    .replace(/ngay kia|ngày kia|3 ngay nua|3 hôm nữa|ba ngay nua|ba hom nua/g, "ngày kia")
-                    .replace(/(\d+)\s*ngay nua|\d+\s*hom nua|\d+\s*buoi nua/g, (match, days) => `${days} ngày nữa`)
-                    .replace(/giao nhanh trong ngay|giao nhanh hom nay/g, "gấp hôm nay")
-                    .replace(/giao truoc tet|giao trước tết|truoc tet|trước tết|tết nguyên đán|tết âm lịch/g, "trước tết")
-                    .replace(/giao noel|giao vào noel|vao noel|vào noel/g, "noel")
-                    .replace(/giao truoc trung thu|giao trước trung thu|truoc trung thu|trước trung thu|trăng rằm/g, "trước trung thu")
-                    .replace(/giao truoc gio to|giao trước giỗ tổ|truoc gio to|trước giỗ tổ|giỗ tổ hùng vương/g, "trước giỗ tổ")
-                    .replace(/giao ngay 30\/4|giao vào 30\/4|ngày 30\/4|30 thang 4|ngày giải phóng/g, "ngày giải phóng")
-                    .replace(/giao ngay 1\/5|giao vào 1\/5|ngày 1\/5|1 thang 5|quốc tế lao động/g, "quốc tế lao động")
-                    .replace(/giao ngay 2\/9|giao vào 2\/9|ngày 2\/9|2 thang 9|quốc khánh/g, "quốc khánh")
-                    .replace(/giao khi khach o nha|giao khi khách ở nhà|khi khach o nha|khách ở nhà/g, "khi khách ở nhà")
-                    .replace(/giao sau khi lien he|giao sau khi liên hệ|sau khi lien he|sau khi liên hệ/g, "sau khi liên hệ")
-                    .replace(/thu hai tuần này|thứ hai tuần này|thu 2 tuần này|thứ 2 tuần này|thu hai tuan ni|thứ hai tuan ni/g, "thứ hai tuần này")
-                    .replace(/thu ba tuần này|thứ ba tuần này|thu 3 tuần này|thứ 3 tuần này|thu ba tuan ni|thứ ba tuan ni/g, "thứ ba tuần này")
-                    .replace(/thu tu tuần này|thứ tư tuần này|thu 4 tuần này|thứ 4 tuần này|thu tu tuan ni|thứ tư tuan ni/g, "thứ tư tuần này")
-                    .replace(/thu nam tuần này|thứ năm tuần này|thu 5 tuần này|thứ 5 tuần này|thu nam tuan ni|thứ nam tuan ni/g, "thứ năm tuần này")
-                    .replace(/thu sau tuần này|thứ sáu tuần này|thu 6 tuần này|thứ 6 tuần này|thu sau tuan ni|thứ sau tuan ni/g, "thứ sáu tuần này")
-                    .replace(/thu bay tuần này|thứ bảy tuần này|thu 7 tuần này|thứ 7 tuần này|thu bay tuan ni|thứ bay tuan ni/g, "thứ bảy tuần này")
-                    .replace(/chu nhat tuần này|chủ nhật tuần này|cn tuần này|chu nhat tuan ni|chủ nhat tuan ni/g, "chủ nhật tuần này")
-                    .replace(/thu hai tuần sau|thứ hai tuần sau|thu 2 tuần sau|thứ 2 tuần sau|thu hai tuan toi|thứ hai tuan toi/g, "thứ hai tuần sau")
-                    .replace(/thu ba tuần sau|thứ ba tuần sau|thu 3 tuần sau|thứ 3 tuần sau|thu ba tuan toi|thứ ba tuan toi/g, "thứ ba tuần sau")
-                    .replace(/thu tu tuần sau|thứ tư tuần sau|thu 4 tuần sau|thứ 4 tuần sau|thu tu tuan toi|thứ tư tuan toi/g, "thứ tư tuần sau")
-                    .replace(/thu nam tuần sau|thứ năm tuần sau|thu 5 tuần sau|thứ 5 tuần sau|thu nam tuan toi|thứ nam tuan toi/g, "thứ năm tuần sau")
-                    .replace(/thu sau tuần sau|thứ sáu tuần sau|thu 6 tuần sau|thứ 6 tuần sau|thu sau tuan toi|thứ sau tuan toi/g, "thứ sáu tuần sau")
-                    .replace(/thu bay tuần sau|thứ bảy tuần sau|thu 7 tuần sau|thứ 7 tuần sau|thu bay tuan toi|thứ bay tuan toi/g, "thứ bảy tuần sau")
-                    .replace(/chu nhat tuần sau|chủ nhật tuần sau|cn tuần sau|chu nhat tuan toi|chủ nhat tuan toi/g, "chủ nhật tuần sau")
-                    .replace(/khoang|khoảng|tu|tu\s*den|từ\s*đến/g, "đến")
-                    .replace(/\s+/g, " ")
-                    .trim();
-
-                // Phân tích ghi chú
-                const noteInfo = parseDeliveryNoteForAddress(normalizedNote);
-                let { timeHint, priority: notePriority, deliveryDate } = noteInfo;
-
-                // Kiểm tra và sửa giá trị không hợp lệ từ parseDeliveryNoteForAddress
-                if (timeHint === '0' || timeHint === 0 || timeHint === '' || timeHint === undefined || timeHint === null) {
-                    console.warn(`Đơn ${order.id_order}: timeHint không hợp lệ (${timeHint}), gán null`);
-                    timeHint = null;
-                }
-                if (deliveryDate === '0' || deliveryDate === 0 || deliveryDate === '' || deliveryDate === undefined || deliveryDate === null) {
-                    console.warn(`Đơn ${order.id_order}: deliveryDate không hợp lệ (${deliveryDate}), gán null`);
-                    deliveryDate = null;
-                }
-                if (notePriority === undefined || notePriority === null || isNaN(notePriority)) {
-                    console.warn(`Đơn ${order.id_order}: notePriority không hợp lệ (${notePriority}), gán 0`);
-                    notePriority = 0;
-                }
-
-                // Log để kiểm tra đầu ra của parseDeliveryNoteForAddress
-                console.log(`Đơn ${order.id_order}: normalizedNote="${normalizedNote}", timeHint="${timeHint}", deliveryDate="${deliveryDate}", notePriority=${notePriority}`);
+                // Phân tích ghi chú thành cấu trúc: ngày, khung giờ, độ gấp, loại hàng, nhà xe, liên hệ
+                const parsedNote = parseNote(note);
+                console.log(`Đơn ${order.id_order}: Kết quả phân tích ghi chú: ${JSON.stringify(parsedNote)}`);
 
-                priority = notePriority;
+                let priority = parsedNote.urgency ? 1 : 0;
 
                 // Xác định ngày giao hàng từ ghi chú
-                const specificDateMatch = normalizedNote.match(/(?:giao ngày|giao vào ngày|giao lúc|giao)\s*(\d{2}[./]\d{2}(?:[./]\d{4})?)/i);
-                if (specificDateMatch) {
-                    let dateStr = specificDateMatch[1];
-                    dateStr = dateStr.replace(/\./g, "/");
-                    if (!dateStr.includes("/202")) {
-                        dateStr += `/2025`;
-                    }
-                    deliveryDateMoment = moment(dateStr, "DD/MM/YYYY").tz("Asia/Ho_Chi_Minh");
-                    if (deliveryDateMoment.isValid()) {
+                if (parsedNote.date) {
+                    const resolvedDate = resolveNoteDate(parsedNote.date, now, deliveryTime);
+                    if (resolvedDate) {
+                        deliveryDateMoment = resolvedDate;
                         hasKeyword = true;
-                    } else {
-                        console.warn(`Đơn ${order.id_order}: Ngày cụ thể không hợp lệ (${dateStr}), bỏ qua`);
-                        hasKeyword = false;
-                    }
-                } else if (deliveryDate && typeof deliveryDate === 'string') {
-                    hasKeyword = true;
-                    const now = moment().tz("Asia/Ho_Chi_Minh");
-                    switch (deliveryDate.toLowerCase()) {
-                        case "hôm nay":
-                            deliveryDateMoment = now.clone();
-                            break;
-                        case "ngày mai":
-                            deliveryDateMoment = now.clone().add(1, "day");
-                            break;
-                        case "ngày mốt":
-                            deliveryDateMoment = now.clone().add(2, "days");
-                            break;
-                        case "ngày kia":
-                            deliveryDateMoment = now.clone().add(3, "days");
-                            break;
-                        case "tuần này":
-                            deliveryDateMoment = now.clone().endOf("week").subtract(1, "day");
-                            break;
-                        case "cuối tuần này":
-                            deliveryDateMoment = now.clone().endOf("week").subtract(1, "day");
-                            break;
-                        case "tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week").endOf("week").subtract(1, "day");
-                            break;
-                        case "đầu tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week").startOf("week").add(1, "day");
-                            break;
-                        case "cuối tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week").endOf("week").subtract(1, "day");
-                            break;
-                        case "tháng sau":
-                            deliveryDateMoment = now.clone().add(1, "month").endOf("month");
-                            break;
-                        case "đầu tháng sau":
-                            deliveryDateMoment = now.clone().add(1, "month").startOf("month");
-                            break;
-                        case "giữa tháng sau":
-                            deliveryDateMoment = now.clone().add(1, "month").startOf("month").add(15, "days");
-                            break;
-                        case "cuối tháng sau":
-                            deliveryDateMoment = now.clone().add(1, "month").endOf("month");
-                            break;
-                        case "trước tết":
-                            deliveryDateMoment = holidays.find(h => h.name === "tết nguyên đán").date.clone().subtract(1, "day");
+                        if (parsedNote.date.type === "holiday" && parsedNote.date.relation === "before") {
                             priority = 2;
-                            break;
-                        case "noel":
-                            deliveryDateMoment = holidays.find(h => h.name === "noel").date.clone();
-                            break;
-                        case "trước trung thu":
-                            deliveryDateMoment = holidays.find(h => h.name === "trăng rằm trung thu").date.clone().subtract(1, "day");
-                            priority = 2;
-                            break;
-                        case "trước giỗ tổ":
-                            deliveryDateMoment = holidays.find(h => h.name === "giỗ tổ hùng vương").date.clone().subtract(1, "day");
-                            priority = 2;
-                            break;
-                        case "ngày giải phóng":
-                            deliveryDateMoment = holidays.find(h => h.name === "ngày giải phóng").date.clone();
-                            break;
-                        case "quốc tế lao động":
-                            deliveryDateMoment = holidays.find(h => h.name === "quốc tế lao động").date.clone();
-                            break;
-                        case "quốc khánh":
-                            deliveryDateMoment = holidays.find(h => h.name === "quốc khánh").date.clone();
-                            break;
-                        case "thứ hai":
-                        case "thứ hai tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 1) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "thứ ba":
-                        case "thứ ba tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 2) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "thứ tư":
-                        case "thứ tư tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 3) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "thứ năm":
-                        case "thứ năm tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 4) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "thứ sáu":
-                        case "thứ sáu tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 5) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "thứ bảy":
-                        case "thứ bảy tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 6) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "chủ nhật":
-                        case "chủ nhật tuần này":
-                            deliveryDateMoment = now.clone();
-                            while (deliveryDateMoment.day() !== 0) deliveryDateMoment.add(1, "day");
-                            if (deliveryDateMoment.isBefore(now)) deliveryDateMoment.add(7, "days");
-                            break;
-                        case "thứ hai tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 1) deliveryDateMoment.add(1, "day");
-                            break;
-                        case "thứ ba tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 2) deliveryDateMoment.add(1, "day");
-                            break;
-                        case "thứ tư tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 3) deliveryDateMoment.add(1, "day");
-                            break;
-                        case "thứ năm tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 4) deliveryDateMoment.add(1, "day");
-                            break;
-                        case "thứ sáu tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 5) deliveryDateMoment.add(1, "day");
-                            break;
-                        case "thứ bảy tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 6) deliveryDateMoment.add(1, "day");
-                            break;
-                        case "chủ nhật tuần sau":
-                            deliveryDateMoment = now.clone().add(1, "week");
-                            while (deliveryDateMoment.day() !== 0) deliveryDateMoment.add(1, "day");
-                            break;
-                        default:
-                            const daysMatch = deliveryDate.match(/(\d+)\s*ngày nữa/);
-                            if (daysMatch) {
-                                const days = parseInt(daysMatch[1], 10);
-                                deliveryDateMoment = now.clone().add(days, "days");
-                            } else {
-                                hasKeyword = false;
-                                console.warn(`Đơn ${order.id_order}: deliveryDate không khớp với từ khóa thời gian (${deliveryDate})`);
-                            }
-                            break;
+                        }
+                    } else {
+                        console.warn(`Đơn ${order.id_order}: Không quy đổi được ngày giao ${JSON.stringify(parsedNote.date)}, bỏ qua`);
                     }
                 }
 
-                // Kiểm tra ngày lễ và Chủ nhật
-                const isHoliday = holidays.some(h => deliveryDateMoment.isSame(h.date, "day"));
-                const isSunday = deliveryDateMoment.day() === 0;
-                if (hasKeyword && (isHoliday || isSunday)) {
-                    do {
-                        deliveryDateMoment.add(1, "day");
-                    } while (deliveryDateMoment.day() === 0 || holidays.some(h => deliveryDateMoment.isSame(h.date, "day")));
+                // Ngày giao rơi vào ngày nghỉ (Chủ nhật, ngày lễ, nghỉ đột xuất) thì dời sang ngày làm việc kế tiếp
+                if (hasKeyword && !isWorkingDay(deliveryDateMoment)) {
+                    deliveryDateMoment = getNextWorkingStart(deliveryDateMoment).startOf("day");
                 }
 
-                // Xử lý các trường hợp đặc biệt
-                if (normalizedNote.includes("khi khách ở nhà") || normalizedNote.includes("sau khi liên hệ")) {
+                // Gọi trước / giao khi khách ở nhà là điều kiện giao, không phải hạn giao
+                if (parsedNote.contact) {
                     hasKeyword = true;
-                    priority = 1;
-                    deliveryDeadline = null;
-                } else if (normalizedNote.includes("gấp") || normalizedNote.includes("gấp hôm nay")) {
+                    deliveryConstraint = parsedNote.contact;
+                }
+
+                // Xử lý các trường hợp đặc biệt
+                if (parsedNote.urgency === "urgent") {
                     hasKeyword = true;
                     priority = 2;
                     deliveryDeadline = deliveryTime.clone().add(travelTime + 15, "minutes");
-                } else if (normalizedNote.includes("sớm")) {
+                } else if (parsedNote.urgency === "soon") {
                     hasKeyword = true;
                     priority = 1;
-                    const now = moment().tz("Asia/Ho_Chi_Minh");
                     deliveryDateMoment = now.clone();
+                    const todayShifts = getWorkingShifts(now);
+                    const workEndHour = todayShifts.length > 0 ? todayShifts[todayShifts.length - 1].end : 17.75;
                     deliveryDeadline = now.hour() < 14
                         ? now.clone().add(3, "hours")
-                        : deliveryDateMoment.clone().startOf("day").add(17, "hours").add(45, "minutes");
+                        : deliveryDateMoment.clone().startOf("day").add(workEndHour, "hours");
                 }
 
-                // Xử lý thời gian giao hàng từ ghi chú (nếu chưa có deadline)
-                if (hasKeyword && timeHint && !deliveryDeadline) {
-                    const timeRangeMatch = normalizedNote.match(/(\d{1,2})\s*đến\s*(\d{1,2})\s*h/i);
-                    if (timeRangeMatch) {
-                        let startHour = parseInt(timeRangeMatch[1], 10);
-                        let endHour = parseInt(timeRangeMatch[2], 10);
-                        const minute = 0;
-                        if (normalizedNote.includes("sáng") && endHour < 12) {
-                            // Giữ nguyên
-                        } else if (normalizedNote.includes("chiều") && startHour < 12) {
-                            startHour += 12;
-                            endHour += 12;
-                        } else if (normalizedNote.includes("tối") && startHour < 12) {
-                            startHour += 12;
-                            endHour += 12;
-                        }
-                        deliveryDeadline = deliveryDateMoment
-                            .clone()
-                            .startOf("day")
-                            .add(endHour, "hours")
-                            .add(minute, "minutes");
+                const atClock = (clock) => {
+                    const [hour, minute] = clock.split(":").map(Number);
+                    return deliveryDateMoment.clone().startOf("day").add(hour, "hours").add(minute, "minutes");
+                };
+
+                // Xử lý khung giờ giao từ ghi chú (nếu chưa có deadline); ghi chú không ghi ngày thì tính theo ngày xuất kho
+                if (parsedNote.time && !deliveryDeadline) {
+                    hasKeyword = true;
+                    const { constraint, part, start, end } = parsedNote.time;
+                    const startOfDay = deliveryDateMoment.clone().startOf("day");
+                    if (constraint === "part_of_day") {
+                        deliveryDeadline = atClock(PART_OF_DAY_DEADLINES[part]);
+                    } else if (constraint === "after") {
+                        // Chỉ có giờ bắt đầu: hạn là cuối ca làm việc của ngày giao
+                        const shifts = getWorkingShifts(startOfDay);
+                        deliveryDeadline = shifts.length > 0
+                            ? startOfDay.clone().add(shifts[shifts.length - 1].end, "hours")
+                            : atClock(start);
                     } else {
-                        switch (timeHint.toLowerCase()) {
-                            case "sáng":
-                                deliveryDeadline = deliveryDateMoment.clone().startOf("day").add(10, "hours");
-                                break;
-                            case "chiều":
-                                deliveryDeadline = deliveryDateMoment.clone().startOf("day").add(15, "hours");
-                                break;
-                            case "tối":
-                                deliveryDeadline = deliveryDateMoment.clone().startOf("day").add(17, "hours").add(45, "minutes");
-                                break;
-                            default:
-                                const timeMatch = timeHint.match(/(\d{1,2})(?::(\d{2}))?(h|am|pm)?/i);
-                                if (timeMatch) {
-                                    let hour = parseInt(timeMatch[1], 10);
-                                    const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
-                                    const period = timeMatch[3] ? timeMatch[3].toLowerCase() : "h";
-                                    if (period === "pm" && hour < 12) hour += 12;
-                                    else if (period === "am" && hour === 12) hour = 0;
-                                    else if (normalizedNote.includes("tối") && hour < 12) hour += 12;
-                                    else if (normalizedNote.includes("chiều") && hour < 12) hour += 12;
-                                    deliveryDeadline = deliveryDateMoment
-                                        .clone()
-                                        .startOf("day")
-                                        .add(hour, "hours")
-                                        .add(minute, "minutes");
-                                } else {
-                                    console.warn(`Đơn ${order.id_order}: timeHint không hợp lệ (${timeHint}), bỏ qua`);
-                                    hasKeyword = false;
-                                }
-                                break;
-                        }
+                        deliveryDeadline = atClock(end || start);
+                    }
+                }
+
+                // Khung giờ nhận hàng: "sau 14h" chỉ có giờ mở, "trước 10h" chỉ có giờ đóng (trừ khi kèm buổi)
+                if (parsedNote.time) {
+                    hasKeyword = true;
+                    const { constraint, part, start, end } = parsedNote.time;
+                    const [partStart, partEnd] = part ? PART_OF_DAY_WINDOWS[part] : [null, null];
+                    if (constraint === "part_of_day") {
+                        [windowStart, windowEnd] = [atClock(partStart), atClock(partEnd)];
+                    } else if (constraint === "between") {
+                        [windowStart, windowEnd] = [atClock(start), atClock(end)];
+                    } else if (constraint === "after") {
+                        windowStart = atClock(start);
+                    } else if (constraint === "before") {
+                        windowStart = partStart ? atClock(partStart) : null;
+                        windowEnd = atClock(end);
+                    } else {
+                        [windowStart, windowEnd] = [atClock(start), atClock(start)];
                     }
                 }
 
                 // Điều chỉnh delivery_deadline theo thời gian làm việc
                 if (hasKeyword && deliveryDeadline) {
-                    const isSaturday = deliveryDeadline.day() === 6;
-                    const startOfDay = deliveryDeadline.clone().startOf("day");
-                    const workStart = startOfDay.clone().add(8, "hours");
-                    const workEnd = isSaturday
-                        ? startOfDay.clone().add(16, "hours").add(30, "minutes")
-                        : startOfDay.clone().add(17, "hours").add(45, "minutes");
-                    const lunchStart = startOfDay.clone().add(12, "hours");
-                    const lunchEnd = startOfDay.clone().add(13, "hours").add(30, "minutes");
-
-                    const isHoliday = holidays.some(h => deliveryDeadline.isSame(h.date, "day"));
-                    const isSunday = deliveryDeadline.day() === 0;
-                    if (isHoliday || isSunday) {
-                        do {
-                            deliveryDeadline.add(1, "day");
-                            deliveryDeadline = deliveryDeadline.clone().startOf("day").add(8, "hours");
-                        } while (deliveryDeadline.day() === 0 || holidays.some(h => deliveryDeadline.isSame(h.date, "day")));
+                    if (!isWorkingDay(deliveryDeadline)) {
+                        deliveryDeadline = getNextWorkingStart(deliveryDeadline);
                         deliveryDateMoment = deliveryDeadline.clone().startOf("day");
                     }
 
-                    if (deliveryDeadline.isSameOrAfter(lunchStart) && deliveryDeadline.isBefore(lunchEnd)) {
-                        deliveryDeadline = lunchEnd.clone();
+                    const shifts = getWorkingShifts(deliveryDeadline);
+                    const startOfDay = deliveryDeadline.clone().startOf("day");
+                    const workStart = startOfDay.clone().add(shifts[0].start, "hours");
+                    const workEnd = startOfDay.clone().add(shifts[shifts.length - 1].end, "hours");
+
+                    // Hạn rơi vào giờ nghỉ giữa hai ca thì dời tới đầu ca sau
+                    const deadlineHour = deliveryDeadline.hour() + deliveryDeadline.minute() / 60;
+                    const breakEnd = shifts.find((slot, index) =>
+                        index > 0 && deadlineHour >= shifts[index - 1].end && deadlineHour < slot.start
+                    );
+                    if (breakEnd) {
+                        deliveryDeadline = startOfDay.clone().add(breakEnd.start, "hours");
                     }
 
                     if (deliveryDeadline.isBefore(workStart)) {
                         deliveryDeadline = workStart.clone();
                     } else if (deliveryDeadline.isAfter(workEnd)) {
-                        do {
-                            deliveryDeadline.add(1, "day");
-                            deliveryDeadline = deliveryDeadline.clone().startOf("day").add(8, "hours");
-                        } while (deliveryDeadline.day() === 0 || holidays.some(h => deliveryDeadline.isSame(h.date, "day")));
+                        deliveryDeadline = getNextWorkingStart(deliveryDeadline);
                         deliveryDateMoment = deliveryDeadline.clone().startOf("day");
                     }
 
@@ -3394,7 +3296,7 @@ async function analyzeDeliveryNote() {
                 // Nếu không có từ khóa, trả về null và priority = 0
                 if (!hasKeyword) {
                     console.log(`Đơn ${order.id_order}: Không tìm thấy từ khóa thời gian, gán delivery_deadline=null, priority=0`);
-                    return { id_order: order.id_order, priority: 0, delivery_deadline: null };
+                    return { id_order: order.id_order, ...NO_NOTE_RESULT };
                 }
 
                 // Đảm bảo delivery_deadline là null hoặc chuỗi DATETIME hợp lệ
@@ -3403,19 +3305,25 @@ async function analyzeDeliveryNote() {
                     deliveryDeadline = null;
                 }
 
+                const formatDateTime = (time) => (time ? time.format("YYYY-MM-DD HH:mm:ss") : null);
                 const result = {
                     id_order: order.id_order,
                     priority,
-                    delivery_deadline: deliveryDeadline ? deliveryDeadline.format("YYYY-MM-DD HH:mm:ss") : null,
+                    delivery_deadline: formatDateTime(deliveryDeadline),
+                    window_start: formatDateTime(windowStart),
+                    window_end: formatDateTime(windowEnd),
+                    delivery_constraint: deliveryConstraint,
                 };
 
                 // Log kết quả cuối cùng của parseDeliveryNote
-                console.log(`Đơn ${order.id_order}: Kết quả parseDeliveryNote: priority=${result.priority}, delivery_deadline=${result.delivery_deadline}`);
+                console.log(
+                    `Đơn ${order.id_order}: Kết quả parseDeliveryNote: priority=${result.priority}, delivery_deadline=${result.delivery_deadline}, window=${result.window_start}~${result.window_end}, constraint=${result.delivery_constraint}`
+                );
 
                 return result;
             } catch (error) {
                 console.error(`Lỗi phân tích đơn ${order.id_order}: ${error.message}`);
-                return { id_order: order.id_order, priority: 0, delivery_deadline: null };
+                return { id_order: order.id_order, ...NO_NOTE_RESULT };
             }
         };
 
@@ -3434,65 +3342,66 @@ async function analyzeDeliveryNote() {
                     console.log(
                         `[analyzeDeliveryNote] Đã phân tích đơn ${order.id_order}: delivery_note="${order.delivery_note}", priority=${result.priority}, delivery_deadline=${result.delivery_deadline}`
                     );
-                    if (result.priority > 0 || result.delivery_deadline) {
+                    if (result.priority > 0 || result.delivery_deadline || result.window_start || result.window_end || result.delivery_constraint) {
                         // Kiểm tra giá trị delivery_deadline trước khi đẩy vào priorityUpdates
                         if (result.delivery_deadline === '0' || (result.delivery_deadline && !moment(result.delivery_deadline, "YYYY-MM-DD HH:mm:ss", true).isValid())) {
                             console.warn(`Đơn ${order.id_order}: delivery_deadline không hợp lệ (${result.delivery_deadline}), gán null`);
                             result.delivery_deadline = null;
                         }
-                        priorityUpdates.push([
-                            result.priority,
-                            result.delivery_deadline,
-                            result.id_order,
-                        ]);
+                        priorityUpdates.push(result);
                     }
                 })
             );
             await Promise.all(batchPromises);
         }
 
-        // Cập nhật analyzed, priority, và delivery_deadline trong một truy vấn
+        // Cập nhật analyzed, priority, delivery_deadline, khung giờ và nguồn kết quả trong một truy vấn
         if (analyzedOrders.length > 0) {
             console.log(`[analyzeDeliveryNote] Số đơn hàng đã phân tích: ${analyzedOrders.length}`);
             
-            // Tạo truy vấn UPDATE với CASE
+            // Tạo truy vấn UPDATE với một CASE cho mỗi cột, tham số nối theo đúng thứ tự xuất hiện trong câu lệnh.
+            // Đơn có kết quả từ khóa ghi nguồn 'rules' để lượt OpenAI không ghi đè; đơn không có từ khóa xóa nguồn cũ.
+            // Cột thuộc nhóm đã sửa tay (override_priority, override_window) giữ nguyên
             const idOrders = analyzedOrders.map(([id_order]) => id_order);
-            let updateQuery = `
-                UPDATE orders
-                SET 
-                    analyzed = 1,
-                    priority = CASE id_order
-            `;
-            let deliveryDeadlineCase = `
-                    delivery_deadline = CASE id_order
-            `;
+            const updatesById = new Map(priorityUpdates.map((update) => [update.id_order, update]));
+            const caseColumns = ["priority", "delivery_deadline", "window_start", "window_end", "delivery_constraint", "note_source"];
             const queryParams = [];
-
-            analyzedOrders.forEach(([id_order]) => {
-                const update = priorityUpdates.find(([_, __, id]) => id === id_order) || [0, null, id_order];
-                // Kiểm tra lại update[1] (delivery_deadline) trước khi thêm vào query
-                if (update[1] === '0' || (update[1] && !moment(update[1], "YYYY-MM-DD HH:mm:ss", true).isValid())) {
-                    console.warn(`Đơn ${id_order}: delivery_deadline không hợp lệ trong priorityUpdates (${update[1]}), gán null`);
-                    update[1] = null;
-                }
-                updateQuery += ` WHEN ? THEN ?`;
-                deliveryDeadlineCase += ` WHEN ? THEN ?`;
-                queryParams.push(id_order, update[0], id_order, update[1]);
+            const caseClauses = caseColumns.map((column) => {
+                const whens = idOrders.map((id_order) => {
+                    const update = updatesById.get(id_order);
+                    const value = column === "note_source"
+                        ? (update ? "rules" : null)
+                        : (update || NO_NOTE_RESULT)[column];
+                    queryParams.push(id_order, value);
+                    return "WHEN ? THEN ?";
+                });
+                const overrideFlag = column === "priority" ? "override_priority" : column === "note_source" ? null : "override_window";
+                const caseSql = `CASE id_order ${whens.join(" ")} ELSE ${column} END`;
+                return overrideFlag
+                    ? `${column} = IF(${overrideFlag} = 1, ${column}, ${caseSql})`
+                    : `${column} = ${caseSql}`;
             });
-
-            updateQuery += `
-                    ELSE priority END,
-            `;
-            deliveryDeadlineCase += `
-                    ELSE delivery_deadline END
-            `;
-
-            updateQuery += deliveryDeadlineCase + `
+            const updateQuery = `
+                UPDATE orders
+                SET
+                    analyzed = 1,
+                    ${caseClauses.join(",\n                    ")},
+                    note_confidence = IF(note_source = 'rules', 1, NULL)
                 WHERE id_order IN (${idOrders.map(() => '?').join(',')})
             `;
             queryParams.push(...idOrders);
 
-            const [updateResult] = await connection.query(updateQuery, queryParams);
+            const trackedColumns = {
+                table_name: "orders",
+                ids: idOrders,
+                fields: NOTE_RESULT_FIELDS,
+                actor_type: "function",
+                actor: "analyzeDeliveryNote",
+                pipeline_run_id: runId,
+            };
+            const [updateResult] = await withTransaction((connection) =>
+                trackOrderChanges(connection, trackedColumns, () => connection.query(updateQuery, queryParams))
+            );
             console.log(`[analyzeDeliveryNote] Số dòng cập nhật: ${updateResult.affectedRows}`);
 
             // Thống kê số đơn không có từ khóa
@@ -3502,105 +3411,345 @@ async function analyzeDeliveryNote() {
             console.log("[analyzeDeliveryNote] Không có đơn hàng nào được phân tích");
         }
 
-        await connection.end();
         console.log(`[analyzeDeliveryNote] Thực thi trong ${Date.now() - startTime}ms`);
+        return analyzedOrders.length;
     } catch (error) {
         console.error("[analyzeDeliveryNote] Lỗi:", error.message, error.stack);
         throw error;
     }
 }
 
-// ================================================================== CHƯƠNG TRÌNH CHÍNH ==================================================
-// CHƯƠNG TRÌNH CHÍNH
-async function main(page = 1, io) {
+// PHÂN TÍCH BỔ SUNG BẰNG OPENAI CHO GHI CHÚ MÀ analyzeDeliveryNote KHÔNG TÌM THẤY TỪ KHÓA
+// Chỉ xét đơn chưa có kết quả (note_source IS NULL) và chưa gửi OpenAI với ghi chú hiện tại.
+// Kết quả từ khóa luôn thắng: câu UPDATE chỉ ghi khi đơn vẫn chưa có nguồn và ghi chú chưa đổi.
+async function analyzeNotesWithOpenAI(runId = null) {
   const startTime = Date.now();
-  let api2Calls = 0,
-    openAICalls = 0,
-    tomtomCalls = 0;
-
   try {
-    console.log(
-      "🚀 Khởi động công cụ giao hàng lúc:",
-      moment().tz("Asia/Ho_Chi_Minh").format()
+    if (!NOTE_LLM_ENABLED) {
+      console.log(
+        "[analyzeNotesWithOpenAI] Đã tắt, đặt NOTE_LLM_FALLBACK=true để bật"
+      );
+      return 0;
+    }
+
+    await loadBusinessCalendar();
+
+    const [orders] = await getPool().query(
+      `
+      SELECT o.id_order, o.delivery_note, o.date_delivery, SHA1(o.delivery_note) AS note_hash
+      FROM orders o
+      LEFT JOIN order_note_analyses ona ON ona.id_order = o.id_order
+      WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
+        AND o.analyzed = 1
+        AND o.note_source IS NULL
+        AND (o.priority = 0 OR o.override_priority = 1)
+        AND (o.delivery_deadline IS NULL OR o.override_window = 1)
+        AND NOT (o.override_priority = 1 AND o.override_window = 1)
+        AND o.delivery_note IS NOT NULL
+        AND o.delivery_note != ''
+        AND o.date_delivery IS NOT NULL
+        AND (ona.id_order IS NULL OR ona.note_hash != SHA1(o.delivery_note))
+      ORDER BY o.created_at DESC
+      LIMIT ?
+      `,
+      [NOTE_LLM_BATCH_LIMIT]
     );
+
+    if (orders.length === 0) {
+      console.log(
+        "[analyzeNotesWithOpenAI] Không có ghi chú nào cần phân tích bằng OpenAI"
+      );
+      return 0;
+    }
     console.log(
-      "================================================================="
+      `[analyzeNotesWithOpenAI] Số ghi chú gửi OpenAI: ${orders.length}`
     );
 
-    console.log("📦 Bước 1: Lấy và lưu đơn hàng...");
-    const orders = await fetchAndSaveOrders();
-    api2Calls += orders.length;
-    console.log(`✅ Đã lưu ${orders.length} đơn hàng vào orders`);
-    console.log(
+    const now = moment().tz("Asia/Ho_Chi_Minh");
+    const limit = pLimit(5);
+    const analyses = (
+      await Promise.all(
+        orders.map((order) =>
+          limit(async () => {
+            const deliveryTime = moment(
+              order.date_delivery,
+              "DD/MM/YYYY HH:mm:ss"
+            ).tz("Asia/Ho_Chi_Minh");
+            if (!deliveryTime.isValid()) {
+              console.warn(
+                `[analyzeNotesWithOpenAI] Đơn ${order.id_order}: date_delivery không hợp lệ: ${order.date_delivery}`
+              );
+              return null;
+            }
+            const raw = await callOpenAIForNote(
+              order.id_order,
+              order.delivery_note,
+              deliveryTime,
+              now
+            );
+            if (!raw) return null;
+            const analysis = normalizeNoteAnalysis(raw);
+            console.log(
+              `[analyzeNotesWithOpenAI] Đơn ${order.id_order}: "${order.delivery_note}" → priority=${analysis.priority}, delivery_deadline=${analysis.delivery_deadline}, confidence=${analysis.confidence}`
+            );
+            return { order, raw, analysis };
+          })
+        )
+      )
+    ).filter(Boolean);
+
+    let appliedCount = 0;
+    await withTransaction((connection) =>
+      trackOrderChanges(
+        connection,
+        {
+          table_name: "orders",
+          ids: analyses.map(({ order }) => order.id_order),
+          fields: NOTE_RESULT_FIELDS,
+          actor_type: "function",
+          actor: "analyzeNotesWithOpenAI",
+          pipeline_run_id: runId,
+        },
+        async () => {
+          for (const { order, raw, analysis } of analyses) {
+            let applied = false;
+            if (
+              analysis.confidence >= NOTE_LLM_MIN_CONFIDENCE &&
+              (analysis.priority > 0 ||
+                analysis.delivery_deadline ||
+                analysis.window_start ||
+                analysis.window_end ||
+                analysis.delivery_constraint)
+            ) {
+              const [result] = await connection.query(
+                `
+            UPDATE orders
+            SET priority = IF(override_priority = 1, priority, ?),
+              delivery_deadline = IF(override_window = 1, delivery_deadline, ?),
+              window_start = IF(override_window = 1, window_start, ?),
+              window_end = IF(override_window = 1, window_end, ?),
+              delivery_constraint = IF(override_window = 1, delivery_constraint, ?),
+              note_source = 'openai', note_confidence = ?
+            WHERE id_order = ?
+              AND analyzed = 1
+              AND note_source IS NULL
+              AND SHA1(delivery_note) = ?
+            `,
+                [
+                  analysis.priority,
+                  analysis.delivery_deadline,
+                  analysis.window_start,
+                  analysis.window_end,
+                  analysis.delivery_constraint,
+                  analysis.confidence,
+                  order.id_order,
+                  order.note_hash,
+                ]
+              );
+              applied = result.affectedRows > 0;
+            }
+            if (applied) appliedCount++;
+
+            await connection.query(
+              `
+          INSERT INTO order_note_analyses
+            (id_order, source, model, note_hash, priority, delivery_deadline, window_start, window_end, delivery_constraint, confidence, reason, applied, raw_response)
+          VALUES (?, 'openai', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+            source = VALUES(source),
+            model = VALUES(model),
+            note_hash = VALUES(note_hash),
+            priority = VALUES(priority),
+            delivery_deadline = VALUES(delivery_deadline),
+            window_start = VALUES(window_start),
+            window_end = VALUES(window_end),
+            delivery_constraint = VALUES(delivery_constraint),
+            confidence = VALUES(confidence),
+            reason = VALUES(reason),
+            applied = VALUES(applied),
+            raw_response = VALUES(raw_response)
+          `,
+              [
+                order.id_order,
+                NOTE_LLM_MODEL,
+                order.note_hash,
+                analysis.priority,
+                analysis.delivery_deadline,
+                analysis.window_start,
+                analysis.window_end,
+                analysis.delivery_constraint,
+                analysis.confidence,
+                analysis.reason,
+                applied ? 1 : 0,
+                JSON.stringify(raw),
+              ]
+            );
+          }
+        }
+      )
+    );
+
+    console.log(
+      `[analyzeNotesWithOpenAI] Đã lưu ${analyses.length} kết quả, áp dụng ${appliedCount} đơn (ngưỡng tin cậy ${NOTE_LLM_MIN_CONFIDENCE})`
+    );
+    console.log(
+      `[analyzeNotesWithOpenAI] Thực thi trong ${Date.now() - startTime}ms`
+    );
+    return appliedCount;
+  } catch (error) {
+    console.error("[analyzeNotesWithOpenAI] Lỗi:", error.message, error.stack);
+    throw error;
+  }
+}
+
+// ================================================================== CHƯƠNG TRÌNH CHÍNH ==================================================
+// CHƯƠNG TRÌNH CHÍNH
+// Chỉ một lần chạy tại một thời điểm (kể cả giữa nhiều server). Lần gọi trùng
+// ném lỗi code "RUN_IN_PROGRESS" và được gộp thành một lần chạy tiếp theo.
+async function main(page = 1, io, trigger = "manual") {
+  return runExclusive("main", () => runPipeline(page, io, trigger), {
+    trigger,
+    queueIfBusy: true,
+  });
+}
+
+// CÁC BƯỚC XỬ LÝ CỦA MỘT LẦN CHẠY
+async function runPipeline(page, io, trigger) {
+  const startTime = Date.now();
+  const callsAtStart = { ...externalCallStats };
+  const steps = [];
+  const errors = [];
+  const counts = { fetched: 0, standardized: 0, geocoded: 0, analyzed: 0 };
+  const runId = await createPipelineRun(trigger);
+
+  // Chạy một bước, ghi lại thời gian thực thi và lỗi vào lịch sử chạy
+  const runStep = async (name, fn) => {
+    const stepStart = Date.now();
+    try {
+      const result = await fn();
+      steps.push({
+        name,
+        duration_ms: Date.now() - stepStart,
+        status: "success",
+      });
+      return result;
+    } catch (error) {
+      steps.push({
+        name,
+        duration_ms: Date.now() - stepStart,
+        status: "failed",
+      });
+      errors.push({ step: name, message: error.message });
+      throw error;
+    }
+  };
+
+  const getExternalCalls = () =>
+    Object.fromEntries(
+      Object.keys(externalCallStats).map((key) => [
+        key,
+        externalCallStats[key] - callsAtStart[key],
+      ])
+    );
+
+  try {
+    console.log(
+      "🚀 Khởi động công cụ giao hàng lúc:",
+      moment().tz("Asia/Ho_Chi_Minh").format()
+    );
+    console.log(
+      "================================================================="
+    );
+
+    console.log("📦 Bước 1: Lấy và lưu đơn hàng...");
+    const orders = await runStep("fetchAndSaveOrders", () =>
+      fetchAndSaveOrders(runId)
+    );
+    counts.fetched = orders.length;
+    console.log(`✅ Đã lưu ${orders.length} đơn hàng vào orders`);
+    console.log(
       "================================================================="
     );
 
     console.log("🔄 Bước 2: Đồng bộ trạng thái đơn hàng...");
-    await syncOrderStatus();
-    api2Calls += orders.length;
+    await runStep("syncOrderStatus", () => syncOrderStatus(io, runId));
     console.log("✅ Đã đồng bộ trạng thái đơn hàng");
     console.log(
       "================================================================="
     );
 
     console.log("📋 Bước 3: Cập nhật trạng thái đơn hàng hoàn thành...");
-    await updateOrderStatusToCompleted();
-    api2Calls += orders.length;
+    await runStep("updateOrderStatusToCompleted", () =>
+      updateOrderStatusToCompleted(runId)
+    );
     console.log("✅ Đã cập nhật trạng thái các đơn hàng hoàn thành");
     console.log(
       "================================================================="
     );
 
     console.log("🗺️ Bước 4: Chuẩn hóa và ánh xạ địa chỉ...");
-    const connection = await createConnectionWithRetry();
-    const [unstandardizedOrders] = await connection.query(
-      `
-      SELECT o.id_order AS MaPX, o.address AS DcGiaohang, 
-             o.old_address, o.DiachiTruSo
-      FROM orders o
-      LEFT JOIN orders_address oa ON o.id_order = oa.id_order
-      WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
-        AND oa.id_order IS NULL
-      `,
-      []
-    );
-    await connection.end();
+    const standardizedOrders = await runStep(
+      "standardizeAddresses",
+      async () => {
+        const pool = getPool();
+        const [unstandardizedOrders] = await pool.query(
+          `
+          SELECT o.id_order AS MaPX, o.address AS DcGiaohang, 
+                 o.old_address, o.DiachiTruSo, o.needs_restandardize
+          FROM orders o
+          LEFT JOIN orders_address oa ON o.id_order = oa.id_order
+          WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
+            AND (oa.id_order IS NULL OR o.needs_restandardize = 1)
+          `,
+          []
+        );
 
-    console.log(
-      "[main] Dữ liệu đơn hàng cần chuẩn hóa:",
-      unstandardizedOrders.map((o) => ({
-        MaPX: o.MaPX,
-        DcGiaohang: o.DcGiaohang,
-        DiachiTruSo: o.DiachiTruSo,
-      }))
-    );
-    const ordersToStandardize = unstandardizedOrders.map((order) => ({
-      MaPX: order.MaPX,
-      DcGiaohang: order.DcGiaohang,
-      DiachiTruSo: order.DiachiTruSo, // Thêm DiachiTruSo
-      isEmpty: !order.DcGiaohang,
-      addressChanged: order.DcGiaohang !== order.old_address,
-    }));
-    console.log(
-      "[main] Số đơn hàng cần chuẩn hóa:",
-      ordersToStandardize.length
-    );
+        console.log(
+          "[main] Dữ liệu đơn hàng cần chuẩn hóa:",
+          unstandardizedOrders.map((o) => ({
+            MaPX: o.MaPX,
+            DcGiaohang: o.DcGiaohang,
+            DiachiTruSo: o.DiachiTruSo,
+          }))
+        );
+        const ordersToStandardize = unstandardizedOrders.map((order) => ({
+          MaPX: order.MaPX,
+          DcGiaohang: order.DcGiaohang,
+          DiachiTruSo: order.DiachiTruSo, // Thêm DiachiTruSo
+          isEmpty: !order.DcGiaohang,
+          addressChanged:
+            order.needs_restandardize === 1 ||
+            order.DcGiaohang !== order.old_address,
+          // Địa chỉ đổi sau lần chuẩn hóa trước, không dùng lại kết quả cũ
+          forceRestandardize: order.needs_restandardize === 1,
+        }));
+        console.log(
+          "[main] Số đơn hàng cần chuẩn hóa:",
+          ordersToStandardize.length
+        );
 
-    let standardizedOrders = [];
-    if (ordersToStandardize.length > 0) {
-      standardizedOrders = await standardizeAddresses(ordersToStandardize);
-      openAICalls += standardizedOrders.length;
-      console.log(`[main] Đã chuẩn hóa ${standardizedOrders.length} đơn hàng`);
-    } else {
-      console.log("[main] Không có đơn hàng nào cần chuẩn hóa");
-    }
+        if (ordersToStandardize.length === 0) {
+          console.log("[main] Không có đơn hàng nào cần chuẩn hóa");
+          return [];
+        }
+        // updateStandardizedAddresses ở bước 5 là nơi duy nhất ghi orders_address
+        const results = await standardizeAddresses(ordersToStandardize, {
+          persist: false,
+        });
+        console.log(`[main] Đã chuẩn hóa ${results.length} đơn hàng`);
+        return results;
+      }
+    );
+    counts.standardized = standardizedOrders.length;
     console.log(
       "================================================================="
     );
 
     console.log("💾 Bước 5: Cập nhật địa chỉ chuẩn hóa...");
     if (standardizedOrders.length > 0) {
-      await updateStandardizedAddresses(standardizedOrders);
+      await runStep("updateStandardizedAddresses", () =>
+        updateStandardizedAddresses(standardizedOrders, runId)
+      );
       console.log("✅ Đã cập nhật địa chỉ chuẩn hóa");
     } else {
       console.log("[main] Không có địa chỉ chuẩn hóa để cập nhật");
@@ -3610,37 +3759,66 @@ async function main(page = 1, io) {
     );
 
     console.log("📏 Bước 6: Tính toán khoảng cách và thời gian...");
-    await calculateDistances();
-    tomtomCalls += ordersToStandardize.length;
+    const distanceResult = await runStep(
+      "calculateDistances",
+      calculateDistances
+    );
+    counts.geocoded = distanceResult.geocodedCount;
     console.log("✅ Đã tính toán khoảng cách và thời gian");
     console.log(
       "================================================================="
     );
 
     console.log("📝 Bước 7: Phân tích ghi chú đơn hàng...");
-    await analyzeDeliveryNote();
+    counts.analyzed = await runStep("analyzeDeliveryNote", () =>
+      analyzeDeliveryNote(runId)
+    );
+    if (NOTE_LLM_ENABLED) {
+      await runStep("analyzeNotesWithOpenAI", () =>
+        analyzeNotesWithOpenAI(runId)
+      );
+    }
     console.log("✅ Đã phân tích ghi chú và cập nhật ưu tiên");
     console.log(
       "================================================================="
     );
 
     console.log("⏫ Bước 8: Cập nhật trạng thái ưu tiên đơn hàng...");
-    await updatePriorityStatus(io);
+    await runStep("updatePriorityStatus", () =>
+      updatePriorityStatus(io, runId)
+    );
     console.log("✅ Đã cập nhật trạng thái ưu tiên");
     console.log(
       "================================================================="
     );
 
-    console.log(`🔍 Bước 9: Lấy đơn hàng gần nhất (trang ${page})...`);
-    const groupedOrders = await groupOrders(page);
+    console.log("🧺 Bước 9: Gom đơn hàng thành lô giao...");
+    const batchCount = await runStep("recomputeBatches", () =>
+      recomputeBatches(runId)
+    );
+    console.log(`✅ Đã tạo ${batchCount} lô giao hàng`);
+    console.log(
+      "================================================================="
+    );
+
+    console.log(`🔍 Bước 10: Lấy đơn hàng gần nhất (trang ${page})...`);
+    const groupedOrders = await runStep("groupOrders", () => groupOrders(page));
     console.log(
       "================================================================="
     );
 
+    const externalCalls = getExternalCalls();
     console.log("📊 Thống kê API calls:");
-    console.log(`- API_2 calls: ${api2Calls}`);
-    console.log(`- OpenAI calls: ${openAICalls}`);
-    console.log(`- TomTom calls: ${tomtomCalls}`);
+    console.log(`- API_2 calls: ${externalCalls.api2}`);
+    console.log(`- OpenAI calls: ${externalCalls.openai}`);
+    console.log(
+      `- Geocode calls (${getGeoProvider().name}): ${externalCalls.geocode}`
+    );
+    console.log(`- Route calls: ${externalCalls.route}`);
+    console.log(`- Matrix calls: ${externalCalls.matrix}`);
+    console.log(
+      `- Geocode kho tiết kiệm nhờ cache: ${externalCalls.warehouse_cache_hits}`
+    );
 
     if (io) {
       io.emit("ordersUpdated", {
@@ -3654,564 +3832,61 @@ async function main(page = 1, io) {
     console.log("🏁 Công cụ giao hàng hoàn tất.");
     console.log(`[main] Thực thi trong ${Date.now() - startTime}ms`);
 
-    lastRunTime = moment().tz("Asia/Ho_Chi_Minh").format();
+    await finishPipelineRun(runId, {
+      status: "success",
+      durationMs: Date.now() - startTime,
+      steps,
+      counts,
+      externalCalls,
+      errors,
+    });
 
     return groupedOrders;
   } catch (error) {
     console.error("[main] Lỗi:", error.message, error.stack);
-    throw error;
-  }
-}
-
-// CHẠY CHƯƠNG TRÌNH LẦN ĐẦU
-main(1, io).catch((error) =>
-  console.error("Lỗi khi chạy main lần đầu:", error.message)
-);
-
-// CẬP NHẬT ĐƠN HÀNG MỚI MỖI 5 PHÚT
-cron.schedule("*/5 * * * *", () => {
-  console.log(
-    "Chạy quy trình giao hàng lúc:",
-    moment().tz("Asia/Ho_Chi_Minh").format()
-  );
-  main(1, io).catch((error) =>
-    console.error("Lỗi khi chạy main:", error.message)
-  );
-});
-
-// CẬP NHẬT TRẠNG THÁI ĐƠN HÀNG MỖI 15 PHÚT
-cron.schedule("*/15 * * * *", () => {
-  console.log(
-    "Chạy quy trình đồng bộ trạng thái lúc:",
-    moment().tz("Asia/Ho_Chi_Minh").format()
-  );
-  syncOrderStatus().catch((error) =>
-    console.error("Lỗi khi chạy syncOrderStatus:", error.message)
-  );
-});
-
-// ================================================================== ROUTER ==================================================
-// SẮP XẾP ĐƠN HÀNG
-app.get("/grouped-orders", async (req, res) => {
-  try {
-    console.time("grouped-orders");
-    const page = parseInt(req.query.page) || 1;
-    const filterDate = req.query.date || null;
-
-    if (isNaN(page) || page < 1) {
-      return res.status(400).json({ error: "Page phải là số nguyên dương" });
-    }
-
-    console.log(
-      `Gọi groupOrders với page: ${page}, date: ${filterDate || "all"}`
-    );
-    const groupedOrders = await groupOrders(page, filterDate);
-
-    console.timeEnd("grouped-orders");
-    res.status(200).json(groupedOrders);
-  } catch (error) {
-    console.error("Lỗi trong /grouped-orders:", error.message, error.stack);
-    res.status(500).json({ error: "Lỗi server", details: error.message });
-  }
-});
-
-// SẮP XẾP ĐƠN HÀNG 2
-app.get("/grouped-orders2", async (req, res) => {
-  try {
-    console.time("grouped-orders2");
-    const page = parseInt(req.query.page) || 1;
-    const filterDate = req.query.date || null;
-
-    if (isNaN(page) || page < 1) {
-      return res.status(400).json({ error: "Page phải là số nguyên dương" });
+    if (errors.length === 0) {
+      errors.push({ step: null, message: error.message });
     }
-
-    console.log(
-      `Gọi groupOrders với page: ${page}, date: ${filterDate || "all"}`
-    );
-    const groupedOrders = await groupOrders2(page, filterDate);
-
-    console.timeEnd("grouped-orders2");
-    res.status(200).json(groupedOrders);
-  } catch (error) {
-    console.error("Lỗi trong /grouped-orders2:", error.message, error.stack);
-    res.status(500).json({ error: "Lỗi server", details: error.message });
-  }
-});
-
-// XỬ LÝ ĐƠN HÀNG
-app.get("/process-orders", async (req, res) => {
-  try {
-    console.time("process-orders");
-    const page = parseInt(req.query.page) || 1;
-    if (isNaN(page) || page < 1) {
-      return res.status(400).json({ error: "Page phải là số nguyên dương" });
-    }
-    console.log(`Gọi main với page: ${page}`);
-    const groupedOrders = await main(page, io);
-    console.timeEnd("process-orders");
-    res.status(200).json(groupedOrders);
-  } catch (error) {
-    console.error("Lỗi trong /process-orders:", error.message, error.stack);
-    res.status(500).json({ error: "Lỗi server", details: error.message });
-  }
-});
-
-// LẤY DANH SÁCH QUẬN VÀ PHƯỜNG
-app.get("/locations", async (req, res) => {
-  const connection = await mysql.createConnection(dbConfig);
-  const [rows] = await connection.query(`
-    SELECT DISTINCT district, ward
-    FROM orders_address
-    WHERE district IS NOT NULL AND ward IS NOT NULL
-  `);
-
-  const districts = [...new Set(rows.map((r) => r.district.trim()))];
-  const wards = [...new Set(rows.map((r) => r.ward.trim()))];
-
-  res.json({
-    districts,
-    wards,
-    mapping: rows.map((r) => ({
-      district: r.district.trim(),
-      ward: r.ward.trim(),
-    })),
-  });
-});
-
-// TÌM KIẾM ĐƠN HÀNG
-app.get("/orders/search", async (req, res) => {
-  const { date = null, keyword = "", type = "district" } = req.query;
-
-  if (!keyword.trim()) {
-    return res.status(400).json({ error: "Thiếu giá trị để tìm kiếm." });
-  }
-
-  if (!["district", "ward"].includes(type)) {
-    return res.status(400).json({ error: "Tham số type không hợp lệ." });
-  }
-
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-
-    let dateCondition = "";
-    const values = [keyword];
-
-    if (date) {
-      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
-        return res
-          .status(400)
-          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
-      }
-      dateCondition = "AND DATE(o.created_at) = ?";
-      values.unshift(date);
-    }
-
-    const field = type === "district" ? "a.district" : "a.ward";
-
-    const [rows] = await connection.query(
-      `
-      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
-      FROM orders o
-      LEFT JOIN orders_address a ON o.id_order = a.id_order
-      WHERE ${field} = ?
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
-      ORDER BY o.created_at DESC
-      `,
-      values
-    );
-
-    await connection.end();
-    res.json({ orders: rows });
-  } catch (err) {
-    console.error("Lỗi khi tìm kiếm:", err.message);
-    res.status(500).json({ error: "Lỗi server khi tìm kiếm đơn hàng." });
-  }
-});
-
-// LỌC ĐƠN HÀNG
-app.get("/orders/filter", async (req, res) => {
-  const { day = "today", district = "", ward = "" } = req.query;
-
-  if (!district || !ward) {
-    return res.status(400).json({ error: "Thiếu quận hoặc phường." });
-  }
-
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-
-    let dateCondition = "DATE(o.created_at) = CURDATE()";
-    if (day === "yesterday") {
-      dateCondition = "DATE(o.created_at) = CURDATE() - INTERVAL 1 DAY";
-    } else if (day === "older") {
-      dateCondition = "DATE(o.created_at) < CURDATE() - INTERVAL 1 DAY";
-    }
-
-    const [rows] = await connection.query(
-      `
-      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
-      FROM orders o
-      LEFT JOIN orders_address a ON o.id_order = a.id_order
-      WHERE ${dateCondition}
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        AND a.district = ?
-        AND a.ward = ?
-      ORDER BY o.created_at DESC
-      `,
-      [district, ward]
-    );
-
-    await connection.end();
-    res.json({ orders: rows });
-  } catch (err) {
-    console.error("Lỗi khi lọc:", err.message);
-    res.status(500).json({ error: "Lỗi server khi lọc đơn hàng." });
-  }
-});
-
-// LỌC ĐƠN HÀNG NÂNG CAO
-app.get("/orders/filter-advanced", async (req, res) => {
-  const { date = null, districts = "", wards = "" } = req.query;
-
-  const districtList = districts
-    ? districts.split(",").map((d) => d.trim())
-    : [];
-  const wardList = wards ? wards.split(",").map((w) => w.trim()) : [];
-
-  if (districtList.length === 0 && wardList.length === 0) {
-    return res.status(400).json({ error: "Thiếu quận hoặc phường để lọc." });
-  }
-
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-
-    let dateCondition = "";
-    const values = [];
-
-    if (date) {
-      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
-        return res
-          .status(400)
-          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
-      }
-      dateCondition = "DATE(a.created_at) = ?";
-      values.push(date);
-    }
-
-    const filters = ["o.status = 'Chờ xác nhận giao/lấy hàng'"];
-    if (dateCondition) filters.push(dateCondition);
-    if (districtList.length > 0) {
-      filters.push(`a.district IN (${districtList.map(() => "?").join(",")})`);
-      values.push(...districtList);
-    }
-
-    if (wardList.length > 0) {
-      filters.push(`a.ward IN (${wardList.map(() => "?").join(",")})`);
-      values.push(...wardList);
-    }
-
-    const whereClause = filters.join(" AND ") || "1=1";
-
-    const [rows] = await connection.query(
-      `
-      SELECT 
-        o.*, 
-        a.address, a.district, a.ward, 
-        a.distance, a.travel_time, 
-        a.created_at AS address_created_at,
-        a.status AS address_status
-      FROM orders o
-      LEFT JOIN orders_address a ON o.id_order = a.id_order
-      WHERE ${whereClause}
-      ORDER BY a.created_at DESC
-      `,
-      values
-    );
-
-    await connection.end();
-
-    res.json({ orders: rows });
-  } catch (err) {
-    console.error("Lỗi /orders/filter-advanced:", err.message, err.stack);
-    res.status(500).json({ error: "Lỗi server khi lọc nâng cao." });
-  }
-});
-
-// LỌC ĐƠN HÀNG THEO NGÀY
-app.get("/orders/filter-by-date", async (req, res) => {
-  const startTime = Date.now();
-  try {
-    const { page = 1, filterDate } = req.query;
-    const pageNum = parseInt(page);
-
-    if (!Number.isInteger(pageNum) || pageNum < 1) {
-      return res.status(400).json({ error: "Page phải là số nguyên dương" });
-    }
-
-    if (filterDate && !moment(filterDate, "YYYY-MM-DD", true).isValid()) {
-      return res
-        .status(400)
-        .json({ error: "filterDate phải có định dạng YYYY-MM-DD" });
-    }
-
-    console.log(
-      `API received: page=${page}, filterDate=${filterDate || "all"}`
-    );
-
-    const connection = await mysql.createConnection(dbConfig);
-    const pageSize = 10;
-    const offset = (pageNum - 1) * pageSize;
-
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM orders_address oa
-      JOIN orders o ON oa.id_order = o.id_order
-      WHERE oa.address IS NOT NULL 
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${
-          filterDate
-            ? "AND DATE(CONVERT_TZ(o.created_at, '+00:00', '+07:00')) = ?"
-            : ""
-        }
-    `;
-    const countParams = filterDate ? [filterDate] : [];
-    const [totalResult] = await connection.execute(countQuery, countParams);
-
-    const totalOrders = totalResult[0].total;
-    console.log(`Tổng số đơn hàng: ${totalOrders}`);
-    const totalPages = Math.ceil(totalOrders / pageSize);
-
-    const query = `
-      SELECT 
-        oa.id_order,
-        oa.address,
-        oa.source,
-        oa.distance,
-        oa.travel_time,
-        oa.status,
-        oa.district,
-        oa.ward,
-        o.created_at,
-        o.SOKM,
-        o.priority,
-        o.delivery_deadline,
-        o.delivery_note,
-        CASE 
-          WHEN DATE(CONVERT_TZ(o.created_at, '+00:00', '+07:00')) <= CURDATE() - INTERVAL 2 DAY THEN 2
-          WHEN DATE(CONVERT_TZ(o.created_at, '+00:00', '+07:00')) = CURDATE() - INTERVAL 1 DAY THEN 1 
-          ELSE 0 
-        END AS days_old
-      FROM orders_address oa
-      JOIN orders o ON oa.id_order = o.id_order
-      WHERE oa.address IS NOT NULL 
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${
-          filterDate
-            ? "AND DATE(CONVERT_TZ(o.created_at, '+00:00', '+07:00')) = ?"
-            : ""
-        }
-      ORDER BY
-        CASE
-          WHEN oa.district IS NULL OR oa.ward IS NULL OR oa.distance IS NULL OR oa.travel_time IS NULL THEN 100
-          WHEN o.priority = 2 THEN 0
-          WHEN oa.status = 1 AND o.priority = 1 AND o.delivery_deadline IS NOT NULL
-               AND o.delivery_deadline <= NOW() + INTERVAL 2 HOUR THEN 1
-          WHEN days_old = 2 AND oa.status = 1 AND o.delivery_deadline IS NOT NULL
-               AND o.delivery_deadline <= NOW() + INTERVAL 2 HOUR THEN 2
-          WHEN days_old = 2 AND oa.status = 0 AND o.delivery_deadline IS NOT NULL
-               AND o.delivery_deadline <= NOW() + INTERVAL 2 HOUR THEN 3
-          WHEN days_old = 1 AND oa.status = 1 AND o.delivery_deadline IS NOT NULL
-               AND o.delivery_deadline <= NOW() + INTERVAL 2 HOUR THEN 4
-          WHEN days_old = 1 AND oa.status = 0 AND o.delivery_deadline IS NOT NULL
-               AND o.delivery_deadline <= NOW() + INTERVAL 2 HOUR THEN 5
-          WHEN oa.status = 1 AND o.priority = 0 THEN 10
-          WHEN oa.status = 1 AND o.priority = 1 
-               AND (o.delivery_deadline IS NULL OR o.delivery_deadline > NOW() + INTERVAL 2 HOUR) THEN 11
-          WHEN oa.status = 0 AND o.priority = 1 
-               AND (o.delivery_deadline IS NULL OR o.delivery_deadline > NOW() + INTERVAL 2 HOUR) THEN 12
-          WHEN oa.status = 0 AND o.priority = 0 THEN 13
-          WHEN days_old = 2 AND (o.delivery_deadline IS NULL OR o.delivery_deadline > NOW() + INTERVAL 2 HOUR) THEN 14
-          WHEN days_old = 1 AND (o.delivery_deadline IS NULL OR o.delivery_deadline > NOW() + INTERVAL 2 HOUR) THEN 15
-          ELSE 16
-        END ASC,
-        CASE 
-          WHEN DATE(o.delivery_deadline) = CURDATE() THEN 0
-          ELSE 1
-        END ASC,
-        CASE 
-          WHEN o.delivery_deadline IS NOT NULL THEN TIMESTAMPDIFF(MINUTE, NOW(), o.delivery_deadline)
-          ELSE 999999
-        END ASC,
-        COALESCE(oa.distance, 999999) ASC,
-        COALESCE(oa.travel_time, 999999) ASC,
-        o.created_at ASC
-      LIMIT ${pageSize} OFFSET ${offset}
-    `;
-    const queryParams = filterDate ? [filterDate] : [];
-    const [results] = await connection.execute(query, queryParams);
-    console.log(`Số đơn trả về: ${results.length}`);
-
-    const parsedResults = results.map((row) => ({
-      id_order: row.id_order,
-      address: row.address,
-      source: row.source,
-      distance: row.distance,
-      travel_time: row.travel_time,
-      status: row.status,
-      created_at: row.created_at
-        ? moment(row.created_at)
-            .tz("Asia/Ho_Chi_Minh")
-            .format("YYYY-MM-DD HH:mm:ss")
-        : null,
-      SOKM: row.SOKM,
-      priority: row.priority,
-      delivery_deadline: row.delivery_deadline
-        ? moment(row.delivery_deadline)
-            .tz("Asia/Ho_Chi_Minh")
-            .format("YYYY-MM-DD HH:mm:ss")
-        : null,
-      delivery_note: row.delivery_note,
-      district: row.district || null,
-      ward: row.ward || null,
-      days_old: row.days_old,
-    }));
-
-    await connection.end();
-
-    res.json({
-      totalOrders,
-      totalPages,
-      currentPage: pageNum,
-      lastRun: moment().tz("Asia/Ho_Chi_Minh").format(),
-      orders: parsedResults,
+    await finishPipelineRun(runId, {
+      status: "failed",
+      durationMs: Date.now() - startTime,
+      steps,
+      counts,
+      externalCalls: getExternalCalls(),
+      errors,
     });
-  } catch (error) {
-    console.error("API error:", error.message, error.stack);
-    res.status(500).json({ error: `Không thể lọc đơn hàng: ${error.message}` });
-  }
-});
-
-// TÌM KIẾM ĐƠN HÀNG THEO ID
-app.get("/orders/search-by-id", async (req, res) => {
-  const { keyword = "", date = null } = req.query;
-
-  if (!keyword.trim()) {
-    return res.status(400).json({ error: "Thiếu mã đơn hàng để tìm kiếm." });
-  }
-
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-
-    let dateCondition = "";
-    const values = [`%${keyword}%`];
-
-    if (date) {
-      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
-        return res
-          .status(400)
-          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
-      }
-      dateCondition = "AND DATE(o.created_at) = ?";
-      values.push(date);
-    }
-
-    const [rows] = await connection.query(
-      `
-      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
-      FROM orders o
-      LEFT JOIN orders_address a ON o.id_order = a.id_order
-      WHERE o.id_order LIKE ?
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
-      ORDER BY o.created_at DESC
-      `,
-      values
-    );
-
-    await connection.end();
-    res.json({ orders: rows });
-  } catch (err) {
-    console.error("Lỗi khi tìm kiếm đơn hàng:", err.message);
-    res.status(500).json({ error: "Lỗi server khi tìm kiếm đơn hàng." });
-  }
-});
-
-// LẤY ĐƠN HÀNG QUÁ HẠN
-app.get("/orders/overdue", async (req, res) => {
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-
-    const [rows] = await connection.query(
-      `
-      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
-      FROM orders o
-      LEFT JOIN orders_address a ON o.id_order = a.id_order
-      WHERE a.status = 1
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-      ORDER BY o.created_at DESC
-      `
-    );
-
-    await connection.end();
-    res.json({ orders: rows });
-  } catch (err) {
-    console.error("Lỗi khi lấy đơn hàng quá hạn:", err.message);
-    res.status(500).json({ error: "Lỗi server khi lấy đơn hàng quá hạn." });
-  }
-});
-
-// TÌM KIẾM ĐƠN HÀNG THEO ID
-app.get("/orders/find-by-id", async (req, res) => {
-  const { id = "", date = null } = req.query;
-
-  if (!id.trim()) {
-    return res.status(400).json({ error: "Thiếu mã đơn hàng để tìm kiếm." });
+    throw error;
   }
+}
 
-  try {
-    const connection = await mysql.createConnection(dbConfig);
-
-    let dateCondition = "";
-    const values = [id];
-
-    if (date) {
-      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
-        return res
-          .status(400)
-          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
-      }
-      dateCondition = "AND DATE(o.created_at) = ?";
-      values.push(date);
-    }
-
-    const [rows] = await connection.query(
-      `
-      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
-      FROM orders o
-      LEFT JOIN orders_address a ON o.id_order = a.id_order
-      WHERE o.id_order = ?
-        AND o.status = 'Chờ xác nhận giao/lấy hàng'
-        ${dateCondition}
-      ORDER BY o.created_at DESC
-      LIMIT 1
-      `,
-      values
-    );
-
-    await connection.end();
-
-    if (rows.length === 0) {
-      return res.status(404).json({ error: "Không tìm thấy đơn hàng." });
-    }
-
-    res.json({ order: rows[0] });
-  } catch (err) {
-    console.error("Lỗi khi tìm kiếm đơn hàng:", err.message);
-    res.status(500).json({ error: "Lỗi server khi tìm kiếm đơn hàng." });
-  }
-});
-// KHỞI TẠO SERVER
-server.listen(port, () => {
-  console.log(`Server running at http://localhost:${port}`);
-});
+module.exports = {
+  getNextCronRunTime,
+  retry,
+  findTransportCompany,
+  upsertTransportCompanies,
+  parseDeliveryNoteForAddress,
+  preprocessAddress,
+  normalizeTransportName,
+  normalizeForCache,
+  checkRouteCache,
+  saveRouteToCache,
+  geocodeAddress,
+  getWarehouseLocation,
+  calculateRouteMatrix,
+  calculateRoute,
+  calculateDistances,
+  fetchAndSaveOrders,
+  callOpenAI,
+  standardizeAddresses,
+  adjustToWorkingHours,
+  getTravelTimeByTimeFrame,
+  updatePriorityStatus,
+  updateStandardizedAddresses,
+  syncOrderStatus,
+  updateOrderStatusToCompleted,
+  groupOrders,
+  analyzeDeliveryNote,
+  analyzeNotesWithOpenAI,
+  normalizeNoteAnalysis,
+  main,
+};
@@ -0,0 +1,289 @@
+const moment = require("moment-timezone");
+const { getPool, withTransaction } = require("./db");
+const {
+  PRIORITY_ORDER_COLUMNS,
+  parsePriorityOrderRow,
+  rankOrders,
+  explainRank,
+} = require("./ranking");
+
+// code: DISPATCH_NOT_FOUND | DISPATCH_CONFLICT | DISPATCH_INVALID
+function createDispatchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const parseVehicleRow = (row) => ({
+  id: row.id,
+  plate_number: row.plate_number,
+  vehicle_type: row.vehicle_type,
+  max_orders: row.max_orders,
+  warehouse_id: row.warehouse_id,
+  active: row.active === 1,
+});
+
+const parseDriverRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  phone: row.phone,
+  vehicle_id: row.vehicle_id,
+  warehouse_id: row.warehouse_id,
+  shift_start: row.shift_start,
+  shift_end: row.shift_end,
+  active: row.active === 1,
+});
+
+// ========================================================= XE & TÀI XẾ =========================================================
+// DANH SÁCH XE
+async function listVehicles() {
+  const [rows] = await getPool().query(
+    "SELECT * FROM vehicles ORDER BY active DESC, plate_number"
+  );
+  return rows.map(parseVehicleRow);
+}
+
+// THÊM XE
+async function createVehicle({
+  plate_number,
+  vehicle_type = null,
+  max_orders = null,
+  warehouse_id = null,
+}) {
+  try {
+    const [result] = await getPool().query(
+      `INSERT INTO vehicles (plate_number, vehicle_type, max_orders, warehouse_id)
+       VALUES (?, ?, ?, ?)`,
+      [plate_number, vehicle_type, max_orders, warehouse_id]
+    );
+    const [rows] = await getPool().query(
+      "SELECT * FROM vehicles WHERE id = ?",
+      [result.insertId]
+    );
+    return parseVehicleRow(rows[0]);
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      throw createDispatchError(
+        `Biển số ${plate_number} đã tồn tại`,
+        "DISPATCH_CONFLICT"
+      );
+    }
+    throw error;
+  }
+}
+
+// DANH SÁCH TÀI XẾ KÈM XE
+async function listDrivers() {
+  const [rows] = await getPool().query(
+    "SELECT * FROM drivers ORDER BY active DESC, name"
+  );
+  return rows.map(parseDriverRow);
+}
+
+// THÊM TÀI XẾ
+async function createDriver({
+  name,
+  phone = null,
+  vehicle_id = null,
+  warehouse_id = null,
+  shift_start = "08:00",
+  shift_end = "17:45",
+}) {
+  const [result] = await getPool().query(
+    `INSERT INTO drivers (name, phone, vehicle_id, warehouse_id, shift_start, shift_end)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [name, phone, vehicle_id, warehouse_id, shift_start, shift_end]
+  );
+  return getDriver(result.insertId);
+}
+
+// LẤY TÀI XẾ THEO ID
+async function getDriver(driverId, connection = getPool()) {
+  const [rows] = await connection.query(
+    `SELECT d.*, v.plate_number, v.max_orders
+     FROM drivers d
+     LEFT JOIN vehicles v ON d.vehicle_id = v.id
+     WHERE d.id = ?`,
+    [driverId]
+  );
+  if (rows.length === 0) return null;
+  return {
+    ...parseDriverRow(rows[0]),
+    plate_number: rows[0].plate_number,
+    max_orders: rows[0].max_orders,
+  };
+}
+
+// ========================================================= PHÂN CÔNG =========================================================
+// GÁN ĐƠN CHO TÀI XẾ TRONG MỘT NGÀY
+// Đơn đã thuộc tài xế khác trong cùng ngày sẽ được chuyển sang tài xế mới
+async function assignOrders(driverId, orderIds, deliveryDate, assignedBy) {
+  return withTransaction(async (connection) => {
+    const driver = await getDriver(driverId, connection);
+    if (!driver) {
+      throw createDispatchError(
+        `Không tìm thấy tài xế ${driverId}`,
+        "DISPATCH_NOT_FOUND"
+      );
+    }
+    if (!driver.active) {
+      throw createDispatchError(
+        `Tài xế ${driver.name} đang ngừng hoạt động`,
+        "DISPATCH_INVALID"
+      );
+    }
+
+    const [orders] = await connection.query(
+      `SELECT id_order FROM orders
+       WHERE id_order IN (?) AND status = 'Chờ xác nhận giao/lấy hàng'`,
+      [orderIds]
+    );
+    const foundIds = new Set(orders.map((order) => order.id_order));
+    const missingIds = orderIds.filter((id) => !foundIds.has(id));
+    if (missingIds.length > 0) {
+      throw createDispatchError(
+        `Đơn không tồn tại hoặc không ở trạng thái chờ giao: ${missingIds.join(
+          ", "
+        )}`,
+        "DISPATCH_INVALID"
+      );
+    }
+
+    // Khóa các phân công trong ngày để kiểm tra sức chứa chính xác
+    const [existing] = await connection.query(
+      `SELECT id_order, driver_id FROM order_assignments
+       WHERE delivery_date = ? AND (driver_id = ? OR id_order IN (?))
+       FOR UPDATE`,
+      [deliveryDate, driverId, orderIds]
+    );
+    const currentIds = new Set(
+      existing
+        .filter((row) => row.driver_id === driverId)
+        .map((row) => row.id_order)
+    );
+    const newIds = orderIds.filter((id) => !currentIds.has(id));
+    if (
+      driver.max_orders !== null &&
+      currentIds.size + newIds.length > driver.max_orders
+    ) {
+      throw createDispatchError(
+        `Xe ${driver.plate_number} chỉ nhận tối đa ${driver.max_orders} đơn/ngày (đang có ${currentIds.size})`,
+        "DISPATCH_CONFLICT"
+      );
+    }
+
+    const reassigned = existing
+      .filter(
+        (row) => row.driver_id !== driverId && orderIds.includes(row.id_order)
+      )
+      .map((row) => ({
+        id_order: row.id_order,
+        from_driver_id: row.driver_id,
+      }));
+
+    if (newIds.length > 0) {
+      await connection.query(
+        `INSERT INTO order_assignments (id_order, driver_id, delivery_date, assigned_by)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE
+           driver_id = VALUES(driver_id),
+           assigned_by = VALUES(assigned_by),
+           assigned_at = NOW()`,
+        [newIds.map((id) => [id, driverId, deliveryDate, assignedBy])]
+      );
+    }
+
+    console.log(
+      `[assignOrders] Gán ${newIds.length} đơn cho tài xế ${driverId} ngày ${deliveryDate}, chuyển từ tài xế khác: ${reassigned.length}`
+    );
+    return {
+      driver_id: driverId,
+      delivery_date: deliveryDate,
+      assigned: newIds,
+      already_assigned: [...currentIds].filter((id) => orderIds.includes(id)),
+      reassigned,
+    };
+  });
+}
+
+// BỎ GÁN ĐƠN TRONG MỘT NGÀY
+async function unassignOrders(orderIds, deliveryDate) {
+  return withTransaction(async (connection) => {
+    const [existing] = await connection.query(
+      `SELECT id_order, driver_id FROM order_assignments
+       WHERE delivery_date = ? AND id_order IN (?)
+       FOR UPDATE`,
+      [deliveryDate, orderIds]
+    );
+    if (existing.length > 0) {
+      await connection.query(
+        `DELETE FROM order_assignments WHERE delivery_date = ? AND id_order IN (?)`,
+        [deliveryDate, existing.map((row) => row.id_order)]
+      );
+    }
+    console.log(
+      `[unassignOrders] Bỏ gán ${existing.length} đơn ngày ${deliveryDate}`
+    );
+    return {
+      delivery_date: deliveryDate,
+      unassigned: existing.map((row) => ({
+        id_order: row.id_order,
+        driver_id: row.driver_id,
+      })),
+    };
+  });
+}
+
+// BẢNG KÊ GIAO HÀNG CỦA TÀI XẾ, SẮP XẾP THEO ƯU TIÊN NHƯ DANH SÁCH CHÍNH
+async function getDriverManifest(driverId, deliveryDate) {
+  const driver = await getDriver(driverId);
+  if (!driver) {
+    throw createDispatchError(
+      `Không tìm thấy tài xế ${driverId}`,
+      "DISPATCH_NOT_FOUND"
+    );
+  }
+
+  const [rows] = await getPool().query(
+    `
+    SELECT ${PRIORITY_ORDER_COLUMNS}, oas.assigned_at, oas.assigned_by
+    FROM order_assignments oas
+    JOIN orders o ON oas.id_order = o.id_order
+    JOIN orders_address oa ON oa.id_order = o.id_order
+    LEFT JOIN warehouses w ON o.warehouse_id = w.id
+    WHERE oas.driver_id = ? AND oas.delivery_date = ?
+    `,
+    [driverId, deliveryDate]
+  );
+
+  const now = moment();
+  const orders = rankOrders(rows, now).map((row, index) => ({
+    sequence: index + 1,
+    ...parsePriorityOrderRow(row),
+    rank: explainRank(row, now),
+    assigned_at: row.assigned_at
+      ? moment(row.assigned_at)
+          .tz("Asia/Ho_Chi_Minh")
+          .format("YYYY-MM-DD HH:mm:ss")
+      : null,
+    assigned_by: row.assigned_by,
+  }));
+
+  return {
+    driver,
+    delivery_date: deliveryDate,
+    totalOrders: orders.length,
+    orders,
+  };
+}
+
+module.exports = {
+  listVehicles,
+  createVehicle,
+  listDrivers,
+  createDriver,
+  getDriver,
+  assignOrders,
+  unassignOrders,
+  getDriverManifest,
+};
@@ -0,0 +1,181 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2/promise");
+const { dbConfig } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// ĐỌC DANH SÁCH MIGRATION THEO SỐ PHIÊN BẢN
+function loadMigrations() {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const migration = migrations.get(version) || {
+      version,
+      name: match[2],
+      up: null,
+      down: null,
+    };
+    if (migration.name !== match[2]) {
+      throw new Error(
+        `Phiên bản ${version} có hai tên khác nhau: ${migration.name}, ${match[2]}`
+      );
+    }
+    migration[match[3]] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version - b.version);
+  for (const migration of sorted) {
+    if (!migration.up || !migration.down) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} phải có cả file .up.sql và .down.sql`
+      );
+    }
+  }
+  return sorted;
+}
+
+// KẾT NỐI RIÊNG CHO MIGRATION (CHO PHÉP NHIỀU CÂU LỆNH TRONG MỘT FILE)
+async function createMigrationConnection() {
+  return await mysql.createConnection({
+    host: dbConfig.host,
+    user: dbConfig.user,
+    password: dbConfig.password,
+    database: dbConfig.database,
+    connectTimeout: dbConfig.connectTimeout,
+    multipleStatements: true,
+  });
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT UNSIGNED NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+  `);
+}
+
+async function getAppliedVersions(connection) {
+  const [rows] = await connection.query(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+// ÁP DỤNG CÁC MIGRATION CHƯA CHẠY (ĐẾN targetVersion NẾU CÓ)
+async function migrateUp(connection, migrations, targetVersion = Infinity) {
+  const applied = await getAppliedVersions(connection);
+  const pending = migrations.filter(
+    (m) => !applied.has(m.version) && m.version <= targetVersion
+  );
+
+  if (pending.length === 0) {
+    console.log("[migrate] Lược đồ đã ở phiên bản mới nhất.");
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`[migrate] Áp dụng ${migration.version}_${migration.name}...`);
+    // DDL của MySQL tự commit nên chỉ ghi nhận phiên bản sau khi file chạy xong
+    await connection.query(fs.readFileSync(migration.up, "utf8"));
+    await connection.query(
+      "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+      [migration.version, migration.name]
+    );
+  }
+  console.log(
+    `[migrate] Đã áp dụng ${pending.length} migration, phiên bản hiện tại: ${
+      pending[pending.length - 1].version
+    }`
+  );
+}
+
+// HOÀN TÁC steps MIGRATION GẦN NHẤT
+async function migrateDown(connection, migrations, steps = 1) {
+  const applied = await getAppliedVersions(connection);
+  const toRevert = migrations
+    .filter((m) => applied.has(m.version))
+    .sort((a, b) => b.version - a.version)
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log("[migrate] Không có migration nào để hoàn tác.");
+    return;
+  }
+
+  for (const migration of toRevert) {
+    console.log(`[migrate] Hoàn tác ${migration.version}_${migration.name}...`);
+    await connection.query(fs.readFileSync(migration.down, "utf8"));
+    await connection.query("DELETE FROM schema_migrations WHERE version = ?", [
+      migration.version,
+    ]);
+  }
+}
+
+async function printStatus(connection, migrations) {
+  const applied = await getAppliedVersions(connection);
+  migrations.forEach((m) => {
+    const row = applied.get(m.version);
+    console.log(
+      `${row ? "[x]" : "[ ]"} ${m.version}_${m.name}${
+        row ? ` (${row.applied_at.toISOString()})` : ""
+      }`
+    );
+  });
+}
+
+// CHẠY LỆNH MIGRATION: up [phiên bản], down [số bước], status
+async function runMigrations(command = "up", arg) {
+  const migrations = loadMigrations();
+  const connection = await createMigrationConnection();
+  try {
+    await ensureMigrationsTable(connection);
+    switch (command) {
+      case "up":
+        await migrateUp(
+          connection,
+          migrations,
+          arg !== undefined ? parseInt(arg, 10) : Infinity
+        );
+        break;
+      case "down":
+        await migrateDown(
+          connection,
+          migrations,
+          arg !== undefined ? parseInt(arg, 10) : 1
+        );
+        break;
+      case "status":
+        await printStatus(connection, migrations);
+        break;
+      default:
+        throw new Error(
+          `Lệnh không hợp lệ: ${command}. Dùng: up [phiên bản] | down [số bước] | status`
+        );
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  runMigrations(command, arg).catch((error) => {
+    console.error("[migrate] Lỗi:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+};
@@ -0,0 +1,670 @@
+const moment = require("moment-timezone");
+const { getUpcomingHolidayDate } = require("./business_calendar");
+
+// KẾT QUẢ PHÂN TÍCH GHI CHÚ GIAO HÀNG
+// {
+//   date: null
+//     | { type: "relative", days }                                   hôm nay, ngày mai, 3 ngày nữa
+//     | { type: "weekday", weekday (0 = CN), week: "this" | "next" }  thứ 2, chủ nhật tuần sau
+//     | { type: "period", unit: "week" | "month", offset, part: "start" | "mid" | "end" }
+//     | { type: "absolute", day, month, year | null, relation: "on" | "before" }
+//     | { type: "holiday", code, relation: "on" | "before" }           code khớp calendar_holidays.code
+//   time: null | {
+//     constraint: "part_of_day" | "at" | "before" | "after" | "between",
+//     part: "morning" | "noon" | "afternoon" | "evening" | null,
+//     start: "HH:mm" | null,
+//     end: "HH:mm" | null,
+//   }
+//   urgency: null | "urgent" | "soon"
+//   cargoType: null | "fragile" | "heavy" | "cold" | "fresh"
+//   carrier: null | tên nhà xe như trong ghi chú
+//   contact: null | "when_home" | "call_first"
+// }
+
+// ========================================================= TÁCH TOKEN =========================================================
+// Thứ tự nhóm: ngày (21/10, 21.10.2026) | giờ (8h, 8h30, 14:00, 9 giờ, 2pm) | số | chữ | dấu
+const TOKEN_PATTERN =
+  /(\d+(?:[/.]\d+)+)|(\d{1,2})(?:\s*(?:giờ|gio|h|g)(\d{2})?|:(\d{2}))(?:\s*(am|pm))?(?![\p{L}\d])|(\d{1,2})\s*(am|pm)(?![\p{L}])|(\d+)|([\p{L}\p{M}]+)|([,;.!?\-–~+&()/])/gu;
+
+const foldDiacritics = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D");
+
+const isAscii = (text) => /^[\x00-\x7f]*$/.test(text);
+
+// 21/10, 21/10/2026, 21.10; dấu chấm chỉ nhận dạng dd.mm để không nhầm số thập phân (1.5 kg)
+function parseDateChunk(chunk) {
+  const separator = chunk.includes("/") ? "/" : ".";
+  const parts = chunk.split(/[/.]/);
+  if (parts.length < 2 || parts.length > 3) return null;
+  if (separator === "." && (parts[0].length !== 2 || parts[1].length !== 2)) {
+    return null;
+  }
+  const [day, month] = parts.map(Number);
+  let year = parts[2] ? Number(parts[2]) : null;
+  if (year !== null && parts[2].length === 2) year += 2000;
+  if (year !== null && parts[2].length !== 2 && parts[2].length !== 4) {
+    return null;
+  }
+  if (day < 1 || day > 31 || month < 1 || month > 12) return null;
+  return { day, month, year };
+}
+
+// TÁCH GHI CHÚ THÀNH DANH SÁCH TOKEN (CHỮ THƯỜNG, GIỮ NGUYÊN DẤU TIẾNG VIỆT)
+function tokenizeNote(note) {
+  const source = String(note || "").normalize("NFC");
+  const tokens = [];
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const raw = match[0];
+    const text = raw.toLowerCase();
+    if (match[1]) {
+      const date = parseDateChunk(match[1]);
+      tokens.push(
+        date
+          ? { type: "date", text, raw, ...date }
+          : { type: "number", text, raw, value: null }
+      );
+    } else if (match[2]) {
+      tokens.push({
+        type: "time",
+        text,
+        raw,
+        hour: Number(match[2]),
+        minute: Number(match[3] || match[4] || 0),
+        meridiem: match[5] ? match[5].toLowerCase() : null,
+      });
+    } else if (match[6]) {
+      tokens.push({
+        type: "time",
+        text,
+        raw,
+        hour: Number(match[6]),
+        minute: 0,
+        meridiem: match[7].toLowerCase(),
+      });
+    } else if (match[8]) {
+      tokens.push({ type: "number", text, raw, value: Number(match[8]) });
+    } else if (match[9]) {
+      tokens.push({ type: "word", text, raw });
+    } else {
+      tokens.push({ type: "punct", text, raw });
+    }
+  }
+  return tokens;
+}
+
+// ========================================================= LUẬT NHẬN DẠNG =========================================================
+// Mỗi phần tử của pattern khớp một token: "a|b" là các lựa chọn, "#num" số, "#time" giờ,
+// "#date" ngày, "#hour" giờ hoặc số. Chữ có dấu khớp chính xác; token gõ không dấu khớp
+// dạng đã bỏ dấu ("sang" khớp "sáng") nhưng "tôi" có dấu không khớp "tối".
+function matchElement(element, token) {
+  if (!token) return false;
+  return element.split("|").some((option) => {
+    if (option === "#num")
+      return token.type === "number" && token.value !== null;
+    if (option === "#time") return token.type === "time";
+    if (option === "#date") return token.type === "date";
+    if (option === "#hour") {
+      return (
+        token.type === "time" ||
+        (token.type === "number" && token.value !== null && token.value <= 24)
+      );
+    }
+    if (token.type === "time" || token.type === "date") return false;
+    return (
+      token.text === option ||
+      (isAscii(token.text) && token.text === foldDiacritics(option))
+    );
+  });
+}
+
+const HONORIFICS = "anh|chị|chi|em|cô|chú|bác|bà|ông|a|c|e|mr|ms|tên";
+const PART_OF_DAY_WORDS =
+  "sáng|trưa|chiều|chiu|tối|ngày|hôm|bữa|giao|trước|trong|sau";
+
+const previousToken = (tokens, index) => tokens[index - 1];
+
+// "mai"/"mốt" chỉ là ngày khi đứng đầu câu hoặc sau từ chỉ buổi/ngày, không phải tên người (chị Mai)
+// hay địa danh (Hoàng Mai)
+function isDayWordContext(tokens, index) {
+  const previous = previousToken(tokens, index);
+  if (!previous || previous.type === "punct") return true;
+  if (matchElement(HONORIFICS, previous)) return false;
+  return matchElement(PART_OF_DAY_WORDS, previous);
+}
+
+// "12/3" không kèm năm có thể là số nhà, chỉ coi là ngày khi đứng sau từ chỉ ngày giao
+function isDateContext(tokens, index) {
+  if (tokens[index].year) return true;
+  return matchElement(
+    "ngày|giao|vào|hạn|hẹn|nhận|lúc|đến|tới",
+    previousToken(tokens, index)
+  );
+}
+
+const NUMBER_WORDS = { hai: 2, ba: 3, bốn: 4, năm: 5, sáu: 6, bảy: 7 };
+const WEEKDAYS = [
+  {
+    weekday: 1,
+    forms: [
+      ["thứ", "hai|2"],
+      ["t", "2"],
+    ],
+  },
+  {
+    weekday: 2,
+    forms: [
+      ["thứ", "ba|3"],
+      ["t", "3"],
+    ],
+  },
+  {
+    weekday: 3,
+    forms: [
+      ["thứ", "tư|4"],
+      ["t", "4"],
+    ],
+  },
+  {
+    weekday: 4,
+    forms: [
+      ["thứ", "năm|5"],
+      ["t", "5"],
+    ],
+  },
+  {
+    weekday: 5,
+    forms: [
+      ["thứ", "sáu|6"],
+      ["t", "6"],
+    ],
+  },
+  {
+    weekday: 6,
+    forms: [
+      ["thứ", "bảy|7"],
+      ["t", "7"],
+    ],
+  },
+  { weekday: 0, forms: [["chủ", "nhật"], ["cn"]] },
+];
+const HOLIDAYS = [
+  {
+    code: "tet",
+    forms: [["tết", "nguyên", "đán"], ["tết", "âm", "lịch"], ["tết"]],
+  },
+  {
+    code: "trung_thu",
+    forms: [
+      ["tết", "trung", "thu"],
+      ["rằm", "trung", "thu"],
+      ["trung", "thu"],
+      ["trăng", "rằm"],
+    ],
+  },
+  {
+    code: "gio_to",
+    forms: [
+      ["giỗ", "tổ", "hùng", "vương"],
+      ["giỗ", "tổ"],
+    ],
+  },
+  { code: "noel", forms: [["noel"], ["giáng", "sinh"]] },
+  {
+    code: "giai_phong",
+    forms: [
+      ["ngày", "giải", "phóng"],
+      ["giải", "phóng"],
+    ],
+  },
+  { code: "lao_dong", forms: [["quốc", "tế", "lao", "động"]] },
+  { code: "quoc_khanh", forms: [["quốc", "khánh"]] },
+];
+const PART_OF_DAY = [
+  { part: "morning", forms: [["buổi", "sáng"], ["sáng"]] },
+  { part: "noon", forms: [["buổi", "trưa"], ["trưa"]] },
+  { part: "afternoon", forms: [["buổi", "chiều"], ["chiều"], ["chiu"]] },
+  { part: "evening", forms: [["buổi", "tối"], ["tối"]] },
+];
+const RANGE_SEPARATOR = "đến|tới|-|–|~";
+
+const toClock = (token) =>
+  token.type === "time"
+    ? { hour: token.hour, minute: token.minute, meridiem: token.meridiem }
+    : { hour: token.value, minute: 0, meridiem: null };
+
+const RULES = [
+  // ----- Ngày tương đối -----
+  ...[
+    [["ngày", "hôm", "nay"], 0],
+    [["hôm", "nay"], 0],
+    [["bữa", "nay"], 0],
+    [["hnay"], 0],
+    [["trong", "ngày"], 0],
+    [["ngày", "mai"], 1],
+    [["hôm", "sau"], 1],
+    [["bữa", "sau"], 1],
+    [["ngày", "mốt"], 2],
+    [["ngày", "kia"], 3],
+  ].map(([pattern, days]) => ({
+    pattern,
+    facts: { date: { type: "relative", days } },
+  })),
+  {
+    pattern: ["nay"],
+    guard: (tokens, index) =>
+      matchElement("sáng|trưa|chiều|chiu|tối", previousToken(tokens, index)),
+    facts: { date: { type: "relative", days: 0 } },
+  },
+  {
+    pattern: ["mai"],
+    guard: isDayWordContext,
+    facts: { date: { type: "relative", days: 1 } },
+  },
+  {
+    pattern: ["mốt"],
+    guard: isDayWordContext,
+    facts: { date: { type: "relative", days: 2 } },
+  },
+  {
+    pattern: [
+      `#num|${Object.keys(NUMBER_WORDS).join("|")}`,
+      "ngày|hôm|bữa",
+      "nữa",
+    ],
+    facts: ([count]) => ({
+      date: {
+        type: "relative",
+        days:
+          count.type === "number"
+            ? count.value
+            : NUMBER_WORDS[
+                Object.keys(NUMBER_WORDS).find((word) =>
+                  matchElement(word, count)
+                )
+              ],
+      },
+    }),
+  },
+
+  // ----- Thứ trong tuần -----
+  ...WEEKDAYS.flatMap(({ weekday, forms }) =>
+    forms.flatMap((form) => [
+      {
+        pattern: [...form, "tuần", "sau|tới"],
+        facts: { date: { type: "weekday", weekday, week: "next" } },
+      },
+      {
+        pattern: [...form, "tuần", "này|ni"],
+        facts: { date: { type: "weekday", weekday, week: "this" } },
+      },
+      {
+        pattern: form,
+        facts: { date: { type: "weekday", weekday, week: "this" } },
+      },
+    ])
+  ),
+
+  // ----- Tuần / tháng -----
+  ...[
+    [["đầu", "tuần", "sau|tới"], "week", 1, "start"],
+    [["cuối", "tuần", "sau|tới"], "week", 1, "end"],
+    [["trong", "tuần", "sau|tới"], "week", 1, "end"],
+    [["tuần", "sau|tới"], "week", 1, "end"],
+    [["qua", "tuần"], "week", 1, "end"],
+    [["cuối", "tuần", "này|ni"], "week", 0, "end"],
+    [["cuối", "tuần"], "week", 0, "end"],
+    [["trong", "tuần", "này|ni"], "week", 0, "end"],
+    [["trong", "tuần"], "week", 0, "end"],
+    [["tuần", "này|ni"], "week", 0, "end"],
+    [["đầu", "tháng", "sau|tới"], "month", 1, "start"],
+    [["giữa", "tháng", "sau|tới"], "month", 1, "mid"],
+    [["cuối", "tháng", "sau|tới"], "month", 1, "end"],
+    [["trong", "tháng", "sau|tới"], "month", 1, "end"],
+    [["tháng", "sau|tới"], "month", 1, "end"],
+    [["cuối", "tháng", "này"], "month", 0, "end"],
+    [["cuối", "tháng"], "month", 0, "end"],
+    [["trong", "tháng", "này"], "month", 0, "end"],
+    [["trong", "tháng"], "month", 0, "end"],
+    [["tháng", "này"], "month", 0, "end"],
+  ].map(([pattern, unit, offset, part]) => ({
+    pattern,
+    facts: { date: { type: "period", unit, offset, part } },
+  })),
+
+  // ----- Ngày lễ -----
+  ...HOLIDAYS.flatMap(({ code, forms }) =>
+    forms.flatMap((form) => [
+      {
+        pattern: ["trước", ...form],
+        facts: { date: { type: "holiday", code, relation: "before" } },
+      },
+      {
+        pattern: form,
+        facts: { date: { type: "holiday", code, relation: "on" } },
+      },
+    ])
+  ),
+
+  // ----- Ngày cụ thể -----
+  {
+    pattern: ["trước", "ngày", "#date"],
+    facts: ([, , date]) => ({ date: absoluteDate(date, "before") }),
+  },
+  {
+    pattern: ["trước", "#date"],
+    facts: ([, date]) => ({ date: absoluteDate(date, "before") }),
+  },
+  {
+    pattern: ["#date"],
+    guard: isDateContext,
+    facts: ([date]) => ({ date: absoluteDate(date, "on") }),
+  },
+
+  // ----- Buổi trong ngày -----
+  ...PART_OF_DAY.flatMap(({ part, forms }) =>
+    forms.map((form) => ({ pattern: form, facts: { part } }))
+  ),
+
+  // ----- Giờ -----
+  {
+    pattern: ["từ", "#hour", RANGE_SEPARATOR, "#hour"],
+    facts: ([, start, , end]) => ({
+      clock: {
+        constraint: "between",
+        start: toClock(start),
+        end: toClock(end),
+      },
+    }),
+  },
+  {
+    pattern: ["#hour", RANGE_SEPARATOR, "#time"],
+    facts: ([start, , end]) => ({
+      clock: {
+        constraint: "between",
+        start: toClock(start),
+        end: toClock(end),
+      },
+    }),
+  },
+  {
+    pattern: ["#time", RANGE_SEPARATOR, "#hour"],
+    facts: ([start, , end]) => ({
+      clock: {
+        constraint: "between",
+        start: toClock(start),
+        end: toClock(end),
+      },
+    }),
+  },
+  {
+    pattern: ["trước|trc", "#time"],
+    facts: ([, time]) => ({
+      clock: { constraint: "before", end: toClock(time) },
+    }),
+  },
+  {
+    pattern: ["sau", "#time"],
+    facts: ([, time]) => ({
+      clock: { constraint: "after", start: toClock(time) },
+    }),
+  },
+  {
+    pattern: ["#time"],
+    facts: ([time]) => ({ clock: { constraint: "at", start: toClock(time) } }),
+  },
+
+  // ----- Mức độ gấp -----
+  ...[
+    [["nhanh", "trong", "ngày"], "urgent", { type: "relative", days: 0 }],
+    [["nhanh", "hôm", "nay"], "urgent", { type: "relative", days: 0 }],
+    [["nhanh", "nhất"], "urgent"],
+    [["hỏa", "tốc"], "urgent"],
+    [["hoả", "tốc"], "urgent"],
+    [["khẩn", "cấp"], "urgent"],
+    [["khẩn"], "urgent"],
+    [["gấp"], "urgent"],
+    [["liền"], "urgent"],
+    [["sớm", "nhất"], "soon"],
+    [["sớm"], "soon"],
+    [["sn"], "soon"],
+    [["nhanh", "lên"], "soon"],
+    [["nhanh"], "soon"],
+    [["nhah"], "soon"],
+    [["mau", "lên"], "soon"],
+    [["mau"], "soon"],
+  ].map(([pattern, urgency, date]) => ({
+    pattern,
+    facts: date ? { urgency, date } : { urgency },
+  })),
+
+  // ----- Loại hàng -----
+  ...[
+    [["dễ", "vỡ"], "fragile"],
+    [["hàng", "nặng"], "heavy"],
+    [["đông", "lạnh"], "cold"],
+    [["hàng", "lạnh"], "cold"],
+    [["hàng", "tươi"], "fresh"],
+  ].map(([pattern, cargoType]) => ({ pattern, facts: { cargoType } })),
+
+  // ----- Liên hệ -----
+  ...[
+    [["khi", "khách", "ở", "nhà"], "when_home"],
+    [["khách", "ở", "nhà"], "when_home"],
+    [["có", "người", "ở", "nhà"], "when_home"],
+    [["sau", "khi", "liên", "hệ"], "call_first"],
+    [["liên", "hệ", "trước"], "call_first"],
+    [["gọi", "trước"], "call_first"],
+    [["call", "trước"], "call_first"],
+  ].map(([pattern, contact]) => ({ pattern, facts: { contact } })),
+
+  // ----- Nhà xe: tên là các từ tiếp theo cho đến khi gặp luật khác hoặc dấu câu -----
+  ...[
+    ["nhà", "xe"],
+    ["chành", "xe"],
+    ["gửi", "xe"],
+    ["xe", "khách"],
+    ["xe"],
+  ].map((pattern) => ({
+    pattern,
+    captureName: true,
+  })),
+]
+  // Cụm dài hơn được thử trước ("tết trung thu" trước "tết"), cùng độ dài giữ thứ tự khai báo
+  .map((rule, order) => ({ ...rule, order }))
+  .sort((a, b) => b.pattern.length - a.pattern.length || a.order - b.order);
+
+function absoluteDate(token, relation) {
+  return {
+    type: "absolute",
+    day: token.day,
+    month: token.month,
+    year: token.year,
+    relation,
+  };
+}
+
+// Từ không thuộc tên nhà xe dù đứng ngay sau "xe"
+const CARRIER_STOP_WORDS =
+  "giao|địa|ở|tại|số|sđt|đt|gọi|máy|tải|ôm|đẩy|hàng|lúc|vào|cho|và";
+
+function findRule(tokens, index) {
+  for (const rule of RULES) {
+    const matched = rule.pattern.every((element, offset) =>
+      matchElement(element, tokens[index + offset])
+    );
+    if (matched && (!rule.guard || rule.guard(tokens, index))) {
+      return {
+        rule,
+        matchedTokens: tokens.slice(index, index + rule.pattern.length),
+      };
+    }
+  }
+  return null;
+}
+
+// ========================================================= GHÉP KẾT QUẢ =========================================================
+const formatClock = ({ hour, minute }) =>
+  `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+
+// Đổi giờ sang 24h theo am/pm hoặc buổi; giờ 1-6 không kèm buổi được hiểu là buổi chiều
+function to24Hour(clock, part) {
+  let { hour } = clock;
+  if (clock.meridiem === "pm" && hour < 12) hour += 12;
+  else if (clock.meridiem === "am" && hour === 12) hour = 0;
+  else if (!clock.meridiem) {
+    if ((part === "afternoon" || part === "evening") && hour < 12) hour += 12;
+    else if (!part && hour >= 1 && hour <= 6) hour += 12;
+  }
+  if (hour > 23 || clock.minute > 59) return null;
+  return { hour, minute: clock.minute };
+}
+
+function buildTime(part, clock) {
+  if (!clock) {
+    return part
+      ? { constraint: "part_of_day", part, start: null, end: null }
+      : null;
+  }
+  const start = clock.start ? to24Hour(clock.start, part) : null;
+  let end = clock.end ? to24Hour(clock.end, part) : null;
+  if (clock.constraint === "between" && start && end && !clock.start.meridiem) {
+    // "11-1h" hoặc "8-2h": giờ kết thúc nhỏ hơn giờ bắt đầu thì hiểu là buổi chiều
+    if (
+      end.hour * 60 + end.minute <= start.hour * 60 + start.minute &&
+      end.hour < 12
+    ) {
+      end = { hour: end.hour + 12, minute: end.minute };
+    }
+  }
+  if ((clock.start && !start) || (clock.end && !end)) {
+    return part
+      ? { constraint: "part_of_day", part, start: null, end: null }
+      : null;
+  }
+  return {
+    constraint: clock.constraint,
+    part: part || null,
+    start: start ? formatClock(start) : null,
+    end: end ? formatClock(end) : null,
+  };
+}
+
+// PHÂN TÍCH GHI CHÚ GIAO HÀNG THÀNH CẤU TRÚC (XEM MÔ TẢ Ở ĐẦU FILE)
+// Mỗi loại thông tin lấy lần xuất hiện đầu tiên trong ghi chú
+function parseNote(note) {
+  const tokens = tokenizeNote(note);
+  const result = {
+    date: null,
+    time: null,
+    urgency: null,
+    cargoType: null,
+    carrier: null,
+    contact: null,
+  };
+  let part = null;
+  let clock = null;
+
+  let index = 0;
+  while (index < tokens.length) {
+    const match = findRule(tokens, index);
+    if (!match) {
+      index++;
+      continue;
+    }
+    const { rule, matchedTokens } = match;
+    index += matchedTokens.length;
+
+    if (rule.captureName) {
+      const nameTokens = [];
+      while (
+        index < tokens.length &&
+        (tokens[index].type === "word" ||
+          (tokens[index].type === "number" && tokens[index].text.length < 9)) &&
+        !matchElement(CARRIER_STOP_WORDS, tokens[index]) &&
+        !findRule(tokens, index)
+      ) {
+        nameTokens.push(tokens[index].raw);
+        index++;
+      }
+      if (nameTokens.length > 0 && !result.carrier) {
+        result.carrier = nameTokens.join(" ");
+      }
+      continue;
+    }
+
+    const facts =
+      typeof rule.facts === "function" ? rule.facts(matchedTokens) : rule.facts;
+    if (facts.date && !result.date) result.date = facts.date;
+    if (facts.part && !part) part = facts.part;
+    if (facts.clock && !clock) clock = facts.clock;
+    ["urgency", "cargoType", "contact"].forEach((key) => {
+      if (facts[key] && !result[key]) result[key] = facts[key];
+    });
+  }
+
+  result.time = buildTime(part, clock);
+  return result;
+}
+
+// ========================================================= QUY ĐỔI NGÀY =========================================================
+// NGÀY GIAO (ĐẦU NGÀY) TƯƠNG ỨNG VỚI BIỂU THỨC NGÀY, null NẾU KHÔNG QUY ĐỔI ĐƯỢC
+// now: thời điểm phân tích; reference: thời điểm xuất kho, dùng để đoán năm cho ngày không ghi năm
+function resolveNoteDate(date, now, reference = now) {
+  if (!date) return null;
+  const today = now.clone().startOf("day");
+  switch (date.type) {
+    case "relative":
+      return today.add(date.days, "days");
+    case "weekday": {
+      const base =
+        date.week === "next" ? today.clone().add(1, "week") : today.clone();
+      while (base.day() !== date.weekday) base.add(1, "day");
+      return base;
+    }
+    case "period": {
+      const base = today.clone().add(date.offset, date.unit);
+      if (date.unit === "week") {
+        // Tuần tính từ Chủ nhật như moment: đầu tuần là thứ hai, cuối tuần là thứ sáu
+        return date.part === "start"
+          ? base.startOf("week").add(1, "day")
+          : base.endOf("week").subtract(1, "day").startOf("day");
+      }
+      if (date.part === "start") return base.startOf("month");
+      if (date.part === "mid") return base.startOf("month").add(15, "days");
+      return base.endOf("month").startOf("day");
+    }
+    case "absolute": {
+      const year = date.year || reference.year();
+      const resolved = moment.tz(
+        [year, date.month - 1, date.day],
+        now.tz() || "Asia/Ho_Chi_Minh"
+      );
+      if (!resolved.isValid()) return null;
+      // Không ghi năm mà ngày đã qua thì hiểu là năm sau
+      if (!date.year && resolved.isBefore(reference, "day"))
+        resolved.add(1, "year");
+      return date.relation === "before"
+        ? resolved.subtract(1, "day")
+        : resolved;
+    }
+    case "holiday": {
+      const holidayDate = getUpcomingHolidayDate(date.code, now);
+      if (!holidayDate) return null;
+      return date.relation === "before"
+        ? holidayDate.subtract(1, "day")
+        : holidayDate;
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  tokenizeNote,
+  parseNote,
+  resolveNoteDate,
+};
@@ -0,0 +1,151 @@
+const moment = require("moment-timezone");
+const { getPool } = require("./db");
+
+// ========================================================= NHẬT KÝ THAY ĐỔI ĐƠN HÀNG =========================================================
+// Mỗi sự kiện là một cột đổi giá trị:
+//   { id_order, table_name, field, old_value, new_value, actor_type, actor, pipeline_run_id }
+// table_name: "orders" | "orders_address" (cả hai bảng khóa theo id_order)
+// actor_type: "user" (người dùng dashboard) | "function" (hàm của pipeline, actor là tên hàm)
+
+const formatDateTime = (value) =>
+  value
+    ? moment(value).tz("Asia/Ho_Chi_Minh").format("YYYY-MM-DD HH:mm:ss")
+    : null;
+
+// DATETIME đọc ra là Date, đổi sang chuỗi giờ Việt Nam để so sánh và lưu JSON
+const normalizeEventValue = (value) =>
+  value instanceof Date ? formatDateTime(value) : value ?? null;
+
+// SO SÁNH GIÁ TRỊ CŨ/MỚI, TRẢ VỀ DANH SÁCH SỰ KIỆN CHO CÁC CỘT ĐÃ ĐỔI
+// source: { table_name, actor_type, actor, pipeline_run_id }
+function diffOrderFields(idOrder, before, after, source) {
+  return Object.keys(after)
+    .filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+    .map((field) => ({
+      id_order: idOrder,
+      table_name: source.table_name,
+      field,
+      old_value: before[field] ?? null,
+      new_value: after[field] ?? null,
+      actor_type: source.actor_type,
+      actor: source.actor,
+      pipeline_run_id: source.pipeline_run_id ?? null,
+    }));
+}
+
+// GHI SỰ KIỆN TRONG CÙNG TRANSACTION VỚI THAY ĐỔI
+async function recordOrderEvents(connection, events) {
+  if (events.length === 0) return 0;
+  const [result] = await connection.query(
+    `INSERT INTO order_events (id_order, table_name, field, old_value, new_value, actor_type, actor, pipeline_run_id)
+     VALUES ?`,
+    [
+      events.map((event) => [
+        event.id_order,
+        event.table_name,
+        event.field,
+        JSON.stringify(event.old_value),
+        JSON.stringify(event.new_value),
+        event.actor_type,
+        event.actor,
+        event.pipeline_run_id,
+      ]),
+    ]
+  );
+  return result.affectedRows;
+}
+
+// ĐỌC GIÁ TRỊ HIỆN TẠI CỦA CÁC CỘT, KHÓA DÒNG ĐẾN HẾT TRANSACTION
+async function snapshotOrderFields(connection, tableName, ids, fields) {
+  if (ids.length === 0) return new Map();
+  const [rows] = await connection.query(
+    `SELECT id_order, ?? FROM ?? WHERE id_order IN (?) FOR UPDATE`,
+    [fields, tableName, ids]
+  );
+  return new Map(
+    rows.map((row) => [
+      row.id_order,
+      Object.fromEntries(
+        fields.map((field) => [field, normalizeEventValue(row[field])])
+      ),
+    ])
+  );
+}
+
+// CHỤP GIÁ TRỊ TRƯỚC VÀ SAU write(), GHI MỘT SỰ KIỆN CHO MỖI CỘT ĐỔI GIÁ TRỊ
+// Dùng cho các câu lệnh ghi hàng loạt mà giá trị mới tính trong SQL (IF, CASE, ON DUPLICATE KEY).
+// Dòng mới chèn có giá trị cũ là null. Phải gọi trong transaction của write().
+async function trackOrderChanges(
+  connection,
+  { ids, fields, ...source },
+  write
+) {
+  const uniqueIds = [...new Set(ids)];
+  const before = await snapshotOrderFields(
+    connection,
+    source.table_name,
+    uniqueIds,
+    fields
+  );
+  const result = await write();
+  const after = await snapshotOrderFields(
+    connection,
+    source.table_name,
+    uniqueIds,
+    fields
+  );
+  const events = [];
+  after.forEach((values, idOrder) => {
+    events.push(
+      ...diffOrderFields(idOrder, before.get(idOrder) || {}, values, source)
+    );
+  });
+  await recordOrderEvents(connection, events);
+  return result;
+}
+
+// LỊCH SỬ THAY ĐỔI CỦA MỘT ĐƠN, MỚI NHẤT TRƯỚC (null NẾU KHÔNG CÓ ĐƠN)
+async function getOrderTimeline(idOrder, { limit = 200 } = {}) {
+  const pool = getPool();
+  const [orders] = await pool.query(
+    `SELECT id_order FROM orders WHERE id_order = ?`,
+    [idOrder]
+  );
+  if (orders.length === 0) return null;
+
+  const [rows] = await pool.query(
+    `
+    SELECT e.id, e.table_name, e.field, e.old_value, e.new_value, e.actor_type, e.actor,
+           e.pipeline_run_id, pr.trigger_source, e.created_at
+    FROM order_events e
+    LEFT JOIN pipeline_runs pr ON pr.id = e.pipeline_run_id
+    WHERE e.id_order = ?
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT ?
+    `,
+    [idOrder, limit]
+  );
+  return {
+    id_order: idOrder,
+    events: rows.map((row) => ({
+      id: row.id,
+      table_name: row.table_name,
+      field: row.field,
+      old_value: row.old_value,
+      new_value: row.new_value,
+      actor_type: row.actor_type,
+      actor: row.actor,
+      pipeline_run: row.pipeline_run_id
+        ? { id: row.pipeline_run_id, trigger: row.trigger_source }
+        : null,
+      created_at: formatDateTime(row.created_at),
+    })),
+  };
+}
+
+module.exports = {
+  diffOrderFields,
+  recordOrderEvents,
+  trackOrderChanges,
+  getOrderTimeline,
+};
@@ -0,0 +1,367 @@
+const moment = require("moment-timezone");
+const { getPool, withTransaction } = require("./db");
+const { diffOrderFields, recordOrderEvents } = require("./order_events");
+const {
+  PRIORITY_ORDER_COLUMNS,
+  parsePriorityOrderRow,
+  explainRank,
+} = require("./ranking");
+
+// code: OVERRIDE_NOT_FOUND | OVERRIDE_INVALID
+function createOverrideError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// NHÓM CỘT SỬA TAY: CỜ TRÊN orders VÀ CÁC CỘT PIPELINE KHÔNG ĐƯỢC GHI ĐÈ KHI CỜ BẬT
+const OVERRIDE_GROUPS = {
+  priority: { flag: "override_priority", fields: ["priority"] },
+  window: {
+    flag: "override_window",
+    fields: [
+      "delivery_deadline",
+      "window_start",
+      "window_end",
+      "delivery_constraint",
+    ],
+  },
+  address: {
+    flag: "override_address",
+    fields: ["address", "district", "ward"],
+  },
+};
+const DELIVERY_CONSTRAINTS = ["call_first", "when_home"];
+const DATETIME_FORMATS = [
+  "YYYY-MM-DD HH:mm:ss",
+  "YYYY-MM-DD HH:mm",
+  "YYYY-MM-DDTHH:mm",
+];
+
+const formatDateTime = (value) =>
+  value
+    ? moment(value).tz("Asia/Ho_Chi_Minh").format("YYYY-MM-DD HH:mm:ss")
+    : null;
+
+// CHUỖI THỜI ĐIỂM THEO GIỜ VIỆT NAM; null NGHĨA LÀ XÓA GIÁ TRỊ
+function parseOverrideDateTime(field, value) {
+  if (value === null) return null;
+  const time =
+    typeof value === "string"
+      ? moment.tz(value, DATETIME_FORMATS, true, "Asia/Ho_Chi_Minh")
+      : null;
+  if (!time || !time.isValid()) {
+    throw createOverrideError(
+      `${field} phải có dạng YYYY-MM-DD HH:mm hoặc null`,
+      "OVERRIDE_INVALID"
+    );
+  }
+  return time.format("YYYY-MM-DD HH:mm:ss");
+}
+
+function parseOverrideText(field, value, { required = false } = {}) {
+  if (value === null && !required) return null;
+  if (typeof value !== "string" || value.trim() === "") {
+    throw createOverrideError(
+      required
+        ? `${field} phải là chuỗi không rỗng`
+        : `${field} phải là chuỗi không rỗng hoặc null`,
+      "OVERRIDE_INVALID"
+    );
+  }
+  return value.trim();
+}
+
+function assertWindowOrder(windowStart, windowEnd) {
+  if (windowStart && windowEnd && windowEnd < windowStart) {
+    throw createOverrideError(
+      "window_end phải sau window_start",
+      "OVERRIDE_INVALID"
+    );
+  }
+}
+
+// KIỂM TRA NỘI DUNG PATCH, TRẢ VỀ { values, groups, clear }
+// values: cột → giá trị mới; groups: nhóm được sửa tay; clear: nhóm trả lại cho pipeline
+function validateOverride(body) {
+  const values = {};
+  if ("priority" in body) {
+    if (![0, 1, 2].includes(body.priority)) {
+      throw createOverrideError(
+        "priority phải là 0, 1 hoặc 2",
+        "OVERRIDE_INVALID"
+      );
+    }
+    values.priority = body.priority;
+  }
+  ["delivery_deadline", "window_start", "window_end"].forEach((field) => {
+    if (field in body) {
+      values[field] = parseOverrideDateTime(field, body[field]);
+    }
+  });
+  if ("delivery_constraint" in body) {
+    if (
+      body.delivery_constraint !== null &&
+      !DELIVERY_CONSTRAINTS.includes(body.delivery_constraint)
+    ) {
+      throw createOverrideError(
+        `delivery_constraint phải là ${DELIVERY_CONSTRAINTS.join(
+          ", "
+        )} hoặc null`,
+        "OVERRIDE_INVALID"
+      );
+    }
+    values.delivery_constraint = body.delivery_constraint;
+  }
+  if ("address" in body) {
+    values.address = parseOverrideText("address", body.address, {
+      required: true,
+    });
+  }
+  ["district", "ward"].forEach((field) => {
+    if (field in body) {
+      values[field] = parseOverrideText(field, body[field]);
+    }
+  });
+
+  const clear = body.clear_overrides ?? [];
+  if (
+    !Array.isArray(clear) ||
+    clear.some((group) => !(group in OVERRIDE_GROUPS))
+  ) {
+    throw createOverrideError(
+      `clear_overrides phải là mảng gồm ${Object.keys(OVERRIDE_GROUPS).join(
+        ", "
+      )}`,
+      "OVERRIDE_INVALID"
+    );
+  }
+
+  const groups = Object.keys(OVERRIDE_GROUPS).filter((group) =>
+    OVERRIDE_GROUPS[group].fields.some((field) => field in values)
+  );
+  const conflict = groups.find((group) => clear.includes(group));
+  if (conflict) {
+    throw createOverrideError(
+      `Không thể vừa sửa vừa bỏ sửa tay nhóm ${conflict}`,
+      "OVERRIDE_INVALID"
+    );
+  }
+  if (groups.length === 0 && clear.length === 0) {
+    throw createOverrideError(
+      "Không có trường nào để cập nhật",
+      "OVERRIDE_INVALID"
+    );
+  }
+
+  const windowStart =
+    "window_start" in values ? values.window_start : undefined;
+  const windowEnd = "window_end" in values ? values.window_end : undefined;
+  assertWindowOrder(windowStart, windowEnd);
+  // Chỉ gửi khung giờ thì hạn giao là cuối khung
+  if (windowEnd && !("delivery_deadline" in values)) {
+    values.delivery_deadline = windowEnd;
+  }
+
+  return { values, groups, clear: [...new Set(clear)] };
+}
+
+// ========================================================= SỬA TAY ĐƠN HÀNG =========================================================
+// Ghi giá trị mới, bật cờ sửa tay cho nhóm tương ứng và ghi một sự kiện cho mỗi cột đổi giá trị.
+// Bỏ sửa tay (clear_overrides) đặt lại nhóm về mặc định để lần chạy sau tính lại:
+//   priority/window: analyzed = 0 để analyzeDeliveryNote phân tích lại ghi chú
+//   address: needs_restandardize = 1 để main() chuẩn hóa lại từ địa chỉ gốc
+async function overrideOrder(idOrder, body, changedBy) {
+  const { values, groups, clear } = validateOverride(body);
+  const actor = changedBy || "dashboard";
+
+  const events = await withTransaction(async (connection) => {
+    const [rows] = await connection.query(
+      `SELECT o.id_order, o.priority, o.delivery_deadline, o.window_start, o.window_end,
+              o.delivery_constraint, o.override_priority, o.override_window, o.override_address,
+              oa.id_order AS address_id, oa.address, oa.district, oa.ward
+       FROM orders o
+       LEFT JOIN orders_address oa ON oa.id_order = o.id_order
+       WHERE o.id_order = ?
+       FOR UPDATE`,
+      [idOrder]
+    );
+    if (rows.length === 0) {
+      throw createOverrideError(
+        `Không tìm thấy đơn hàng ${idOrder}`,
+        "OVERRIDE_NOT_FOUND"
+      );
+    }
+    const current = {
+      ...rows[0],
+      delivery_deadline: formatDateTime(rows[0].delivery_deadline),
+      window_start: formatDateTime(rows[0].window_start),
+      window_end: formatDateTime(rows[0].window_end),
+    };
+    // Chỉ gửi một đầu khung giờ thì so với đầu còn lại đang lưu
+    if ("window_start" in values || "window_end" in values) {
+      assertWindowOrder(
+        "window_start" in values ? values.window_start : current.window_start,
+        "window_end" in values ? values.window_end : current.window_end
+      );
+    }
+    if (
+      groups.includes("address") &&
+      !current.address_id &&
+      !("address" in values)
+    ) {
+      throw createOverrideError(
+        `Đơn ${idOrder} chưa có địa chỉ chuẩn hóa, cần gửi kèm address`,
+        "OVERRIDE_INVALID"
+      );
+    }
+
+    const orderValues = {};
+    const addressValues = {};
+    groups.forEach((group) => {
+      const { flag, fields } = OVERRIDE_GROUPS[group];
+      orderValues[flag] = 1;
+      fields
+        .filter((field) => field in values)
+        .forEach((field) => {
+          (group === "address" ? addressValues : orderValues)[field] =
+            values[field];
+        });
+    });
+    clear.forEach((group) => {
+      orderValues[OVERRIDE_GROUPS[group].flag] = 0;
+    });
+    // analyzeDeliveryNote chỉ nhận đơn chưa có ưu tiên/hạn giao, nên bỏ sửa tay một nhóm
+    // thì đặt lại cả nhóm còn lại nếu nhóm đó cũng do pipeline tính
+    const noteGroups = ["priority", "window"];
+    if (noteGroups.some((group) => clear.includes(group))) {
+      noteGroups
+        .filter(
+          (group) =>
+            clear.includes(group) ||
+            (!groups.includes(group) &&
+              current[OVERRIDE_GROUPS[group].flag] === 0)
+        )
+        .forEach((group) => {
+          OVERRIDE_GROUPS[group].fields.forEach((field) => {
+            orderValues[field] = field === "priority" ? 0 : null;
+          });
+        });
+    }
+
+    const source = { actor_type: "user", actor };
+    const changes = [
+      ...diffOrderFields(idOrder, current, orderValues, {
+        ...source,
+        table_name: "orders",
+      }),
+      ...diffOrderFields(idOrder, current, addressValues, {
+        ...source,
+        table_name: "orders_address",
+      }),
+    ];
+
+    const orderUpdates = { ...orderValues };
+    if (clear.includes("priority") || clear.includes("window")) {
+      orderUpdates.analyzed = 0;
+      orderUpdates.note_source = null;
+      orderUpdates.note_confidence = null;
+    }
+    if (clear.includes("address")) {
+      orderUpdates.needs_restandardize = 1;
+    } else if (groups.includes("address")) {
+      orderUpdates.needs_restandardize = 0;
+    }
+    await connection.query("UPDATE orders SET ? WHERE id_order = ?", [
+      orderUpdates,
+      idOrder,
+    ]);
+
+    const addressChanged = changes.some(
+      (event) => event.table_name === "orders_address"
+    );
+    if (addressChanged) {
+      const merged = {
+        address: current.address,
+        district: current.district,
+        ward: current.ward,
+        ...addressValues,
+      };
+      // Địa chỉ mới thì xóa khoảng cách, tọa độ để calculateDistances tính lại
+      const resetRoute = merged.address !== current.address;
+      await connection.query(
+        `INSERT INTO orders_address (id_order, address, district, ward, source)
+         VALUES (?, ?, ?, ?, 'Manual')
+         ON DUPLICATE KEY UPDATE
+           address = VALUES(address),
+           district = VALUES(district),
+           ward = VALUES(ward),
+           source = VALUES(source),
+           distance = IF(?, NULL, distance),
+           travel_time = IF(?, NULL, travel_time),
+           lat = IF(?, NULL, lat),
+           lon = IF(?, NULL, lon)`,
+        [
+          idOrder,
+          merged.address,
+          merged.district,
+          merged.ward,
+          resetRoute,
+          resetRoute,
+          resetRoute,
+          resetRoute,
+        ]
+      );
+      await connection.query(
+        `UPDATE address_history SET is_current = 0 WHERE id_order = ? AND is_current = 1`,
+        [idOrder]
+      );
+      await connection.query(
+        `
+        INSERT INTO address_history (
+          id_order, raw_address, standardized_address, district, ward,
+          source, distance, travel_time
+        )
+        SELECT o.id_order, o.address, oa.address, oa.district, oa.ward,
+               oa.source, oa.distance, oa.travel_time
+        FROM orders o
+        JOIN orders_address oa ON o.id_order = oa.id_order
+        WHERE o.id_order = ?
+        `,
+        [idOrder]
+      );
+    }
+
+    await recordOrderEvents(connection, changes);
+    return changes;
+  });
+
+  console.log(
+    `[overrideOrder] Đơn ${idOrder}: ${actor} sửa ${
+      groups.join(", ") || "-"
+    }, bỏ sửa tay ${clear.join(", ") || "-"}, ${events.length} thay đổi`
+  );
+  return { order: await getOverriddenOrder(idOrder), changes: events };
+}
+
+// ĐỌC LẠI ĐƠN THEO ĐỊNH DẠNG DANH SÁCH ƯU TIÊN (null NẾU CHƯA CÓ orders_address)
+async function getOverriddenOrder(idOrder) {
+  const [rows] = await getPool().query(
+    `
+    SELECT ${PRIORITY_ORDER_COLUMNS}
+    FROM orders_address oa
+    JOIN orders o ON oa.id_order = o.id_order
+    LEFT JOIN warehouses w ON o.warehouse_id = w.id
+    WHERE o.id_order = ?
+    `,
+    [idOrder]
+  );
+  if (rows.length === 0) return null;
+  return { ...parsePriorityOrderRow(rows[0]), rank: explainRank(rows[0]) };
+}
+
+module.exports = {
+  OVERRIDE_GROUPS,
+  validateOverride,
+  overrideOrder,
+};
@@ -0,0 +1,129 @@
+const moment = require("moment-timezone");
+const { getPool } = require("./db");
+
+const formatDateTime = (value) =>
+  value
+    ? moment(value).tz("Asia/Ho_Chi_Minh").format("YYYY-MM-DD HH:mm:ss")
+    : null;
+
+function parseRunRow(row) {
+  return {
+    id: row.id,
+    trigger: row.trigger_source,
+    status: row.status,
+    started_at: formatDateTime(row.started_at),
+    finished_at: formatDateTime(row.finished_at),
+    duration_ms: row.duration_ms,
+    steps: row.steps || [],
+    counts: {
+      fetched: row.fetched_count,
+      standardized: row.standardized_count,
+      geocoded: row.geocoded_count,
+      analyzed: row.analyzed_count,
+    },
+    external_calls: row.external_calls || {},
+    errors: row.errors || [],
+  };
+}
+
+// TẠO BẢN GHI LẦN CHẠY MỚI
+// Lỗi ghi lịch sử không được làm dừng quy trình chính, nên trả về null khi thất bại
+async function createPipelineRun(trigger) {
+  try {
+    const [result] = await getPool().query(
+      `INSERT INTO pipeline_runs (trigger_source, status, started_at)
+       VALUES (?, 'running', NOW(3))`,
+      [trigger]
+    );
+    return result.insertId;
+  } catch (error) {
+    console.error("[createPipelineRun] Lỗi:", error.message);
+    return null;
+  }
+}
+
+// CẬP NHẬT KẾT QUẢ LẦN CHẠY
+// externalCalls (cột external_calls): số lần gọi API bên ngoài trong lần chạy, đặt khóa theo loại
+// lời gọi chứ không theo nhà cung cấp bản đồ (GEO_PROVIDER). Bản ghi cũ có thể còn khóa "tomtom".
+//   api2: API_2 lấy chi tiết và trạng thái đơn
+//   openai: chuẩn hóa địa chỉ và phân tích ghi chú
+//   geocode, route, matrix: geocode địa chỉ, tính tuyến đường và ma trận khoảng cách qua nhà cung cấp bản đồ
+//   warehouse_cache_hits: số kho dùng tọa độ đã lưu thay vì geocode lại địa chỉ kho
+async function finishPipelineRun(
+  runId,
+  { status, durationMs, steps, counts, externalCalls, errors }
+) {
+  if (!runId) return;
+  try {
+    await getPool().query(
+      `UPDATE pipeline_runs
+       SET status = ?,
+           finished_at = NOW(3),
+           duration_ms = ?,
+           steps = ?,
+           fetched_count = ?,
+           standardized_count = ?,
+           geocoded_count = ?,
+           analyzed_count = ?,
+           external_calls = ?,
+           errors = ?
+       WHERE id = ?`,
+      [
+        status,
+        durationMs,
+        JSON.stringify(steps || []),
+        counts.fetched || 0,
+        counts.standardized || 0,
+        counts.geocoded || 0,
+        counts.analyzed || 0,
+        JSON.stringify(externalCalls || {}),
+        JSON.stringify(errors || []),
+        runId,
+      ]
+    );
+  } catch (error) {
+    console.error("[finishPipelineRun] Lỗi:", error.message);
+  }
+}
+
+// DANH SÁCH LẦN CHẠY, MỚI NHẤT TRƯỚC
+async function listPipelineRuns({ page = 1, pageSize = 20, status = null }) {
+  const pool = getPool();
+  const whereClause = status ? "WHERE status = ?" : "";
+  const params = status ? [status] : [];
+
+  const [totalResult] = await pool.query(
+    `SELECT COUNT(*) AS total FROM pipeline_runs ${whereClause}`,
+    params
+  );
+  const [rows] = await pool.query(
+    `SELECT * FROM pipeline_runs ${whereClause}
+     ORDER BY started_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, pageSize, (page - 1) * pageSize]
+  );
+
+  const total = totalResult[0].total;
+  return {
+    total,
+    totalPages: Math.ceil(total / pageSize),
+    currentPage: page,
+    runs: rows.map(parseRunRow),
+  };
+}
+
+// CHI TIẾT MỘT LẦN CHẠY
+async function getPipelineRun(runId) {
+  const [rows] = await getPool().query(
+    "SELECT * FROM pipeline_runs WHERE id = ?",
+    [runId]
+  );
+  return rows.length > 0 ? parseRunRow(rows[0]) : null;
+}
+
+module.exports = {
+  createPipelineRun,
+  finishPipelineRun,
+  listPipelineRuns,
+  getPipelineRun,
+};
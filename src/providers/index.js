@@ -0,0 +1,33 @@
+// Nhà cung cấp geocode/tuyến đường, chọn bằng GEO_PROVIDER (mặc định "tomtom").
+// Mỗi provider có dạng:
+//   geocode(address) -> { lat, lon } | null
+//   route(origin, destination) -> { distance (km), travel_time (phút) } | null
+//   matrix(origins, destinations) -> { distances: km[][], durations: phút[][] }
+// Lỗi mạng/HTTP được ném ra để nơi gọi quyết định retry.
+const providers = {
+  tomtom: () => require("./tomtom"),
+  osrm: () => require("./osrm"),
+};
+
+let geoProvider = null;
+
+// LẤY PROVIDER THEO CẤU HÌNH
+function getGeoProvider() {
+  if (!geoProvider) {
+    const name = (process.env.GEO_PROVIDER || "tomtom").toLowerCase();
+    if (!providers[name]) {
+      throw new Error(
+        `GEO_PROVIDER "${name}" không hợp lệ, chỉ hỗ trợ: ${Object.keys(
+          providers
+        ).join(", ")}`
+      );
+    }
+    geoProvider = providers[name]();
+    console.log(`[getGeoProvider] Sử dụng provider: ${geoProvider.name}`);
+  }
+  return geoProvider;
+}
+
+module.exports = {
+  getGeoProvider,
+};
@@ -0,0 +1,93 @@
+const axios = require("axios");
+
+// OSRM và Nominatim tự triển khai trên bản trích xuất OSM Việt Nam
+const OSRM_URL = (process.env.OSRM_URL || "http://localhost:5000").replace(
+  /\/$/,
+  ""
+);
+const NOMINATIM_URL = (
+  process.env.NOMINATIM_URL || "http://localhost:8080"
+).replace(/\/$/, "");
+const OSRM_PROFILE = process.env.OSRM_PROFILE || "driving";
+
+const toCoordinate = ({ lat, lon }) => `${lon},${lat}`;
+
+// GEOCODE ĐỊA CHỈ THÀNH TỌA ĐỘ (NOMINATIM)
+async function geocode(address) {
+  const response = await axios.get(`${NOMINATIM_URL}/search`, {
+    params: {
+      q: address,
+      format: "jsonv2",
+      countrycodes: "vn",
+      limit: 1,
+    },
+    headers: { "User-Agent": "delivery-tool" },
+  });
+
+  if (Array.isArray(response.data) && response.data.length > 0) {
+    const { lat, lon } = response.data[0];
+    return { lat: parseFloat(lat), lon: parseFloat(lon) };
+  }
+  return null;
+}
+
+// TUYẾN ĐƯỜNG GIỮA HAI TỌA ĐỘ (OSRM route)
+async function route(origin, destination) {
+  const response = await axios.get(
+    `${OSRM_URL}/route/v1/${OSRM_PROFILE}/${toCoordinate(
+      origin
+    )};${toCoordinate(destination)}`,
+    { params: { overview: "false" } }
+  );
+
+  if (response.data.code !== "Ok") {
+    if (response.data.code === "NoRoute") return null;
+    throw new Error(`OSRM route trả về ${response.data.code}`);
+  }
+  if (response.data.routes && response.data.routes.length > 0) {
+    const { distance, duration } = response.data.routes[0];
+    return {
+      distance: distance / 1000,
+      travel_time: Math.ceil(duration / 60),
+    };
+  }
+  return null;
+}
+
+// MA TRẬN KHOẢNG CÁCH/THỜI GIAN (OSRM table)
+async function matrix(origins, destinations) {
+  const coordinates = [...origins, ...destinations].map(toCoordinate).join(";");
+  const sources = origins.map((_, index) => index).join(";");
+  const targets = destinations
+    .map((_, index) => origins.length + index)
+    .join(";");
+  const response = await axios.get(
+    `${OSRM_URL}/table/v1/${OSRM_PROFILE}/${coordinates}`,
+    {
+      params: {
+        sources,
+        destinations: targets,
+        annotations: "duration,distance",
+      },
+    }
+  );
+
+  if (response.data.code !== "Ok") {
+    throw new Error(`OSRM table trả về ${response.data.code}`);
+  }
+  return {
+    distances: response.data.distances.map((row) =>
+      row.map((meters) => (meters === null ? null : meters / 1000))
+    ),
+    durations: response.data.durations.map((row) =>
+      row.map((seconds) => (seconds === null ? null : Math.ceil(seconds / 60)))
+    ),
+  };
+}
+
+module.exports = {
+  name: "osrm",
+  geocode,
+  route,
+  matrix,
+};
@@ -0,0 +1,97 @@
+const axios = require("axios");
+
+const TOMTOM_API_KEY = process.env.TOMTOM_API_KEY;
+const TOMTOM_MATRIX_API_URL =
+  process.env.TOMTOM_MATRIX_API_URL ||
+  "https://api.tomtom.com/routing/matrix/2";
+const TOMTOM_MATRIX_MAX_CELLS = 200;
+
+// GEOCODE ĐỊA CHỈ THÀNH TỌA ĐỘ
+async function geocode(address) {
+  const response = await axios.get(
+    `${process.env.TOMTOM_GEOCODE_API_URL}/${encodeURIComponent(address)}.json`,
+    {
+      params: {
+        key: TOMTOM_API_KEY,
+        countrySet: "VN",
+        limit: 1,
+      },
+    }
+  );
+
+  if (response.data.results && response.data.results.length > 0) {
+    const { lat, lon } = response.data.results[0].position;
+    return { lat, lon };
+  }
+  return null;
+}
+
+// TUYẾN ĐƯỜNG GIỮA HAI TỌA ĐỘ
+async function route(origin, destination) {
+  const response = await axios.get(
+    `${process.env.TOMTOM_ROUTING_API_URL}/${origin.lat},${origin.lon}:${destination.lat},${destination.lon}/json`,
+    {
+      params: {
+        key: TOMTOM_API_KEY,
+        travelMode: "car",
+        traffic: "live",
+      },
+    }
+  );
+
+  if (response.data.routes && response.data.routes.length > 0) {
+    const { summary } = response.data.routes[0];
+    return {
+      distance: summary.lengthInMeters / 1000,
+      travel_time: Math.ceil(summary.travelTimeInSeconds / 60),
+    };
+  }
+  return null;
+}
+
+// MA TRẬN KHOẢNG CÁCH/THỜI GIAN (Matrix Routing v2, đồng bộ)
+// Yêu cầu đồng bộ giới hạn số ô nên chia nhỏ theo nhóm điểm xuất phát
+async function matrix(origins, destinations) {
+  if (destinations.length > TOMTOM_MATRIX_MAX_CELLS) {
+    throw new Error(
+      `TomTom matrix chỉ hỗ trợ tối đa ${TOMTOM_MATRIX_MAX_CELLS} điểm đến`
+    );
+  }
+  const toPoint = ({ lat, lon }) => ({
+    point: { latitude: lat, longitude: lon },
+  });
+  const distances = origins.map(() => destinations.map(() => null));
+  const durations = origins.map(() => destinations.map(() => null));
+  const chunkSize = Math.floor(TOMTOM_MATRIX_MAX_CELLS / destinations.length);
+
+  for (let offset = 0; offset < origins.length; offset += chunkSize) {
+    const chunk = origins.slice(offset, offset + chunkSize);
+    const response = await axios.post(
+      TOMTOM_MATRIX_API_URL,
+      {
+        origins: chunk.map(toPoint),
+        destinations: destinations.map(toPoint),
+        options: { departAt: "now", travelMode: "car", traffic: "live" },
+      },
+      { params: { key: TOMTOM_API_KEY } }
+    );
+
+    (response.data.data || []).forEach((cell) => {
+      if (!cell.routeSummary) return;
+      const originIndex = offset + cell.originIndex;
+      distances[originIndex][cell.destinationIndex] =
+        cell.routeSummary.lengthInMeters / 1000;
+      durations[originIndex][cell.destinationIndex] = Math.ceil(
+        cell.routeSummary.travelTimeInSeconds / 60
+      );
+    });
+  }
+  return { distances, durations };
+}
+
+module.exports = {
+  name: "tomtom",
+  geocode,
+  route,
+  matrix,
+};
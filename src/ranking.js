@@ -0,0 +1,362 @@
+const moment = require("moment-timezone");
+
+// Đơn có hạn giao trong khoảng này (tính từ hiện tại) được coi là sắp đến hạn
+const DEADLINE_WINDOW_MINUTES =
+  parseInt(process.env.PRIORITY_DEADLINE_WINDOW_MINUTES) || 120;
+
+// Số ngày kể từ ngày xuất kho: 2 = từ 2 ngày trước trở về trước, 1 = hôm qua, 0 = hôm nay
+const DAYS_OLD_SQL = `CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END`;
+
+// CỘT DÙNG CHUNG CHO DANH SÁCH ĐƠN THEO ƯU TIÊN (orders_address oa JOIN orders o LEFT JOIN warehouses w)
+const PRIORITY_ORDER_COLUMNS = `
+    oa.id_order,
+    oa.address,
+    oa.source,
+    oa.distance,
+    oa.travel_time,
+    oa.status,
+    oa.created_at,
+    oa.district,
+    oa.ward,
+    oa.old_distance,
+    oa.old_travel_time,
+    o.SOKM,
+    o.priority,
+    o.delivery_deadline,
+    o.window_start,
+    o.window_end,
+    o.delivery_constraint,
+    o.override_priority,
+    o.override_window,
+    o.override_address,
+    o.note_source,
+    o.note_confidence,
+    o.date_delivery,
+    o.delivery_note,
+    o.address AS current_address,
+    o.old_address,
+    o.warehouse_id,
+    w.code AS warehouse_code,
+    w.name AS warehouse_name,
+    ${DAYS_OLD_SQL} AS days_old,
+    TIMESTAMPDIFF(MINUTE, oa.created_at, NOW()) AS minutes_since_created
+`;
+
+// ========================================================= ĐIỀU KIỆN =========================================================
+// Mỗi điều kiện có hai cách đánh giá tương đương:
+//   js(row, now): trên dòng CSDL chưa chuyển đổi (delivery_deadline là Date), now là moment
+//   sql: biểu thức trên bí danh oa (orders_address) và o (orders)
+// label dùng để giải thích vì sao đơn thuộc một bậc.
+// Múi giờ: sql dùng NOW()/CURDATE() theo time_zone của phiên MySQL, js so với now (Asia/Ho_Chi_Minh)
+// và đọc cột DATETIME theo múi giờ của tiến trình Node. Hai phía chỉ cho cùng kết quả khi time_zone
+// của MySQL và TZ của tiến trình đều là Asia/Ho_Chi_Minh (+07:00).
+const DEADLINE_WINDOW_TEXT =
+  DEADLINE_WINDOW_MINUTES % 60 === 0
+    ? `${DEADLINE_WINDOW_MINUTES / 60} giờ`
+    : `${DEADLINE_WINDOW_MINUTES} phút`;
+const deadlineSoonSql = `(o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL ${DEADLINE_WINDOW_MINUTES} MINUTE)`;
+const isDeadlineSoon = (row, now) =>
+  !!row.delivery_deadline &&
+  moment(row.delivery_deadline).isSameOrBefore(
+    now.clone().add(DEADLINE_WINDOW_MINUTES, "minutes")
+  );
+
+// Khung giờ chưa mở: xuất phát ngay bây giờ vẫn tới nơi trước giờ mở khung
+const windowNotOpenSql =
+  "(o.window_start IS NOT NULL AND o.window_start > NOW() + INTERVAL COALESCE(oa.travel_time, 0) MINUTE)";
+const isWindowNotOpen = (row, now) =>
+  !!row.window_start &&
+  moment(row.window_start).isAfter(
+    now.clone().add(row.travel_time || 0, "minutes")
+  );
+
+const CONDITIONS = {
+  missingRouteData: {
+    label: "thiếu quận/phường hoặc khoảng cách, thời gian di chuyển",
+    js: (row) =>
+      !row.district ||
+      !row.ward ||
+      row.distance === null ||
+      row.travel_time === null,
+    sql: "(oa.district IS NULL OR oa.district = '' OR oa.ward IS NULL OR oa.ward = '' OR oa.distance IS NULL OR oa.travel_time IS NULL)",
+  },
+  tooFar: {
+    label: "khoảng cách trên 100 km",
+    js: (row) => row.distance > 100,
+    sql: "oa.distance > 100",
+  },
+  urgent: {
+    label: "đơn khẩn cấp",
+    js: (row) => row.priority === 2,
+    sql: "o.priority = 2",
+  },
+  highPriority: {
+    label: "ưu tiên cao",
+    js: (row) => row.priority === 1,
+    sql: "o.priority = 1",
+  },
+  normalPriority: {
+    label: "ưu tiên bình thường",
+    js: (row) => row.priority === 0,
+    sql: "o.priority = 0",
+  },
+  overdue: {
+    label: "quá 15 phút chưa giao",
+    js: (row) => row.status === 1,
+    sql: "oa.status = 1",
+  },
+  notOverdue: {
+    label: "chưa quá 15 phút",
+    js: (row) => row.status === 0,
+    sql: "oa.status = 0",
+  },
+  twoDaysOld: {
+    label: "xuất kho từ 2 ngày trước",
+    js: (row) => row.days_old === 2,
+    sql: `(${DAYS_OLD_SQL}) = 2`,
+  },
+  oneDayOld: {
+    label: "xuất kho hôm qua",
+    js: (row) => row.days_old === 1,
+    sql: `(${DAYS_OLD_SQL}) = 1`,
+  },
+  deadlineSoon: {
+    label: `hạn giao trong ${DEADLINE_WINDOW_TEXT}`,
+    js: isDeadlineSoon,
+    sql: deadlineSoonSql,
+  },
+  windowNotOpen: {
+    label: "khung giờ nhận hàng chưa mở",
+    js: isWindowNotOpen,
+    sql: windowNotOpenSql,
+  },
+  deadlineLater: {
+    label: `hạn giao sau ${DEADLINE_WINDOW_TEXT} hoặc không có hạn`,
+    js: (row, now) => !isDeadlineSoon(row, now),
+    sql: `NOT ${deadlineSoonSql}`,
+  },
+};
+
+// ========================================================= BẬC ƯU TIÊN =========================================================
+// Xét lần lượt từ trên xuống, bậc đầu tiên thỏa mọi điều kiện được chọn. Bậc nhỏ hơn giao trước.
+// Đơn chưa tới khung giờ nhận hàng xếp sau mọi đơn giao được ngay, kể cả khi khẩn cấp.
+const TIERS = [
+  { tier: 100, when: ["missingRouteData"] },
+  { tier: 99, when: ["tooFar"] },
+  { tier: 20, when: ["windowNotOpen"] },
+  { tier: 0, when: ["urgent"] },
+  { tier: 1, when: ["overdue", "highPriority", "deadlineSoon"] },
+  { tier: 2, when: ["twoDaysOld", "overdue", "deadlineSoon"] },
+  { tier: 3, when: ["twoDaysOld", "notOverdue", "deadlineSoon"] },
+  { tier: 4, when: ["oneDayOld", "overdue", "deadlineSoon"] },
+  { tier: 5, when: ["oneDayOld", "notOverdue", "deadlineSoon"] },
+  { tier: 10, when: ["overdue", "normalPriority"] },
+  { tier: 11, when: ["overdue", "highPriority", "deadlineLater"] },
+  { tier: 12, when: ["notOverdue", "highPriority", "deadlineLater"] },
+  { tier: 13, when: ["notOverdue", "normalPriority"] },
+  { tier: 14, when: ["twoDaysOld", "deadlineLater"] },
+  { tier: 15, when: ["oneDayOld", "deadlineLater"] },
+];
+const DEFAULT_TIER = 16;
+const DEFAULT_TIER_REASON = "không thuộc nhóm ưu tiên nào";
+
+// ========================================================= TIÊU CHÍ PHỤ =========================================================
+// Dùng khi hai đơn cùng bậc, so tăng dần theo thứ tự khai báo
+const MISSING_VALUE = 999999;
+const FAR_FUTURE = "9999-12-31 23:59:59";
+
+const TIE_BREAKERS = [
+  {
+    name: "deadline_today",
+    js: (row, now) =>
+      row.delivery_deadline && moment(row.delivery_deadline).isSame(now, "day")
+        ? 0
+        : 1,
+    sql: "CASE WHEN o.delivery_deadline IS NOT NULL AND DATE(o.delivery_deadline) = CURDATE() THEN 0 ELSE 1 END",
+    display: (value) => value === 0,
+  },
+  {
+    name: "minutes_to_deadline",
+    js: (row, now) =>
+      row.delivery_deadline
+        ? moment(row.delivery_deadline).diff(now, "minutes")
+        : MISSING_VALUE,
+    sql: `COALESCE(TIMESTAMPDIFF(MINUTE, NOW(), o.delivery_deadline), ${MISSING_VALUE})`,
+    display: (value) => (value === MISSING_VALUE ? null : value),
+  },
+  {
+    name: "distance",
+    js: (row) => (row.distance !== null ? row.distance : MISSING_VALUE),
+    sql: `COALESCE(oa.distance, ${MISSING_VALUE})`,
+    display: (value) =>
+      value === MISSING_VALUE ? null : parseFloat(value.toFixed(2)),
+  },
+  {
+    name: "travel_time",
+    js: (row) => (row.travel_time !== null ? row.travel_time : MISSING_VALUE),
+    sql: `COALESCE(oa.travel_time, ${MISSING_VALUE})`,
+    display: (value) => (value === MISSING_VALUE ? null : value),
+  },
+  {
+    name: "date_delivery",
+    js: (row) => {
+      const date = row.date_delivery
+        ? moment(row.date_delivery, "DD/MM/YYYY HH:mm:ss", true)
+        : null;
+      return (date && date.isValid() ? date : moment(FAR_FUTURE)).valueOf();
+    },
+    sql: `COALESCE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s'), '${FAR_FUTURE}')`,
+    display: (value) =>
+      value === moment(FAR_FUTURE).valueOf()
+        ? null
+        : moment(value).format("YYYY-MM-DD HH:mm:ss"),
+  },
+];
+
+// ========================================================= ĐÁNH GIÁ =========================================================
+const findTier = (row, now) =>
+  TIERS.find(({ when }) => when.every((name) => CONDITIONS[name].js(row, now)));
+
+// BẬC ƯU TIÊN CỦA MỘT ĐƠN (JS)
+function getOrderTier(row, now = moment()) {
+  const match = findTier(row, now);
+  return match ? match.tier : DEFAULT_TIER;
+}
+
+// GIẢI THÍCH THỨ HẠNG: BẬC, LÝ DO BẰNG TIẾNG VIỆT VÀ GIÁ TRỊ CÁC TIÊU CHÍ PHỤ
+function explainRank(row, now = moment()) {
+  const match = findTier(row, now);
+  const reason = match
+    ? match.when.map((name) => CONDITIONS[name].label).join(", ")
+    : DEFAULT_TIER_REASON;
+  return {
+    tier: match ? match.tier : DEFAULT_TIER,
+    reason: reason.charAt(0).toUpperCase() + reason.slice(1),
+    tie_breakers: Object.fromEntries(
+      TIE_BREAKERS.map(({ name, js, display }) => [name, display(js(row, now))])
+    ),
+  };
+}
+
+// SO SÁNH HAI DÒNG CSDL THEO THỨ TỰ ƯU TIÊN GIAO HÀNG
+function compareOrdersByPriority(a, b, now = moment()) {
+  const tierDiff = getOrderTier(a, now) - getOrderTier(b, now);
+  if (tierDiff !== 0) return tierDiff;
+
+  for (const { js } of TIE_BREAKERS) {
+    const diff = js(a, now) - js(b, now);
+    if (diff !== 0) return diff;
+  }
+  return a.id_order.localeCompare(b.id_order);
+}
+
+// SẮP XẾP DANH SÁCH DÒNG CSDL, DÙNG CHUNG MỘT MỐC THỜI GIAN CHO CẢ LẦN SẮP XẾP
+function rankOrders(rows, now = moment()) {
+  return [...rows].sort((a, b) => compareOrdersByPriority(a, b, now));
+}
+
+// BIỂU THỨC BẬC ƯU TIÊN (SQL)
+function buildTierSql() {
+  const cases = TIERS.map(
+    ({ tier, when }) =>
+      `WHEN ${when
+        .map((name) => CONDITIONS[name].sql)
+        .join(" AND ")} THEN ${tier}`
+  );
+  return `CASE\n      ${cases.join(
+    "\n      "
+  )}\n      ELSE ${DEFAULT_TIER}\n    END`;
+}
+
+// MỆNH ĐỀ ORDER BY TƯƠNG ĐƯƠNG compareOrdersByPriority
+function buildRankingOrderBy() {
+  return [
+    `${buildTierSql()} ASC`,
+    ...TIE_BREAKERS.map(({ sql }) => `${sql} ASC`),
+    "oa.id_order ASC",
+  ].join(",\n    ");
+}
+
+// CHUYỂN DÒNG CSDL THÀNH ĐƠN HÀNG TRẢ VỀ CHO GIAO DIỆN
+function parsePriorityOrderRow(row) {
+  return {
+    id_order: row.id_order,
+    address: row.address || "N/A",
+    source: row.source,
+    distance:
+      row.distance !== null ? parseFloat(row.distance.toFixed(2)) : null,
+    travel_time: row.travel_time !== null ? row.travel_time : null,
+    status: row.status,
+    created_at: row.created_at
+      ? moment(row.created_at)
+          .tz("Asia/Ho_Chi_Minh")
+          .format("YYYY-MM-DD HH:mm:ss")
+      : null,
+    district: row.district || "N/A",
+    ward: row.ward || "N/A",
+    old_distance:
+      row.old_distance !== null
+        ? parseFloat(row.old_distance.toFixed(2))
+        : null,
+    old_travel_time: row.old_travel_time !== null ? row.old_travel_time : null,
+    SOKM:
+      row.SOKM !== null && !isNaN(parseFloat(row.SOKM))
+        ? parseFloat(parseFloat(row.SOKM).toFixed(2))
+        : null,
+    priority: row.priority,
+    delivery_deadline: row.delivery_deadline
+      ? moment(row.delivery_deadline)
+          .tz("Asia/Ho_Chi_Minh")
+          .format("YYYY-MM-DD HH:mm:ss")
+      : null,
+    window_start: row.window_start
+      ? moment(row.window_start)
+          .tz("Asia/Ho_Chi_Minh")
+          .format("YYYY-MM-DD HH:mm:ss")
+      : null,
+    window_end: row.window_end
+      ? moment(row.window_end)
+          .tz("Asia/Ho_Chi_Minh")
+          .format("YYYY-MM-DD HH:mm:ss")
+      : null,
+    delivery_constraint: row.delivery_constraint,
+    // Nhóm cột điều phối viên đã sửa tay, pipeline không ghi đè
+    overrides: {
+      priority: row.override_priority === 1,
+      window: row.override_window === 1,
+      address: row.override_address === 1,
+    },
+    note_source: row.note_source,
+    note_confidence:
+      row.note_confidence !== null ? parseFloat(row.note_confidence) : null,
+    date_delivery: row.date_delivery,
+    delivery_note: row.delivery_note,
+    current_address: row.current_address,
+    old_address: row.old_address,
+    warehouse_id: row.warehouse_id,
+    warehouse_code: row.warehouse_code,
+    warehouse_name: row.warehouse_name,
+    days_old: row.days_old,
+    minutes_since_created:
+      row.minutes_since_created !== null ? row.minutes_since_created : 0,
+  };
+}
+
+module.exports = {
+  DEADLINE_WINDOW_MINUTES,
+  PRIORITY_ORDER_COLUMNS,
+  CONDITIONS,
+  TIERS,
+  TIE_BREAKERS,
+  getOrderTier,
+  explainRank,
+  compareOrdersByPriority,
+  rankOrders,
+  buildTierSql,
+  buildRankingOrderBy,
+  parsePriorityOrderRow,
+};
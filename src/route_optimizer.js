@@ -0,0 +1,553 @@
+const moment = require("moment-timezone");
+const pLimitModule = require("p-limit");
+const { getPool } = require("./db");
+const { haversineDistance } = require("./utils");
+const {
+  geocodeAddress,
+  getWarehouseLocation,
+  calculateRouteMatrix,
+  adjustToWorkingHours,
+} = require("./delivery-tool");
+const {
+  loadBusinessCalendar,
+  getWorkingShifts,
+} = require("./business_calendar");
+
+const pLimit =
+  typeof pLimitModule === "function" ? pLimitModule : pLimitModule.default;
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const MAX_STOPS = toInt(process.env.ROUTE_MAX_STOPS, 50);
+const DEFAULT_SERVICE_MINUTES = toInt(process.env.ROUTE_SERVICE_MINUTES, 10);
+// Ước lượng khi provider không trả về ô ma trận: đường thực tế ~1.3 lần chim bay, 25 km/h trong phố
+const FALLBACK_ROAD_FACTOR = 1.3;
+const FALLBACK_SPEED_KMH = 25;
+// Giới hạn cải thiện cục bộ cho mỗi thứ tự ban đầu (có hai thứ tự) để request không chặn
+// event loop quá lâu
+const MAX_EVALUATIONS = toInt(process.env.ROUTE_MAX_EVALUATIONS, 20000);
+const IMPROVEMENT_BUDGET_MS = toInt(
+  process.env.ROUTE_IMPROVEMENT_BUDGET_MS,
+  200
+);
+// Số ngày giờ làm việc tính sẵn từ lúc xuất phát, quá mốc này mới dùng adjustToWorkingHours
+const TIMELINE_DAYS = 14;
+const MINUTE_MS = 60 * 1000;
+
+const formatTime = (time) =>
+  time === null || time === undefined
+    ? null
+    : moment(time).tz("Asia/Ho_Chi_Minh").format("YYYY-MM-DD HH:mm:ss");
+
+function createRouteError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_ROUTE_REQUEST";
+  return error;
+}
+
+// LẤY CÁC ĐƠN CẦN XẾP TUYẾN
+async function loadRouteOrders({ orderIds, district, ward, warehouseId }) {
+  const conditions = [];
+  const params = [];
+  if (orderIds && orderIds.length > 0) {
+    conditions.push("o.id_order IN (?)");
+    params.push(orderIds);
+  }
+  if (district) {
+    conditions.push("oa.district = ?");
+    params.push(district);
+  }
+  if (ward) {
+    conditions.push("oa.ward = ?");
+    params.push(ward);
+  }
+  if (warehouseId) {
+    conditions.push("o.warehouse_id = ?");
+    params.push(warehouseId);
+  }
+
+  const [rows] = await getPool().query(
+    `
+    SELECT o.id_order, o.priority, o.delivery_deadline, o.window_start, o.warehouse_id,
+           oa.address, oa.district, oa.ward, oa.lat, oa.lon
+    FROM orders o
+    JOIN orders_address oa ON o.id_order = oa.id_order
+    WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
+      AND oa.address IS NOT NULL AND oa.address != ''
+      ${conditions.map((condition) => `AND ${condition}`).join(" ")}
+    ORDER BY o.delivery_deadline IS NULL, o.delivery_deadline, o.id_order
+    LIMIT ?
+    `,
+    [...params, MAX_STOPS + 1]
+  );
+  return rows;
+}
+
+// GIỜ LÀM VIỆC TỪ NGÀY XUẤT PHÁT, TÍNH MỘT LẦN CHO MỖI LẦN TỐI ƯU
+// Trả về hàm đưa thời điểm (ms) về giờ làm việc giống adjustToWorkingHours mà không tạo moment
+function buildWorkingTimeline(startTime, days = TIMELINE_DAYS) {
+  const intervals = [];
+  const day = moment(startTime).tz("Asia/Ho_Chi_Minh").startOf("day");
+  for (let i = 0; i < days; i++) {
+    getWorkingShifts(day).forEach((shift) => {
+      intervals.push({
+        start: day.valueOf() + shift.start * 60 * MINUTE_MS,
+        end: day.valueOf() + shift.end * 60 * MINUTE_MS,
+      });
+    });
+    day.add(1, "day");
+  }
+
+  return (time) => {
+    // Ca đầu tiên kết thúc sau time: đang trong ca thì giữ nguyên, chưa tới ca thì chờ đầu ca
+    let low = 0;
+    let high = intervals.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (intervals[middle].end <= time) low = middle + 1;
+      else high = middle;
+    }
+    if (low === intervals.length) {
+      return adjustToWorkingHours(
+        moment(time).tz("Asia/Ho_Chi_Minh")
+      ).valueOf();
+    }
+    return Math.max(time, intervals[low].start);
+  };
+}
+
+// NGỮ CẢNH MÔ PHỎNG: THỜI ĐIỂM TÍNH BẰNG ms, stops[i] CÓ deadline VÀ window_start (ms HOẶC null)
+function createRouteContext({
+  stops,
+  legs,
+  startTime,
+  serviceMinutes = DEFAULT_SERVICE_MINUTES,
+  returnToWarehouse = true,
+}) {
+  const start = moment(startTime).valueOf();
+  return {
+    stops,
+    legs,
+    startTime: start,
+    serviceMinutes,
+    returnToWarehouse,
+    toWorkingTime: buildWorkingTimeline(start),
+  };
+}
+
+// MÔ PHỎNG MỘT THỨ TỰ GIAO, TÍNH ETA VÀ ĐỘ TRỄ
+// Chỉ số ma trận: 0 là kho, i + 1 là điểm dừng i.
+// base/from: dùng lại kết quả của base cho from điểm dừng đầu (giống nhau ở hai thứ tự).
+function simulateRoute(sequence, context, base = null, from = 0) {
+  const { stops, legs, serviceMinutes, returnToWarehouse, toWorkingTime } =
+    context;
+  const state = base
+    ? { ...base.states[from] }
+    : {
+        time: context.startTime,
+        previous: 0,
+        distanceKm: 0,
+        travelMinutes: 0,
+        lateCount: 0,
+        lateMinutes: 0,
+      };
+  const states = base ? base.states.slice(0, from) : [];
+  const timeline = base ? base.timeline.slice(0, from) : [];
+
+  for (let position = from; position < sequence.length; position++) {
+    states.push({ ...state });
+    const stopIndex = sequence[position];
+    const stop = stops[stopIndex];
+    const leg = legs(state.previous, stopIndex + 1);
+    state.distanceKm += leg.distance;
+    state.travelMinutes += leg.minutes;
+    // Đến trước khung giờ khách hẹn thì chờ, ngoài giờ làm việc thì chờ tới ca kế tiếp
+    const arrival = state.time + leg.minutes * MINUTE_MS;
+    const eta = toWorkingTime(
+      stop.window_start ? Math.max(arrival, stop.window_start) : arrival
+    );
+    const late = stop.deadline
+      ? Math.max(0, Math.floor((eta - stop.deadline) / MINUTE_MS))
+      : 0;
+    if (late > 0) {
+      state.lateCount++;
+      state.lateMinutes += late;
+    }
+    timeline.push({
+      stopIndex,
+      eta,
+      leg,
+      late,
+      wait: Math.floor((eta - arrival) / MINUTE_MS),
+    });
+    state.time = eta + serviceMinutes * MINUTE_MS;
+    state.previous = stopIndex + 1;
+  }
+  states.push({ ...state });
+
+  let returnLeg = null;
+  let finish = state.time;
+  let { distanceKm, travelMinutes } = state;
+  if (returnToWarehouse && sequence.length > 0) {
+    const leg = legs(state.previous, 0);
+    distanceKm += leg.distance;
+    travelMinutes += leg.minutes;
+    finish += leg.minutes * MINUTE_MS;
+    returnLeg = { leg, eta: finish };
+  }
+
+  return {
+    timeline,
+    states,
+    returnLeg,
+    lateCount: state.lateCount,
+    lateMinutes: state.lateMinutes,
+    distanceKm,
+    travelMinutes,
+    finish,
+  };
+}
+
+// SO SÁNH HAI PHƯƠNG ÁN: ÍT ĐƠN TRỄ, ÍT PHÚT TRỄ, XONG SỚM, ÍT KM
+function compareRoutes(a, b) {
+  if (a.lateCount !== b.lateCount) return a.lateCount - b.lateCount;
+  if (a.lateMinutes !== b.lateMinutes) return a.lateMinutes - b.lateMinutes;
+  if (a.finish !== b.finish) return a.finish - b.finish;
+  return a.distanceKm - b.distanceKm;
+}
+
+// THỨ TỰ BAN ĐẦU: GẦN NHẤT TRƯỚC, TÙY CHỌN ƯU TIÊN ĐƠN CÓ HẠN
+function buildNearestNeighbor(context, deadlineFirst) {
+  const remaining = new Set(context.stops.map((_, index) => index));
+  const sequence = [];
+  let previous = 0;
+
+  if (deadlineFirst) {
+    context.stops
+      .map((stop, index) => ({ stop, index }))
+      .filter(({ stop }) => stop.deadline)
+      .sort((a, b) => a.stop.deadline - b.stop.deadline)
+      .forEach(({ index }) => {
+        sequence.push(index);
+        remaining.delete(index);
+        previous = index + 1;
+      });
+  }
+
+  while (remaining.size > 0) {
+    let best = null;
+    remaining.forEach((index) => {
+      const minutes = context.legs(previous, index + 1).minutes;
+      if (!best || minutes < best.minutes) {
+        best = { index, minutes };
+      }
+    });
+    sequence.push(best.index);
+    remaining.delete(best.index);
+    previous = best.index + 1;
+  }
+  return sequence;
+}
+
+// CẢI THIỆN CỤC BỘ BẰNG 2-OPT VÀ DI CHUYỂN MỘT ĐIỂM
+// Nhận ngay phương án tốt hơn đầu tiên, chỉ mô phỏng lại từ vị trí đầu tiên thay đổi.
+// Dừng khi không còn cải thiện hoặc hết maxEvaluations/budgetMs (completed = false).
+function improveSequence(
+  initialSequence,
+  context,
+  { maxEvaluations = MAX_EVALUATIONS, budgetMs = IMPROVEMENT_BUDGET_MS } = {}
+) {
+  const stopAt = Date.now() + budgetMs;
+  let sequence = initialSequence;
+  let best = simulateRoute(sequence, context);
+  let evaluations = 1;
+  const canEvaluate = () => evaluations < maxEvaluations && Date.now() < stopAt;
+  const tryCandidate = (candidate, from) => {
+    evaluations++;
+    const result = simulateRoute(candidate, context, best, from);
+    if (compareRoutes(result, best) < 0) {
+      sequence = candidate;
+      best = result;
+      return true;
+    }
+    return false;
+  };
+
+  let improved = true;
+  while (improved && canEvaluate()) {
+    improved = false;
+
+    for (let i = 0; i < sequence.length - 1 && canEvaluate(); i++) {
+      for (let j = i + 1; j < sequence.length && canEvaluate(); j++) {
+        const reversed = [
+          ...sequence.slice(0, i),
+          ...sequence.slice(i, j + 1).reverse(),
+          ...sequence.slice(j + 1),
+        ];
+        if (tryCandidate(reversed, i)) improved = true;
+      }
+    }
+
+    for (let i = 0; i < sequence.length && canEvaluate(); i++) {
+      for (let j = 0; j < sequence.length && canEvaluate(); j++) {
+        if (i === j) continue;
+        const moved = [...sequence];
+        const [stopIndex] = moved.splice(i, 1);
+        moved.splice(j, 0, stopIndex);
+        if (tryCandidate(moved, Math.min(i, j))) improved = true;
+      }
+    }
+  }
+  // Lượt cuối không cải thiện mà vẫn còn hạn mức nghĩa là đã xét hết các bước
+  return {
+    sequence,
+    result: best,
+    evaluations,
+    completed: !improved && canEvaluate(),
+  };
+}
+
+// TỐI ƯU TUYẾN GIAO NHIỀU ĐIỂM CHO MỘT CHUYẾN
+async function optimizeRoute({
+  orderIds = [],
+  district = null,
+  ward = null,
+  warehouseId = null,
+  startTime = null,
+  serviceMinutes = DEFAULT_SERVICE_MINUTES,
+  returnToWarehouse = true,
+}) {
+  const executionStart = Date.now();
+  try {
+    if (orderIds.length === 0 && !district && !ward) {
+      throw createRouteError("Cần order_ids hoặc district/ward để xếp tuyến");
+    }
+    if (orderIds.length > MAX_STOPS) {
+      throw createRouteError(
+        `Tối đa ${MAX_STOPS} điểm dừng cho một tuyến, hãy thu hẹp bộ lọc`
+      );
+    }
+
+    const rows = await loadRouteOrders({
+      orderIds,
+      district,
+      ward,
+      warehouseId,
+    });
+    if (rows.length > MAX_STOPS) {
+      throw createRouteError(
+        `Tối đa ${MAX_STOPS} điểm dừng cho một tuyến, hãy thu hẹp bộ lọc`
+      );
+    }
+
+    const unroutable = [];
+    const foundIds = new Set(rows.map((row) => row.id_order));
+    orderIds
+      .filter((id) => !foundIds.has(id))
+      .forEach((id) =>
+        unroutable.push({
+          id_order: id,
+          reason: "Không tìm thấy hoặc không ở trạng thái chờ giao",
+        })
+      );
+
+    const warehouseIds = [
+      ...new Set(rows.map((row) => row.warehouse_id).filter(Boolean)),
+    ];
+    if (!warehouseId && warehouseIds.length > 1) {
+      throw createRouteError(
+        "Các đơn thuộc nhiều kho, hãy chỉ định warehouse_id"
+      );
+    }
+    const origin = await getWarehouseLocation(
+      warehouseId || warehouseIds[0] || null
+    );
+
+    const candidates = rows.filter((row) => {
+      if (row.address.toUpperCase().includes("CHUYỂN PHÁT NHANH")) {
+        unroutable.push({
+          id_order: row.id_order,
+          reason: "Đơn chuyển phát nhanh, không giao bằng xe",
+        });
+        return false;
+      }
+      return true;
+    });
+
+    // Chỉ geocode địa chỉ chưa có tọa độ lưu trong orders_address
+    const limit = pLimit(2);
+    const locations = new Map();
+    candidates.forEach((row) => {
+      if (row.lat !== null && row.lon !== null) {
+        locations.set(row.address, { lat: row.lat, lon: row.lon });
+      }
+    });
+    await Promise.all(
+      [...new Set(candidates.map((row) => row.address))]
+        .filter((address) => !locations.has(address))
+        .map((address) =>
+          limit(async () => {
+            const location = await geocodeAddress(address);
+            if (location) locations.set(address, location);
+          })
+        )
+    );
+
+    const stops = [];
+    candidates.forEach((row) => {
+      const location = locations.get(row.address);
+      if (!location) {
+        unroutable.push({
+          id_order: row.id_order,
+          reason: "Không xác định được tọa độ địa chỉ",
+        });
+        return;
+      }
+      stops.push({
+        id_order: row.id_order,
+        address: row.address,
+        district: row.district,
+        ward: row.ward,
+        priority: row.priority,
+        lat: location.lat,
+        lon: location.lon,
+        deadline: row.delivery_deadline
+          ? moment(row.delivery_deadline).valueOf()
+          : null,
+        window_start: row.window_start
+          ? moment(row.window_start).valueOf()
+          : null,
+      });
+    });
+
+    await loadBusinessCalendar();
+    const departure = adjustToWorkingHours(
+      startTime
+        ? moment.tz(startTime, "YYYY-MM-DD HH:mm", "Asia/Ho_Chi_Minh")
+        : moment().tz("Asia/Ho_Chi_Minh")
+    );
+
+    if (stops.length === 0) {
+      return {
+        warehouse: origin,
+        start_time: formatTime(departure),
+        stops: [],
+        totals: {
+          distance_km: 0,
+          travel_minutes: 0,
+          duration_minutes: 0,
+          late_stops: 0,
+        },
+        return_to_warehouse: null,
+        unroutable,
+      };
+    }
+
+    const points = [origin, ...stops];
+    const matrix = await calculateRouteMatrix(points, points);
+    const legs = (from, to) => {
+      const distance = matrix.distances[from][to];
+      const minutes = matrix.durations[from][to];
+      if (distance !== null && minutes !== null) {
+        return { distance, minutes, estimated: false };
+      }
+      const estimatedKm =
+        haversineDistance(points[from], points[to]) * FALLBACK_ROAD_FACTOR;
+      return {
+        distance: estimatedKm,
+        minutes: Math.ceil((estimatedKm / FALLBACK_SPEED_KMH) * 60),
+        estimated: true,
+      };
+    };
+
+    const context = createRouteContext({
+      stops,
+      legs,
+      startTime: departure,
+      serviceMinutes,
+      returnToWarehouse,
+    });
+    const { result, evaluations, completed } = [
+      buildNearestNeighbor(context, false),
+      buildNearestNeighbor(context, true),
+    ]
+      .map((initial) => improveSequence(initial, context))
+      .reduce((best, candidate) =>
+        compareRoutes(candidate.result, best.result) < 0 ? candidate : best
+      );
+    if (!completed) {
+      console.warn(
+        `[optimizeRoute] Dừng cải thiện tuyến sau ${evaluations} lần mô phỏng (giới hạn số lần hoặc thời gian)`
+      );
+    }
+
+    const response = {
+      warehouse: origin,
+      start_time: formatTime(departure),
+      stops: result.timeline.map(
+        ({ stopIndex, eta, leg, late, wait }, index) => {
+          const stop = stops[stopIndex];
+          return {
+            sequence: index + 1,
+            id_order: stop.id_order,
+            address: stop.address,
+            district: stop.district,
+            ward: stop.ward,
+            lat: stop.lat,
+            lon: stop.lon,
+            priority: stop.priority,
+            delivery_deadline: formatTime(stop.deadline),
+            window_start: formatTime(stop.window_start),
+            eta: formatTime(eta),
+            wait_minutes: wait,
+            departure: formatTime(eta + serviceMinutes * MINUTE_MS),
+            leg_distance_km: parseFloat(leg.distance.toFixed(2)),
+            leg_minutes: leg.minutes,
+            leg_estimated: leg.estimated,
+            late: late > 0,
+            late_minutes: late,
+          };
+        }
+      ),
+      totals: {
+        distance_km: parseFloat(result.distanceKm.toFixed(2)),
+        travel_minutes: result.travelMinutes,
+        duration_minutes: Math.round(
+          (result.finish - departure.valueOf()) / MINUTE_MS
+        ),
+        late_stops: result.lateCount,
+      },
+      return_to_warehouse: result.returnLeg
+        ? {
+            eta: formatTime(result.returnLeg.eta),
+            distance_km: parseFloat(result.returnLeg.leg.distance.toFixed(2)),
+            minutes: result.returnLeg.leg.minutes,
+          }
+        : null,
+      unroutable,
+    };
+
+    console.log(
+      `[optimizeRoute] ${stops.length} điểm dừng, ${
+        response.totals.distance_km
+      } km, ${response.totals.late_stops} đơn trễ, thực thi trong ${
+        Date.now() - executionStart
+      }ms`
+    );
+    return response;
+  } catch (error) {
+    console.error("[optimizeRoute] Lỗi:", error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  createRouteContext,
+  simulateRoute,
+  buildNearestNeighbor,
+  improveSequence,
+  optimizeRoute,
+};
@@ -0,0 +1,174 @@
+const os = require("os");
+const crypto = require("crypto");
+const moment = require("moment-timezone");
+const { getPool } = require("./db");
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Khóa quá hạn (tiến trình giữ khóa bị tắt đột ngột) sẽ được giành lại sau TTL
+const LOCK_TTL_MS = toInt(process.env.PIPELINE_LOCK_TTL_MS, 10 * 60 * 1000);
+const HEARTBEAT_MS = Math.max(1000, Math.floor(LOCK_TTL_MS / 3));
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Trạng thái khóa trong tiến trình, theo tên khóa
+const localRuns = new Map();
+
+function createBusyError(name, info) {
+  const error = new Error(`Quy trình "${name}" đang chạy`);
+  error.code = "RUN_IN_PROGRESS";
+  error.lockInfo = info;
+  return error;
+}
+
+// GIÀNH KHÓA TRONG CSDL
+// Xóa khóa quá hạn rồi INSERT IGNORE, chỉ một tiến trình chèn được dòng
+async function acquireDbLock(name, owner, trigger) {
+  const pool = getPool();
+  const [deleted] = await pool.query(
+    "DELETE FROM pipeline_locks WHERE name = ? AND expires_at < NOW(3)",
+    [name]
+  );
+  if (deleted.affectedRows > 0) {
+    console.warn(`[acquireDbLock] Đã gỡ khóa quá hạn của "${name}"`);
+  }
+
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO pipeline_locks
+       (name, owner, trigger_source, acquired_at, expires_at)
+     VALUES (?, ?, ?, NOW(3), DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))`,
+    [name, owner, trigger, LOCK_TTL_MS * 1000]
+  );
+  if (result.affectedRows === 1) {
+    return { acquired: true };
+  }
+
+  const [rows] = await pool.query(
+    "SELECT owner, trigger_source, acquired_at, expires_at FROM pipeline_locks WHERE name = ?",
+    [name]
+  );
+  return { acquired: false, holder: rows[0] || null };
+}
+
+// GIA HẠN KHÓA KHI ĐANG CHẠY
+async function refreshDbLock(name, owner) {
+  const [result] = await getPool().query(
+    `UPDATE pipeline_locks
+     SET expires_at = DATE_ADD(NOW(3), INTERVAL ? MICROSECOND)
+     WHERE name = ? AND owner = ?`,
+    [LOCK_TTL_MS * 1000, name, owner]
+  );
+  return result.affectedRows === 1;
+}
+
+// TRẢ KHÓA
+async function releaseDbLock(name, owner) {
+  await getPool().query(
+    "DELETE FROM pipeline_locks WHERE name = ? AND owner = ?",
+    [name, owner]
+  );
+}
+
+// CHẠY fn ĐỘC QUYỀN THEO TÊN KHÓA (TRONG TIẾN TRÌNH VÀ GIỮA CÁC SERVER)
+// Khi đang có lần chạy, ném lỗi code "RUN_IN_PROGRESS". Nếu queueIfBusy,
+// các yêu cầu trong lúc chạy được gộp thành đúng một lần chạy tiếp theo.
+async function runExclusive(
+  name,
+  fn,
+  { trigger = "manual", queueIfBusy = false } = {}
+) {
+  const current = localRuns.get(name);
+  if (current) {
+    if (queueIfBusy) {
+      current.queued = { fn, trigger };
+    }
+    throw createBusyError(name, {
+      instance: INSTANCE_ID,
+      trigger: current.trigger,
+      startedAt: current.startedAt,
+      queued: Boolean(current.queued),
+    });
+  }
+
+  const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const state = {
+    owner,
+    trigger,
+    startedAt: moment().tz("Asia/Ho_Chi_Minh").format(),
+    queued: null,
+  };
+  // Đặt khóa trong tiến trình trước khi await để chặn lần gọi đồng thời
+  localRuns.set(name, state);
+
+  let lock;
+  try {
+    lock = await acquireDbLock(name, owner, trigger);
+  } catch (error) {
+    localRuns.delete(name);
+    console.error("[runExclusive] Lỗi khi giành khóa:", error.message);
+    throw error;
+  }
+
+  if (!lock.acquired) {
+    localRuns.delete(name);
+    const holder = lock.holder;
+    throw createBusyError(name, {
+      instance: holder ? holder.owner.split(":").slice(0, 2).join(":") : null,
+      trigger: holder ? holder.trigger_source : null,
+      startedAt: holder
+        ? moment(holder.acquired_at).tz("Asia/Ho_Chi_Minh").format()
+        : null,
+      queued: false,
+    });
+  }
+
+  const heartbeat = setInterval(() => {
+    refreshDbLock(name, owner)
+      .then((refreshed) => {
+        if (!refreshed) {
+          console.warn(
+            `[runExclusive] Khóa "${name}" đã bị tiến trình khác giành lại`
+          );
+        }
+      })
+      .catch((error) =>
+        console.error("[runExclusive] Lỗi khi gia hạn khóa:", error.message)
+      );
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    try {
+      await releaseDbLock(name, owner);
+    } catch (error) {
+      console.error("[runExclusive] Lỗi khi trả khóa:", error.message);
+    }
+    localRuns.delete(name);
+
+    if (state.queued) {
+      const { fn: queuedFn, trigger: queuedTrigger } = state.queued;
+      console.log(
+        `[runExclusive] Chạy lần "${name}" đã xếp hàng (trigger: ${queuedTrigger})`
+      );
+      setImmediate(() => {
+        runExclusive(name, queuedFn, { trigger: queuedTrigger }).catch(
+          (error) =>
+            console.error(
+              `[runExclusive] Lỗi khi chạy lần "${name}" đã xếp hàng:`,
+              error.message
+            )
+        );
+      });
+    }
+  }
+}
+
+module.exports = {
+  LOCK_TTL_MS,
+  runExclusive,
+};
@@ -0,0 +1,1377 @@
+require("dotenv").config();
+const express = require("express");
+const http = require("http");
+const socketIo = require("socket.io");
+const cron = require("node-cron");
+const moment = require("moment-timezone");
+const { getPool } = require("./db");
+const {
+  getNextCronRunTime,
+  getWarehouseLocation,
+  groupOrders,
+  syncOrderStatus,
+  main,
+} = require("./delivery-tool");
+const { listPipelineRuns, getPipelineRun } = require("./pipeline_runs");
+const { listWarehouses } = require("./warehouses");
+const { optimizeRoute } = require("./route_optimizer");
+const { listBatches } = require("./batching");
+const {
+  PRIORITY_ORDER_COLUMNS,
+  buildRankingOrderBy,
+  explainRank,
+} = require("./ranking");
+const {
+  listVehicles,
+  createVehicle,
+  listDrivers,
+  createDriver,
+  assignOrders,
+  unassignOrders,
+  getDriverManifest,
+} = require("./dispatch");
+const { overrideOrder } = require("./order_overrides");
+const { getOrderTimeline } = require("./order_events");
+const {
+  getCalendarForYear,
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  listShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  listClosures,
+  createClosure,
+  updateClosure,
+  deleteClosure,
+} = require("./business_calendar");
+
+const app = express();
+const server = http.createServer(app);
+const io = socketIo(server);
+const port = process.env.PORT || 3000;
+
+app.use(express.json());
+app.use(express.static("public"));
+
+io.on("connection", (socket) => {
+  console.log("Client connected:", socket.id);
+  socket.emit("cronTimeUpdate", {
+    nextRunTime: getNextCronRunTime(),
+  });
+  socket.on("disconnect", () => {
+    console.log("Client disconnected:", socket.id);
+  });
+});
+
+// ================================================================== ROUTER ==================================================
+// SẮP XẾP ĐƠN HÀNG
+app.get("/grouped-orders", async (req, res) => {
+  try {
+    console.time("grouped-orders");
+    const page = parseInt(req.query.page) || 1;
+    const filterDate = req.query.date || null;
+    const warehouseId = req.query.warehouse_id
+      ? parseInt(req.query.warehouse_id)
+      : null;
+
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({ error: "Page phải là số nguyên dương" });
+    }
+    if (warehouseId !== null && (isNaN(warehouseId) || warehouseId < 1)) {
+      return res.status(400).json({ error: "warehouse_id không hợp lệ" });
+    }
+
+    console.log(
+      `Gọi groupOrders với page: ${page}, date: ${filterDate || "all"}, kho: ${
+        warehouseId || "all"
+      }`
+    );
+    const groupedOrders = await groupOrders(page, filterDate, warehouseId);
+
+    console.timeEnd("grouped-orders");
+    res.status(200).json(groupedOrders);
+  } catch (error) {
+    console.error("Lỗi trong /grouped-orders:", error.message, error.stack);
+    res.status(500).json({ error: "Lỗi server", details: error.message });
+  }
+});
+
+// SẮP XẾP ĐƠN HÀNG 2
+app.get("/grouped-orders2", async (req, res) => {
+  try {
+    console.time("grouped-orders2");
+    const page = parseInt(req.query.page) || 1;
+    const filterDate = req.query.date || null;
+    const warehouseId = req.query.warehouse_id
+      ? parseInt(req.query.warehouse_id)
+      : null;
+
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({ error: "Page phải là số nguyên dương" });
+    }
+    if (warehouseId !== null && (isNaN(warehouseId) || warehouseId < 1)) {
+      return res.status(400).json({ error: "warehouse_id không hợp lệ" });
+    }
+
+    console.log(
+      `Gọi groupOrders với page: ${page}, date: ${filterDate || "all"}, kho: ${
+        warehouseId || "all"
+      }`
+    );
+    const groupedOrders = await groupOrders(page, filterDate, warehouseId, 20);
+
+    console.timeEnd("grouped-orders2");
+    res.status(200).json(groupedOrders);
+  } catch (error) {
+    console.error("Lỗi trong /grouped-orders2:", error.message, error.stack);
+    res.status(500).json({ error: "Lỗi server", details: error.message });
+  }
+});
+
+// XỬ LÝ ĐƠN HÀNG
+app.get("/process-orders", async (req, res) => {
+  try {
+    console.time("process-orders");
+    const page = parseInt(req.query.page) || 1;
+    if (isNaN(page) || page < 1) {
+      return res.status(400).json({ error: "Page phải là số nguyên dương" });
+    }
+    console.log(`Gọi main với page: ${page}`);
+    const groupedOrders = await main(page, io, "manual");
+    console.timeEnd("process-orders");
+    res.status(200).json(groupedOrders);
+  } catch (error) {
+    if (error.code === "RUN_IN_PROGRESS") {
+      console.timeEnd("process-orders");
+      return res.status(409).json({
+        error: "Quy trình xử lý đơn hàng đang chạy, vui lòng thử lại sau",
+        ...error.lockInfo,
+      });
+    }
+    console.error("Lỗi trong /process-orders:", error.message, error.stack);
+    res.status(500).json({ error: "Lỗi server", details: error.message });
+  }
+});
+
+// DANH SÁCH KHO
+app.get("/warehouses", async (req, res) => {
+  try {
+    const warehouses = await listWarehouses({
+      includeInactive: req.query.all === "true",
+    });
+    res.json({ warehouses });
+  } catch (error) {
+    console.error("Lỗi trong /warehouses:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy danh sách kho." });
+  }
+});
+
+// TỐI ƯU TUYẾN GIAO NHIỀU ĐIỂM
+app.post("/routes/optimize", async (req, res) => {
+  const {
+    order_ids: orderIds = [],
+    district = null,
+    ward = null,
+    warehouse_id: warehouseId = null,
+    start_time: startTime = null,
+    service_minutes: serviceMinutes,
+    return_to_warehouse: returnToWarehouse = true,
+  } = req.body || {};
+
+  if (
+    !Array.isArray(orderIds) ||
+    orderIds.some((id) => typeof id !== "string" || !id.trim())
+  ) {
+    return res
+      .status(400)
+      .json({ error: "order_ids phải là mảng mã đơn hàng" });
+  }
+  if (orderIds.length === 0 && !district && !ward) {
+    return res
+      .status(400)
+      .json({ error: "Cần order_ids hoặc district/ward để xếp tuyến" });
+  }
+  if (
+    warehouseId !== null &&
+    (!Number.isInteger(warehouseId) || warehouseId < 1)
+  ) {
+    return res.status(400).json({ error: "warehouse_id không hợp lệ" });
+  }
+  if (startTime && !moment(startTime, "YYYY-MM-DD HH:mm", true).isValid()) {
+    return res
+      .status(400)
+      .json({ error: "start_time phải có định dạng YYYY-MM-DD HH:mm" });
+  }
+  if (
+    serviceMinutes !== undefined &&
+    (!Number.isInteger(serviceMinutes) || serviceMinutes < 0)
+  ) {
+    return res
+      .status(400)
+      .json({ error: "service_minutes phải là số nguyên không âm" });
+  }
+
+  try {
+    const route = await optimizeRoute({
+      orderIds: orderIds.map((id) => id.trim()),
+      district,
+      ward,
+      warehouseId,
+      startTime,
+      serviceMinutes,
+      returnToWarehouse: returnToWarehouse !== false,
+    });
+    if (route.stops.length === 0 && route.unroutable.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Không có đơn hàng phù hợp để xếp tuyến." });
+    }
+    res.json(route);
+  } catch (error) {
+    if (error.code === "INVALID_ROUTE_REQUEST") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Lỗi trong /routes/optimize:", error.message);
+    res.status(500).json({ error: "Lỗi server khi tối ưu tuyến giao." });
+  }
+});
+
+// LỊCH SỬ CÁC LẦN CHẠY QUY TRÌNH
+app.get("/runs", async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status } = req.query;
+
+  if (page < 1 || limit < 1 || limit > 100) {
+    return res
+      .status(400)
+      .json({ error: "page phải >= 1 và limit trong khoảng 1-100" });
+  }
+  if (status && !["running", "success", "failed"].includes(status)) {
+    return res.status(400).json({ error: "Trạng thái không hợp lệ" });
+  }
+
+  try {
+    const result = await listPipelineRuns({ page, pageSize: limit, status });
+    res.json(result);
+  } catch (error) {
+    console.error("Lỗi trong /runs:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy lịch sử chạy." });
+  }
+});
+
+// CHI TIẾT MỘT LẦN CHẠY
+app.get("/runs/:id", async (req, res) => {
+  const runId = parseInt(req.params.id);
+  if (isNaN(runId) || runId < 1) {
+    return res.status(400).json({ error: "ID lần chạy không hợp lệ" });
+  }
+
+  try {
+    const run = await getPipelineRun(runId);
+    if (!run) {
+      return res.status(404).json({ error: "Không tìm thấy lần chạy." });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error("Lỗi trong /runs/:id:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy chi tiết lần chạy." });
+  }
+});
+
+// ================================================================== ĐIỀU PHỐI ==================================================
+const DISPATCH_ERROR_STATUS = {
+  DISPATCH_NOT_FOUND: 404,
+  DISPATCH_CONFLICT: 409,
+  DISPATCH_INVALID: 400,
+};
+
+function sendDispatchError(res, route, error, fallbackMessage) {
+  const status = DISPATCH_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`Lỗi trong ${route}:`, error.message);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// NGÀY GIAO: MẶC ĐỊNH LÀ HÔM NAY, TRẢ VỀ null NẾU SAI ĐỊNH DẠNG
+function parseDeliveryDate(date) {
+  if (!date) return moment().tz("Asia/Ho_Chi_Minh").format("YYYY-MM-DD");
+  return moment(date, "YYYY-MM-DD", true).isValid() ? date : null;
+}
+
+function isValidOrderIds(orderIds) {
+  return (
+    Array.isArray(orderIds) &&
+    orderIds.length > 0 &&
+    orderIds.every((id) => typeof id === "string" && id.trim())
+  );
+}
+
+const isOptionalId = (value) =>
+  value === undefined ||
+  value === null ||
+  (Number.isInteger(value) && value > 0);
+
+// DANH SÁCH XE
+app.get("/vehicles", async (req, res) => {
+  try {
+    res.json(await listVehicles());
+  } catch (error) {
+    console.error("Lỗi trong /vehicles:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy danh sách xe." });
+  }
+});
+
+// THÊM XE
+app.post("/vehicles", async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.plate_number !== "string" || !body.plate_number.trim()) {
+    return res.status(400).json({ error: "plate_number là bắt buộc" });
+  }
+  if (!isOptionalId(body.max_orders) || !isOptionalId(body.warehouse_id)) {
+    return res
+      .status(400)
+      .json({ error: "max_orders/warehouse_id phải là số nguyên dương" });
+  }
+
+  try {
+    const vehicle = await createVehicle({
+      ...body,
+      plate_number: body.plate_number.trim(),
+    });
+    res.status(201).json(vehicle);
+  } catch (error) {
+    if (error.code === "ER_NO_REFERENCED_ROW_2") {
+      return res.status(400).json({ error: "warehouse_id không tồn tại" });
+    }
+    sendDispatchError(res, "/vehicles", error, "Lỗi server khi thêm xe.");
+  }
+});
+
+// DANH SÁCH TÀI XẾ
+app.get("/drivers", async (req, res) => {
+  try {
+    res.json(await listDrivers());
+  } catch (error) {
+    console.error("Lỗi trong /drivers:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy danh sách tài xế." });
+  }
+});
+
+// THÊM TÀI XẾ
+app.post("/drivers", async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.name !== "string" || !body.name.trim()) {
+    return res.status(400).json({ error: "name là bắt buộc" });
+  }
+  if (!isOptionalId(body.vehicle_id) || !isOptionalId(body.warehouse_id)) {
+    return res
+      .status(400)
+      .json({ error: "vehicle_id/warehouse_id phải là số nguyên dương" });
+  }
+  const shiftStart = body.shift_start || "08:00";
+  const shiftEnd = body.shift_end || "17:45";
+  const start = moment(shiftStart, "HH:mm", true);
+  const end = moment(shiftEnd, "HH:mm", true);
+  if (!start.isValid() || !end.isValid() || !start.isBefore(end)) {
+    return res.status(400).json({
+      error: "shift_start/shift_end phải là HH:mm và bắt đầu trước kết thúc",
+    });
+  }
+
+  try {
+    const driver = await createDriver({
+      ...body,
+      name: body.name.trim(),
+      shift_start: shiftStart,
+      shift_end: shiftEnd,
+    });
+    res.status(201).json(driver);
+  } catch (error) {
+    if (error.code === "ER_NO_REFERENCED_ROW_2") {
+      return res
+        .status(400)
+        .json({ error: "vehicle_id hoặc warehouse_id không tồn tại" });
+    }
+    sendDispatchError(res, "/drivers", error, "Lỗi server khi thêm tài xế.");
+  }
+});
+
+// BẢNG KÊ GIAO HÀNG CỦA TÀI XẾ
+app.get("/drivers/:id/manifest", async (req, res) => {
+  const driverId = parseInt(req.params.id);
+  if (isNaN(driverId) || driverId < 1) {
+    return res.status(400).json({ error: "ID tài xế không hợp lệ" });
+  }
+  const deliveryDate = parseDeliveryDate(req.query.date);
+  if (!deliveryDate) {
+    return res
+      .status(400)
+      .json({ error: "Định dạng ngày không hợp lệ, phải là YYYY-MM-DD" });
+  }
+
+  try {
+    res.json(await getDriverManifest(driverId, deliveryDate));
+  } catch (error) {
+    sendDispatchError(
+      res,
+      "/drivers/:id/manifest",
+      error,
+      "Lỗi server khi lấy bảng kê tài xế."
+    );
+  }
+});
+
+// GÁN ĐƠN CHO TÀI XẾ
+app.post("/assignments", async (req, res) => {
+  const {
+    driver_id: driverId,
+    order_ids: orderIds,
+    date,
+    assigned_by: assignedBy = null,
+  } = req.body || {};
+  if (!Number.isInteger(driverId) || driverId < 1) {
+    return res.status(400).json({ error: "driver_id không hợp lệ" });
+  }
+  if (!isValidOrderIds(orderIds)) {
+    return res
+      .status(400)
+      .json({ error: "order_ids phải là mảng mã đơn hàng không rỗng" });
+  }
+  const deliveryDate = parseDeliveryDate(date);
+  if (!deliveryDate) {
+    return res
+      .status(400)
+      .json({ error: "Định dạng ngày không hợp lệ, phải là YYYY-MM-DD" });
+  }
+
+  try {
+    const result = await assignOrders(
+      driverId,
+      [...new Set(orderIds.map((id) => id.trim()))],
+      deliveryDate,
+      assignedBy
+    );
+    io.emit("assignmentsUpdated", {
+      action: "assign",
+      driver_ids: [
+        driverId,
+        ...new Set(result.reassigned.map((item) => item.from_driver_id)),
+      ],
+      date: deliveryDate,
+      order_ids: result.assigned,
+    });
+    res.json(result);
+  } catch (error) {
+    sendDispatchError(res, "/assignments", error, "Lỗi server khi gán đơn.");
+  }
+});
+
+// BỎ GÁN ĐƠN
+app.post("/assignments/unassign", async (req, res) => {
+  const { order_ids: orderIds, date } = req.body || {};
+  if (!isValidOrderIds(orderIds)) {
+    return res
+      .status(400)
+      .json({ error: "order_ids phải là mảng mã đơn hàng không rỗng" });
+  }
+  const deliveryDate = parseDeliveryDate(date);
+  if (!deliveryDate) {
+    return res
+      .status(400)
+      .json({ error: "Định dạng ngày không hợp lệ, phải là YYYY-MM-DD" });
+  }
+
+  try {
+    const result = await unassignOrders(
+      orderIds.map((id) => id.trim()),
+      deliveryDate
+    );
+    if (result.unassigned.length > 0) {
+      io.emit("assignmentsUpdated", {
+        action: "unassign",
+        driver_ids: [
+          ...new Set(result.unassigned.map((item) => item.driver_id)),
+        ],
+        date: deliveryDate,
+        order_ids: result.unassigned.map((item) => item.id_order),
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    sendDispatchError(
+      res,
+      "/assignments/unassign",
+      error,
+      "Lỗi server khi bỏ gán đơn."
+    );
+  }
+});
+
+// LÔ GIAO HÀNG TỰ ĐỘNG (TÍNH LẠI SAU MỖI LẦN CHẠY)
+app.get("/batches", async (req, res) => {
+  const warehouseId = req.query.warehouse_id
+    ? parseInt(req.query.warehouse_id)
+    : null;
+  if (warehouseId !== null && (isNaN(warehouseId) || warehouseId < 1)) {
+    return res.status(400).json({ error: "warehouse_id không hợp lệ" });
+  }
+
+  try {
+    res.json(await listBatches({ warehouseId }));
+  } catch (error) {
+    console.error("Lỗi trong /batches:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy danh sách lô giao." });
+  }
+});
+
+// LẤY DANH SÁCH QUẬN VÀ PHƯỜNG
+app.get("/locations", async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.query(`
+      SELECT DISTINCT district, ward
+      FROM orders_address
+      WHERE district IS NOT NULL AND ward IS NOT NULL
+    `);
+
+    const districts = [...new Set(rows.map((r) => r.district.trim()))];
+    const wards = [...new Set(rows.map((r) => r.ward.trim()))];
+
+    res.json({
+      districts,
+      wards,
+      mapping: rows.map((r) => ({
+        district: r.district.trim(),
+        ward: r.ward.trim(),
+      })),
+    });
+  } catch (err) {
+    console.error("Lỗi khi lấy danh sách quận/phường:", err.message);
+    res
+      .status(500)
+      .json({ error: "Lỗi server khi lấy danh sách quận/phường." });
+  }
+});
+
+// TÌM KIẾM ĐƠN HÀNG
+app.get("/orders/search", async (req, res) => {
+  const { date = null, keyword = "", type = "district" } = req.query;
+
+  if (!keyword.trim()) {
+    return res.status(400).json({ error: "Thiếu giá trị để tìm kiếm." });
+  }
+
+  if (!["district", "ward"].includes(type)) {
+    return res.status(400).json({ error: "Tham số type không hợp lệ." });
+  }
+
+  try {
+    const pool = getPool();
+
+    let dateCondition = "";
+    const values = [keyword];
+
+    if (date) {
+      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+        return res
+          .status(400)
+          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
+      }
+      dateCondition = "AND DATE(o.created_at) = ?";
+      values.unshift(date);
+    }
+
+    const field = type === "district" ? "a.district" : "a.ward";
+
+    const [rows] = await pool.query(
+      `
+      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
+      FROM orders o
+      LEFT JOIN orders_address a ON o.id_order = a.id_order
+      WHERE ${field} = ?
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+        ${dateCondition}
+      ORDER BY o.created_at DESC
+      `,
+      values
+    );
+
+    res.json({ orders: rows });
+  } catch (err) {
+    console.error("Lỗi khi tìm kiếm:", err.message);
+    res.status(500).json({ error: "Lỗi server khi tìm kiếm đơn hàng." });
+  }
+});
+
+// LỌC ĐƠN HÀNG
+app.get("/orders/filter", async (req, res) => {
+  const { day = "today", district = "", ward = "" } = req.query;
+
+  if (!district || !ward) {
+    return res.status(400).json({ error: "Thiếu quận hoặc phường." });
+  }
+
+  try {
+    const pool = getPool();
+
+    let dateCondition = "DATE(o.created_at) = CURDATE()";
+    if (day === "yesterday") {
+      dateCondition = "DATE(o.created_at) = CURDATE() - INTERVAL 1 DAY";
+    } else if (day === "older") {
+      dateCondition = "DATE(o.created_at) < CURDATE() - INTERVAL 1 DAY";
+    }
+
+    const [rows] = await pool.query(
+      `
+      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
+      FROM orders o
+      LEFT JOIN orders_address a ON o.id_order = a.id_order
+      WHERE ${dateCondition}
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+        AND a.district = ?
+        AND a.ward = ?
+      ORDER BY o.created_at DESC
+      `,
+      [district, ward]
+    );
+
+    res.json({ orders: rows });
+  } catch (err) {
+    console.error("Lỗi khi lọc:", err.message);
+    res.status(500).json({ error: "Lỗi server khi lọc đơn hàng." });
+  }
+});
+
+// LỌC ĐƠN HÀNG NÂNG CAO
+app.get("/orders/filter-advanced", async (req, res) => {
+  const { date = null, districts = "", wards = "" } = req.query;
+
+  const districtList = districts
+    ? districts.split(",").map((d) => d.trim())
+    : [];
+  const wardList = wards ? wards.split(",").map((w) => w.trim()) : [];
+
+  if (districtList.length === 0 && wardList.length === 0) {
+    return res.status(400).json({ error: "Thiếu quận hoặc phường để lọc." });
+  }
+
+  try {
+    const pool = getPool();
+
+    let dateCondition = "";
+    const values = [];
+
+    if (date) {
+      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+        return res
+          .status(400)
+          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
+      }
+      dateCondition = "DATE(a.created_at) = ?";
+      values.push(date);
+    }
+
+    const filters = ["o.status = 'Chờ xác nhận giao/lấy hàng'"];
+    if (dateCondition) filters.push(dateCondition);
+    if (districtList.length > 0) {
+      filters.push(`a.district IN (${districtList.map(() => "?").join(",")})`);
+      values.push(...districtList);
+    }
+
+    if (wardList.length > 0) {
+      filters.push(`a.ward IN (${wardList.map(() => "?").join(",")})`);
+      values.push(...wardList);
+    }
+
+    const whereClause = filters.join(" AND ") || "1=1";
+
+    const [rows] = await pool.query(
+      `
+      SELECT 
+        o.*, 
+        a.address, a.district, a.ward, 
+        a.distance, a.travel_time, 
+        a.created_at AS address_created_at,
+        a.status AS address_status
+      FROM orders o
+      LEFT JOIN orders_address a ON o.id_order = a.id_order
+      WHERE ${whereClause}
+      ORDER BY a.created_at DESC
+      `,
+      values
+    );
+
+    res.json({ orders: rows });
+  } catch (err) {
+    console.error("Lỗi /orders/filter-advanced:", err.message, err.stack);
+    res.status(500).json({ error: "Lỗi server khi lọc nâng cao." });
+  }
+});
+
+// LỌC ĐƠN HÀNG THEO NGÀY
+app.get("/orders/filter-by-date", async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { page = 1, filterDate } = req.query;
+    const pageNum = parseInt(page);
+
+    if (!Number.isInteger(pageNum) || pageNum < 1) {
+      return res.status(400).json({ error: "Page phải là số nguyên dương" });
+    }
+
+    if (filterDate && !moment(filterDate, "YYYY-MM-DD", true).isValid()) {
+      return res
+        .status(400)
+        .json({ error: "filterDate phải có định dạng YYYY-MM-DD" });
+    }
+
+    console.log(
+      `API received: page=${page}, filterDate=${filterDate || "all"}`
+    );
+
+    const pool = getPool();
+    const pageSize = 10;
+    const offset = (pageNum - 1) * pageSize;
+
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM orders_address oa
+      JOIN orders o ON oa.id_order = o.id_order
+      WHERE oa.address IS NOT NULL 
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+        ${
+          filterDate
+            ? "AND DATE(CONVERT_TZ(o.created_at, '+00:00', '+07:00')) = ?"
+            : ""
+        }
+    `;
+    const countParams = filterDate ? [filterDate] : [];
+    const [totalResult] = await pool.execute(countQuery, countParams);
+
+    const totalOrders = totalResult[0].total;
+    console.log(`Tổng số đơn hàng: ${totalOrders}`);
+    const totalPages = Math.ceil(totalOrders / pageSize);
+
+    const query = `
+      SELECT ${PRIORITY_ORDER_COLUMNS}
+      FROM orders_address oa
+      JOIN orders o ON oa.id_order = o.id_order
+      LEFT JOIN warehouses w ON o.warehouse_id = w.id
+      WHERE oa.address IS NOT NULL 
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+        ${
+          filterDate
+            ? "AND DATE(CONVERT_TZ(o.created_at, '+00:00', '+07:00')) = ?"
+            : ""
+        }
+      ORDER BY ${buildRankingOrderBy()}
+      LIMIT ${pageSize} OFFSET ${offset}
+    `;
+    const queryParams = filterDate ? [filterDate] : [];
+    const [results] = await pool.execute(query, queryParams);
+    console.log(`Số đơn trả về: ${results.length}`);
+
+    const now = moment();
+    const parsedResults = results.map((row) => ({
+      id_order: row.id_order,
+      address: row.address,
+      source: row.source,
+      distance: row.distance,
+      travel_time: row.travel_time,
+      status: row.status,
+      created_at: row.created_at
+        ? moment(row.created_at)
+            .tz("Asia/Ho_Chi_Minh")
+            .format("YYYY-MM-DD HH:mm:ss")
+        : null,
+      SOKM: row.SOKM,
+      priority: row.priority,
+      delivery_deadline: row.delivery_deadline
+        ? moment(row.delivery_deadline)
+            .tz("Asia/Ho_Chi_Minh")
+            .format("YYYY-MM-DD HH:mm:ss")
+        : null,
+      window_start: row.window_start
+        ? moment(row.window_start)
+            .tz("Asia/Ho_Chi_Minh")
+            .format("YYYY-MM-DD HH:mm:ss")
+        : null,
+      window_end: row.window_end
+        ? moment(row.window_end)
+            .tz("Asia/Ho_Chi_Minh")
+            .format("YYYY-MM-DD HH:mm:ss")
+        : null,
+      delivery_constraint: row.delivery_constraint,
+      delivery_note: row.delivery_note,
+      district: row.district || null,
+      ward: row.ward || null,
+      days_old: row.days_old,
+      overrides: {
+        priority: row.override_priority === 1,
+        window: row.override_window === 1,
+        address: row.override_address === 1,
+      },
+      rank: explainRank(row, now),
+    }));
+
+    res.json({
+      totalOrders,
+      totalPages,
+      currentPage: pageNum,
+      lastRun: moment().tz("Asia/Ho_Chi_Minh").format(),
+      orders: parsedResults,
+    });
+  } catch (error) {
+    console.error("API error:", error.message, error.stack);
+    res.status(500).json({ error: `Không thể lọc đơn hàng: ${error.message}` });
+  }
+});
+
+// TÌM KIẾM ĐƠN HÀNG THEO ID
+app.get("/orders/search-by-id", async (req, res) => {
+  const { keyword = "", date = null } = req.query;
+
+  if (!keyword.trim()) {
+    return res.status(400).json({ error: "Thiếu mã đơn hàng để tìm kiếm." });
+  }
+
+  try {
+    const pool = getPool();
+
+    let dateCondition = "";
+    const values = [`%${keyword}%`];
+
+    if (date) {
+      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+        return res
+          .status(400)
+          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
+      }
+      dateCondition = "AND DATE(o.created_at) = ?";
+      values.push(date);
+    }
+
+    const [rows] = await pool.query(
+      `
+      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
+      FROM orders o
+      LEFT JOIN orders_address a ON o.id_order = a.id_order
+      WHERE o.id_order LIKE ?
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+        ${dateCondition}
+      ORDER BY o.created_at DESC
+      `,
+      values
+    );
+
+    res.json({ orders: rows });
+  } catch (err) {
+    console.error("Lỗi khi tìm kiếm đơn hàng:", err.message);
+    res.status(500).json({ error: "Lỗi server khi tìm kiếm đơn hàng." });
+  }
+});
+
+// LẤY ĐƠN HÀNG QUÁ HẠN
+app.get("/orders/overdue", async (req, res) => {
+  try {
+    const pool = getPool();
+
+    const [rows] = await pool.query(
+      `
+      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
+      FROM orders o
+      LEFT JOIN orders_address a ON o.id_order = a.id_order
+      WHERE a.status = 1
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+      ORDER BY o.created_at DESC
+      `
+    );
+
+    res.json({ orders: rows });
+  } catch (err) {
+    console.error("Lỗi khi lấy đơn hàng quá hạn:", err.message);
+    res.status(500).json({ error: "Lỗi server khi lấy đơn hàng quá hạn." });
+  }
+});
+
+// ĐƠN HÀNG CHỜ GIAO KÈM TỌA ĐỘ CHO BẢN ĐỒ
+app.get("/orders/map", async (req, res) => {
+  const warehouseId = req.query.warehouse_id
+    ? parseInt(req.query.warehouse_id)
+    : null;
+  if (warehouseId !== null && (isNaN(warehouseId) || warehouseId < 1)) {
+    return res.status(400).json({ error: "warehouse_id không hợp lệ" });
+  }
+
+  try {
+    const [rows] = await getPool().query(
+      `
+      SELECT o.id_order, o.priority, o.delivery_deadline, o.warehouse_id,
+             a.address, a.district, a.ward, a.distance, a.travel_time,
+             a.status AS address_status, a.lat, a.lon
+      FROM orders o
+      JOIN orders_address a ON o.id_order = a.id_order
+      WHERE o.status = 'Chờ xác nhận giao/lấy hàng'
+        ${warehouseId ? "AND o.warehouse_id = ?" : ""}
+      `,
+      warehouseId ? [warehouseId] : []
+    );
+    const warehouses = (await listWarehouses()).filter(
+      (warehouse) =>
+        warehouse.lat !== null &&
+        warehouse.lon !== null &&
+        (!warehouseId || warehouse.id === warehouseId)
+    );
+
+    const located = rows.filter((row) => row.lat !== null && row.lon !== null);
+    res.json({
+      tiles: {
+        url:
+          process.env.MAP_TILE_URL ||
+          "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+        attribution:
+          process.env.MAP_TILE_ATTRIBUTION ||
+          "&copy; OpenStreetMap contributors",
+      },
+      warehouses: warehouses.map(({ id, code, name, address, lat, lon }) => ({
+        id,
+        code,
+        name,
+        address,
+        lat,
+        lon,
+      })),
+      orders: located.map((row) => ({
+        id_order: row.id_order,
+        lat: row.lat,
+        lon: row.lon,
+        address: row.address || "N/A",
+        district: row.district || "N/A",
+        ward: row.ward || "N/A",
+        distance:
+          row.distance !== null ? parseFloat(row.distance.toFixed(2)) : null,
+        travel_time: row.travel_time,
+        priority: row.priority,
+        overdue: row.address_status === 1,
+        warehouse_id: row.warehouse_id,
+        delivery_deadline: row.delivery_deadline
+          ? moment(row.delivery_deadline)
+              .tz("Asia/Ho_Chi_Minh")
+              .format("YYYY-MM-DD HH:mm:ss")
+          : null,
+      })),
+      missingLocationCount: rows.length - located.length,
+    });
+  } catch (error) {
+    console.error("Lỗi trong /orders/map:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy dữ liệu bản đồ." });
+  }
+});
+
+// TÌM KIẾM ĐƠN HÀNG THEO ID
+app.get("/orders/find-by-id", async (req, res) => {
+  const { id = "", date = null } = req.query;
+
+  if (!id.trim()) {
+    return res.status(400).json({ error: "Thiếu mã đơn hàng để tìm kiếm." });
+  }
+
+  try {
+    const pool = getPool();
+
+    let dateCondition = "";
+    const values = [id];
+
+    if (date) {
+      if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+        return res
+          .status(400)
+          .json({ error: "Định dạng ngày không hợp lệ, sử dụng YYYY-MM-DD" });
+      }
+      dateCondition = "AND DATE(o.created_at) = ?";
+      values.push(date);
+    }
+
+    const [rows] = await pool.query(
+      `
+      SELECT o.*, a.address, a.district, a.ward, a.distance, a.travel_time, a.status AS address_status
+      FROM orders o
+      LEFT JOIN orders_address a ON o.id_order = a.id_order
+      WHERE o.id_order = ?
+        AND o.status = 'Chờ xác nhận giao/lấy hàng'
+        ${dateCondition}
+      ORDER BY o.created_at DESC
+      LIMIT 1
+      `,
+      values
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Không tìm thấy đơn hàng." });
+    }
+
+    res.json({ order: rows[0] });
+  } catch (err) {
+    console.error("Lỗi khi tìm kiếm đơn hàng:", err.message);
+    res.status(500).json({ error: "Lỗi server khi tìm kiếm đơn hàng." });
+  }
+});
+
+// ================================================================== SỬA TAY ĐƠN HÀNG ==================================================
+const OVERRIDE_ERROR_STATUS = {
+  OVERRIDE_NOT_FOUND: 404,
+  OVERRIDE_INVALID: 400,
+};
+
+// SỬA TAY ƯU TIÊN, KHUNG GIỜ, ĐỊA CHỈ; PIPELINE KHÔNG GHI ĐÈ CÁC NHÓM ĐÃ SỬA
+// Body: priority, delivery_deadline, window_start, window_end, delivery_constraint,
+// address, district, ward, clear_overrides: ["priority" | "window" | "address"], changed_by
+app.patch("/orders/:id", async (req, res) => {
+  const { changed_by: changedBy = null, ...changes } = req.body || {};
+  if (changedBy !== null && typeof changedBy !== "string") {
+    return res.status(400).json({ error: "changed_by phải là chuỗi" });
+  }
+
+  try {
+    const result = await overrideOrder(
+      req.params.id.trim(),
+      changes,
+      changedBy?.trim()
+    );
+    if (result.changes.length > 0) {
+      io.emit("orderOverridden", {
+        id_order: result.order?.id_order || req.params.id.trim(),
+        fields: result.changes.map((change) => change.field),
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    const status = OVERRIDE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({ error: error.message });
+    }
+    console.error("Lỗi trong /orders/:id:", error.message);
+    res.status(500).json({ error: "Lỗi server khi sửa đơn hàng." });
+  }
+});
+
+// LỊCH SỬ THAY ĐỔI CỦA ĐƠN HÀNG (PIPELINE VÀ NGƯỜI DÙNG), MỚI NHẤT TRƯỚC
+app.get("/orders/:id/timeline", async (req, res) => {
+  const limit = parseInt(req.query.limit) || 200;
+  if (limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: "limit phải trong khoảng 1-1000" });
+  }
+
+  try {
+    const timeline = await getOrderTimeline(req.params.id.trim(), { limit });
+    if (!timeline) {
+      return res.status(404).json({ error: "Không tìm thấy đơn hàng." });
+    }
+    res.json(timeline);
+  } catch (error) {
+    console.error("Lỗi trong /orders/:id/timeline:", error.message);
+    res.status(500).json({ error: "Lỗi server khi lấy lịch sử đơn hàng." });
+  }
+});
+
+// ================================================================== LỊCH LÀM VIỆC ==================================================
+const CALENDAR_ERROR_STATUS = {
+  CALENDAR_NOT_FOUND: 404,
+  CALENDAR_CONFLICT: 409,
+  CALENDAR_INVALID: 400,
+};
+
+function sendCalendarError(res, route, error, fallbackMessage) {
+  const status = CALENDAR_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`Lỗi trong ${route}:`, error.message);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// ID TRÊN ĐƯỜNG DẪN, TRẢ VỀ null NẾU KHÔNG HỢP LỆ
+function parseRouteId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+// LỊCH CỦA MỘT NĂM: NGÀY LỄ (ĐÃ ĐỔI ÂM SANG DƯƠNG), NGÀY NGHỈ ĐỘT XUẤT, CA THEO THỨ
+app.get("/calendar", async (req, res) => {
+  const year = req.query.year
+    ? parseInt(req.query.year)
+    : moment().tz("Asia/Ho_Chi_Minh").year();
+  if (isNaN(year) || year < 1900 || year > 2199) {
+    return res.status(400).json({ error: "year không hợp lệ" });
+  }
+
+  try {
+    res.json(await getCalendarForYear(year));
+  } catch (error) {
+    sendCalendarError(res, "/calendar", error, "Lỗi server khi lấy lịch.");
+  }
+});
+
+// NGÀY LỄ
+app.get("/calendar/holidays", async (req, res) => {
+  try {
+    res.json(await listHolidays());
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/holidays",
+      error,
+      "Lỗi server khi lấy danh sách ngày lễ."
+    );
+  }
+});
+
+app.post("/calendar/holidays", async (req, res) => {
+  try {
+    res.status(201).json(await createHoliday(req.body || {}));
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/holidays",
+      error,
+      "Lỗi server khi thêm ngày lễ."
+    );
+  }
+});
+
+app.put("/calendar/holidays/:id", async (req, res) => {
+  const holidayId = parseRouteId(req.params.id);
+  if (!holidayId) {
+    return res.status(400).json({ error: "ID ngày lễ không hợp lệ" });
+  }
+
+  try {
+    res.json(await updateHoliday(holidayId, req.body || {}));
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/holidays/:id",
+      error,
+      "Lỗi server khi cập nhật ngày lễ."
+    );
+  }
+});
+
+app.delete("/calendar/holidays/:id", async (req, res) => {
+  const holidayId = parseRouteId(req.params.id);
+  if (!holidayId) {
+    return res.status(400).json({ error: "ID ngày lễ không hợp lệ" });
+  }
+
+  try {
+    await deleteHoliday(holidayId);
+    res.status(204).end();
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/holidays/:id",
+      error,
+      "Lỗi server khi xóa ngày lễ."
+    );
+  }
+});
+
+// CA LÀM VIỆC
+app.get("/calendar/shifts", async (req, res) => {
+  try {
+    res.json(await listShifts());
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/shifts",
+      error,
+      "Lỗi server khi lấy danh sách ca làm việc."
+    );
+  }
+});
+
+app.post("/calendar/shifts", async (req, res) => {
+  try {
+    res.status(201).json(await createShift(req.body || {}));
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/shifts",
+      error,
+      "Lỗi server khi thêm ca làm việc."
+    );
+  }
+});
+
+app.put("/calendar/shifts/:id", async (req, res) => {
+  const shiftId = parseRouteId(req.params.id);
+  if (!shiftId) {
+    return res.status(400).json({ error: "ID ca làm việc không hợp lệ" });
+  }
+
+  try {
+    res.json(await updateShift(shiftId, req.body || {}));
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/shifts/:id",
+      error,
+      "Lỗi server khi cập nhật ca làm việc."
+    );
+  }
+});
+
+app.delete("/calendar/shifts/:id", async (req, res) => {
+  const shiftId = parseRouteId(req.params.id);
+  if (!shiftId) {
+    return res.status(400).json({ error: "ID ca làm việc không hợp lệ" });
+  }
+
+  try {
+    await deleteShift(shiftId);
+    res.status(204).end();
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/shifts/:id",
+      error,
+      "Lỗi server khi xóa ca làm việc."
+    );
+  }
+});
+
+// NGÀY NGHỈ ĐỘT XUẤT
+app.get("/calendar/closures", async (req, res) => {
+  try {
+    res.json(
+      await listClosures({ includePast: req.query.include_past === "true" })
+    );
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/closures",
+      error,
+      "Lỗi server khi lấy danh sách ngày nghỉ."
+    );
+  }
+});
+
+app.post("/calendar/closures", async (req, res) => {
+  try {
+    res.status(201).json(await createClosure(req.body || {}));
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/closures",
+      error,
+      "Lỗi server khi thêm ngày nghỉ."
+    );
+  }
+});
+
+app.put("/calendar/closures/:id", async (req, res) => {
+  const closureId = parseRouteId(req.params.id);
+  if (!closureId) {
+    return res.status(400).json({ error: "ID ngày nghỉ không hợp lệ" });
+  }
+
+  try {
+    res.json(await updateClosure(closureId, req.body || {}));
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/closures/:id",
+      error,
+      "Lỗi server khi cập nhật ngày nghỉ."
+    );
+  }
+});
+
+app.delete("/calendar/closures/:id", async (req, res) => {
+  const closureId = parseRouteId(req.params.id);
+  if (!closureId) {
+    return res.status(400).json({ error: "ID ngày nghỉ không hợp lệ" });
+  }
+
+  try {
+    await deleteClosure(closureId);
+    res.status(204).end();
+  } catch (error) {
+    sendCalendarError(
+      res,
+      "/calendar/closures/:id",
+      error,
+      "Lỗi server khi xóa ngày nghỉ."
+    );
+  }
+});
+
+// LẦN CHẠY TRÙNG KHÔNG PHẢI LỖI, CHỈ GHI NHẬN
+function logMainError(message, error) {
+  if (error.code === "RUN_IN_PROGRESS") {
+    console.log(
+      `Bỏ qua main: đang có lần chạy từ ${error.lockInfo.startedAt}` +
+        (error.lockInfo.queued ? ", đã xếp hàng chạy tiếp" : "")
+    );
+    return;
+  }
+  console.error(message, error.message);
+}
+
+// KHỞI ĐỘNG SERVER, CHẠY LẦN ĐẦU VÀ ĐĂNG KÝ CRON
+function startServer() {
+  // XÁC ĐỊNH TỌA ĐỘ KHO MỘT LẦN, CÁC LẦN TÍNH ĐƯỜNG SAU DÙNG LẠI
+  getWarehouseLocation().catch((error) =>
+    console.error("Lỗi khi xác định tọa độ kho:", error.message)
+  );
+
+  // CHẠY CHƯƠNG TRÌNH LẦN ĐẦU
+  main(1, io, "startup").catch((error) =>
+    logMainError("Lỗi khi chạy main lần đầu:", error)
+  );
+
+  // CẬP NHẬT ĐƠN HÀNG MỚI MỖI 5 PHÚT
+  cron.schedule("*/5 * * * *", () => {
+    console.log(
+      "Chạy quy trình giao hàng lúc:",
+      moment().tz("Asia/Ho_Chi_Minh").format()
+    );
+    main(1, io, "cron").catch((error) =>
+      logMainError("Lỗi khi chạy main:", error)
+    );
+  });
+
+  // CẬP NHẬT TRẠNG THÁI ĐƠN HÀNG MỖI 15 PHÚT
+  cron.schedule("*/15 * * * *", () => {
+    console.log(
+      "Chạy quy trình đồng bộ trạng thái lúc:",
+      moment().tz("Asia/Ho_Chi_Minh").format()
+    );
+    syncOrderStatus(io).catch((error) =>
+      console.error("Lỗi khi chạy syncOrderStatus:", error.message)
+    );
+  });
+
+  server.listen(port, () => {
+    console.log(`Server running at http://localhost:${port}`);
+  });
+
+  return { app, server, io };
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  server,
+  io,
+  startServer,
+};
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const XLSX = require('xlsx');
-const { standardizeAddresses, updateStandardizedAddresses } = require('./delivery-tool');
+const { standardizeAddresses, upsertTransportCompanies } = require('./delivery-tool');
+const { closePool } = require('./db');
 
 const EXCEL_FILE_PATH = 'ds_nha_xe.xls';
 const SHEET_NAME = 'VŨNG TÀU';
@@ -60,7 +61,7 @@ async function syncExcelToDatabase() {
       DcGiaohang: company.address,
       isEmpty: company.isEmpty,
     }));
-    const standardizedOrders = await standardizeAddresses(ordersToStandardize);
+    const standardizedOrders = await standardizeAddresses(ordersToStandardize, { persist: false });
     console.log(`Đã chuẩn hóa ${standardizedOrders.length} địa chỉ.`);
 
     const mergedData = standardizedOrders.map(order => {
@@ -74,22 +75,27 @@ async function syncExcelToDatabase() {
         phone: company.phone,
         departureTime: company.departureTime,
         status: company.status,
-        note: order.Source,
+        source: order.Source,
+        note: company.note,
       };
     });
 
     console.log('Lưu dữ liệu vào database...');
-    await updateStandardizedAddresses(mergedData, true);
+    const stats = await upsertTransportCompanies(mergedData);
     console.log('Đã lưu dữ liệu vào database.');
 
-    console.log('Đồng bộ dữ liệu từ file Excel hoàn tất.');
+    console.log(
+      `Đồng bộ dữ liệu từ file Excel hoàn tất. Thêm mới: ${stats.inserted}, cập nhật: ${stats.updated}, không đổi: ${stats.unchanged}`
+    );
   } catch (error) {
     console.error('Lỗi trong quá trình đồng bộ:', error.message);
     throw error;
   }
 }
 
-syncExcelToDatabase().catch((err) => {
-  console.error('Lỗi:', err);
-  process.exit(1);
-});
\ No newline at end of file
+syncExcelToDatabase()
+  .then(() => closePool())
+  .catch((err) => {
+    console.error('Lỗi:', err);
+    process.exit(1);
+  });
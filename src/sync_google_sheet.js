@@ -1,7 +1,8 @@
 require('dotenv').config();
 
 const { google } = require('googleapis');
-const { standardizeAddresses, updateStandardizedAddresses } = require('./delivery-tool');
+const { standardizeAddresses, upsertTransportCompanies } = require('./delivery-tool');
+const { closePool } = require('./db');
 
 const auth = new google.auth.GoogleAuth({
   keyFile: process.env.GOOGLE_CREDENTIALS_PATH,
@@ -71,6 +72,8 @@ async function syncGoogleSheetToDatabase() {
   try {
     console.log('Bắt đầu đồng bộ dữ liệu từ Google Sheet (Danh sách nhà xe)...');
 
+    const totals = { inserted: 0, updated: 0, unchanged: 0 };
+
     // Lấy danh sách tất cả sheets
     const sheetNames = await getAllSheetNames(SPREADSHEET_ID);
     if (!sheetNames || sheetNames.length === 0) {
@@ -96,7 +99,7 @@ async function syncGoogleSheetToDatabase() {
         DcGiaohang: company.address,
         isEmpty: company.isEmpty,
       }));
-      const standardizedOrders = await standardizeAddresses(ordersToStandardize);
+      const standardizedOrders = await standardizeAddresses(ordersToStandardize, { persist: false });
       console.log(`Đã chuẩn hóa ${standardizedOrders.length} địa chỉ từ sheet ${sheetName}.`);
 
       // Chuẩn bị dữ liệu để lưu
@@ -111,24 +114,32 @@ async function syncGoogleSheetToDatabase() {
           phone: company.phone,
           departureTime: company.departureTime,
           status: company.status,
-          note: order.Source,
+          source: order.Source,
+          note: company.note,
         };
       });
 
       // Lưu dữ liệu từ sheet hiện tại vào database
       console.log(`Lưu dữ liệu từ sheet ${sheetName} vào database...`);
-      await updateStandardizedAddresses(mergedData, true);
+      const stats = await upsertTransportCompanies(mergedData);
+      totals.inserted += stats.inserted;
+      totals.updated += stats.updated;
+      totals.unchanged += stats.unchanged;
       console.log(`Đã lưu dữ liệu từ sheet ${sheetName} vào database.`);
     }
 
-    console.log('Đồng bộ dữ liệu từ Google Sheet hoàn tất.');
+    console.log(
+      `Đồng bộ dữ liệu từ Google Sheet hoàn tất. Thêm mới: ${totals.inserted}, cập nhật: ${totals.updated}, không đổi: ${totals.unchanged}`
+    );
   } catch (error) {
     console.error('Lỗi trong quá trình đồng bộ:', error.message);
     throw error;
   }
 }
 
-syncGoogleSheetToDatabase().catch((err) => {
-  console.error('Lỗi:', err);
-  process.exit(1);
-});
\ No newline at end of file
+syncGoogleSheetToDatabase()
+  .then(() => closePool())
+  .catch((err) => {
+    console.error('Lỗi:', err);
+    process.exit(1);
+  });
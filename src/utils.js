@@ -0,0 +1,35 @@
+// RETRY FUNCTION
+async function retry(fn, retries = 3, minTimeout = 2000, maxTimeout = 10000) {
+  let attempt = 0;
+  while (attempt < retries) {
+    try {
+      return await fn();
+    } catch (error) {
+      attempt++;
+      if (attempt >= retries) {
+        throw error;
+      }
+      const delay = Math.min(minTimeout * Math.pow(2, attempt - 1), maxTimeout);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// KHOẢNG CÁCH ĐƯỜNG CHIM BAY (KM) GIỮA HAI TỌA ĐỘ
+function haversineDistance(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  retry,
+  haversineDistance,
+};
@@ -0,0 +1,94 @@
+const { getPool } = require("./db");
+
+const parseWarehouseRow = (row) => ({
+  id: row.id,
+  code: row.code,
+  name: row.name,
+  address: row.address,
+  lat: row.lat,
+  lon: row.lon,
+  is_default: row.is_default === 1,
+  active: row.active === 1,
+});
+
+// DANH SÁCH KHO
+async function listWarehouses({ includeInactive = false } = {}) {
+  const [rows] = await getPool().query(
+    `SELECT id, code, name, address, lat, lon, is_default, active
+     FROM warehouses
+     ${includeInactive ? "" : "WHERE active = 1"}
+     ORDER BY is_default DESC, id`
+  );
+  return rows.map(parseWarehouseRow);
+}
+
+// LẤY KHO THEO ID
+async function getWarehouseById(warehouseId) {
+  const [rows] = await getPool().query(
+    `SELECT id, code, name, address, lat, lon, is_default, active
+     FROM warehouses WHERE id = ?`,
+    [warehouseId]
+  );
+  return rows.length > 0 ? parseWarehouseRow(rows[0]) : null;
+}
+
+// BẢO ĐẢM CÓ KHO MẶC ĐỊNH
+// Bảng trống thì tạo kho từ WAREHOUSE_ADDRESS/WAREHOUSE_LAT/WAREHOUSE_LON như trước đây
+async function ensureDefaultWarehouse() {
+  const pool = getPool();
+  const [rows] = await pool.query(
+    `SELECT id, code, name, address, lat, lon, is_default, active
+     FROM warehouses
+     WHERE is_default = 1
+     LIMIT 1`
+  );
+  if (rows.length > 0) {
+    return parseWarehouseRow(rows[0]);
+  }
+
+  const [countResult] = await pool.query(
+    "SELECT COUNT(*) AS total FROM warehouses"
+  );
+  if (countResult[0].total > 0) {
+    throw new Error("Bảng warehouses chưa có kho nào được đặt is_default = 1");
+  }
+
+  const lat = parseFloat(process.env.WAREHOUSE_LAT);
+  const lon = parseFloat(process.env.WAREHOUSE_LON);
+  const [result] = await pool.query(
+    `INSERT INTO warehouses (code, name, address, lat, lon, is_default)
+     VALUES (?, ?, ?, ?, ?, 1)`,
+    [
+      process.env.WAREHOUSE_CODE || "MAIN",
+      process.env.WAREHOUSE_NAME || "Kho chính",
+      process.env.WAREHOUSE_ADDRESS || null,
+      Number.isNaN(lat) ? null : lat,
+      Number.isNaN(lon) ? null : lon,
+    ]
+  );
+  // Cache cũ (trước khi có nhiều kho) được tính từ kho này
+  await pool.query(
+    "UPDATE route_cache SET warehouse_id = ? WHERE warehouse_id = 0",
+    [result.insertId]
+  );
+  console.log(
+    `[ensureDefaultWarehouse] Đã tạo kho mặc định từ biến môi trường, id: ${result.insertId}`
+  );
+  return getWarehouseById(result.insertId);
+}
+
+// LƯU TỌA ĐỘ KHO
+async function saveWarehouseLocation(warehouseId, lat, lon) {
+  await getPool().query("UPDATE warehouses SET lat = ?, lon = ? WHERE id = ?", [
+    lat,
+    lon,
+    warehouseId,
+  ]);
+}
+
+module.exports = {
+  listWarehouses,
+  getWarehouseById,
+  ensureDefaultWarehouse,
+  saveWarehouseLocation,
+};
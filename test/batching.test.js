@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const { clusterOrders } = require("../src/batching");
+
+// 0.01 độ vĩ ≈ 1,11 km, các điểm nằm trên cùng kinh tuyến 106.7
+const at = (time) =>
+  moment.tz(`2026-10-19 ${time}`, "Asia/Ho_Chi_Minh").valueOf();
+const makeOrder = (id_order, fields = {}) => ({
+  id_order,
+  warehouse_id: 1,
+  district: "Quận 1",
+  ward: "Phường Bến Nghé",
+  distance: 5,
+  lat: null,
+  lon: null,
+  deadline: null,
+  ...fields,
+});
+const located = (id_order, offset, fields = {}) =>
+  makeOrder(id_order, { lat: 10.77 + offset, lon: 106.7, ...fields });
+const batchIds = (batches) =>
+  batches.map((batch) => batch.orders.map((order) => order.id_order));
+
+test("đơn ngoài bán kính của đơn đầu lô tách sang lô khác", () => {
+  const orders = [
+    located("SEED", 0, { deadline: at("09:00") }),
+    located("NEAR", 0.02, { deadline: at("09:30") }),
+    located("FAR", 0.1, { deadline: at("09:15") }),
+  ];
+  assert.deepEqual(batchIds(clusterOrders(orders, { maxRadiusKm: 5 })), [
+    ["SEED", "NEAR"],
+    ["FAR"],
+  ]);
+  // Nới bán kính thì đơn xa được gom chung
+  assert.deepEqual(batchIds(clusterOrders(orders, { maxRadiusKm: 15 })), [
+    ["SEED", "FAR", "NEAR"],
+  ]);
+});
+
+test("lô đủ maxOrders thì lấy các đơn gần nhất, phần còn lại sang lô sau", () => {
+  const orders = [
+    located("P0", 0),
+    located("P4", 0.02),
+    located("P1", 0.005),
+    located("P3", 0.015),
+    located("P2", 0.01),
+  ];
+  // Cùng không có hạn giao nên đơn đầu lô lấy theo thứ tự còn lại: P0, rồi P4, rồi P2
+  const batches = clusterOrders(orders, { maxOrders: 2 });
+  assert.deepEqual(
+    batches.map((batch) => batch.orders.length),
+    [2, 2, 1]
+  );
+  assert.deepEqual(
+    batchIds(batches).map((ids) => ids.sort()),
+    [["P0", "P1"], ["P3", "P4"], ["P2"]]
+  );
+});
+
+test("đơn không có tọa độ gom theo phường rồi theo khoảng cách tới kho", () => {
+  const orders = [
+    makeOrder("SEED", { distance: 5, deadline: at("09:00") }),
+    makeOrder("OTHER_WARD", { ward: "Phường Đa Kao", distance: 5 }),
+    makeOrder("SAME_WARD_FAR", { distance: 40 }),
+    makeOrder("SAME_WARD", { distance: 6 }),
+    makeOrder("NO_DISTANCE", { distance: null }),
+  ];
+  const [batch, ...rest] = clusterOrders(orders, { maxOrders: 3 });
+  assert.deepEqual(
+    batch.orders.map((order) => order.id_order),
+    ["SEED", "SAME_WARD", "SAME_WARD_FAR"]
+  );
+  // Bán kính không áp dụng cho đơn thiếu tọa độ
+  assert.equal(batch.max_distance, 40);
+  // Trong lô, đơn thiếu khoảng cách tới kho đứng cuối
+  assert.deepEqual(batchIds(rest), [["OTHER_WARD", "NO_DISTANCE"]]);
+});
+
+test("không gom khác quận, khác kho hoặc hạn giao lệch quá cửa sổ", () => {
+  const orders = [
+    located("SEED", 0, { deadline: at("09:00") }),
+    located("OTHER_DISTRICT", 0.001, {
+      district: "Quận 3",
+      deadline: at("09:00"),
+    }),
+    located("OTHER_WAREHOUSE", 0.001, {
+      warehouse_id: 2,
+      deadline: at("09:00"),
+    }),
+    located("LATE", 0.001, { deadline: at("11:01") }),
+    located("IN_WINDOW", 0.002, { deadline: at("11:00") }),
+  ];
+  const batches = clusterOrders(orders, { deadlineWindowMinutes: 120 });
+  const seedBatch = batches.find((batch) =>
+    batch.orders.some((order) => order.id_order === "SEED")
+  );
+  assert.deepEqual(
+    seedBatch.orders.map((order) => order.id_order),
+    ["SEED", "IN_WINDOW"]
+  );
+  assert.equal(seedBatch.earliest_deadline, at("09:00"));
+  assert.equal(seedBatch.latest_deadline, at("11:00"));
+  assert.equal(batches.length, 4);
+});
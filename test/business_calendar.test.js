@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+
+// Lịch được tải qua pool giả trả các dòng calendar_*, phải gán trước khi require các module dùng getPool
+const db = require("../src/db");
+const calendarRows = {
+  holidays: [],
+  shifts: [],
+  closures: [],
+};
+db.getPool = () => ({
+  query: async (sql) => {
+    if (sql.includes("FROM calendar_holidays")) return [calendarRows.holidays];
+    if (sql.includes("FROM calendar_shifts")) return [calendarRows.shifts];
+    if (sql.includes("FROM calendar_closures")) return [calendarRows.closures];
+    throw new Error(`Truy vấn ngoài lịch làm việc: ${sql}`);
+  },
+});
+
+const {
+  lunarToSolar,
+  loadBusinessCalendar,
+  getHolidaysForYear,
+  findClosure,
+} = require("../src/business_calendar");
+const { adjustToWorkingHours } = require("../src/delivery-tool");
+
+const at = (time) => moment.tz(time, "Asia/Ho_Chi_Minh");
+const format = (time) => time.format("YYYY-MM-DD HH:mm");
+
+test("đổi âm lịch sang dương lịch theo các ngày đã công bố", () => {
+  const cases = [
+    ["Tết 2025", [1, 1, 2025], "2025-01-29"],
+    ["Tết 2026", [1, 1, 2026], "2026-02-17"],
+    ["Tết 2027", [1, 1, 2027], "2027-02-06"],
+    ["Giỗ Tổ 2025", [10, 3, 2025], "2025-04-07"],
+    // Năm 2025 nhuận tháng 6 nên Trung thu lùi thêm một tháng
+    ["Trung thu 2025", [15, 8, 2025], "2025-10-06"],
+  ];
+  cases.forEach(([name, lunarDate, expected]) => {
+    assert.equal(
+      lunarToSolar(...lunarDate).format("YYYY-MM-DD"),
+      expected,
+      name
+    );
+  });
+});
+
+test("ngày lễ mặc định năm 2026 theo thứ tự ngày", () => {
+  assert.deepEqual(
+    getHolidaysForYear(2026).map(({ code, date }) => [code, date]),
+    [
+      ["tet", "2026-02-17"],
+      ["gio_to", "2026-04-26"],
+      ["giai_phong", "2026-04-30"],
+      ["lao_dong", "2026-05-01"],
+      ["quoc_khanh", "2026-09-02"],
+      ["trung_thu", "2026-09-25"],
+      ["noel", "2026-12-25"],
+    ]
+  );
+});
+
+test("lịch tải từ DB: nghỉ Tết nhiều ngày và ngày nghỉ đột xuất", async (t) => {
+  calendarRows.holidays = [
+    {
+      id: 1,
+      code: "tet",
+      name: "Tết Nguyên Đán",
+      calendar_type: "lunar",
+      month: 1,
+      day: 1,
+      days_off: 5,
+      active: 1,
+    },
+  ];
+  // Thứ hai - thứ sáu 8:00-12:00 và 13:30-17:45, thứ bảy đến 16:30, chủ nhật nghỉ
+  calendarRows.shifts = [1, 2, 3, 4, 5, 6].flatMap((weekday) => [
+    { weekday, start_time: "08:00:00", end_time: "12:00:00" },
+    {
+      weekday,
+      start_time: "13:30:00",
+      end_time: weekday === 6 ? "16:30:00" : "17:45:00",
+    },
+  ]);
+  // Thứ ba 20/10 và thứ tư 21/10/2026
+  calendarRows.closures = [
+    {
+      id: 1,
+      start_date: "2026-10-20",
+      end_date: "2026-10-21",
+      reason: "Kiểm kê kho",
+    },
+  ];
+  await loadBusinessCalendar({ force: true });
+
+  await t.test("Tết nghỉ 5 ngày từ mùng 1", () => {
+    const [tet] = getHolidaysForYear(2026);
+    assert.equal(tet.date, "2026-02-17");
+    assert.equal(tet.end_date, "2026-02-21");
+  });
+
+  await t.test("sau giờ làm thứ hai chuyển qua hai ngày nghỉ đột xuất", () => {
+    assert.equal(findClosure(at("2026-10-20 10:00")).reason, "Kiểm kê kho");
+    assert.equal(findClosure(at("2026-10-22 10:00")), null);
+    assert.equal(
+      format(adjustToWorkingHours(at("2026-10-19 18:00"))),
+      "2026-10-22 08:00"
+    );
+  });
+
+  await t.test("giữa ngày nghỉ đột xuất chuyển sang đầu ca ngày mở lại", () => {
+    assert.equal(
+      format(adjustToWorkingHours(at("2026-10-21 14:00"))),
+      "2026-10-22 08:00"
+    );
+  });
+
+  await t.test("trong giờ làm ngày trước và sau ngày nghỉ giữ nguyên", () => {
+    assert.equal(
+      format(adjustToWorkingHours(at("2026-10-19 16:00"))),
+      "2026-10-19 16:00"
+    );
+    assert.equal(
+      format(adjustToWorkingHours(at("2026-10-22 12:30"))),
+      "2026-10-22 13:30"
+    );
+  });
+
+  await t.test("nghỉ Tết kết thúc thứ bảy thì làm lại từ thứ hai", () => {
+    assert.equal(
+      format(adjustToWorkingHours(at("2026-02-16 18:00"))),
+      "2026-02-23 08:00"
+    );
+  });
+});
@@ -0,0 +1,48 @@
+CASE
+      WHEN (oa.district IS NULL OR oa.district = '' OR oa.ward IS NULL OR oa.ward = '' OR oa.distance IS NULL OR oa.travel_time IS NULL) THEN 100
+      WHEN oa.distance > 100 THEN 99
+      WHEN (o.window_start IS NOT NULL AND o.window_start > NOW() + INTERVAL COALESCE(oa.travel_time, 0) MINUTE) THEN 20
+      WHEN o.priority = 2 THEN 0
+      WHEN oa.status = 1 AND o.priority = 1 AND (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 1
+      WHEN (CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END) = 2 AND oa.status = 1 AND (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 2
+      WHEN (CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END) = 2 AND oa.status = 0 AND (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 3
+      WHEN (CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END) = 1 AND oa.status = 1 AND (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 4
+      WHEN (CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END) = 1 AND oa.status = 0 AND (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 5
+      WHEN oa.status = 1 AND o.priority = 0 THEN 10
+      WHEN oa.status = 1 AND o.priority = 1 AND NOT (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 11
+      WHEN oa.status = 0 AND o.priority = 1 AND NOT (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 12
+      WHEN oa.status = 0 AND o.priority = 0 THEN 13
+      WHEN (CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END) = 2 AND NOT (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 14
+      WHEN (CASE
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) <= CURDATE() - INTERVAL 2 DAY THEN 2
+      WHEN DATE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s')) = CURDATE() - INTERVAL 1 DAY THEN 1
+      ELSE 0
+    END) = 1 AND NOT (o.delivery_deadline IS NOT NULL AND o.delivery_deadline <= NOW() + INTERVAL 120 MINUTE) THEN 15
+      ELSE 16
+    END ASC,
+    CASE WHEN o.delivery_deadline IS NOT NULL AND DATE(o.delivery_deadline) = CURDATE() THEN 0 ELSE 1 END ASC,
+    COALESCE(TIMESTAMPDIFF(MINUTE, NOW(), o.delivery_deadline), 999999) ASC,
+    COALESCE(oa.distance, 999999) ASC,
+    COALESCE(oa.travel_time, 999999) ASC,
+    COALESCE(STR_TO_DATE(o.date_delivery, '%d/%m/%Y %H:%i:%s'), '9999-12-31 23:59:59') ASC,
+    oa.id_order ASC
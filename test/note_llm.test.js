@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeNoteAnalysis } = require("../src/delivery-tool");
+
+// Tuần 19/10/2026 (thứ hai), dùng lịch mặc định (không cần DB): ca 8:00-12:00 và 13:30-17:45, thứ bảy đến 16:30
+const makeResult = (fields) => ({
+  priority: 0,
+  deadline: null,
+  window_start: null,
+  window_end: null,
+  delivery_constraint: null,
+  confidence: 0.9,
+  reason: "Khách hẹn giao",
+  ...fields,
+});
+
+const timeCases = [
+  [
+    "giữ nguyên mốc hợp lệ",
+    {
+      deadline: "2026-10-19 15:30",
+      window_start: "2026-10-19 14:00",
+      window_end: "2026-10-19 16:00",
+    },
+    ["2026-10-19 15:30:00", "2026-10-19 14:00:00", "2026-10-19 16:00:00"],
+  ],
+  [
+    "bỏ mốc sai định dạng",
+    {
+      deadline: "ngày mai",
+      window_start: "2026-10-19T14:00",
+      window_end: "19/10/2026 16:00",
+    },
+    [null, null, null],
+  ],
+  [
+    "bỏ ngày không tồn tại và giá trị không phải chuỗi",
+    { deadline: "2026-02-30 10:00", window_start: 1760860800000 },
+    [null, null, null],
+  ],
+  [
+    "cuối khung trước đầu khung thì bỏ cuối khung",
+    { window_start: "2026-10-19 15:00", window_end: "2026-10-19 14:00" },
+    [null, "2026-10-19 15:00:00", null],
+  ],
+  [
+    "hạn giao mặc định là cuối khung",
+    { window_start: "2026-10-19 14:00", window_end: "2026-10-19 16:00" },
+    ["2026-10-19 16:00:00", "2026-10-19 14:00:00", "2026-10-19 16:00:00"],
+  ],
+  [
+    "cuối khung sau giờ làm: hạn giao sang đầu ca hôm sau",
+    { window_end: "2026-10-19 18:30" },
+    ["2026-10-20 08:00:00", null, "2026-10-19 18:30:00"],
+  ],
+  [
+    "hạn giao trước ca sáng",
+    { deadline: "2026-10-19 07:00" },
+    ["2026-10-19 08:00:00", null, null],
+  ],
+  [
+    "hạn giao trong giờ nghỉ trưa",
+    { deadline: "2026-10-19 12:30" },
+    ["2026-10-19 13:30:00", null, null],
+  ],
+  [
+    "hạn giao sau ca chiều thứ bảy",
+    { deadline: "2026-10-24 17:00" },
+    ["2026-10-26 08:00:00", null, null],
+  ],
+  [
+    "hạn giao vào chủ nhật",
+    { deadline: "2026-10-25 10:00" },
+    ["2026-10-26 08:00:00", null, null],
+  ],
+];
+
+timeCases.forEach(([name, fields, expected]) => {
+  test(`mốc thời gian: ${name}`, () => {
+    const analysis = normalizeNoteAnalysis(makeResult(fields));
+    assert.deepEqual(
+      [analysis.delivery_deadline, analysis.window_start, analysis.window_end],
+      expected
+    );
+  });
+});
+
+test("priority ngoài 0, 1, 2 về 0", () => {
+  assert.equal(normalizeNoteAnalysis(makeResult({ priority: 2 })).priority, 2);
+  assert.equal(normalizeNoteAnalysis(makeResult({ priority: 3 })).priority, 0);
+  assert.equal(
+    normalizeNoteAnalysis(makeResult({ priority: "1" })).priority,
+    0
+  );
+});
+
+test("ràng buộc giao hàng lạ về null", () => {
+  const constraintOf = (value) =>
+    normalizeNoteAnalysis(makeResult({ delivery_constraint: value }))
+      .delivery_constraint;
+  assert.equal(constraintOf("call_first"), "call_first");
+  assert.equal(constraintOf("when_home"), "when_home");
+  assert.equal(constraintOf("leave_at_door"), null);
+});
+
+test("độ tin cậy bị kẹp trong 0..1", () => {
+  const confidenceOf = (value) =>
+    normalizeNoteAnalysis(makeResult({ confidence: value })).confidence;
+  assert.equal(confidenceOf(0.4), 0.4);
+  assert.equal(confidenceOf("0.4"), 0.4);
+  assert.equal(confidenceOf(1.7), 1);
+  assert.equal(confidenceOf(-0.2), 0);
+  assert.equal(confidenceOf("cao"), 0);
+  assert.equal(confidenceOf(undefined), 0);
+});
+
+test("lý do bị cắt còn 500 ký tự", () => {
+  const reasonOf = (value) =>
+    normalizeNoteAnalysis(makeResult({ reason: value })).reason;
+  assert.equal(reasonOf("x".repeat(600)), "x".repeat(500));
+  assert.equal(reasonOf("Gọi trước"), "Gọi trước");
+  assert.equal(reasonOf(null), null);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+const {
+  tokenizeNote,
+  parseNote,
+  resolveNoteDate,
+} = require("../src/note_parser");
+const fixtures = require("./fixtures/delivery_notes.json");
+
+test("tách token ngày, giờ, số và chữ", () => {
+  const tokens = tokenizeNote("Giao 21/10 lúc 8h30, SĐT 0901234567");
+  assert.deepEqual(
+    tokens.map((token) => token.type),
+    ["word", "date", "word", "time", "punct", "word", "number"]
+  );
+  assert.deepEqual(
+    { day: tokens[1].day, month: tokens[1].month, year: tokens[1].year },
+    { day: 21, month: 10, year: null }
+  );
+  assert.equal(tokens[3].hour, 8);
+  assert.equal(tokens[3].minute, 30);
+});
+
+test("số thập phân không bị nhận là ngày", () => {
+  const [token] = tokenizeNote("2.5");
+  assert.equal(token.type, "number");
+});
+
+test("chữ có dấu không khớp từ khóa khác nghĩa khi bỏ dấu", () => {
+  assert.equal(parseNote("gọi cho tôi").time, null);
+  assert.equal(parseNote("goi truoc, giao toi").time.part, "evening");
+});
+
+test("ghi chú rỗng", () => {
+  assert.deepEqual(parseNote(""), {
+    date: null,
+    time: null,
+    urgency: null,
+    cargoType: null,
+    carrier: null,
+    contact: null,
+  });
+});
+
+fixtures.forEach(({ note, expected }) => {
+  test(`bộ mẫu: ${note}`, () => {
+    assert.deepEqual(parseNote(note), expected);
+  });
+});
+
+// Thứ hai 19/10/2026 09:00, dùng lịch mặc định (không cần DB)
+const now = moment.tz("2026-10-19 09:00", "Asia/Ho_Chi_Minh");
+const resolveCases = [
+  [{ type: "relative", days: 1 }, "2026-10-20"],
+  [{ type: "weekday", weekday: 6, week: "this" }, "2026-10-24"],
+  [{ type: "weekday", weekday: 1, week: "this" }, "2026-10-19"],
+  [{ type: "weekday", weekday: 1, week: "next" }, "2026-10-26"],
+  [{ type: "period", unit: "week", offset: 0, part: "end" }, "2026-10-23"],
+  [{ type: "period", unit: "week", offset: 1, part: "start" }, "2026-10-26"],
+  [{ type: "period", unit: "month", offset: 1, part: "mid" }, "2026-11-16"],
+  [{ type: "period", unit: "month", offset: 1, part: "end" }, "2026-11-30"],
+  [
+    { type: "absolute", day: 5, month: 1, year: null, relation: "on" },
+    "2027-01-05",
+  ],
+  [
+    { type: "absolute", day: 25, month: 12, year: null, relation: "before" },
+    "2026-12-24",
+  ],
+  [{ type: "holiday", code: "tet", relation: "before" }, "2027-02-05"],
+  [{ type: "holiday", code: "noel", relation: "on" }, "2026-12-25"],
+];
+
+resolveCases.forEach(([date, expected]) => {
+  test(`quy đổi ngày ${JSON.stringify(date)}`, () => {
+    assert.equal(resolveNoteDate(date, now).format("YYYY-MM-DD"), expected);
+  });
+});
+
+test("ngày không tồn tại trả về null", () => {
+  assert.equal(
+    resolveNoteDate(
+      { type: "absolute", day: 31, month: 2, year: 2027, relation: "on" },
+      now
+    ),
+    null
+  );
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// overrideOrder chạy trên kết nối giả trả dòng đơn đang lưu, phải gán trước khi require order_overrides
+const db = require("../src/db");
+const storedOrder = {
+  id_order: "X",
+  priority: 0,
+  delivery_deadline: null,
+  window_start: new Date("2026-10-19T14:00:00+07:00"),
+  window_end: new Date("2026-10-19T16:00:00+07:00"),
+  delivery_constraint: null,
+  override_priority: 0,
+  override_window: 0,
+  override_address: 0,
+  address_id: "X",
+  address: "12 Lê Lợi",
+  district: "Quận 1",
+  ward: "Phường Bến Nghé",
+};
+const queries = [];
+db.withTransaction = async (fn) =>
+  fn({
+    query: async (sql) => {
+      queries.push(sql);
+      return [sql.includes("FOR UPDATE") ? [storedOrder] : []];
+    },
+  });
+
+const { validateOverride, overrideOrder } = require("../src/order_overrides");
+
+const invalidCases = [
+  ["priority ngoài 0, 1, 2", { priority: 3 }, /^priority phải là 0, 1 hoặc 2$/],
+  ["priority dạng chuỗi", { priority: "2" }, /^priority phải là/],
+  [
+    "hạn giao sai định dạng",
+    { delivery_deadline: "19/10/2026 10:00" },
+    /^delivery_deadline phải có dạng YYYY-MM-DD HH:mm hoặc null$/,
+  ],
+  [
+    "ngày không tồn tại",
+    { window_start: "2026-02-30 10:00" },
+    /^window_start phải có dạng/,
+  ],
+  [
+    "thời điểm dạng số",
+    { window_end: 1760000000000 },
+    /^window_end phải có dạng/,
+  ],
+  [
+    "ràng buộc giao hàng lạ",
+    { delivery_constraint: "leave_at_door" },
+    /^delivery_constraint phải là call_first, when_home hoặc null$/,
+  ],
+  ["địa chỉ rỗng", { address: "   " }, /^address phải là chuỗi không rỗng$/],
+  ["địa chỉ null", { address: null }, /^address phải là chuỗi không rỗng$/],
+  ["phường rỗng", { ward: "" }, /^ward phải là chuỗi không rỗng hoặc null$/],
+  [
+    "clear_overrides không phải mảng",
+    { clear_overrides: "priority" },
+    /^clear_overrides phải là mảng gồm priority, window, address$/,
+  ],
+  [
+    "clear_overrides có nhóm lạ",
+    { clear_overrides: ["status"] },
+    /^clear_overrides phải là mảng/,
+  ],
+  [
+    "vừa sửa vừa bỏ sửa cùng nhóm",
+    { window_start: "2026-10-19 09:00", clear_overrides: ["window"] },
+    /^Không thể vừa sửa vừa bỏ sửa tay nhóm window$/,
+  ],
+  ["không có trường nào", { note: "x" }, /^Không có trường nào để cập nhật$/],
+  [
+    "cuối khung trước đầu khung",
+    { window_start: "2026-10-19 14:00", window_end: "2026-10-19 13:59" },
+    /^window_end phải sau window_start$/,
+  ],
+];
+
+invalidCases.forEach(([name, body, message]) => {
+  test(`từ chối sửa tay: ${name}`, () => {
+    assert.throws(() => validateOverride(body), {
+      code: "OVERRIDE_INVALID",
+      message,
+    });
+  });
+});
+
+test("chấp nhận các định dạng thời điểm và trả về YYYY-MM-DD HH:mm:ss", () => {
+  const { values, groups } = validateOverride({
+    delivery_deadline: "2026-10-19 17:30:15",
+    window_start: "2026-10-19 14:00",
+    window_end: "2026-10-19T16:00",
+  });
+  assert.deepEqual(values, {
+    delivery_deadline: "2026-10-19 17:30:15",
+    window_start: "2026-10-19 14:00:00",
+    window_end: "2026-10-19 16:00:00",
+  });
+  assert.deepEqual(groups, ["window"]);
+});
+
+test("chỉ gửi khung giờ thì hạn giao là cuối khung", () => {
+  const { values } = validateOverride({
+    window_start: "2026-10-19 14:00",
+    window_end: "2026-10-19 16:00",
+  });
+  assert.equal(values.delivery_deadline, "2026-10-19 16:00:00");
+});
+
+test("hạn giao gửi kèm khung giờ được giữ nguyên", () => {
+  const { values } = validateOverride({
+    window_end: "2026-10-19 16:00",
+    delivery_deadline: "2026-10-19 15:00",
+  });
+  assert.equal(values.delivery_deadline, "2026-10-19 15:00:00");
+});
+
+test("xóa cuối khung không đặt lại hạn giao", () => {
+  const { values } = validateOverride({ window_end: null });
+  assert.deepEqual(values, { window_end: null });
+});
+
+test("gom nhóm sửa tay, cắt khoảng trắng và bỏ trùng nhóm bỏ sửa", () => {
+  const result = validateOverride({
+    priority: 2,
+    address: "  12 Lê Lợi  ",
+    district: null,
+    clear_overrides: ["window", "window"],
+  });
+  assert.deepEqual(result, {
+    values: { priority: 2, address: "12 Lê Lợi", district: null },
+    groups: ["priority", "address"],
+    clear: ["window"],
+  });
+});
+
+test("chỉ bỏ sửa tay là hợp lệ", () => {
+  assert.deepEqual(validateOverride({ clear_overrides: ["priority"] }), {
+    values: {},
+    groups: [],
+    clear: ["priority"],
+  });
+});
+
+test("chỉ gửi một đầu khung giờ thì so với đầu còn lại đang lưu", async () => {
+  const cases = [
+    { window_end: "2026-10-19 13:59" },
+    { window_start: "2026-10-19 16:01" },
+  ];
+  for (const body of cases) {
+    await assert.rejects(overrideOrder("X", body, "tester"), {
+      code: "OVERRIDE_INVALID",
+      message: "window_end phải sau window_start",
+    });
+  }
+  assert.ok(queries.every((sql) => !sql.startsWith("UPDATE")));
+});
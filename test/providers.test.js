@@ -0,0 +1,251 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+// Máy chủ giả trả phản hồi mẫu của TomTom, OSRM và Nominatim, chạy không cần mạng
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({
+      method: req.method,
+      path: decodeURIComponent(url.pathname),
+      query: Object.fromEntries(url.searchParams),
+      body: body ? JSON.parse(body) : null,
+    });
+    const [status, payload] = respond(req.method, url);
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+  });
+});
+
+// Tọa độ đích quyết định kết quả OSRM: 106.8,10.8 có đường, 106.9,10.9 không có đường
+function respond(method, url) {
+  const path = decodeURIComponent(url.pathname);
+  if (path.startsWith("/tomtom/geocode/")) {
+    if (path.includes("bị khóa")) return [403, { error: "Forbidden" }];
+    if (path.includes("không tồn tại")) return [200, { results: [] }];
+    return [200, { results: [{ position: { lat: 10.7769, lon: 106.7009 } }] }];
+  }
+  if (path.startsWith("/tomtom/routing/")) {
+    return [
+      200,
+      {
+        routes: [
+          { summary: { lengthInMeters: 12345, travelTimeInSeconds: 1501 } },
+        ],
+      },
+    ];
+  }
+  if (path === "/tomtom/matrix" && method === "POST") {
+    return [200, { data: tomtomMatrixCells.shift() || [] }];
+  }
+  if (path === "/nominatim/search") {
+    if (url.searchParams.get("q") === "không tồn tại") return [200, []];
+    return [200, [{ lat: "10.7769", lon: "106.7009" }]];
+  }
+  if (path.startsWith("/osrm/route/v1/driving/")) {
+    if (path.endsWith(";106.8,10.8")) {
+      return [
+        200,
+        { code: "Ok", routes: [{ distance: 12345, duration: 1501 }] },
+      ];
+    }
+    if (path.endsWith(";106.9,10.9")) return [200, { code: "NoRoute" }];
+    if (path.endsWith(";0,0")) return [200, { code: "TooBig" }];
+    return [400, { code: "InvalidQuery" }];
+  }
+  if (path.startsWith("/osrm/table/v1/driving/")) {
+    return [
+      200,
+      {
+        code: "Ok",
+        distances: [[1000, null]],
+        durations: [[61, null]],
+      },
+    ];
+  }
+  return [404, {}];
+}
+
+let tomtomMatrixCells = [];
+let tomtom;
+let osrm;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    TOMTOM_API_KEY: "test-key",
+    TOMTOM_GEOCODE_API_URL: `${base}/tomtom/geocode`,
+    TOMTOM_ROUTING_API_URL: `${base}/tomtom/routing`,
+    TOMTOM_MATRIX_API_URL: `${base}/tomtom/matrix`,
+    OSRM_URL: `${base}/osrm/`,
+    NOMINATIM_URL: `${base}/nominatim`,
+  });
+  // Provider đọc URL lúc require nên chỉ require sau khi có cổng
+  tomtom = require("../src/providers/tomtom");
+  osrm = require("../src/providers/osrm");
+});
+
+after(() => server.close());
+
+const lastRequest = () => requests[requests.length - 1];
+const origin = { lat: 10.7, lon: 106.7 };
+
+test("tomtom: geocode đọc tọa độ kết quả đầu tiên", async () => {
+  assert.deepEqual(await tomtom.geocode("12 Lê Lợi, Quận 1"), {
+    lat: 10.7769,
+    lon: 106.7009,
+  });
+  assert.equal(lastRequest().path, "/tomtom/geocode/12 Lê Lợi, Quận 1.json");
+  assert.deepEqual(lastRequest().query, {
+    key: "test-key",
+    countrySet: "VN",
+    limit: "1",
+  });
+});
+
+test("tomtom: geocode không có kết quả trả về null", async () => {
+  assert.equal(await tomtom.geocode("không tồn tại"), null);
+});
+
+test("tomtom: route đổi mét sang km và giây sang phút (làm tròn lên)", async () => {
+  assert.deepEqual(await tomtom.route(origin, { lat: 10.8, lon: 106.8 }), {
+    distance: 12.345,
+    travel_time: 26,
+  });
+  assert.equal(
+    lastRequest().path,
+    "/tomtom/routing/10.7,106.7:10.8,106.8/json"
+  );
+});
+
+test("tomtom: matrix chia nhóm điểm xuất phát theo giới hạn ô", async () => {
+  const destinations = Array.from({ length: 150 }, (_, index) => ({
+    lat: 10 + index / 1000,
+    lon: 106,
+  }));
+  const origins = [origin, { lat: 10.8, lon: 106.8 }];
+  // 150 điểm đến chỉ cho phép 1 điểm xuất phát mỗi yêu cầu, originIndex tính trong nhóm
+  tomtomMatrixCells = [
+    [
+      {
+        originIndex: 0,
+        destinationIndex: 149,
+        routeSummary: { lengthInMeters: 2000, travelTimeInSeconds: 90 },
+      },
+    ],
+    [
+      {
+        originIndex: 0,
+        destinationIndex: 0,
+        routeSummary: { lengthInMeters: 500, travelTimeInSeconds: 60 },
+      },
+      { originIndex: 0, destinationIndex: 1 },
+    ],
+  ];
+  const count = requests.length;
+  const { distances, durations } = await tomtom.matrix(origins, destinations);
+
+  assert.equal(requests.length - count, 2);
+  assert.equal(lastRequest().body.origins.length, 1);
+  assert.equal(lastRequest().body.destinations.length, 150);
+  assert.equal(distances[0][149], 2);
+  assert.equal(durations[0][149], 2);
+  assert.equal(distances[1][0], 0.5);
+  assert.equal(durations[1][0], 1);
+  assert.equal(distances[1][1], null);
+  assert.equal(distances[0][0], null);
+});
+
+test("tomtom: matrix từ chối quá 200 điểm đến", async () => {
+  const destinations = Array.from({ length: 201 }, () => origin);
+  await assert.rejects(tomtom.matrix([origin], destinations), {
+    message: "TomTom matrix chỉ hỗ trợ tối đa 200 điểm đến",
+  });
+});
+
+test("tomtom: lỗi HTTP được ném ra cho nơi gọi retry", async () => {
+  await assert.rejects(tomtom.geocode("bị khóa"), (error) => {
+    assert.equal(error.response.status, 403);
+    return true;
+  });
+});
+
+test("osrm: geocode qua Nominatim đổi chuỗi tọa độ sang số", async () => {
+  assert.deepEqual(await osrm.geocode("12 Lê Lợi, Quận 1"), {
+    lat: 10.7769,
+    lon: 106.7009,
+  });
+  assert.deepEqual(lastRequest().query, {
+    q: "12 Lê Lợi, Quận 1",
+    format: "jsonv2",
+    countrycodes: "vn",
+    limit: "1",
+  });
+  assert.equal(await osrm.geocode("không tồn tại"), null);
+});
+
+test("osrm: route dùng thứ tự lon,lat và đổi đơn vị", async () => {
+  assert.deepEqual(await osrm.route(origin, { lat: 10.8, lon: 106.8 }), {
+    distance: 12.345,
+    travel_time: 26,
+  });
+  assert.equal(
+    lastRequest().path,
+    "/osrm/route/v1/driving/106.7,10.7;106.8,10.8"
+  );
+});
+
+test("osrm: NoRoute trả về null, mã lỗi khác được ném ra", async () => {
+  assert.equal(await osrm.route(origin, { lat: 10.9, lon: 106.9 }), null);
+  await assert.rejects(osrm.route(origin, { lat: 0, lon: 0 }), {
+    message: "OSRM route trả về TooBig",
+  });
+  await assert.rejects(osrm.route(origin, { lat: 1, lon: 1 }), (error) => {
+    assert.equal(error.response.status, 400);
+    return true;
+  });
+});
+
+test("osrm: table chỉ định sources/destinations và giữ ô không có đường là null", async () => {
+  const result = await osrm.matrix(
+    [origin],
+    [
+      { lat: 10.8, lon: 106.8 },
+      { lat: 10.9, lon: 106.9 },
+    ]
+  );
+  assert.deepEqual(result, {
+    distances: [[1, null]],
+    durations: [[2, null]],
+  });
+  assert.equal(
+    lastRequest().path,
+    "/osrm/table/v1/driving/106.7,10.7;106.8,10.8;106.9,10.9"
+  );
+  assert.deepEqual(lastRequest().query, {
+    sources: "0",
+    destinations: "1;2",
+    annotations: "duration,distance",
+  });
+});
+
+// getGeoProvider giữ provider đã chọn nên mỗi lần thử nạp lại module
+const loadGeoProvider = (name) => {
+  if (name === undefined) delete process.env.GEO_PROVIDER;
+  else process.env.GEO_PROVIDER = name;
+  delete require.cache[require.resolve("../src/providers")];
+  return require("../src/providers").getGeoProvider();
+};
+
+test("GEO_PROVIDER chọn provider, mặc định tomtom", () => {
+  assert.equal(loadGeoProvider(undefined).name, "tomtom");
+  assert.equal(loadGeoProvider("OSRM"), osrm);
+  assert.throws(() => loadGeoProvider("google"), {
+    message: 'GEO_PROVIDER "google" không hợp lệ, chỉ hỗ trợ: tomtom, osrm',
+  });
+});
@@ -0,0 +1,386 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment-timezone");
+
+// Ảnh chụp SQL dựng với cửa sổ hạn giao mặc định 120 phút
+delete process.env.PRIORITY_DEADLINE_WINDOW_MINUTES;
+const {
+  CONDITIONS,
+  TIE_BREAKERS,
+  getOrderTier,
+  compareOrdersByPriority,
+  rankOrders,
+  buildTierSql,
+  buildRankingOrderBy,
+} = require("../src/ranking");
+
+const SNAPSHOT_FILE = path.join(__dirname, "fixtures", "ranking_order_by.sql");
+
+// Thứ hai 19/10/2026 09:00
+const now = moment.tz("2026-10-19 09:00", "Asia/Ho_Chi_Minh");
+const at = (minutes) => now.clone().add(minutes, "minutes").toDate();
+
+// Dòng CSDL đủ dữ liệu tuyến đường, ưu tiên bình thường, chưa quá hạn, xuất kho hôm nay
+const makeRow = (fields) => {
+  const row = {
+    id_order: "X",
+    district: "Quận 1",
+    ward: "Phường Bến Nghé",
+    distance: 5,
+    travel_time: 20,
+    priority: 0,
+    status: 0,
+    days_old: 0,
+    delivery_deadline: null,
+    window_start: null,
+    ...fields,
+  };
+  // Ngày xuất kho khớp days_old để DAYS_OLD_SQL tính ra cùng giá trị
+  const delivered = now.clone().subtract(row.days_old, "days").hour(8);
+  return { date_delivery: delivered.format("DD/MM/YYYY HH:mm:ss"), ...row };
+};
+
+const tierCases = [
+  ["thiếu khoảng cách", { distance: null }, 100],
+  ["thiếu thời gian di chuyển", { travel_time: null }, 100],
+  ["phường rỗng", { ward: "" }, 100],
+  ["thiếu quận dù khẩn cấp", { district: null, priority: 2 }, 100],
+  ["xa hơn 100 km", { distance: 100.5 }, 99],
+  ["đúng 100 km không tính là xa", { distance: 100 }, 13],
+  [
+    "khung giờ chưa mở xếp sau cả đơn khẩn cấp",
+    { priority: 2, window_start: at(60) },
+    20,
+  ],
+  [
+    "khung giờ mở trước khi xe tới nơi",
+    { priority: 2, window_start: at(10) },
+    0,
+  ],
+  ["khẩn cấp", { priority: 2 }, 0],
+  [
+    "hạn giao đúng mốc 120 phút",
+    { status: 1, priority: 1, delivery_deadline: at(120) },
+    1,
+  ],
+  [
+    "hạn giao sau mốc 120 phút",
+    { status: 1, priority: 1, delivery_deadline: at(121) },
+    11,
+  ],
+  ["quá hạn, ưu tiên cao, không có hạn giao", { status: 1, priority: 1 }, 11],
+  [
+    "xuất kho 2 ngày, quá hạn, sắp đến hạn",
+    { days_old: 2, status: 1, delivery_deadline: at(30) },
+    2,
+  ],
+  [
+    "xuất kho 2 ngày, chưa quá hạn, sắp đến hạn",
+    { days_old: 2, delivery_deadline: at(30) },
+    3,
+  ],
+  [
+    "xuất kho hôm qua, quá hạn, sắp đến hạn",
+    { days_old: 1, status: 1, delivery_deadline: at(30) },
+    4,
+  ],
+  [
+    "xuất kho hôm qua, chưa quá hạn, sắp đến hạn",
+    { days_old: 1, delivery_deadline: at(30) },
+    5,
+  ],
+  [
+    "xuất kho hôm nay, sắp đến hạn",
+    { days_old: 0, delivery_deadline: at(30) },
+    13,
+  ],
+  ["quá hạn, bình thường", { status: 1 }, 10],
+  ["chưa quá hạn, ưu tiên cao", { priority: 1 }, 12],
+  ["chưa quá hạn, bình thường", {}, 13],
+  ["xuất kho 2 ngày, không có hạn giao", { days_old: 2 }, 13],
+];
+
+tierCases.forEach(([name, fields, expected]) => {
+  test(`bậc ưu tiên: ${name}`, () => {
+    assert.equal(getOrderTier(makeRow(fields), now), expected);
+  });
+});
+
+test("sắp xếp theo bậc rồi tới tiêu chí phụ và mã đơn", () => {
+  const rows = [
+    makeRow({ id_order: "MISSING", distance: null }),
+    makeRow({ id_order: "WINDOW", window_start: at(90) }),
+    makeRow({ id_order: "FAR", distance: 150 }),
+    makeRow({ id_order: "NORMAL_B", distance: 8 }),
+    makeRow({ id_order: "NORMAL_A", distance: 8 }),
+    makeRow({ id_order: "NORMAL_NEAR", distance: 2 }),
+    makeRow({
+      id_order: "NORMAL_TOMORROW",
+      delivery_deadline: moment(at(0)).add(1, "day").toDate(),
+    }),
+    makeRow({ id_order: "NORMAL_TODAY", delivery_deadline: at(300) }),
+    makeRow({ id_order: "URGENT", priority: 2 }),
+    makeRow({ id_order: "OVERDUE", status: 1 }),
+  ];
+  assert.deepEqual(
+    rankOrders(rows, now).map((row) => row.id_order),
+    [
+      "URGENT",
+      "OVERDUE",
+      "NORMAL_TODAY",
+      "NORMAL_TOMORROW",
+      "NORMAL_NEAR",
+      "NORMAL_A",
+      "NORMAL_B",
+      "WINDOW",
+      "FAR",
+      "MISSING",
+    ]
+  );
+});
+
+test("so sánh hai đơn khác bậc và cùng bậc", () => {
+  const urgent = makeRow({ id_order: "A", priority: 2 });
+  const normal = makeRow({ id_order: "B" });
+  assert.ok(compareOrdersByPriority(urgent, normal, now) < 0);
+  assert.ok(compareOrdersByPriority(normal, urgent, now) > 0);
+  assert.equal(compareOrdersByPriority(normal, { ...normal }, now), 0);
+});
+
+test("ORDER BY bắt đầu bằng biểu thức bậc ưu tiên và khớp ảnh chụp", () => {
+  const orderBy = buildRankingOrderBy();
+  assert.ok(orderBy.startsWith(`${buildTierSql()} ASC,`));
+  assert.equal(`${orderBy}\n`, fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+});
+
+// ===== SO KHỚP SQL VỚI JS =====
+// Bộ đánh giá chỉ hiểu phần cú pháp ranking.js dùng, NULL theo logic ba trị của MySQL.
+// Phiên MySQL giả định ở Asia/Ho_Chi_Minh như ghi chú trong ranking.js: NOW() là now, CURDATE() là đầu ngày của now.
+const TIME_ZONE = "Asia/Ho_Chi_Minh";
+const UNIT_MS = { MINUTE: 60 * 1000, DAY: 24 * 60 * 60 * 1000 };
+const COMPARE = {
+  "=": (a, b) => a === b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+};
+const FUNCTIONS = {
+  NOW: (scope) => scope.now.valueOf(),
+  CURDATE: (scope) => scope.now.clone().startOf("day").valueOf(),
+  DATE: (scope, value) =>
+    value === null
+      ? null
+      : moment.tz(value, TIME_ZONE).startOf("day").valueOf(),
+  STR_TO_DATE: (scope, value, format) => {
+    assert.equal(format, "%d/%m/%Y %H:%i:%s");
+    const date =
+      value === null
+        ? null
+        : moment.tz(value, "DD/MM/YYYY HH:mm:ss", true, TIME_ZONE);
+    return date && date.isValid() ? date.valueOf() : null;
+  },
+  COALESCE: (scope, ...values) =>
+    values.find((value) => value !== null) ?? null,
+  TIMESTAMPDIFF: (scope, unit, from, to) =>
+    from === null || to === null
+      ? null
+      : Math.trunc((to - from) / UNIT_MS[unit]),
+};
+
+function tokenize(sql) {
+  const pattern =
+    /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|([A-Za-z_][\w.]*)|(<=|>=|[=<>+\-(),]))\s*/y;
+  const tokens = [];
+  while (pattern.lastIndex < sql.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(sql);
+    if (!match) throw new Error(`Không đọc được SQL: ${sql.slice(start)}`);
+    if (match[1] !== undefined) tokens.push({ value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ value: match[2] });
+    else if (match[3] !== undefined) {
+      tokens.push({ word: match[3].toUpperCase(), raw: match[3] });
+    } else tokens.push({ word: match[4] });
+  }
+  return tokens;
+}
+
+// DỊCH BIỂU THỨC SQL THÀNH HÀM (scope = { row, now }) => GIÁ TRỊ, THỜI ĐIỂM TÍNH BẰNG MILLIGIÂY
+function compileSql(sql) {
+  const tokens = tokenize(sql);
+  let position = 0;
+  const peek = (word) => tokens[position] && tokens[position].word === word;
+  const accept = (word) => peek(word) && ++position;
+  const expect = (word) => {
+    if (!accept(word)) throw new Error(`Thiếu ${word} ở token ${position}`);
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (accept("OR")) {
+      const [a, b] = [left, parseAnd()];
+      left = (scope) => {
+        const values = [a(scope), b(scope)];
+        if (values.includes(true)) return true;
+        return values.includes(null) ? null : false;
+      };
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseNot();
+    while (accept("AND")) {
+      const [a, b] = [left, parseNot()];
+      left = (scope) => {
+        const values = [a(scope), b(scope)];
+        if (values.includes(false)) return false;
+        return values.includes(null) ? null : true;
+      };
+    }
+    return left;
+  };
+  const parseNot = () => {
+    if (!accept("NOT")) return parseComparison();
+    const operand = parseNot();
+    return (scope) => {
+      const value = operand(scope);
+      return value === null ? null : !value;
+    };
+  };
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (accept("IS")) {
+      const negate = !!accept("NOT");
+      expect("NULL");
+      return (scope) => (left(scope) === null) !== negate;
+    }
+    const operator = tokens[position] && COMPARE[tokens[position].word];
+    if (!operator) return left;
+    position++;
+    const right = parseAdditive();
+    return (scope) => {
+      const [a, b] = [left(scope), right(scope)];
+      return a === null || b === null ? null : operator(a, b);
+    };
+  };
+  // Chỉ hỗ trợ cộng trừ INTERVAL vào thời điểm
+  const parseAdditive = () => {
+    let left = parsePrimary();
+    while (peek("+") || peek("-")) {
+      const sign = tokens[position++].word === "+" ? 1 : -1;
+      expect("INTERVAL");
+      const [base, amount] = [left, parsePrimary()];
+      const unit = UNIT_MS[tokens[position++].word];
+      left = (scope) => {
+        const [time, count] = [base(scope), amount(scope)];
+        return time === null || count === null
+          ? null
+          : time + sign * count * unit;
+      };
+    }
+    return left;
+  };
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token.word) return () => token.value;
+    if (token.word === "NULL") return () => null;
+    if (UNIT_MS[token.word]) return () => token.word;
+    if (token.word === "(") {
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+    if (token.word === "CASE") {
+      const branches = [];
+      while (accept("WHEN")) {
+        const condition = parseOr();
+        expect("THEN");
+        branches.push([condition, parseOr()]);
+      }
+      expect("ELSE");
+      const otherwise = parseOr();
+      expect("END");
+      return (scope) => {
+        const branch = branches.find(
+          ([condition]) => condition(scope) === true
+        );
+        return (branch ? branch[1] : otherwise)(scope);
+      };
+    }
+    if (accept("(")) {
+      const fn = FUNCTIONS[token.word];
+      if (!fn) throw new Error(`Hàm SQL không hỗ trợ: ${token.raw}`);
+      const args = [];
+      if (!peek(")")) {
+        do args.push(parseOr());
+        while (accept(","));
+      }
+      expect(")");
+      return (scope) => fn(scope, ...args.map((arg) => arg(scope)));
+    }
+    const [alias, column] = token.raw.split(".");
+    if (!["o", "oa"].includes(alias) || !column) {
+      throw new Error(`Token SQL không hỗ trợ: ${token.raw}`);
+    }
+    return ({ row }) => {
+      const value = row[column];
+      if (value === undefined) throw new Error(`Dòng mẫu thiếu cột ${column}`);
+      return value instanceof Date ? value.getTime() : value;
+    };
+  };
+
+  const evaluate = parseOr();
+  if (position !== tokens.length) {
+    throw new Error(`SQL còn thừa từ token ${position}`);
+  }
+  return (row) => evaluate({ row, now });
+}
+
+const sampleRows = tierCases.map(([name, fields]) => [name, makeRow(fields)]);
+
+test("mỗi điều kiện SQL cho cùng kết quả với điều kiện JS trên các dòng mẫu", () => {
+  Object.entries(CONDITIONS).forEach(([conditionName, { js, sql }]) => {
+    const evaluate = compileSql(sql);
+    sampleRows.forEach(([name, row]) => {
+      assert.equal(
+        evaluate(row) === true,
+        !!js(row, now),
+        `${conditionName}: ${name}`
+      );
+    });
+  });
+});
+
+test("biểu thức bậc SQL cho cùng bậc với getOrderTier", () => {
+  const evaluate = compileSql(buildTierSql());
+  sampleRows.forEach(([name, row]) => {
+    assert.equal(evaluate(row), getOrderTier(row, now), name);
+  });
+});
+
+test("mỗi tiêu chí phụ SQL xếp các cặp dòng giống tiêu chí phụ JS", () => {
+  const rows = [
+    ...sampleRows.map(([, row]) => row),
+    makeRow({ delivery_deadline: moment(at(0)).add(1, "day").toDate() }),
+    makeRow({ delivery_deadline: at(-30) }),
+    makeRow({ date_delivery: null }),
+    makeRow({ date_delivery: "không phải ngày" }),
+  ];
+  // MySQL đổi chuỗi hằng '9999-12-31 23:59:59' của COALESCE sang thời điểm khi so sánh
+  const sortable = (value) =>
+    typeof value === "string" ? moment.tz(value, TIME_ZONE).valueOf() : value;
+  TIE_BREAKERS.forEach(({ name, js, sql }) => {
+    const evaluate = compileSql(sql);
+    rows.forEach((a, i) => {
+      rows.forEach((b, j) => {
+        assert.equal(
+          Math.sign(sortable(evaluate(a)) - sortable(evaluate(b))),
+          Math.sign(js(a, now) - js(b, now)),
+          `${name}: dòng ${i} với dòng ${j}`
+        );
+      });
+    });
+  });
+});
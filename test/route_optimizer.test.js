@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moment = require("moment-timezone");
+
+process.env.ROUTE_MAX_STOPS = "3";
+const {
+  createRouteContext,
+  simulateRoute,
+  buildNearestNeighbor,
+  improveSequence,
+  optimizeRoute,
+} = require("../src/route_optimizer");
+const { adjustToWorkingHours } = require("../src/delivery-tool");
+
+// Thứ hai 19/10/2026, dùng lịch mặc định (không cần DB): ca 8:00-12:00 và 13:30-17:45
+const at = (time) => moment.tz(`2026-10-19 ${time}`, "Asia/Ho_Chi_Minh");
+const format = (ms) => moment(ms).tz("Asia/Ho_Chi_Minh").format("HH:mm");
+
+// Kho ở km 0, các điểm dừng nằm trên một đường thẳng, 1 km = 1 phút, không quay về kho
+const POSITIONS = [0, 30, 10, 20];
+const legs = (from, to) => {
+  const distance = Math.abs(POSITIONS[from] - POSITIONS[to]);
+  return { distance, minutes: distance, estimated: false };
+};
+const makeContext = (stops = [{}, {}, {}], startTime = at("08:00")) =>
+  createRouteContext({
+    stops: stops.map((stop) => ({
+      deadline: stop.deadline ? at(stop.deadline).valueOf() : null,
+      window_start: stop.window_start ? at(stop.window_start).valueOf() : null,
+    })),
+    legs,
+    startTime,
+    serviceMinutes: 10,
+    returnToWarehouse: false,
+  });
+
+test("láng giềng gần nhất đi theo thứ tự km", () => {
+  assert.deepEqual(buildNearestNeighbor(makeContext(), false), [1, 2, 0]);
+});
+
+test("ưu tiên đơn có hạn xếp đơn có hạn trước theo hạn giao", () => {
+  const context = makeContext([
+    { deadline: "09:00" },
+    {},
+    { deadline: "08:30" },
+  ]);
+  assert.deepEqual(buildNearestNeighbor(context, true), [2, 0, 1]);
+});
+
+test("cải thiện thứ tự xấu về tuyến ngắn nhất khi không có hạn", () => {
+  const { sequence, result, completed } = improveSequence(
+    [0, 1, 2],
+    makeContext()
+  );
+  assert.deepEqual(sequence, [1, 2, 0]);
+  assert.equal(result.lateCount, 0);
+  assert.equal(result.distanceKm, 30);
+  assert.equal(format(result.finish), "09:00");
+  assert.ok(completed);
+});
+
+test("đi điểm xa trước để kịp hạn giao", () => {
+  const context = makeContext([{ deadline: "08:35" }, {}, {}]);
+  const { sequence, result } = improveSequence([1, 2, 0], context);
+  assert.deepEqual(sequence, [0, 2, 1]);
+  assert.equal(result.lateCount, 0);
+  assert.deepEqual(
+    result.timeline.map(({ eta }) => format(eta)),
+    ["08:30", "08:50", "09:10"]
+  );
+});
+
+test("ít đơn trễ nhất rồi mới tới ít phút trễ nhất", () => {
+  const context = makeContext([
+    { deadline: "08:10" },
+    {},
+    { deadline: "08:40" },
+  ]);
+  const { sequence, result } = improveSequence([1, 2, 0], context);
+  // Đi điểm km 30 trước thì trễ 20 phút ở đó và trễ thêm ở điểm km 20
+  assert.deepEqual(sequence, [2, 0, 1]);
+  assert.equal(result.lateCount, 1);
+  assert.equal(result.lateMinutes, 30);
+  assert.deepEqual(
+    result.timeline.map(({ late }) => late),
+    [0, 30, 0]
+  );
+});
+
+test("đến trước khung giờ khách hẹn thì chờ tới đầu khung", () => {
+  const context = makeContext([{}, { window_start: "09:00" }, {}]);
+  const result = simulateRoute([1, 2, 0], context);
+  const stop = result.timeline[0];
+  assert.equal(format(stop.eta), "09:00");
+  assert.equal(stop.wait, 50);
+  assert.equal(format(result.timeline[1].eta), "09:20");
+});
+
+test("điểm có khung giờ mở muộn được xếp cuối", () => {
+  const context = makeContext([{}, { window_start: "10:00" }, {}]);
+  const { sequence, result } = improveSequence([1, 2, 0], context);
+  assert.equal(sequence[sequence.length - 1], 1);
+  result.timeline.forEach(({ stopIndex, eta }) => {
+    if (stopIndex === 1) assert.ok(eta >= at("10:00").valueOf());
+  });
+});
+
+test("đến trong giờ nghỉ trưa thì chờ ca chiều", () => {
+  const result = simulateRoute([1], makeContext([{}, {}, {}], at("11:50")));
+  assert.equal(format(result.timeline[0].eta), "13:30");
+});
+
+test("giờ làm việc tính sẵn khớp adjustToWorkingHours", () => {
+  const { toWorkingTime } = makeContext();
+  // Mỗi 25 phút trong 10 ngày, qua trưa, tối, thứ bảy và chủ nhật
+  for (let minutes = 0; minutes < 10 * 24 * 60; minutes += 25) {
+    const time = at("00:00").add(minutes, "minutes");
+    assert.equal(
+      toWorkingTime(time.valueOf()),
+      adjustToWorkingHours(time).valueOf()
+    );
+  }
+});
+
+test("mô phỏng lại từ giữa tuyến cho kết quả như mô phỏng toàn bộ", () => {
+  const context = makeContext([
+    { deadline: "08:35" },
+    { window_start: "09:00" },
+    {},
+  ]);
+  const base = simulateRoute([1, 2, 0], context);
+  const candidate = [1, 0, 2];
+  assert.deepEqual(
+    simulateRoute(candidate, context, base, 1),
+    simulateRoute(candidate, context)
+  );
+});
+
+test("dừng cải thiện khi hết số lần mô phỏng", () => {
+  const { sequence, evaluations, completed } = improveSequence(
+    [0, 1, 2],
+    makeContext(),
+    { maxEvaluations: 1 }
+  );
+  assert.deepEqual(sequence, [0, 1, 2]);
+  assert.equal(evaluations, 1);
+  assert.equal(completed, false);
+});
+
+test("từ chối tuyến nhiều hơn ROUTE_MAX_STOPS điểm dừng", async () => {
+  await assert.rejects(optimizeRoute({ orderIds: ["A", "B", "C", "D"] }), {
+    code: "INVALID_ROUTE_REQUEST",
+    message: "Tối đa 3 điểm dừng cho một tuyến, hãy thu hẹp bộ lọc",
+  });
+});